@@ -1,8 +1,16 @@
 #!/usr/bin/env node
 
 const fs = require('fs').promises;
+const { readFileSync } = require('fs');
 const path = require('path');
 const crypto = require('crypto');
+const EditUndoStack = require('./utils/edit-undo-stack');
+const { mergeThreeWay } = require('./utils/three-way-merge');
+const { computeHunks, formatHunkHeader, formatUnifiedDiff, applyHunks } = require('./utils/diff-hunks');
+const { parsePatch, applyFilePatch, addedFileContent } = require('./utils/patch-apply');
+const { GitCheckpoints } = require('./utils/git-checkpoints');
+const { runGit } = require('./utils/git-tools');
+const { checkChange, describeErrors, syntaxPolicy } = require('./utils/syntax-validator');
 
 class EditVersionController {
     constructor(workspaceRoot, dataDir = null) {
@@ -13,11 +21,28 @@ class EditVersionController {
         this.rejectedEdits = new Set();
         this.editHistory = [];
         this.currentBatch = null;
+        this.batches = new Map(); // batchId -> batch (edit ids, status)
         this.editCounter = 0;
 
         // P1.1 FIX: Define editsDir property that was referenced but never defined
         this.editsDir = path.join(this.dataDir, '.edits');
 
+        // Pending edits and batches survive restarts in .edits/pending.json
+        this.pendingFile = path.join(this.editsDir, 'pending.json');
+        this.pendingSaved = Promise.resolve();
+        this.loadPendingEdits();
+
+        // Persistent undo/redo for applied file edits (.edits/undo.json)
+        this.undoStack = new EditUndoStack(this.workspaceRoot, this.editsDir);
+
+        // Optional checkpoint mode: applied edits are committed to refs/jack/checkpoints
+        // (JACK_CHECKPOINTS=true) and replace the timestamped copies in .edits/backups
+        this.checkpoints = new GitCheckpoints(this.workspaceRoot, { enabled: process.env.JACK_CHECKPOINTS === 'true' });
+
+        // Checks run on every applied edit: (edits, [{ filePath, before, after }]) => Promise
+        // (the engine sets it to compare language server diagnostics before and after)
+        this.onEditsApplied = null;
+
         // SURGICAL EDIT ENHANCEMENT: Track file reads for pre-read enforcement
         this.fileReadCache = new Map(); // filePath -> { content, timestamp }
         this.readTimeoutMs = 60000; // 60 seconds - file reads expire after this time
@@ -431,6 +456,66 @@ class EditVersionController {
         }
     }
     
+    /**
+     * Restore the pending edits and batches saved in .edits/pending.json
+     * Batch membership comes from each edit's batchId; a batch left open by the last run is closed.
+     */
+    loadPendingEdits() {
+        let state;
+        try {
+            state = JSON.parse(readFileSync(this.pendingFile, 'utf8'));
+        } catch (error) {
+            return; // Nothing saved yet
+        }
+
+        for (const batch of state.batches || []) {
+            this.batches.set(batch.id, { ...batch, endTime: batch.endTime || new Date().toISOString() });
+        }
+        for (const edit of state.pending || []) {
+            this.pendingEdits.set(edit.id, edit);
+            if (edit.batchId && !this.batches.has(edit.batchId)) {
+                this.batches.set(edit.batchId, { id: edit.batchId, description: '', edits: [], startTime: edit.timestamp, status: 'pending' });
+            }
+            const batch = edit.batchId && this.batches.get(edit.batchId);
+            if (batch && !batch.edits.includes(edit.id)) {
+                batch.edits.push(edit.id);
+            }
+        }
+        if (this.pendingEdits.size > 0) {
+            console.log(`\x1b[96m📋 Restored ${this.pendingEdits.size} pending edit(s) from ${this.pendingFile}\x1b[0m`);
+        }
+    }
+
+    /**
+     * Write the pending edits and the batches still awaiting a decision to .edits/pending.json
+     * Writes are queued so an older snapshot never lands after a newer one.
+     */
+    savePendingEdits() {
+        const state = JSON.stringify({
+            pending: [...this.pendingEdits.values()],
+            batches: [...this.batches.values()].filter(batch => batch.status === 'pending')
+        }, null, 2);
+
+        this.pendingSaved = this.pendingSaved.then(async () => {
+            await fs.mkdir(this.editsDir, { recursive: true });
+            await fs.writeFile(this.pendingFile, state);
+        }).catch(error => {
+            console.log(`\x1b[91m❌ Could not save pending edits: ${error.message}\x1b[0m`);
+        });
+        return this.pendingSaved;
+    }
+
+    /**
+     * Queue a proposed edit for review (in the open batch, if any)
+     */
+    async addPendingEdit(edit) {
+        this.pendingEdits.set(edit.id, edit);
+        if (this.currentBatch) {
+            this.currentBatch.edits.push(edit.id);
+        }
+        await this.savePendingEdits();
+    }
+
     generateEditId() {
         return `edit_${Date.now()}_${++this.editCounter}`;
     }
@@ -443,6 +528,8 @@ class EditVersionController {
             startTime: new Date().toISOString(),
             status: 'pending'
         };
+        this.batches.set(this.currentBatch.id, this.currentBatch);
+        this.savePendingEdits();
         
         console.log(`\n\x1b[95m📝 EDIT BATCH STARTED\x1b[0m`);
         console.log(`\x1b[96mBatch ID: ${this.currentBatch.id}\x1b[0m`);
@@ -451,6 +538,44 @@ class EditVersionController {
         
         return this.currentBatch.id;
     }
+
+    /**
+     * Stop adding new proposals to the current batch
+     */
+    endEditBatch() {
+        if (!this.currentBatch) return null;
+
+        const batch = this.currentBatch;
+        batch.endTime = new Date().toISOString();
+        this.currentBatch = null;
+        this.savePendingEdits();
+
+        console.log(`\x1b[95m📦 Edit batch closed: ${batch.id} (${batch.edits.length} edits)\x1b[0m`);
+        return batch.id;
+    }
+
+    /**
+     * Pending edits that belong to a batch, in proposal order (refactored edits keep their batch)
+     */
+    getPendingBatchEdits(batchId) {
+        return [...this.pendingEdits.values()].filter(edit => edit.batchId === batchId);
+    }
+
+    /**
+     * Batches that still have pending edits, oldest first (for the review API)
+     */
+    listBatches() {
+        return [...this.batches.values()]
+            .map(batch => ({
+                id: batch.id,
+                description: batch.description,
+                startTime: batch.startTime,
+                open: batch === this.currentBatch,
+                pending: this.getPendingBatchEdits(batch.id).map(edit => edit.id),
+                lastError: batch.lastError || null
+            }))
+            .filter(batch => batch.pending.length > 0);
+    }
     
     async proposeEdit(operation) {
         const editId = this.generateEditId();
@@ -468,7 +593,13 @@ class EditVersionController {
         // Create detailed description based on operation type
         switch (operation.type) {
             case 'write_file':
-                edit.description = `Create/modify file: ${operation.filePath}`;
+                if (operation.patch) {
+                    edit.description = `Apply patch: ${operation.filePath}`;
+                } else if (operation.rename) {
+                    edit.description = `Rename ${operation.rename.from} to ${operation.rename.to}: ${operation.filePath}`;
+                } else {
+                    edit.description = `Create/modify file: ${operation.filePath}`;
+                }
                 edit.expectedOutcome = `File will be ${operation.mode === 'append' ? 'extended' : 'created/replaced'} with ${operation.content.length} characters`;
                 break;
             case 'execute_command':
@@ -476,8 +607,13 @@ class EditVersionController {
                 edit.expectedOutcome = `Command will run in ${operation.cwd || 'workspace root'}`;
                 break;
             case 'git_operation':
-                edit.description = `Git ${operation.operation}: ${operation.args?.join(' ') || ''}`;
-                edit.expectedOutcome = `Git repository will be modified via ${operation.operation}`;
+                if (operation.preview) {
+                    edit.description = `Git commit: ${operation.preview.message.split('\n')[0]}`;
+                    edit.expectedOutcome = `${operation.preview.files.length} file${operation.preview.files.length === 1 ? '' : 's'} will be committed`;
+                } else {
+                    edit.description = `Git ${operation.operation}: ${operation.args?.join(' ') || ''}`;
+                    edit.expectedOutcome = `Git repository will be modified via ${operation.operation}`;
+                }
                 break;
         }
         
@@ -494,12 +630,11 @@ class EditVersionController {
             } catch (error) {
                 // File doesn't exist - no backup needed
             }
+            // Base snapshot the edit was proposed against (null = file did not exist)
+            edit.baseHash = EditUndoStack.hash(edit.backup ? edit.backup.content : null);
         }
         
-        this.pendingEdits.set(editId, edit);
-        if (this.currentBatch) {
-            this.currentBatch.edits.push(editId);
-        }
+        await this.addPendingEdit(edit);
         
         // Display the proposed edit
         this.displayProposedEdit(edit);
@@ -584,14 +719,12 @@ class EditVersionController {
                 ? `Replace all ${occurrences} occurrences`
                 : `Replace 1 specific occurrence`,
             backup: backup,
+            baseHash: EditUndoStack.hash(content),
             diff: diff,
             surgical: true  // Flag to indicate this is a surgical edit
         };
 
-        this.pendingEdits.set(editId, edit);
-        if (this.currentBatch) {
-            this.currentBatch.edits.push(editId);
-        }
+        await this.addPendingEdit(edit);
 
         // Display the surgical edit proposal
         this.displaySurgicalEdit(edit);
@@ -599,6 +732,240 @@ class EditVersionController {
         return editId;
     }
 
+    /**
+     * MULTI-EDIT - Work out what several exact string replacements, possibly across files, do to each file
+     * Each file must have been read recently; its replacements are applied in order to the content on
+     * disk, each one required to match exactly once (or use replaceAll) in the content left by the ones
+     * before. Nothing is proposed yet, so the caller can validate exactly what will be applied.
+     * @param {Array<{filePath: string, oldString: string, newString: string, replaceAll?: boolean}>} pairs
+     * @returns {Promise<{pairs: Array, files: Array<{filePath: string, edits: Array, content: string, backup: string}>}>} -
+     *   Per file, `backup` is the content read from disk and `content` the content the edit will write
+     * @throws {Error} Naming the first replacement that cannot be applied
+     */
+    async prepareMultiEdit(pairs) {
+        if (!Array.isArray(pairs) || pairs.length === 0) {
+            throw new Error('EDIT FAILED: multi-edit needs at least one {filePath, oldString, newString} entry');
+        }
+
+        // Group by file, keeping the order files first appear in
+        const byFile = new Map();
+        for (const [index, pair] of pairs.entries()) {
+            if (!pair.filePath || typeof pair.oldString !== 'string' || typeof pair.newString !== 'string') {
+                throw new Error(`EDIT FAILED: entry ${index + 1} needs filePath, oldString and newString`);
+            }
+            if (pair.oldString === '') {
+                throw new Error(`EDIT FAILED: entry ${index + 1} has an empty oldString - use write_file to create files`);
+            }
+            if (!byFile.has(pair.filePath)) byFile.set(pair.filePath, []);
+            byFile.get(pair.filePath).push({ index, oldString: pair.oldString, newString: pair.newString, replaceAll: !!pair.replaceAll });
+        }
+
+        const files = [];
+        for (const [filePath, replacements] of byFile) {
+            const fileState = this.getRecentFileRead(filePath);
+            if (!fileState || Date.now() - fileState.timestamp > this.readTimeoutMs) {
+                throw new Error(`EDIT BLOCKED: Must read ${filePath} within last ${this.readTimeoutMs/1000} seconds before editing. Read the file first!`);
+            }
+
+            const fullPath = path.resolve(this.workspaceRoot, filePath);
+            const normalizedPath = path.normalize(path.relative(this.workspaceRoot, fullPath));
+            if (normalizedPath.startsWith('..') || path.isAbsolute(normalizedPath)) {
+                throw new Error(`Security violation: Path traversal detected. File path '${filePath}' resolves outside workspace: ${this.workspaceRoot}`);
+            }
+
+            let original;
+            try {
+                original = await fs.readFile(fullPath, 'utf8');
+            } catch (err) {
+                throw new Error(`EDIT FAILED: Cannot read file ${filePath}: ${err.message}`);
+            }
+
+            const applied = this.applyReplacements(original, replacements);
+            if (applied.failed) {
+                const { index, occurrences } = applied.failed;
+                const pair = replacements[index];
+                throw new Error(occurrences === 0
+                    ? `EDIT FAILED: entry ${pair.index + 1}: old_string not found in ${filePath} (after the earlier entries for this file were applied).\n\nSearched for:\n${pair.oldString}`
+                    : `EDIT BLOCKED: entry ${pair.index + 1}: old_string appears ${occurrences} times in ${filePath}. Add more surrounding context to make it unique, or set replaceAll:true.`);
+            }
+
+            files.push({
+                filePath,
+                edits: replacements.map(({ oldString, newString, replaceAll }) => ({ oldString, newString, replaceAll })),
+                content: applied.content,
+                backup: original,
+                baseHash: EditUndoStack.hash(original),
+                diff: {
+                    linesChanged: Math.abs(applied.content.split('\n').length - original.split('\n').length),
+                    charactersChanged: Math.abs(applied.content.length - original.length)
+                }
+            });
+        }
+
+        return { pairs, files };
+    }
+
+    /**
+     * Propose a prepared multi-edit as one reviewable edit that applies all or nothing
+     * @param {Object} prepared - Result of prepareMultiEdit
+     * @returns {Promise<string>} - The edit id
+     */
+    async proposeMultiEdit(prepared) {
+        const { pairs, files } = prepared;
+        const editId = this.generateEditId();
+        const edit = {
+            id: editId,
+            operation: { type: 'multi_edit', files },
+            status: 'pending',
+            timestamp: new Date().toISOString(),
+            batchId: this.currentBatch?.id || null,
+            description: `Multi-edit: ${pairs.length} change${pairs.length === 1 ? '' : 's'} in ${files.map(file => path.basename(file.filePath)).join(', ')}`,
+            expectedOutcome: `Replace ${pairs.length} exact string${pairs.length === 1 ? '' : 's'} across ${files.length} file${files.length === 1 ? '' : 's'}, all or nothing`,
+            backup: null
+        };
+
+        await this.addPendingEdit(edit);
+
+        this.displayMultiEdit(edit);
+
+        return editId;
+    }
+
+    /**
+     * PATCH - Work out what a unified diff or V4A patch does to each file it names
+     * Hunks are located fuzzily (see utils/patch-apply); nothing is proposed yet, so the caller
+     * can validate the resulting content first.
+     * @param {string} patch - Patch text
+     * @param {Object} options
+     * @param {number} options.fuzz - Context lines that may be ignored at each end of a hunk
+     * @returns {Promise<{format: string, files: Array<{filePath: string, type: string, content: string, original: string|null, hunks: Array}>}>}
+     * @throws {Error} When the patch is malformed, deletes/renames files, or a hunk does not match
+     */
+    async preparePatch(patch, options = {}) {
+        const entries = parsePatch(patch);
+        const format = /^\*\*\* (Begin Patch|Update File:|Add File:)/m.test(patch) ? 'v4a' : 'unified';
+
+        const files = [];
+        for (const entry of entries) {
+            if (entry.type === 'delete') {
+                throw new Error(`PATCH BLOCKED: ${entry.filePath} would be deleted - file deletion is not supported by apply_patch`);
+            }
+            if (entry.moveTo) {
+                throw new Error(`PATCH BLOCKED: ${entry.filePath} would be renamed to ${entry.moveTo} - renames are not supported by apply_patch`);
+            }
+            if (files.some(file => file.filePath === entry.filePath)) {
+                throw new Error(`PATCH FAILED: ${entry.filePath} appears more than once in the patch`);
+            }
+
+            const fullPath = path.resolve(this.workspaceRoot, entry.filePath);
+            const normalizedPath = path.normalize(path.relative(this.workspaceRoot, fullPath));
+            if (normalizedPath.startsWith('..') || path.isAbsolute(normalizedPath)) {
+                throw new Error(`Security violation: Path traversal detected. File path '${entry.filePath}' resolves outside workspace: ${this.workspaceRoot}`);
+            }
+
+            let original = null;
+            try {
+                original = await fs.readFile(fullPath, 'utf8');
+            } catch (err) {
+                if (err.code !== 'ENOENT') {
+                    throw new Error(`PATCH FAILED: Cannot read file ${entry.filePath}: ${err.message}`);
+                }
+            }
+
+            if (entry.type === 'add') {
+                if (original !== null) {
+                    throw new Error(`PATCH FAILED: ${entry.filePath} already exists - patch it as an update instead of adding it`);
+                }
+                files.push({ filePath: entry.filePath, type: 'add', content: addedFileContent(entry), original, hunks: [] });
+                continue;
+            }
+
+            if (original === null) {
+                throw new Error(`PATCH FAILED: ${entry.filePath} does not exist - add it as a new file instead`);
+            }
+            const applied = applyFilePatch(original, entry.hunks, { fuzz: options.fuzz, filePath: entry.filePath });
+            files.push({ filePath: entry.filePath, type: 'update', content: applied.content, original, hunks: applied.hunks });
+        }
+
+        return { format, files };
+    }
+
+    /**
+     * Propose a prepared patch - one file becomes a write_file edit (so its hunks can be accepted
+     * individually), several files become one multi-file edit that applies all or nothing
+     * @param {Object} prepared - Result of preparePatch
+     * @returns {Promise<string>} - The edit id
+     */
+    async proposePatch(prepared) {
+        const { format, files } = prepared;
+        const editId = await this.proposeFileContents(files, {
+            source: { patch: { format } },
+            description: `Patch: ${files.map(file => path.basename(file.filePath)).join(', ')}`,
+            expectedOutcome: `Patch ${files.length} files, all or nothing`
+        });
+
+        // Say where hunks landed when they did not match exactly at their line numbers
+        for (const file of files) {
+            for (const hunk of file.hunks) {
+                if (hunk.offset === 0 && hunk.fuzz === 0 && hunk.whitespace === 'exact') continue;
+                const notes = [];
+                if (hunk.offset !== 0) notes.push(`offset ${hunk.offset > 0 ? '+' : ''}${hunk.offset}`);
+                if (hunk.fuzz > 0) notes.push(`fuzz ${hunk.fuzz}`);
+                if (hunk.whitespace !== 'exact') notes.push(`ignoring ${hunk.whitespace}`);
+                console.log(`\x1b[93m🩹 ${file.filePath}: hunk ${hunk.index} applied at line ${hunk.line} (${notes.join(', ')})\x1b[0m`);
+            }
+        }
+
+        return editId;
+    }
+
+    /**
+     * Propose new contents for existing or new files - one file becomes a write_file edit,
+     * several become one multi-file edit that applies all or nothing
+     * @param {Array<{filePath: string, content: string, original: string|null}>} files
+     * @param {Object} options
+     * @param {Object} options.source - Merged into the operation to say where it came from ({ patch }, { rename })
+     * @param {string} options.description - Description of a multi-file edit
+     * @param {string} options.expectedOutcome - Expected outcome of a multi-file edit
+     * @returns {Promise<string>} - The edit id
+     */
+    async proposeFileContents(files, { source = {}, description, expectedOutcome }) {
+        if (files.length === 1) {
+            const [file] = files;
+            return this.proposeEdit({ type: 'write_file', filePath: file.filePath, content: file.content, mode: 'write', ...source });
+        }
+
+        const editId = this.generateEditId();
+        const edit = {
+            id: editId,
+            operation: {
+                type: 'multi_edit',
+                ...source,
+                files: files.map(file => ({
+                    filePath: file.filePath,
+                    content: file.content,
+                    backup: file.original,
+                    baseHash: EditUndoStack.hash(file.original),
+                    diff: {
+                        linesChanged: Math.abs(file.content.split('\n').length - (file.original || '').split('\n').length),
+                        charactersChanged: Math.abs(file.content.length - (file.original || '').length)
+                    }
+                }))
+            },
+            status: 'pending',
+            timestamp: new Date().toISOString(),
+            batchId: this.currentBatch?.id || null,
+            description,
+            expectedOutcome,
+            backup: null
+        };
+
+        await this.addPendingEdit(edit);
+
+        this.displayMultiEdit(edit);
+        return editId;
+    }
+
     /**
      * Track file reads for pre-read enforcement
      */
@@ -666,7 +1033,57 @@ class EditVersionController {
         console.log(`\x1b[96m━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\x1b[0m`);
     }
 
+    /**
+     * Display a multi-edit proposal - every replacement, grouped by file
+     * (a multi-file patch shows each file's diff instead)
+     */
+    displayMultiEdit(edit) {
+        const { files, patch, rename } = edit.operation;
+        // Patches and renames carry whole-file contents instead of replacement lists
+        const wholeFiles = files.every(file => !file.edits);
+        const changes = wholeFiles ? files.length : files.reduce((total, file) => total + file.edits.length, 0);
+
+        console.log(`\x1b[96m━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\x1b[0m`);
+        if (patch) {
+            console.log(`\x1b[93m🩹 PATCH (${patch.format}): ${files.length} files\x1b[0m`);
+        } else if (rename) {
+            console.log(`\x1b[93m🏷️  RENAME ${rename.from} → ${rename.to}: ${files.length} files\x1b[0m`);
+        } else {
+            console.log(`\x1b[93m✂️  MULTI-EDIT: ${changes} change${changes === 1 ? '' : 's'} across ${files.length} file${files.length === 1 ? '' : 's'}\x1b[0m`);
+        }
+        console.log(`\x1b[96m━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\x1b[0m`);
+
+        for (const file of files) {
+            if (!file.edits) {
+                console.log(`\n\x1b[94m📁 ${file.filePath}\x1b[0m`);
+                this.displayFileDiff({ type: 'write_file', filePath: file.filePath, content: file.content });
+                continue;
+            }
+            console.log(`\n\x1b[94m📁 ${file.filePath}\x1b[0m \x1b[90m(${file.edits.length} change${file.edits.length === 1 ? '' : 's'})\x1b[0m`);
+            for (const [index, pair] of file.edits.entries()) {
+                console.log(`\x1b[90m  #${index + 1}${pair.replaceAll ? ' (replace all)' : ''}\x1b[0m`);
+                for (const [sign, color, text] of [['-', '\x1b[31m', pair.oldString], ['+', '\x1b[32m', pair.newString]]) {
+                    const lines = text.split('\n');
+                    lines.slice(0, 8).forEach(line => console.log(`${color}  ${sign} ${line}\x1b[0m`));
+                    if (lines.length > 8) {
+                        console.log(`\x1b[90m    ... (${lines.length - 8} more lines)\x1b[0m`);
+                    }
+                }
+            }
+        }
+
+        console.log('');
+        console.log(`\x1b[92m[1] ✅ ACCEPT\x1b[0m | \x1b[91m[2] ❌ REJECT\x1b[0m | \x1b[94m[3] 🔧 REFACTOR\x1b[0m`);
+        console.log(`\x1b[93mAll ${changes} ${wholeFiles ? 'files' : 'changes'} are applied together - if one file cannot be written, none are\x1b[0m`);
+        console.log(`\x1b[96m━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\x1b[0m`);
+    }
+
     displayProposedEdit(edit) {
+        if (edit.operation.type === 'multi_edit') {
+            this.displayMultiEdit(edit);
+            return;
+        }
+
         console.log(`\x1b[96m━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\x1b[0m`);
         console.log(`\x1b[93m🎯 ${edit.operation.type.toUpperCase()}: ${edit.operation.filePath || edit.operation.command || 'System Operation'}\x1b[0m`);
         console.log(`\x1b[96m━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\x1b[0m`);
@@ -711,29 +1128,111 @@ class EditVersionController {
 
         } else if (edit.operation.type === 'git_operation') {
             console.log(`\x1b[94m🔗 Git:\x1b[0m ${edit.operation.operation}`);
-            if (edit.operation.args) {
+            if (edit.operation.preview) {
+                const { preview } = edit.operation;
+                console.log(`\x1b[94m📝 Message:\x1b[0m`);
+                preview.message.split('\n').forEach(line => console.log(`   ${line}`));
+                console.log(`\x1b[94m📁 Files:\x1b[0m ${preview.files.length} (${preview.mode === 'all' ? 'all tracked changes' : preview.mode})`);
+            } else if (edit.operation.args) {
                 console.log(`\x1b[94m⚙️ Args:\x1b[0m ${edit.operation.args.join(' ')}`);
             }
         }
 
+        if (edit.operation.destructive) {
+            console.log(`\x1b[91m⚠️ DESTRUCTIVE:\x1b[0m ${edit.operation.destructive.reasons.join('; ')} - auto-accept does not apply`);
+        }
+
         console.log('');
         console.log(`\x1b[92m[1] ✅ ACCEPT\x1b[0m | \x1b[91m[2] ❌ REJECT\x1b[0m | \x1b[94m[3] 🔧 REFACTOR\x1b[0m`);
         console.log(`\x1b[93mPress key (no Enter needed) or 'auto-accept on' for auto-approval\x1b[0m`);
+        const hunks = this.getEditHunks(edit);
+        if (hunks && hunks.length > 1) {
+            console.log(`\x1b[93m🧩 ${hunks.length} hunks: 'accept ${edit.id} hunks 1,3' or 'reject ${edit.id} hunks 2' to apply only some\x1b[0m`);
+        }
         console.log(`\x1b[96m━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\x1b[0m`);
     }
     
-    async acceptEdit(editId) {
+    /**
+     * Apply a pending edit
+     * If the target file changed on disk since the edit was proposed, the edit is merged
+     * with those changes; a merge that conflicts keeps the edit pending unless a resolution is given.
+     * @param {string} editId
+     * @param {Object} options
+     * @param {string} options.resolution - For conflicts: 'markers' (write the merge with conflict
+     *   markers) or 'overwrite' (write the edit as proposed, discarding the disk changes)
+     * @param {number[]} options.hunks - Apply only these hunks (1-based) of a write_file edit
+     */
+    async acceptEdit(editId, options = {}) {
         const edit = this.pendingEdits.get(editId);
         if (!edit) {
             console.log(`\x1b[91m❌ Edit ${editId} not found\x1b[0m`);
             return false;
         }
+
+        // Narrow the edit to the selected hunks; the rest of the proposal is dropped
+        let proposed = edit;
+        let hunkSelection = null;
+        if (options.hunks) {
+            const { hunks, error } = this.validateHunkSelection(edit, options.hunks);
+            if (error) {
+                console.log(`\x1b[91m❌ ${error}\x1b[0m`);
+                return false;
+            }
+            const base = edit.backup ? edit.backup.content : '';
+            proposed = {
+                ...edit,
+                operation: { ...edit.operation, content: applyHunks(base.split('\n'), hunks, options.hunks).join('\n') }
+            };
+            hunkSelection = {
+                accepted: options.hunks,
+                rejected: hunks.map(hunk => hunk.index).filter(index => !options.hunks.includes(index)),
+                total: hunks.length
+            };
+        }
+
+        if (edit.operation.type === 'multi_edit') {
+            return this.acceptMultiEdit(edit);
+        }
         
         console.log(`\x1b[92m✅ ACCEPTING EDIT: ${editId}\x1b[0m`);
         
         try {
+            // File content before the edit, for undo
+            const before = EditUndoStack.isUndoable(edit.operation)
+                ? await this.undoStack.readFile(edit.operation.filePath)
+                : null;
+
+            // Reconcile with changes saved to the file since the edit was proposed
+            let toApply = proposed;
+            let reconciled = null;
+            if (EditUndoStack.isUndoable(edit.operation)) {
+                reconciled = this.reconcileWithDisk(proposed, before);
+                if (reconciled.changed) {
+                    if (!reconciled.clean && !options.resolution) {
+                        edit.conflict = {
+                            detectedAt: new Date().toISOString(),
+                            diskHash: EditUndoStack.hash(before),
+                            deleted: !!reconciled.deleted,
+                            regions: reconciled.conflicts.length
+                        };
+                        this.displayMergeConflict(edit, reconciled);
+                        return false;
+                    }
+
+                    toApply = {
+                        ...proposed,
+                        operation: {
+                            ...proposed.operation,
+                            content: options.resolution === 'overwrite' ? proposed.operation.content : reconciled.content
+                        },
+                        // The backup must hold what is actually being replaced, not the stale base
+                        backup: before === null ? null : { path: edit.operation.filePath, content: before, timestamp: new Date().toISOString() }
+                    };
+                }
+            }
+
             // Execute the edit
-            const result = await this.executeEdit(edit);
+            const result = await this.executeEdit(toApply);
 
             // Check if the operation actually succeeded
             if (result && result.success === false) {
@@ -751,16 +1250,42 @@ class EditVersionController {
             edit.status = 'applied';
             edit.result = result;
             edit.appliedAt = new Date().toISOString();
+            if (toApply !== edit) {
+                edit.operation = toApply.operation;
+                edit.backup = toApply.backup;
+            }
+            if (hunkSelection) {
+                edit.hunks = hunkSelection;
+                console.log(`\x1b[96m🧩 Applied hunk${hunkSelection.accepted.length === 1 ? '' : 's'} ${hunkSelection.accepted.join(', ')} of ${hunkSelection.total}${hunkSelection.rejected.length > 0 ? ` - left out ${hunkSelection.rejected.join(', ')}` : ''}\x1b[0m`);
+            }
+            if (reconciled && reconciled.changed) {
+                edit.reconciled = {
+                    method: reconciled.method,
+                    resolution: reconciled.clean ? null : options.resolution,
+                    conflicts: reconciled.conflicts ? reconciled.conflicts.length : 0
+                };
+                this.displayReconciliation(edit);
+            }
+            delete edit.conflict;
 
             this.appliedEdits.add(editId);
             this.pendingEdits.delete(editId);
+            await this.savePendingEdits();
             this.editHistory.push(edit);
 
             // Save edit to history file
             await this.saveEditToHistory(edit);
+            await this.undoStack.record(edit, before);
+            const appliedFiles = EditUndoStack.isUndoable(edit.operation)
+                ? [{ filePath: edit.operation.filePath, before, after: await this.undoStack.readFile(edit.operation.filePath) }]
+                : [];
+            if (appliedFiles.length > 0) {
+                await this.recordCheckpoint(`${editId}: ${edit.description}`, appliedFiles);
+            }
 
             // Display formatted result instead of JSON blob
             this.displayAppliedEditSummary(edit, result);
+            await this.runAppliedChecks([edit], appliedFiles);
 
             return true;
         } catch (error) {
@@ -772,54 +1297,271 @@ class EditVersionController {
         }
     }
     
-    async rejectEdit(editId, reason = 'User rejected') {
+    /**
+     * Hunks of a pending write_file edit, relative to the content it was proposed against
+     * @returns {Array|null} - null for edits that cannot be split (commands, appends, surgical edits)
+     */
+    getEditHunks(edit) {
+        const { operation } = edit;
+        if (operation.type !== 'write_file' || operation.mode === 'append' || typeof operation.content !== 'string') {
+            return null;
+        }
+        const base = edit.backup ? edit.backup.content : '';
+        return computeHunks(base.split('\n'), operation.content.split('\n'));
+    }
+
+    /**
+     * Check a hunk selection against an edit
+     * @returns {{hunks?: Array, error?: string}}
+     */
+    validateHunkSelection(edit, indexes) {
+        const hunks = this.getEditHunks(edit);
+        if (!hunks) {
+            return { error: `Hunk selection only applies to write_file edits (${edit.id} is ${edit.operation.mode === 'append' ? 'an append' : edit.operation.type})` };
+        }
+        const unknown = indexes.filter(index => index < 1 || index > hunks.length);
+        if (unknown.length > 0 || indexes.length === 0) {
+            return { error: `${edit.id} has ${hunks.length} hunk${hunks.length === 1 ? '' : 's'} - no hunk ${unknown.join(', ') || '(none selected)'}` };
+        }
+        return { hunks };
+    }
+
+    /**
+     * Reject some hunks of an edit and apply the rest (rejecting every hunk rejects the edit)
+     * @param {string} editId
+     * @param {number[]} indexes - 1-based hunk numbers to leave out
+     */
+    async rejectHunks(editId, indexes, reason = 'User rejected hunks') {
         const edit = this.pendingEdits.get(editId);
         if (!edit) {
             console.log(`\x1b[91m❌ Edit ${editId} not found\x1b[0m`);
             return false;
         }
-        
-        console.log(`\x1b[91m❌ REJECTING EDIT: ${editId}\x1b[0m`);
-        console.log(`\x1b[93m📝 Reason: ${reason}\x1b[0m`);
-        
-        // If edit was already applied (e.g., in auto-accept mode), restore from backup
-        if (edit.status === 'applied' && edit.backup) {
-            try {
-                const fullPath = path.resolve(this.workspaceRoot, edit.operation.filePath);
-                await fs.writeFile(fullPath, edit.backup.content, 'utf8');
-                console.log(`\x1b[92m💾 Backup restored: ${edit.operation.filePath}\x1b[0m`);
-            } catch (error) {
-                console.log(`\x1b[91m❌ Failed to restore backup: ${error.message}\x1b[0m`);
+
+        const { hunks, error } = this.validateHunkSelection(edit, indexes);
+        if (error) {
+            console.log(`\x1b[91m❌ ${error}\x1b[0m`);
+            return false;
+        }
+
+        const keep = hunks.map(hunk => hunk.index).filter(index => !indexes.includes(index));
+        if (keep.length === 0) {
+            return this.rejectEdit(editId, reason);
+        }
+        return this.acceptEdit(editId, { hunks: keep });
+    }
+
+    /**
+     * Work out what an edit should write given the file's current content
+     * Edits carry the hash of the content they were proposed against (baseHash). When the file
+     * changed since, a surgical edit is re-applied to the current content if its target texts are
+     * still unambiguous; otherwise base, disk and proposed content are merged three ways.
+     * @param {Object} edit - A write_file or surgical_edit
+     * @param {string|null} current - The file's content now (null = missing)
+     * @returns {{content: string, changed: boolean, clean: boolean, method?: string, conflicts?: Array, deleted?: boolean}} -
+     *   `changed` is false when the file still matches the base; when `clean` is false, `content`
+     *   holds the merge with conflict markers (or the proposed content if the file was deleted)
+     */
+    reconcileWithDisk(edit, current) {
+        const { operation } = edit;
+        if (edit.baseHash === undefined || operation.mode === 'append' || EditUndoStack.hash(current) === edit.baseHash) {
+            return { content: operation.content, changed: false, clean: true };
+        }
+
+        if (current === null) {
+            // Deleted since the proposal - there is nothing to merge into
+            return { content: operation.content, changed: true, clean: false, method: 'merge', conflicts: [], deleted: true };
+        }
+
+        if (operation.type === 'surgical_edit') {
+            const replacements = operation.edits || [{ oldString: operation.oldString, newString: operation.newString, replaceAll: operation.replaceAll }];
+            const rebased = this.applyReplacements(current, replacements);
+            if (!rebased.failed) {
+                return { content: rebased.content, changed: true, clean: true, method: 'rebase', conflicts: [] };
             }
         }
-        
-        edit.status = 'rejected';
-        edit.rejectionReason = reason;
-        edit.rejectedAt = new Date().toISOString();
-        
-        this.rejectedEdits.add(editId);
-        this.pendingEdits.delete(editId);
-        this.editHistory.push(edit);
-        
-        // Save rejection to history
-        await this.saveEditToHistory(edit);
-        
-        console.log(`\x1b[93m🗑️  Edit discarded - no changes made\x1b[0m\n`);
-        return true;
+
+        const base = edit.backup ? edit.backup.content : '';
+        const merge = mergeThreeWay(base, current, operation.content, {
+            ours: `disk (${operation.filePath})`,
+            theirs: `jack (${edit.id})`
+        });
+        return { content: merge.merged, changed: true, clean: merge.clean, method: 'merge', conflicts: merge.conflicts };
     }
 
-    async refactorEdit(editId, modifications) {
-        const edit = this.pendingEdits.get(editId);
-        if (!edit) {
-            console.log(`\x1b[91m❌ Edit ${editId} not found\x1b[0m`);
-            return false;
+    /**
+     * Apply exact string replacements in order, each against the result of the ones before
+     * @param {string} content
+     * @param {Array<{oldString: string, newString: string, replaceAll?: boolean}>} replacements
+     * @returns {{content?: string, failed?: {index: number, occurrences: number}}} - `failed` names the
+     *   first replacement whose oldString is missing (0 occurrences) or ambiguous (several, without replaceAll)
+     */
+    applyReplacements(content, replacements) {
+        let result = content;
+        for (const [index, { oldString, newString, replaceAll }] of replacements.entries()) {
+            const occurrences = result.split(oldString).length - 1;
+            if (occurrences === 0 || (occurrences > 1 && !replaceAll)) {
+                return { failed: { index, occurrences } };
+            }
+            result = replaceAll ? result.split(oldString).join(newString) : result.replace(oldString, () => newString);
         }
-        
-        console.log(`\x1b[96m🔧 REFACTORING EDIT: ${editId}\x1b[0m`);
-        console.log(`\x1b[93m📝 Modifications: ${modifications}\x1b[0m`);
-        
-        // Create new edit with modifications
-        const refactoredEdit = {
+        return { content: result };
+    }
+
+    /**
+     * Show why an edit could not be merged with the file on disk, and how to resolve it
+     */
+    displayMergeConflict(edit, reconciled) {
+        const { filePath } = edit.operation;
+        console.log(`\x1b[91m⚠️  MERGE CONFLICT: ${filePath} changed on disk since ${edit.id} was proposed\x1b[0m`);
+
+        if (reconciled.deleted) {
+            console.log(`\x1b[93m🗑️  The file was deleted\x1b[0m`);
+        } else {
+            const mergedLines = reconciled.content.split('\n');
+            const shown = reconciled.conflicts.slice(0, 5);
+            for (const conflict of shown) {
+                const length = conflict.ours.length + conflict.theirs.length + 3;
+                console.log(`\x1b[94m📍 Conflict at line ${conflict.line}:\x1b[0m`);
+                let side = 'ours';
+                for (const line of mergedLines.slice(conflict.line - 1, conflict.line - 1 + Math.min(length, 20))) {
+                    if (line.startsWith('=======')) side = 'theirs';
+                    const color = line.startsWith('<<<<<<<') || line.startsWith('=======') || line.startsWith('>>>>>>>')
+                        ? '\x1b[90m'
+                        : side === 'ours' ? '\x1b[93m' : '\x1b[92m';
+                    console.log(`${color}   ${line}\x1b[0m`);
+                }
+                if (length > 20) {
+                    console.log(`\x1b[90m   ... (${length - 20} more lines)\x1b[0m`);
+                }
+            }
+            if (reconciled.conflicts.length > shown.length) {
+                console.log(`\x1b[90m... and ${reconciled.conflicts.length - shown.length} more conflicting regions\x1b[0m`);
+            }
+        }
+
+        console.log(`\x1b[96m💡 accept ${edit.id} --markers   → write the merge with conflict markers and resolve it in your editor\x1b[0m`);
+        console.log(`\x1b[96m💡 accept ${edit.id} --overwrite → write Jack's version anyway (the disk version is backed up)\x1b[0m`);
+        console.log(`\x1b[96m💡 reject ${edit.id}             → keep the file as it is on disk\x1b[0m`);
+        console.log(`\x1b[93m⏸️  Edit ${edit.id} remains pending\x1b[0m\n`);
+    }
+
+    /**
+     * Tell the user an applied edit was combined with changes made on disk
+     */
+    displayReconciliation(edit) {
+        const { method, resolution, conflicts } = edit.reconciled;
+        if (resolution === 'overwrite') {
+            console.log(`\x1b[93m⚠️  Overwrote changes made on disk to ${edit.operation.filePath} (backup kept)\x1b[0m`);
+        } else if (resolution === 'markers') {
+            console.log(`\x1b[93m⚠️  Wrote ${edit.operation.filePath} with ${conflicts} conflict marker region(s) - resolve them in your editor\x1b[0m`);
+        } else if (method === 'rebase') {
+            console.log(`\x1b[96m🔀 ${edit.operation.filePath} changed on disk - edit re-applied to the current content\x1b[0m`);
+        } else {
+            console.log(`\x1b[96m🔀 ${edit.operation.filePath} changed on disk - changes merged cleanly\x1b[0m`);
+        }
+    }
+    
+    /**
+     * Apply a multi_edit - every file changes or none does
+     */
+    async acceptMultiEdit(edit) {
+        console.log(`\x1b[92m✅ ACCEPTING MULTI-EDIT: ${edit.id} (${edit.operation.files.length} file(s))\x1b[0m`);
+
+        const units = this.expandEdit(edit);
+        let validation;
+        try {
+            validation = await this.validateBatch(units);
+        } catch (error) {
+            console.log(`\x1b[91m💥 MULTI-EDIT VALIDATION FAILED: ${error.message}\x1b[0m`);
+            console.log(`\x1b[93m🛡️  No files were changed - ${edit.id} remains pending\x1b[0m\n`);
+            return false;
+        }
+
+        const applied = await this.applyAtomically(units, validation, edit.id);
+        if (!applied.success) {
+            console.log(`\x1b[91m💥 MULTI-EDIT FAILED: ${applied.error}\x1b[0m`);
+            console.log(`\x1b[93m↩️  Rolled back ${validation.originals.size} file(s) - ${edit.id} remains pending\x1b[0m\n`);
+            return false;
+        }
+
+        const appliedAt = new Date().toISOString();
+        const appliedFiles = await this.commitUnits(applied.results, validation, edit.id, appliedAt);
+
+        const rebased = units.filter(unit => validation.planned.has(unit)).map(unit => unit.file.filePath);
+        if (rebased.length > 0) {
+            console.log(`\x1b[96m🔀 Changed on disk since the proposal, edits re-applied: ${rebased.join(', ')}\x1b[0m`);
+        }
+
+        edit.status = 'applied';
+        edit.result = { success: true, files: applied.results.map(({ result }) => result) };
+        edit.appliedAt = appliedAt;
+
+        this.appliedEdits.add(edit.id);
+        this.pendingEdits.delete(edit.id);
+        await this.savePendingEdits();
+        this.editHistory.push(edit);
+        await this.saveEditToHistory(edit);
+        this.displayAppliedEditSummary(edit, edit.result);
+        await this.runAppliedChecks([edit], appliedFiles);
+
+        return true;
+    }
+    
+    async rejectEdit(editId, reason = 'User rejected') {
+        const edit = this.pendingEdits.get(editId);
+        if (!edit) {
+            console.log(`\x1b[91m❌ Edit ${editId} not found\x1b[0m`);
+            return false;
+        }
+        
+        console.log(`\x1b[91m❌ REJECTING EDIT: ${editId}\x1b[0m`);
+        console.log(`\x1b[93m📝 Reason: ${reason}\x1b[0m`);
+        
+        // If edit was already applied (e.g., in auto-accept mode), restore from backup
+        if (edit.status === 'applied' && edit.operation.type === 'multi_edit') {
+            await this.restoreBatchOriginals(new Map(edit.operation.files.map(file => [file.filePath, file.backup])));
+            await this.undoStack.drop(editId);
+            console.log(`\x1b[92m💾 Backups restored: ${edit.operation.files.map(file => file.filePath).join(', ')}\x1b[0m`);
+        } else if (edit.status === 'applied' && edit.backup) {
+            try {
+                const fullPath = path.resolve(this.workspaceRoot, edit.operation.filePath);
+                await fs.writeFile(fullPath, edit.backup.content, 'utf8');
+                await this.undoStack.drop(editId);
+                console.log(`\x1b[92m💾 Backup restored: ${edit.operation.filePath}\x1b[0m`);
+            } catch (error) {
+                console.log(`\x1b[91m❌ Failed to restore backup: ${error.message}\x1b[0m`);
+            }
+        }
+        
+        edit.status = 'rejected';
+        edit.rejectionReason = reason;
+        edit.rejectedAt = new Date().toISOString();
+        
+        this.rejectedEdits.add(editId);
+        this.pendingEdits.delete(editId);
+        await this.savePendingEdits();
+        this.editHistory.push(edit);
+        
+        // Save rejection to history
+        await this.saveEditToHistory(edit);
+        
+        console.log(`\x1b[93m🗑️  Edit discarded - no changes made\x1b[0m\n`);
+        return true;
+    }
+
+    async refactorEdit(editId, modifications) {
+        const edit = this.pendingEdits.get(editId);
+        if (!edit) {
+            console.log(`\x1b[91m❌ Edit ${editId} not found\x1b[0m`);
+            return false;
+        }
+        
+        console.log(`\x1b[96m🔧 REFACTORING EDIT: ${editId}\x1b[0m`);
+        console.log(`\x1b[93m📝 Modifications: ${modifications}\x1b[0m`);
+        
+        // Create new edit with modifications
+        const refactoredEdit = {
             ...edit,
             id: this.generateEditId(),
             status: 'pending',
@@ -838,6 +1580,7 @@ class EditVersionController {
         this.pendingEdits.delete(editId);
         this.pendingEdits.set(refactoredEdit.id, refactoredEdit);
         this.editHistory.push(edit);
+        await this.savePendingEdits();
         
         // Save original to history
         await this.saveEditToHistory(edit);
@@ -850,6 +1593,423 @@ class EditVersionController {
         return refactoredEdit.id;
     }
     
+    /**
+     * Apply every pending edit of a batch as one transaction
+     * All target files are validated up front (edits must merge cleanly with the file as the
+     * batch leaves it), the originals are backed up, and if any write fails every file is
+     * restored so the workspace never stays half-modified.
+     * @returns {Promise<{success: boolean, applied?: string[], error?: string}>}
+     */
+    async acceptBatch(batchId) {
+        const batch = this.batches.get(batchId);
+        if (!batch) {
+            console.log(`\x1b[91m❌ Batch ${batchId} not found\x1b[0m`);
+            return { success: false, error: `Batch ${batchId} not found` };
+        }
+
+        const edits = this.getPendingBatchEdits(batchId);
+        if (edits.length === 0) {
+            console.log(`\x1b[93m⚠️  Batch ${batchId} has no pending edits\x1b[0m`);
+            return { success: false, error: `Batch ${batchId} has no pending edits` };
+        }
+
+        console.log(`\x1b[92m✅ ACCEPTING BATCH: ${batchId} (${edits.length} edits)\x1b[0m`);
+
+        // 1. Pre-validate everything before touching the disk
+        const units = edits.flatMap(edit => this.expandEdit(edit));
+        let validation;
+        try {
+            validation = await this.validateBatch(units);
+        } catch (error) {
+            console.log(`\x1b[91m💥 BATCH VALIDATION FAILED: ${error.message}\x1b[0m`);
+            console.log(`\x1b[93m🛡️  No files were changed\x1b[0m\n`);
+            return { success: false, error: error.message };
+        }
+
+        // 2-3. Back up, then apply in proposal order
+        const applied = await this.applyAtomically(units, validation, batchId);
+        if (!applied.success) {
+            console.log(`\x1b[91m💥 BATCH FAILED at ${applied.failedId}: ${applied.error}\x1b[0m`);
+            console.log(`\x1b[93m↩️  Rolled back ${validation.originals.size} file(s) - batch edits remain pending\x1b[0m\n`);
+            batch.lastError = `${applied.failedId}: ${applied.error}`;
+            await this.savePendingEdits();
+            return { success: false, error: `Edit ${applied.failedId} failed: ${applied.error}`, rolledBack: true };
+        }
+
+        // 4. Commit: record every edit as applied
+        const appliedAt = new Date().toISOString();
+        const appliedFiles = await this.commitUnits(applied.results, validation, batchId, appliedAt);
+        for (const edit of edits) {
+            const unitResults = applied.results.filter(({ unit }) => (unit.source || unit) === edit).map(({ result }) => result);
+            const result = edit.operation.type === 'multi_edit' ? { success: true, files: unitResults } : unitResults[0];
+            edit.status = 'applied';
+            edit.result = result;
+            edit.appliedAt = appliedAt;
+
+            this.appliedEdits.add(edit.id);
+            this.pendingEdits.delete(edit.id);
+            this.editHistory.push(edit);
+            await this.saveEditToHistory(edit);
+            this.displayAppliedEditSummary(edit, result);
+        }
+
+        batch.status = 'applied';
+        batch.appliedAt = appliedAt;
+        await this.savePendingEdits();
+        console.log(`\x1b[92m📦 Batch ${batchId} applied: ${edits.length} edits across ${validation.originals.size} file(s)\x1b[0m\n`);
+        await this.runAppliedChecks(edits, appliedFiles);
+
+        return { success: true, applied: edits.map(edit => edit.id) };
+    }
+
+    /**
+     * Split an edit into file-level units for validateBatch/applyAtomically - a multi_edit becomes
+     * one surgical unit per file (a whole-file write for patched files, which have no replacement
+     * list), linked back through `source`; anything else is its own unit
+     */
+    expandEdit(edit) {
+        if (edit.operation.type !== 'multi_edit') {
+            return [edit];
+        }
+
+        return edit.operation.files.map(file => ({
+            id: edit.id,
+            source: edit,
+            file,
+            description: edit.description,
+            operation: file.edits
+                ? { type: 'surgical_edit', filePath: file.filePath, edits: file.edits, content: file.content }
+                : { type: 'write_file', filePath: file.filePath, content: file.content, mode: 'write' },
+            backup: file.backup === null ? null : { path: file.filePath, content: file.backup, timestamp: edit.timestamp },
+            baseHash: file.baseHash,
+            diff: file.diff
+        }));
+    }
+
+    /**
+     * Back up every file the units touch, then apply them in order - restoring all originals
+     * on the first failure
+     * @param {Array} units - Validated units (see expandEdit)
+     * @param {Object} validation - Result of validateBatch
+     * @param {string} backupName - Backup folder under .edits/backups/<date>/
+     * @returns {Promise<{success: boolean, results?: Array<{unit, result}>, failedId?: string, error?: string}>}
+     */
+    async applyAtomically(units, { originals, planned }, backupName) {
+        const backupDir = path.join(this.editsDir, 'backups', new Date().toISOString().split('T')[0], backupName);
+        for (const [relativePath, content] of originals) {
+            // Rollback uses the originals in memory; the copies on disk are for recovery after a crash,
+            // which checkpoint mode covers with the working-tree checkpoint taken before the batch
+            if (content === null || this.checkpoints.enabled) continue;
+            const backupPath = path.join(backupDir, relativePath);
+            await fs.mkdir(path.dirname(backupPath), { recursive: true });
+            await fs.writeFile(backupPath, content, 'utf8');
+        }
+
+        const results = [];
+        for (const unit of units) {
+            let result;
+            try {
+                // Units may have been rebased or merged onto earlier units touching the same file
+                const operation = planned.has(unit) ? { ...unit.operation, content: planned.get(unit) } : unit.operation;
+                result = await this.executeEdit({ ...unit, operation });
+            } catch (error) {
+                result = { success: false, error: error.message };
+            }
+
+            if (!result || result.success === false) {
+                await this.restoreBatchOriginals(originals);
+                return { success: false, failedId: unit.id, error: (result && result.error) || 'Operation failed' };
+            }
+            results.push({ unit, result });
+        }
+
+        return { success: true, results };
+    }
+
+    /**
+     * Store the content each applied unit actually wrote and put it on the undo stack
+     * @param {string} groupId - Units sharing it are undone together
+     * @returns {Promise<Array<{filePath: string, before: string|null, after: string|null}>>} - Each file the units changed
+     */
+    async commitUnits(results, { planned, states }, groupId, appliedAt) {
+        for (const { unit } of results) {
+            if (planned.has(unit)) {
+                unit.operation.content = planned.get(unit);
+                if (unit.file) unit.file.content = planned.get(unit);
+            }
+            unit.appliedAt = appliedAt;
+            await this.undoStack.record(unit, states.get(unit).before, states.get(unit).after, groupId);
+        }
+
+        // One checkpoint for the whole group: each file from its state before the first unit to after the last
+        const files = new Map();
+        for (const { unit } of results) {
+            const { before, after } = states.get(unit);
+            const file = files.get(unit.operation.filePath);
+            files.set(unit.operation.filePath, { filePath: unit.operation.filePath, before: file ? file.before : before, after });
+        }
+        const batch = this.batches.get(groupId);
+        const label = batch ? batch.description : (results[0] ? results[0].unit.description : '');
+        await this.recordCheckpoint(`${groupId}: ${label}`, [...files.values()]);
+        return [...files.values()];
+    }
+
+    /**
+     * Reject every pending edit of a batch
+     */
+    async rejectBatch(batchId, reason = 'User rejected batch') {
+        const batch = this.batches.get(batchId);
+        if (!batch) {
+            console.log(`\x1b[91m❌ Batch ${batchId} not found\x1b[0m`);
+            return { success: false, error: `Batch ${batchId} not found` };
+        }
+
+        const edits = this.getPendingBatchEdits(batchId);
+        for (const edit of edits) {
+            await this.rejectEdit(edit.id, reason);
+        }
+
+        batch.status = 'rejected';
+        await this.savePendingEdits();
+        console.log(`\x1b[91m📦 Batch ${batchId} rejected: ${edits.length} edits discarded\x1b[0m\n`);
+        return { success: true, rejected: edits.map(edit => edit.id) };
+    }
+
+    /**
+     * Check that every edit in a batch can be applied, simulating the edits in order
+     * @returns {Promise<{originals: Map<string, string|null>, planned: Map<Object, string>, states: Map<Object, Object>}>} -
+     *   Original content per touched file (null = file did not exist), the content each rebased or merged
+     *   edit will write, and each edit's { before, after } file content for the undo stack (keyed by edit)
+     * @throws {Error} Describing the first edit that cannot be applied
+     */
+    async validateBatch(edits) {
+        const originals = new Map();
+        const simulated = new Map();
+        const planned = new Map();
+        const states = new Map();
+
+        for (const edit of edits) {
+            const { operation } = edit;
+            if (operation.type !== 'write_file' && operation.type !== 'surgical_edit') {
+                // Commands and git operations cannot be rolled back
+                throw new Error(`${edit.id} (${operation.type}) cannot be rolled back, so it cannot be part of an atomic batch - accept or reject it individually`);
+            }
+            if (!operation.filePath) {
+                throw new Error(`${edit.id} has no target file`);
+            }
+
+            const fullPath = path.resolve(this.workspaceRoot, operation.filePath);
+            const relativePath = path.normalize(path.relative(this.workspaceRoot, fullPath));
+            if (relativePath.startsWith('..') || path.isAbsolute(relativePath)) {
+                throw new Error(`${edit.id}: path '${operation.filePath}' resolves outside workspace`);
+            }
+
+            if (!originals.has(relativePath)) {
+                let content = null;
+                try {
+                    const stats = await fs.stat(fullPath);
+                    if (stats.isDirectory()) {
+                        throw new Error(`${edit.id}: '${operation.filePath}' is a directory`);
+                    }
+                    content = await fs.readFile(fullPath, 'utf8');
+                } catch (error) {
+                    if (error.code !== 'ENOENT') throw error;
+                }
+                originals.set(relativePath, content);
+                simulated.set(relativePath, content);
+            }
+
+            const current = simulated.get(relativePath);
+            if (operation.mode === 'append') {
+                simulated.set(relativePath, (current || '') + operation.content);
+            } else {
+                // Edits carry the whole new file, computed from the content they were proposed against -
+                // reconcile with earlier batch edits and external saves
+                const reconciled = this.reconcileWithDisk(edit, current);
+                if (!reconciled.clean) {
+                    throw new Error(reconciled.deleted
+                        ? `${edit.id}: '${operation.filePath}' no longer exists`
+                        : `${edit.id}: '${operation.filePath}' changed since the edit was proposed and ${reconciled.conflicts.length} region(s) conflict - re-propose it against the current content`);
+                }
+                if (reconciled.changed) {
+                    planned.set(edit, reconciled.content);
+                }
+                simulated.set(relativePath, reconciled.content);
+            }
+            states.set(edit, { before: current, after: simulated.get(relativePath) });
+        }
+
+        return { originals, planned, states };
+    }
+
+    /**
+     * Put every file touched by a failed batch back to its original state
+     */
+    async restoreBatchOriginals(originals) {
+        for (const [relativePath, content] of originals) {
+            const fullPath = path.resolve(this.workspaceRoot, relativePath);
+            try {
+                if (content === null) {
+                    await fs.rm(fullPath, { force: true });
+                } else {
+                    await fs.mkdir(path.dirname(fullPath), { recursive: true });
+                    await fs.writeFile(fullPath, content, 'utf8');
+                }
+            } catch (error) {
+                console.log(`\x1b[91m❌ Failed to restore ${relativePath}: ${error.message}\x1b[0m`);
+            }
+        }
+    }
+
+    /**
+     * Undo applied edits - the last one (or batch) by default
+     * @param {Object} options - { count, editId, force }
+     */
+    async undoEdits(options = {}) {
+        const result = await this.undoStack.undo(options);
+        this.displayUndoResult('undo', result);
+        await this.checkpointUndoResult('Undo', result);
+        return result;
+    }
+
+    /**
+     * Re-apply undone edits - the most recently undone by default
+     * @param {Object} options - { count, editId, force }
+     */
+    async redoEdits(options = {}) {
+        const result = await this.undoStack.redo(options);
+        this.displayUndoResult('redo', result);
+        await this.checkpointUndoResult('Redo', result);
+        return result;
+    }
+
+    async checkpointUndoResult(label, result) {
+        if (!result.success) return;
+        const editIds = [...new Set(result.entries.map(entry => entry.editId))];
+        const files = [];
+        for (const filePath of new Set(result.entries.map(entry => entry.filePath))) {
+            files.push({ filePath, after: await this.undoStack.readFile(filePath) });
+        }
+        await this.recordCheckpoint(`${label} ${editIds.join(', ')}`, files);
+    }
+
+    /**
+     * Commit applied changes to the checkpoint ref when checkpoint mode is on
+     * Checkpoints are a safety net - a git failure is reported but never fails the edit.
+     */
+    async recordCheckpoint(message, files) {
+        try {
+            const checkpoint = await this.checkpoints.record(message, files);
+            if (checkpoint) {
+                console.log(`\x1b[90m📌 Checkpoint #${checkpoint.index} (${checkpoint.commit.slice(0, 12)}) recorded in ${this.checkpoints.ref}\x1b[0m`);
+            }
+            return checkpoint;
+        } catch (error) {
+            console.log(`\x1b[93m⚠️  Could not record checkpoint: ${error.message}\x1b[0m`);
+            return null;
+        }
+    }
+
+    /**
+     * Run onEditsApplied for freshly applied files - its findings are noted on the edits,
+     * and a failing check never undoes what was applied
+     */
+    async runAppliedChecks(edits, files) {
+        if (!this.onEditsApplied || files.length === 0) return;
+        try {
+            await this.onEditsApplied(edits, files);
+        } catch (error) {
+            console.log(`\x1b[93m⚠️  Post-apply checks failed: ${error.message}\x1b[0m`);
+        }
+    }
+
+    /**
+     * Turn checkpoint mode on or off
+     * @returns {Promise<{enabled: boolean, available: boolean}>}
+     */
+    async setCheckpointMode(enabled) {
+        this.checkpoints.enabled = !!enabled;
+        return { enabled: this.checkpoints.enabled, available: await this.checkpoints.isAvailable() };
+    }
+
+    displayCheckpoints(entries) {
+        if (entries.length === 0) {
+            console.log(`\x1b[93m📌 No checkpoints yet${this.checkpoints.enabled ? '' : " - turn checkpoint mode on with 'checkpoints on'"}\x1b[0m`);
+            return;
+        }
+        console.log(`\x1b[95m📌 CHECKPOINTS (${this.checkpoints.ref})\x1b[0m`);
+        for (const entry of entries) {
+            console.log(`\x1b[96m   #${entry.index}\x1b[0m \x1b[90m${entry.commit.slice(0, 12)} ${new Date(entry.time).toLocaleString()}\x1b[0m ${entry.message}`);
+            if (entry.files.length > 0) {
+                console.log(`\x1b[90m        ${entry.files.slice(0, 5).join(', ')}${entry.files.length > 5 ? ` (+${entry.files.length - 5} more)` : ''}\x1b[0m`);
+            }
+        }
+    }
+
+    displayCheckpointDiff(index, diff) {
+        if (!diff.trim()) {
+            console.log(`\x1b[93m📌 Checkpoint #${index} has no changes${index === 0 ? ' (it is the baseline)' : ''}\x1b[0m`);
+            return;
+        }
+        console.log(`\x1b[95m📌 CHECKPOINT #${index}\x1b[0m`);
+        for (const line of diff.replace(/\n$/, '').split('\n')) {
+            if (line.startsWith('+++') || line.startsWith('---') || line.startsWith('diff ') || line.startsWith('index ')) {
+                console.log(`\x1b[1m${line}\x1b[0m`);
+            } else if (line.startsWith('@@')) {
+                console.log(`\x1b[36m${line}\x1b[0m`);
+            } else if (line.startsWith('+')) {
+                console.log(`\x1b[32m${line}\x1b[0m`);
+            } else if (line.startsWith('-')) {
+                console.log(`\x1b[31m${line}\x1b[0m`);
+            } else {
+                console.log(line);
+            }
+        }
+    }
+
+    displayCheckpointRestore(index, result) {
+        if (!result.success) {
+            console.log(`\x1b[91m❌ RESTORE FAILED: ${result.error}\x1b[0m`);
+            return;
+        }
+        if (result.files.length === 0) {
+            console.log(`\x1b[93m📌 Nothing changed since checkpoint #${index}\x1b[0m`);
+            return;
+        }
+        console.log(`\x1b[92m⏪ RESTORED CHECKPOINT #${index}: ${result.files.length} file(s)\x1b[0m`);
+        for (const file of result.files) {
+            console.log(`\x1b[96m   • ${file.filePath}${file.restored === 'removed' ? ' (file removed)' : ''}\x1b[0m`);
+        }
+        if (result.forced) {
+            console.log(`\x1b[93m   ⚠️  Overwrote external changes - they are kept in the checkpoint before the restore\x1b[0m`);
+        }
+        if (result.checkpoint) {
+            console.log(`\x1b[90m📌 Recorded as checkpoint #${result.checkpoint.index}\x1b[0m`);
+        }
+    }
+
+    displayUndoResult(direction, result) {
+        if (!result.success) {
+            console.log(`\x1b[91m❌ ${direction.toUpperCase()} FAILED: ${result.error}\x1b[0m`);
+            for (const conflict of result.conflicts || []) {
+                console.log(`\x1b[93m   ⚠️  ${conflict.filePath} (${conflict.editId}) was modified outside Jack\x1b[0m`);
+            }
+            return;
+        }
+
+        const icon = direction === 'undo' ? '↩️' : '↪️';
+        console.log(`\x1b[92m${icon}  ${direction.toUpperCase()}: ${result.entries.length} edit(s)\x1b[0m`);
+        for (const entry of result.entries) {
+            const note = direction === 'undo'
+                ? (entry.createdFile ? ' (file removed)' : '')
+                : (entry.createdFile ? ' (file recreated)' : '');
+            console.log(`\x1b[96m   • ${entry.editId}: ${entry.filePath}${note}\x1b[0m`);
+        }
+        if (result.forced) {
+            console.log(`\x1b[93m   ⚠️  Overwrote external changes - previous content saved in ${result.backupDir}\x1b[0m`);
+        }
+    }
+
     async executeEdit(edit) {
         const { operation } = edit;
 
@@ -867,6 +2027,31 @@ class EditVersionController {
         }
     }
 
+    /**
+     * Syntax gate run right before content is written
+     * Catches what the proposal-time alignment check cannot see: merges with changes made on disk,
+     * hunk subsets and appends. Follows JACK_SYNTAX_POLICY like the alignment check does.
+     * @returns {Promise<{success: false, error: string}|null>} - A failed result under the block policy
+     */
+    async checkSyntaxBeforeWrite(operation) {
+        const policy = syntaxPolicy();
+        if (policy === 'off' || typeof operation.content !== 'string') return null;
+
+        const before = await this.undoStack.readFile(operation.filePath);
+        const after = operation.mode === 'append' ? (before || '') + operation.content : operation.content;
+        const { breaks, result } = checkChange(operation.filePath, before, after);
+        if (!breaks) return null;
+
+        if (policy === 'warn') {
+            console.log(`\x1b[93m⚠️  ${operation.filePath} will no longer parse as ${result.language}: ${describeErrors(result)}\x1b[0m`);
+            return null;
+        }
+        return {
+            success: false,
+            error: `Syntax check failed for ${operation.filePath} (${result.language}): ${describeErrors(result)} - set JACK_SYNTAX_POLICY=warn to write it anyway`
+        };
+    }
+
     /**
      * Execute surgical edit - applies the precise string replacement
      */
@@ -881,6 +2066,9 @@ class EditVersionController {
             throw new Error(`Security violation: Path traversal detected`);
         }
 
+        const syntaxFailure = await this.checkSyntaxBeforeWrite(operation);
+        if (syntaxFailure) return syntaxFailure;
+
         // Create backup
         if (edit.backup) {
             const backupPath = this.getBackupPath(operation);
@@ -956,6 +2144,9 @@ class EditVersionController {
         if (normalizedPath.startsWith('..') || path.isAbsolute(normalizedPath)) {
             throw new Error(`Security violation: Path traversal detected. File path '${operation.filePath}' resolves outside workspace: ${this.workspaceRoot}`);
         }
+
+        const syntaxFailure = await this.checkSyntaxBeforeWrite(operation);
+        if (syntaxFailure) return syntaxFailure;
         
         await fs.mkdir(path.dirname(fullPath), { recursive: true });
         
@@ -1003,24 +2194,30 @@ class EditVersionController {
     }
     
     async executeGitOperation(operation) {
-        const { exec } = require('child_process');
-        const command = `git ${operation.operation} ${operation.args?.join(' ') || ''}`.trim();
-        
-        return new Promise((resolve) => {
-            exec(command, { cwd: this.workspaceRoot }, (error, stdout, stderr) => {
-                resolve({
-                    success: !error,
-                    command,
-                    stdout: stdout || '',
-                    stderr: stderr || '',
-                    error: error?.message || null
-                });
-            });
-        });
+        const args = [operation.operation, ...(operation.args || [])];
+        const command = `git ${args.join(' ')}`;
+
+        // git_commit with paths: stage them first so untracked files are part of the commit
+        if (operation.stage && operation.stage.length > 0) {
+            const staged = await runGit(['add', '--', ...operation.stage], { cwd: this.workspaceRoot });
+            if (!staged.success) {
+                return { success: false, command, stdout: staged.stdout, stderr: staged.stderr, error: staged.error };
+            }
+        }
+
+        // No shell - every argument reaches git as one argv entry
+        const result = await runGit(args, { cwd: this.workspaceRoot });
+        return {
+            success: result.success,
+            command,
+            stdout: result.stdout,
+            stderr: result.stderr,
+            error: result.error
+        };
     }
     
     async saveEditToHistory(edit) {
-        const historyFile = path.join(this.workspaceRoot, '.edits', 'history.json');
+        const historyFile = path.join(this.editsDir, 'history.json');
         
         try {
             let history = [];
@@ -1067,15 +2264,121 @@ class EditVersionController {
             return null;
         }
         
+        const hunks = this.getEditHunks(edit);
         return {
             id: editId,
             operation: edit.operation,
             description: edit.description,
+            expectedOutcome: edit.expectedOutcome,
             timestamp: edit.timestamp,
+            batchId: edit.batchId || null,
+            files: this.getEditFiles(edit),
+            diff: this.getEditDiff(edit),
+            hunks: hunks ? hunks.length : null,
+            conflict: edit.conflict || null,
+            riskLevel: edit.riskLevel || null,
+            autoDecision: edit.autoDecision || null,
+            refactoredFrom: edit.refactoredFrom || null,
             status: 'pending'
         };
     }
 
+    /**
+     * Post-apply findings (language server diagnostics) noted on an applied edit, if any
+     */
+    getAppliedDiagnostics(editId) {
+        const edit = this.editHistory.find(entry => entry.id === editId);
+        return (edit && edit.diagnostics) || null;
+    }
+
+    /**
+     * Details of every pending edit, oldest first (for the review API)
+     */
+    listPendingEdits() {
+        return [...this.pendingEdits.keys()].map(editId => this.getEditDetails(editId));
+    }
+
+    /**
+     * Workspace files an edit writes
+     */
+    getEditFiles(edit) {
+        const { operation } = edit;
+        if (operation.type === 'multi_edit') return operation.files.map(file => file.filePath);
+        return operation.filePath ? [operation.filePath] : [];
+    }
+
+    /**
+     * What an auto-accept policy matches on: operation, workspace-relative files, changed lines
+     * (calculateDifferentialStats, summed over files), command text, alignment risk and whether
+     * the edit runs a destructive git command
+     * @returns {{operation: string, files: string[], changedLines: number|null, command: string|null, riskLevel: string|null, destructive: boolean}}
+     */
+    getEditPolicyFacts(edit) {
+        const { operation } = edit;
+        const files = this.getEditFiles(edit).map(filePath =>
+            path.relative(this.workspaceRoot, path.resolve(this.workspaceRoot, filePath)).split(path.sep).join('/'));
+
+        const changes = operation.type === 'multi_edit'
+            ? operation.files.map(file => [file.backup, file.content])
+            : (typeof operation.content === 'string'
+                ? [[operation.mode === 'append' || !edit.backup ? null : edit.backup.content, operation.content]]
+                : []);
+        const changedLines = changes.length === 0 ? null : changes.reduce((total, [before, after]) =>
+            total + this.calculateDifferentialStats(before === null ? [] : before.split('\n'), after.split('\n')).totalChanges, 0);
+
+        let command = null;
+        if (operation.type === 'execute_command') {
+            command = operation.command;
+        } else if (operation.type === 'git_operation') {
+            command = ['git', operation.operation, ...(operation.args || [])].join(' ');
+        }
+
+        return {
+            operation: operation.patch ? 'apply_patch' : operation.type,
+            files,
+            changedLines,
+            command,
+            riskLevel: edit.riskLevel || null,
+            destructive: !!operation.destructive
+        };
+    }
+
+    /**
+     * Note a policy decision on the edit (kept in its history entry) and in .edits/auto-decisions.jsonl
+     * @param {{action: string, rule: string, facts: Object}} decision
+     */
+    async recordAutoDecision(edit, decision) {
+        edit.autoDecision = { action: decision.action, rule: decision.rule, decidedAt: new Date().toISOString() };
+        const entry = { editId: edit.id, description: edit.description, ...edit.autoDecision, ...decision.facts };
+        try {
+            await fs.mkdir(this.editsDir, { recursive: true });
+            await fs.appendFile(path.join(this.editsDir, 'auto-decisions.jsonl'), JSON.stringify(entry) + '\n');
+        } catch (error) {
+            console.log(`\x1b[93m⚠️  Could not log auto-decision: ${error.message}\x1b[0m`);
+        }
+    }
+
+    /**
+     * Unified diff of an edit against the content it was proposed for
+     * Hunk numbers match the ones `accept <edit_id> hunks 1,3` takes.
+     * @returns {string|null} - null for edits that write no file (commands, git operations)
+     */
+    getEditDiff(edit) {
+        const { operation } = edit;
+        const diffFile = (filePath, before, after) =>
+            formatUnifiedDiff(filePath, computeHunks(before === null ? [] : before.split('\n'), after.split('\n')));
+
+        if (operation.type === 'multi_edit') {
+            return operation.files.map(file => diffFile(file.filePath, file.backup, file.content)).join('\n');
+        }
+        if ((operation.type === 'write_file' || operation.type === 'surgical_edit') && typeof operation.content === 'string') {
+            // Appends are shown as the added lines only
+            const before = operation.mode === 'append' ? null : (edit.backup ? edit.backup.content : null);
+            return diffFile(operation.filePath, before, operation.content);
+        }
+        return null;
+    }
+
     displayFileDiff(operation) {
         const fs = require('fs');
         const path = require('path');
@@ -1112,62 +2415,21 @@ class EditVersionController {
             const status = fileExists ? 'MODIFIED' : 'NEW FILE';
             console.log(`\x1b[93m🔄 File Change: ${path.basename(filePath)} (${status})\x1b[0m`);
             console.log(`\x1b[90m--------------------------------------------------------------------------------\x1b[0m`);
-            console.log(`\x1b[90m@@ -1,${oldLines.length} +1,${newLines.length} @@\x1b[0m`);
-
-            // Simple line-by-line diff display with colors
-            const maxLines = Math.max(oldLines.length, newLines.length);
-            let contextStart = 0;
-            let contextEnd = Math.min(maxLines, 25); // Show up to 25 lines of changes
-
-            // Try to find actual differences to focus on
-            let firstDiff = -1;
-            let lastDiff = -1;
-            for (let i = 0; i < maxLines; i++) {
-                const oldLine = oldLines[i] || '';
-                const newLine = newLines[i] || '';
-                if (oldLine !== newLine) {
-                    if (firstDiff === -1) firstDiff = i;
-                    lastDiff = i;
+            if (fileExists) {
+                // Numbered hunks - `accept <edit_id> hunks 1,3` applies only some of them
+                this.displayHunks(computeHunks(oldLines, newLines));
+            } else {
+                console.log(`\x1b[90m@@ -0,0 +1,${newLines.length} @@\x1b[0m`);
+                const shown = Math.min(newLines.length, 20);
+                for (let i = 0; i < shown; i++) {
+                    const lineNum = (i + 1).toString().padStart(3);
+                    console.log(`\x1b[32m+${lineNum}\x1b[0m │ \x1b[32m${newLines[i]}\x1b[0m`);
                 }
-            }
-
-            // If we found differences, show context around them
-            if (firstDiff >= 0) {
-                contextStart = Math.max(0, firstDiff - 2);
-                contextEnd = Math.min(maxLines, lastDiff + 3);
-            }
-
-            // For new files, show first part
-            if (!fileExists && newLines.length > 0) {
-                contextStart = 0;
-                contextEnd = Math.min(newLines.length, 20);
-            }
-
-            for (let i = contextStart; i < contextEnd; i++) {
-                const oldLine = oldLines[i] || '';
-                const newLine = newLines[i] || '';
-                const lineNum = (i + 1).toString().padStart(3);
-
-                if (i >= oldLines.length) {
-                    // New line added
-                    console.log(`\x1b[32m+${lineNum}\x1b[0m │ \x1b[32m${newLine}\x1b[0m`);
-                } else if (i >= newLines.length) {
-                    // Line removed
-                    console.log(`\x1b[31m-${lineNum}\x1b[0m │ \x1b[31m${oldLine}\x1b[0m`);
-                } else if (oldLine !== newLine) {
-                    // Line changed
-                    console.log(`\x1b[31m-${lineNum}\x1b[0m │ \x1b[31m${oldLine}\x1b[0m`);
-                    console.log(`\x1b[32m+${lineNum}\x1b[0m │ \x1b[32m${newLine}\x1b[0m`);
-                } else {
-                    // Line unchanged (context)
-                    console.log(`\x1b[90m ${lineNum}\x1b[0m │ \x1b[90m${oldLine}\x1b[0m`);
+                if (shown < newLines.length) {
+                    console.log(`\x1b[90m   ... (${newLines.length - shown} more lines)\x1b[0m`);
                 }
             }
 
-            if (contextEnd < maxLines) {
-                console.log(`\x1b[90m   ... (${maxLines - contextEnd} more lines)\x1b[0m`);
-            }
-
             // Calculate comprehensive differential statistics
             const stats = this.calculateDifferentialStats(oldLines, newLines);
 
@@ -1181,6 +2443,44 @@ class EditVersionController {
 
 
 
+    /**
+     * Print numbered hunks with old/new line numbers
+     * @param {Array} hunks - Result of computeHunks
+     * @param {number} maxLines - Body lines shown across all hunks
+     */
+    displayHunks(hunks, maxLines = 60) {
+        let shownLines = 0;
+        for (const hunk of hunks) {
+            if (shownLines >= maxLines) {
+                const remaining = hunks.length - hunk.index + 1;
+                console.log(`\x1b[90m   ... (${remaining} more hunk${remaining === 1 ? '' : 's'})\x1b[0m`);
+                break;
+            }
+
+            console.log(`\x1b[96m🧩 Hunk ${hunk.index}/${hunks.length}\x1b[0m \x1b[90m${formatHunkHeader(hunk)}\x1b[0m`);
+            let oldNum = hunk.oldStart + 1;
+            let newNum = hunk.newStart + 1;
+            for (const line of hunk.lines) {
+                if (shownLines >= maxLines) {
+                    console.log(`\x1b[90m   ...\x1b[0m`);
+                    break;
+                }
+                shownLines++;
+
+                const text = line.slice(1);
+                if (line[0] === '-') {
+                    console.log(`\x1b[31m-${String(oldNum++).padStart(3)}\x1b[0m │ \x1b[31m${text}\x1b[0m`);
+                } else if (line[0] === '+') {
+                    console.log(`\x1b[32m+${String(newNum++).padStart(3)}\x1b[0m │ \x1b[32m${text}\x1b[0m`);
+                } else {
+                    console.log(`\x1b[90m ${String(oldNum).padStart(3)}\x1b[0m │ \x1b[90m${text}\x1b[0m`);
+                    oldNum++;
+                    newNum++;
+                }
+            }
+        }
+    }
+
     displayNewFilePreview(content, filePath) {
         const lines = content.split('\n');
         
@@ -1344,6 +2644,10 @@ class EditVersionController {
     }
 
     getBackupPath(operation) {
+        // In checkpoint mode the previous content lives in the checkpoint ref instead
+        if (this.checkpoints.enabled) {
+            return null;
+        }
         if (operation.type === 'write_file') {
             const path = require('path');
             const fileName = path.basename(operation.filePath);
@@ -1402,6 +2706,10 @@ class EditVersionController {
             console.log(`\x1b[93m💾 Size:\x1b[0m ${result.size} bytes`);
             console.log(`\x1b[93m📊 Lines:\x1b[0m ${edit.operation.content ? edit.operation.content.split('\n').length : 'N/A'}`);
             console.log(`\x1b[93m⚡ Mode:\x1b[0m ${edit.operation.mode || 'write'}`);
+        } else if (edit.operation.type === 'multi_edit') {
+            for (const file of edit.operation.files) {
+                console.log(`\x1b[93m📁 File:\x1b[0m ${file.filePath}${file.edits ? ` (${file.edits.length} change${file.edits.length === 1 ? '' : 's'})` : ' (patched)'}`);
+            }
         } else {
             console.log(`\x1b[93m🔧 Operation:\x1b[0m ${edit.operation.type}`);
             if (edit.operation.command) {
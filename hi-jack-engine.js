@@ -1,3 +1,7 @@
+// MCP over stdio: stdout must carry protocol messages only, so claim it before any module logs
+const { McpServer, reserveStdoutForMcp } = require('./utils/mcp-server');
+const mcpStdout = process.argv.includes('--mcp-stdio') ? reserveStdoutForMcp() : null;
+
 const express = require('express');
 const { spawn, exec } = require('child_process');
 const fs = require('fs-extra');
@@ -13,6 +17,34 @@ const tokenManager = require('./utils/token');
 const { enhancedMetaConstrain } = require('./recursive-meta-constrain-enhancements');
 const UniversalAlignmentEngine = require('./utils/alignment-engine');
 const osAwareness = require('./utils/os-awareness');
+const OpenAIStreamWriter = require('./utils/openai-stream');
+const { AnthropicAdapter, AnthropicStreamWriter } = require('./utils/anthropic-adapter');
+const { OpenAIResponsesAdapter, OpenAIResponsesStreamWriter } = require('./utils/openai-responses');
+const ToolPolicy = require('./utils/tool-policy');
+const ApiAuth = require('./utils/api-auth');
+const { RequestScheduler } = require('./utils/request-scheduler');
+const { runWithContext, getContext: getRequestContext } = require('./utils/request-context');
+const WorkspaceRegistry = require('./utils/workspace-registry');
+const { McpClientManager } = require('./utils/mcp-client');
+const { computeHunks, formatUnifiedDiff, parseHunkList } = require('./utils/diff-hunks');
+const { DEFAULT_FUZZ } = require('./utils/patch-apply');
+const { renderReviewPage, reviewRequestError } = require('./utils/review-page');
+const { AutoAcceptPolicy, matchesGlob } = require('./utils/auto-accept-policy');
+const { WorkspaceIndex } = require('./utils/workspace-index');
+const { SymbolIndex, symbolLanguage, findOccurrences, matchesQuery, buildOutline } = require('./utils/symbol-index');
+const { LspManager, applyTextEdits, diffDiagnostics, hoverText } = require('./utils/lsp-client');
+const { GitTools, runGit, classifyGitCommand, classifyShellCommand, gitArgv, GIT_OPERATIONS } = require('./utils/git-tools');
+const { SemanticIndex, OllamaEmbedder } = require('./utils/semantic-index');
+const { pathToFileURL, fileURLToPath } = require('url');
+
+// Proxy endpoints that run the model/tool loop - admitted through the request scheduler
+const PROXY_ROUTES = ['/v1/chat/completions', '/v1/messages', '/v1/responses'];
+
+// X-Jack-Client labels that get their own session memory, per scheduler bucket (labels are caller-chosen)
+const MAX_CLIENT_LABELS_PER_BUCKET = 16;
+
+// Endpoints that act on a workspace - selected per request with X-Jack-Workspace (or model@workspace)
+const WORKSPACE_ROUTES = [...PROXY_ROUTES, '/hijack/execute', '/mcp', '/jack/undo', '/jack/redo', '/jack/checkpoints', '/jack/checkpoints/*', '/jack/edits', '/jack/edits/*', '/jack/batches', '/jack/batches/*'];
 
 // Load environment from the Ollama Jack project directory, not the target workspace
 const jackProjectRoot = path.dirname(__filename);
@@ -26,6 +58,9 @@ class OllamaJack {
         // Terminal window visibility configuration - DEFAULT: ON
         this.showTerminalWindows = process.env.JACK_SHOW_TERMINALS !== 'false'; // Default: true (ON by default)
         this.terminalTimeout = parseInt(process.env.JACK_TERMINAL_TIMEOUT) || 3; // Seconds to show window after completion
+
+        // Model turns with tool calls a proxy request may run before the tool loop is cut off
+        this.maxToolRounds = parseInt(process.env.JACK_MAX_TOOL_ROUNDS, 10) || 25;
         
         // TOKEN BUDGET MANAGEMENT - Dynamic Context Length Detection
         this.tokenBudgets = {
@@ -241,11 +276,11 @@ class OllamaJack {
 
         this.isToolRelevantToTask = (toolName, taskType) => {
             const correlations = {
-                'coding': ['write_file', 'read_file', 'search_code', 'grep_search'],
-                'debugging': ['execute_terminal_command', 'read_file', 'search_code', 'grep_search'],
+                'coding': ['write_file', 'read_file', 'search_code', 'grep_search', 'find_definition', 'find_references', 'file_outline', 'lsp_definition', 'lsp_rename'],
+                'debugging': ['execute_terminal_command', 'read_file', 'search_code', 'grep_search', 'find_definition', 'find_references', 'lsp_diagnostics', 'lsp_hover', 'git_diff', 'git_log', 'git_blame'],
                 'testing': ['execute_terminal_command', 'read_file', 'grep_search'],
-                'research': ['web_search', 'web_fetch', 'read_file', 'list_directory', 'grep_search'],
-                'analysis': ['read_file', 'list_directory', 'search_code', 'grep_search'],
+                'research': ['web_search', 'web_fetch', 'read_file', 'list_directory', 'grep_search', 'semantic_search'],
+                'analysis': ['read_file', 'list_directory', 'search_code', 'grep_search', 'semantic_search', 'find_definition', 'find_references', 'file_outline', 'lsp_hover', 'lsp_definition', 'git_status', 'git_log', 'git_blame'],
                 'documentation': ['write_file', 'read_file', 'grep_search']
             };
 
@@ -290,6 +325,10 @@ class OllamaJack {
         this.recentActions = [];
         this.maxRecentActions = 50;
 
+        // Per-client state for concurrent proxy requests (session memory, action history)
+        this.clientStates = new Map();
+        this.clientLabels = new Map(); // bucket -> { ids: labelled client ids with their own state, full: warned about the cap }
+
         // Advanced Telemetry System with Predictive Analytics (optional)
         if (!this.noFootprintMode) {
             this.telemetryManager = new TelemetryManager(this.dataDir);
@@ -297,12 +336,31 @@ class OllamaJack {
         }
 
         this.sessionMemory = new SessionMemory(this.dataDir, this.workspaceRoot, this.telemetryManager); // Memory system with telemetry
-        this.currentModel = null; // Track the currently active model
+        this.workspaceIndex = new WorkspaceIndex(this.workspaceRoot); // .gitignore-aware file list for search/list tools
+        this.symbolIndex = new SymbolIndex(this.workspaceIndex); // Parsed definitions for find_definition/find_references/file_outline
+        this.embedder = OllamaEmbedder.fromEnv({ cloudMode: this.isCloudMode() }); // Local embedding model for semantic_search
+        this.semanticIndex = this.createSemanticIndex(this.workspaceIndex, this.editController, this.dataDir);
+        this.lspConfig = LspManager.loadConfig(jackProjectRoot); // Language servers for the lsp_* tools (started on first use)
+        this.lsp = this.createLspManager(this.workspaceRoot, this.editController);
+        this.currentModel = null; // Model selected for the engine - proxy requests keep theirs on the request context
+
+        // Named workspaces for proxy requests (X-Jack-Workspace / model@workspace); the startup workspace is 'default'
+        this.workspaceRegistry = new WorkspaceRegistry((name, root) => this.createWorkspaceState(name, root));
+        this.workspaceRegistry.register('default', this.workspaceRoot);
         
         // Auto-discover workspace structure for better AI understanding
         this.performInitialWorkspaceDiscovery();
+
+        for (const { name, root } of WorkspaceRegistry.parseSpec(process.env.JACK_WORKSPACES)) {
+            try {
+                this.registerWorkspace(name, root);
+            } catch (error) {
+                logger.warn(`Skipping workspace '${name}': ${error.message}`);
+            }
+        }
         this.autoAcceptEdits = false; // DEFAULT: Manual mode - edits require Accept/Reject/Refactor approval
-        this.pendingEdit = null; // Track the current pending edit for 1/2/3 system
+        this.autoAcceptPolicy = AutoAcceptPolicy.fromEnv(jackProjectRoot); // Per-rule auto-accept (auto-accept-policy.json)
+        this.pendingEdit = null; // Track the current pending edit for 1/2/3 system (per request on the proxy)
         this.debugMode = this.isDebugEnabled(); // Control debug log verbosity
         
         // Web search usage tracking
@@ -377,6 +435,7 @@ class OllamaJack {
         
         this.setupOllamaPromise = this.setupOllama();
         this.setupMiddleware();
+        this.setupMcpServer();
         this.setupRoutes();
         this.loadWebSearchUsage();
         this.setupTools();
@@ -691,6 +750,7 @@ class OllamaJack {
         this.targetProjectType = null;
         this.targetNoFootprint = false;
         this.serverOnly = false; // New flag for server-only mode
+        this.mcpStdio = false;
         
         for (const arg of args) {
             if (arg.startsWith('--workspace=')) {
@@ -701,11 +761,13 @@ class OllamaJack {
                 this.targetNoFootprint = true;
             } else if (arg === '--server-only') {
                 this.serverOnly = true; // Enable server-only mode
+            } else if (arg === '--mcp-stdio') {
+                this.mcpStdio = true; // Serve MCP on stdin/stdout instead of HTTP
             }
         }
     }
 
-    getDataDirectory() {
+    getDataDirectory(workspaceRoot = this.workspaceRoot) {
         if (this.noFootprintMode) {
             // Use system temp directory for no-footprint mode
             const os = require('os');
@@ -713,11 +775,11 @@ class OllamaJack {
             const crypto = require('crypto');
             
             // Create a unique subdirectory based on workspace path hash
-            const workspaceHash = crypto.createHash('md5').update(this.workspaceRoot).digest('hex').substring(0, 8);
+            const workspaceHash = crypto.createHash('md5').update(workspaceRoot).digest('hex').substring(0, 8);
             return path.join(os.tmpdir(), 'ollama-jack', workspaceHash);
         } else {
             // Use workspace directory (original behavior)
-            return this.workspaceRoot;
+            return workspaceRoot;
         }
     }
 
@@ -729,21 +791,336 @@ class OllamaJack {
         }
     }
 
+    /**
+     * Workspace root for the current request - the request's workspace when one was
+     * selected, otherwise the workspace Jack was started in. validateWorkspacePath and
+     * every tool resolve paths against this, so each workspace is its own sandbox.
+     */
+    get workspaceRoot() {
+        return getRequestContext()?.workspace?.root || this.defaultWorkspaceRoot;
+    }
+
+    set workspaceRoot(root) {
+        this.defaultWorkspaceRoot = root;
+    }
+
+    /**
+     * Data directory (.edits, .memory) for the current request's workspace
+     */
+    get dataDir() {
+        return getRequestContext()?.workspace?.dataDir || this.defaultDataDir;
+    }
+
+    set dataDir(dir) {
+        this.defaultDataDir = dir;
+    }
+
+    /**
+     * Edit controller for the current request's workspace
+     */
+    get editController() {
+        return getRequestContext()?.workspace?.editController || this.defaultEditController;
+    }
+
+    set editController(controller) {
+        this.defaultEditController = controller;
+    }
+
+    /**
+     * File index for the current request's workspace
+     */
+    get workspaceIndex() {
+        return getRequestContext()?.workspace?.index || this.defaultWorkspaceIndex;
+    }
+
+    set workspaceIndex(index) {
+        this.defaultWorkspaceIndex = index;
+    }
+
+    /**
+     * Symbol cache for the current request's workspace
+     */
+    get symbolIndex() {
+        return getRequestContext()?.workspace?.symbols || this.defaultSymbolIndex;
+    }
+
+    set symbolIndex(symbols) {
+        this.defaultSymbolIndex = symbols;
+    }
+
+    /**
+     * Embedding index for semantic_search in the current request's workspace
+     */
+    get semanticIndex() {
+        return getRequestContext()?.workspace?.semantic || this.defaultSemanticIndex;
+    }
+
+    set semanticIndex(semantic) {
+        this.defaultSemanticIndex = semantic;
+    }
+
+    /**
+     * Language servers for the current request's workspace
+     */
+    get lsp() {
+        return getRequestContext()?.workspace?.lsp || this.defaultLsp;
+    }
+
+    set lsp(manager) {
+        this.defaultLsp = manager;
+    }
+
+    /**
+     * Session memory for the current proxy request's client, or the shared session
+     * memory outside of scheduled requests (interactive chat, startup)
+     */
+    get sessionMemory() {
+        const context = getRequestContext();
+        return context?.sessionMemory || context?.workspace?.sessionMemory || this.defaultSessionMemory;
+    }
+
+    set sessionMemory(memory) {
+        this.defaultSessionMemory = memory;
+    }
+
+    /**
+     * Model of the current proxy request once resolved (see resolveProxyModel), otherwise
+     * the engine's selected model (interactive chat, /api/model)
+     */
+    get currentModel() {
+        return getRequestContext()?.model || this.selectedModel;
+    }
+
+    set currentModel(model) {
+        this.selectedModel = model;
+    }
+
+    /**
+     * Edit the tool chain is paused on - each proxy request tracks its own, the interactive
+     * chat (and the review API deciding for it) uses the engine's
+     */
+    get pendingEdit() {
+        const context = getRequestContext();
+        return context && 'pendingEdit' in context ? context.pendingEdit : this.chatPendingEdit;
+    }
+
+    set pendingEdit(editId) {
+        const context = getRequestContext();
+        if (context && 'pendingEdit' in context) {
+            context.pendingEdit = editId;
+        } else {
+            this.chatPendingEdit = editId;
+        }
+    }
+
+    /**
+     * Recent actions visible to the current proxy request - each request works on its own
+     * copy of its client's history so concurrent requests cannot interleave
+     */
+    get recentActions() {
+        return getRequestContext()?.recentActions || this.sharedRecentActions;
+    }
+
+    set recentActions(actions) {
+        this.sharedRecentActions = actions;
+    }
+
+    /**
+     * Identify the proxy client
+     * - bucket: queues and rate limits - the API key, or the remote address when auth is off,
+     *   so varying X-Jack-Client cannot dodge a limit
+     * - clientId: isolated session state - X-Jack-Client labels an editor within its bucket; past
+     *   MAX_CLIENT_LABELS_PER_BUCKET labels, new ones share the bucket's unlabelled state
+     * @returns {{bucket: string, clientId: string}}
+     */
+    getProxyClient(req) {
+        const named = (req.get('X-Jack-Client') || '').replace(/[^\w.-]/g, '_').slice(0, 64);
+        const keyId = req.jackAuth && req.jackAuth.keyId !== 'anonymous' ? req.jackAuth.keyId : null;
+        const bucket = keyId ? `key:${keyId}` : `addr:${req.ip || req.socket?.remoteAddress || 'unknown'}`;
+        const unlabelled = keyId || 'default';
+        if (!named) return { bucket, clientId: unlabelled };
+
+        const clientId = keyId ? `${keyId}.${named}` : named;
+        if (!this.clientLabels.has(bucket)) this.clientLabels.set(bucket, { ids: new Set(), full: false });
+        const labels = this.clientLabels.get(bucket);
+        if (!labels.ids.has(clientId)) {
+            if (labels.ids.size >= MAX_CLIENT_LABELS_PER_BUCKET) {
+                if (!labels.full) {
+                    labels.full = true;
+                    logger.warn(`${bucket} reached ${MAX_CLIENT_LABELS_PER_BUCKET} X-Jack-Client labels - further labels share the ${unlabelled} session state`);
+                }
+                return { bucket, clientId: unlabelled };
+            }
+            labels.ids.add(clientId);
+        }
+        return { bucket, clientId };
+    }
+
+    /**
+     * Per-client state within a workspace, created on first use
+     * The default client keeps using the workspace's own session memory
+     */
+    getClientState(clientId, workspace = this.workspaceRegistry.get('default')) {
+        const key = workspace.name === 'default' ? clientId : `${workspace.name}/${clientId}`;
+
+        if (!this.clientStates.has(key)) {
+            const sessionMemory = clientId === 'default'
+                ? workspace.sessionMemory
+                : new SessionMemory(workspace.dataDir, workspace.root, this.telemetryManager, {
+                    memoryDir: path.join(workspace.dataDir, '.memory', 'clients', clientId.replace(/[^\w.-]/g, '_'))
+                });
+
+            this.clientStates.set(key, {
+                sessionMemory,
+                recentActions: key === 'default' ? this.sharedRecentActions : []
+            });
+        }
+        return this.clientStates.get(key);
+    }
+
+    /**
+     * Request context fields for a newly admitted proxy request
+     */
+    createProxyRequestState(clientId, workspace = this.workspaceRegistry.get('default')) {
+        const clientState = this.getClientState(clientId, workspace);
+        return {
+            workspace,
+            sessionMemory: clientState.sessionMemory,
+            recentActions: clientState.recentActions.slice(-this.maxRecentActions),
+            clientState,
+            model: null,
+            pendingEdit: null
+        };
+    }
+
+    /**
+     * Edit controller, session memory, file index and data directory for a registered workspace
+     * The default workspace reuses the instance's own state so the interactive chat sees the same edits
+     */
+    createWorkspaceState(name, root) {
+        if (name === 'default') {
+            return {
+                dataDir: this.defaultDataDir,
+                editController: this.defaultEditController,
+                sessionMemory: this.defaultSessionMemory,
+                index: this.defaultWorkspaceIndex,
+                symbols: this.defaultSymbolIndex,
+                semantic: this.defaultSemanticIndex,
+                lsp: this.defaultLsp
+            };
+        }
+
+        const dataDir = this.getDataDirectory(root);
+        const index = new WorkspaceIndex(root);
+        const editController = new EditVersionController(root, dataDir);
+        return {
+            dataDir,
+            editController,
+            sessionMemory: new SessionMemory(dataDir, root, this.telemetryManager),
+            index,
+            symbols: new SymbolIndex(index),
+            semantic: this.createSemanticIndex(index, editController, dataDir),
+            lsp: this.createLspManager(root, editController)
+        };
+    }
+
+    /**
+     * Embedding index of a workspace, chunked by its edit controller and stored in its data directory
+     */
+    createSemanticIndex(workspaceIndex, editController, dataDir) {
+        return new SemanticIndex({ workspaceIndex, editController, dataDir, embedder: this.embedder });
+    }
+
+    /**
+     * Language servers for a workspace, hooked into its edit controller so applied edits are
+     * checked against the servers' diagnostics
+     */
+    createLspManager(root, editController) {
+        const lsp = new LspManager(root, this.lspConfig, {
+            timeoutMs: (parseInt(process.env.JACK_LSP_TIMEOUT, 10) || 30) * 1000,
+            clientInfo: { name: 'ollama-jack', version: require('./package.json').version }
+        });
+        editController.onEditsApplied = (edits, files) => this.checkAppliedDiagnostics(lsp, root, edits, files);
+        return lsp;
+    }
+
+    /**
+     * Stop the language servers of every workspace
+     */
+    closeLanguageServers() {
+        for (const workspace of this.workspaceRegistry.workspaces.values()) {
+            if (workspace.lsp) workspace.lsp.closeAll();
+        }
+    }
+
+    /**
+     * Release telemetry, external MCP servers and language servers before the process exits
+     */
+    cleanup() {
+        if (this.telemetryManager && typeof this.telemetryManager.cleanup === 'function') {
+            this.telemetryManager.cleanup();
+        }
+        if (this.mcpClients) {
+            this.mcpClients.closeAll();
+        }
+        if (this.workspaceRegistry) {
+            this.closeLanguageServers();
+        }
+    }
+
+    /**
+     * Register an additional workspace and discover its structure
+     * @throws {Error} On invalid or duplicate names and missing directories
+     */
+    registerWorkspace(name, root) {
+        const workspace = this.workspaceRegistry.register(name, root);
+        logger.info(`Workspace '${name}' registered: ${workspace.root}`);
+        runWithContext({ workspace }, () => this.performInitialWorkspaceDiscovery());
+        return workspace;
+    }
+
+    /**
+     * Parse "undo"/"redo" arguments: a count, an edit id, and --force
+     */
+    parseUndoArgs(args) {
+        const options = { count: 1, editId: null, force: false };
+        for (const arg of args) {
+            if (arg === '--force') {
+                options.force = true;
+            } else if (/^\d+$/.test(arg)) {
+                options.count = Math.max(1, parseInt(arg, 10));
+            } else if (arg) {
+                options.editId = arg;
+            }
+        }
+        return options;
+    }
+
     /**
      * Track recent actions for alignment prerequisite checking
      */
     trackAction(toolName, params, result) {
-        this.recentActions.push({
+        const action = {
             tool: toolName,
             params: params,
             result: result,
             timestamp: Date.now()
-        });
+        };
+        this.recentActions.push(action);
 
         // Keep only recent actions
         if (this.recentActions.length > this.maxRecentActions) {
             this.recentActions.shift(); // Remove oldest
         }
+
+        // Proxy requests also feed their client's history for follow-up requests
+        const clientState = getRequestContext()?.clientState;
+        if (clientState && clientState.recentActions !== this.recentActions) {
+            clientState.recentActions.push(action);
+            if (clientState.recentActions.length > this.maxRecentActions) {
+                clientState.recentActions.shift();
+            }
+        }
     }
 
     /**
@@ -800,7 +1177,7 @@ class OllamaJack {
         }
         
         // Fix common path issues for file operations
-        const fileOps = ['read_file', 'write_file', 'show_file_diff', 'grep_search'];
+        const fileOps = ['read_file', 'write_file', 'show_file_diff', 'grep_search', 'file_outline', 'lsp_diagnostics', 'lsp_hover', 'lsp_definition', 'lsp_rename', 'git_blame'];
         if (fileOps.includes(toolName) && args.filePath) {
             // Convert Linux-style paths to relative paths
             if (args.filePath.startsWith('/home/') || args.filePath.startsWith('/usr/')) {
@@ -847,12 +1224,13 @@ class OllamaJack {
     // Auto-discover workspace structure to help AI understand the project
     async performInitialWorkspaceDiscovery() {
         try {
-            const fs = require('fs').promises;
-            
-            // Get top-level files and directories
-            const entries = await fs.readdir(this.workspaceRoot, { withFileTypes: true });
-            const files = entries.filter(e => e.isFile()).map(e => e.name).slice(0, 10); // Limit to 10 files
-            const dirs = entries.filter(e => e.isDirectory()).map(e => e.name).slice(0, 5); // Limit to 5 dirs
+            // Building the index here means the first search does not pay for the walk
+            const index = await this.workspaceIndex.ready();
+
+            // Get top-level files and directories (ignored ones such as node_modules are left out)
+            const entries = index.listDirectory('') || [];
+            const files = entries.filter(e => e.type === 'file').map(e => e.name).slice(0, 10); // Limit to 10 files
+            const dirs = entries.filter(e => e.type === 'directory').map(e => e.name).slice(0, 5); // Limit to 5 dirs
             
             // Look for key project files
             const keyFiles = ['package.json', 'README.md', 'requirements.txt', '.gitignore', 'Dockerfile'];
@@ -863,6 +1241,7 @@ class OllamaJack {
                 files: files,
                 directories: dirs,
                 keyFiles: foundKeyFiles,
+                totalFiles: index.stats().files,
                 discoveredAt: new Date().toISOString()
             };
             
@@ -870,7 +1249,7 @@ class OllamaJack {
             this.sessionMemory.context.workspace.structure = workspaceInfo;
             this.sessionMemory.saveSession();
             
-            logger.debug(`Discovered ${files.length} files, ${dirs.length} directories`);
+            logger.debug(`Discovered ${files.length} files, ${dirs.length} directories (${index.stats().files} files indexed)`);
             if (foundKeyFiles.length > 0) {
                 logger.info(`Key files found: ${foundKeyFiles.join(', ')}`);
             }
@@ -1109,6 +1488,162 @@ class OllamaJack {
             res.header('Access-Control-Allow-Methods', '*');
             next();
         });
+
+        // Bearer-token auth with per-key scopes (off unless JACK_API_KEYS is set)
+        try {
+            this.apiAuth = new ApiAuth();
+        } catch (error) {
+            console.log(`\x1b[91m[FATAL] ${error.message}\x1b[0m`);
+            process.exit(1);
+        }
+        this.app.use(this.apiAuth.middleware());
+        if (this.apiAuth.enabled) {
+            logger.info(`API key authentication enabled (${this.apiAuth.keys.length} key${this.apiAuth.keys.length === 1 ? '' : 's'})`);
+        }
+
+        // Workspace selection - X-Jack-Workspace header or a "model@workspace" suffix
+        this.app.all(WORKSPACE_ROUTES, (req, res, next) => {
+            const { workspace, error } = this.workspaceRegistry.resolve(req);
+            if (error) {
+                return res.status(400).json({ error: 'Unknown workspace', details: error });
+            }
+            req.jackWorkspace = workspace;
+            runWithContext({ workspace }, () => next());
+        });
+
+        // Concurrency limit, fair per-client queues and rate limits for the model/tool loop (see scheduled())
+        this.requestScheduler = RequestScheduler.fromEnv();
+    }
+
+    /**
+     * Route handler admitted through the request scheduler - the proxy routes and MCP over HTTP,
+     * which run the model and tool loop. The slot is held until the handler settles.
+     */
+    scheduled(handler) {
+        return this.requestScheduler.wrap(
+            handler,
+            (req) => this.getProxyClient(req),
+            (req, clientId) => this.createProxyRequestState(clientId, req.jackWorkspace)
+        );
+    }
+
+    /**
+     * MCP server exposing Jack's tools to MCP-capable editors (stdio or /mcp over HTTP)
+     * Calls run through executeTool, so alignment checks and edit approval still apply
+     */
+    setupMcpServer() {
+        const version = require('./package.json').version;
+
+        this.mcpServer = new McpServer({
+            name: 'ollama-jack',
+            version,
+            listTools: (session) => [
+                ...(session.toolPolicy ? session.toolPolicy.filterTools(this.tools) : this.tools),
+                ...(session.canReview ? this.getMcpReviewTools() : [])
+            ],
+            callTool: (name, args, session) => this.executeMcpToolCall(name, args, session)
+        });
+
+        // External MCP servers whose tools Jack's model may call (connected in start())
+        this.mcpClients = new McpClientManager(McpClientManager.loadConfig(jackProjectRoot), {
+            timeoutMs: (parseInt(process.env.JACK_MCP_TIMEOUT, 10) || 60) * 1000,
+            clientInfo: { name: 'ollama-jack', version }
+        });
+    }
+
+    /**
+     * Connect the configured MCP servers and merge their tools into Jack's tool set
+     */
+    async connectMcpServers() {
+        if (this.mcpClients.clients.size === 0) return;
+
+        const mcpTools = await this.mcpClients.connectAll();
+        this.tools.push(...mcpTools);
+        if (mcpTools.length > 0) {
+            logger.info(`${mcpTools.length} MCP tool${mcpTools.length === 1 ? '' : 's'} added to Jack's tool set`);
+        }
+    }
+
+    /**
+     * MCP-only tools for deciding on proposed edits - an MCP client (stdio in particular) has no
+     * other way to accept what Jack's tools proposed. Offered to sessions that may review edits.
+     */
+    getMcpReviewTools() {
+        return [
+            {
+                type: "function",
+                function: {
+                    name: "list_pending_edits",
+                    description: "List edits and commands proposed by Jack's tools that are waiting for a decision, with their diffs",
+                    parameters: {
+                        type: "object",
+                        properties: {},
+                        additionalProperties: false
+                    }
+                }
+            },
+            {
+                type: "function",
+                function: {
+                    name: "review_edit",
+                    description: "Accept (apply) or reject a pending edit by the editId a tool returned - only after the user approved the decision",
+                    parameters: {
+                        type: "object",
+                        properties: {
+                            editId: { type: "string", description: "Id of the pending edit (e.g., 'edit_1712345678901_3')" },
+                            action: { type: "string", enum: ["accept", "reject"], description: "Apply the edit or discard it" },
+                            hunks: { type: "string", description: "Only these hunks, e.g. '1,3-4' (optional)" },
+                            reason: { type: "string", description: "Why the edit is rejected (optional)" },
+                            resolution: { type: "string", enum: ["markers", "overwrite"], description: "How to apply an edit whose file changed on disk (optional)" }
+                        },
+                        required: ["editId", "action"],
+                        additionalProperties: false
+                    }
+                }
+            }
+        ];
+    }
+
+    /**
+     * Run one MCP tools/call in the session's workspace
+     */
+    async executeMcpToolCall(name, args, session) {
+        const workspace = session.workspace || this.workspaceRegistry.get('default');
+
+        if (session.canReview && ['list_pending_edits', 'review_edit'].includes(name)) {
+            return runWithContext({ workspace, clientId: `mcp.${session.id}` }, async () => {
+                if (name === 'list_pending_edits') {
+                    return { success: true, pending: this.editController.listPendingEdits() };
+                }
+                if (!['accept', 'reject'].includes(args.action)) {
+                    return { success: false, error: `Unknown review action: ${args.action} (expected accept or reject)` };
+                }
+                const { body } = await this.reviewEdit(args.editId, args.action, args);
+                logger.info(`MCP review: ${args.action} ${args.editId} → ${body.success ? body.decision : body.error}`);
+                return body;
+            });
+        }
+
+        if (session.toolPolicy && !session.toolPolicy.allows(name)) {
+            logger.warn(`MCP tool call refused by policy (${session.toolPolicy.describe()}): ${name}`);
+            return {
+                error: `Tool '${name}' is not permitted for this MCP session (tool policy: ${session.toolPolicy.describe()})`,
+                success: false,
+                blocked: true,
+                tool: name
+            };
+        }
+
+        return runWithContext({ workspace, clientId: `mcp.${session.id}` }, async () => {
+            const result = await this.executeTool({ function: { name, arguments: args } });
+            console.log(`[MCP] ${name}:`, result);
+
+            // Nobody answers the [1]/[2]/[3] prompt for an MCP client - point it at review_edit
+            if (session.canReview && result && result.editId && this.editController.pendingEdits.has(result.editId)) {
+                result.review = `Pending until decided: call review_edit with {"editId": "${result.editId}", "action": "accept"} or "reject" once the user approves`;
+            }
+            return result;
+        });
     }
 
     setupTools() {
@@ -1197,11 +1732,58 @@ class OllamaJack {
                     }
                 }
             },
+            {
+                type: "function",
+                function: {
+                    name: "multi_edit",
+                    description: "Make several exact string replacements - in one file or across files - as ONE edit the user reviews once (e.g. rename a function and its call sites). Replacements run in order, each against the result of the previous ones, and each oldString must match exactly once unless replaceAll is set. REQUIRES recent read_file of every file (within 60 seconds). All changes apply together or not at all.",
+                    parameters: {
+                        type: "object",
+                        properties: {
+                            filePath: { type: "string", description: "Default file for entries that do not name one" },
+                            edits: {
+                                type: "array",
+                                description: "Ordered replacements",
+                                minItems: 1,
+                                items: {
+                                    type: "object",
+                                    properties: {
+                                        filePath: { type: "string", description: "File to edit (defaults to the top-level filePath)" },
+                                        oldString: { type: "string", description: "Exact string to find (including whitespace)" },
+                                        newString: { type: "string", description: "Replacement string" },
+                                        replaceAll: { type: "boolean", description: "Replace every occurrence instead of requiring a unique match", default: false }
+                                    },
+                                    required: ["oldString", "newString"],
+                                    additionalProperties: false
+                                }
+                            }
+                        },
+                        required: ["edits"],
+                        additionalProperties: false
+                    }
+                }
+            },
+            {
+                type: "function",
+                function: {
+                    name: "apply_patch",
+                    description: "Apply a patch - a unified diff (---/+++ headers, @@ hunks) or a V4A patch (*** Begin Patch / *** Update File: / *** Add File: / *** End Patch) - as ONE edit the user reviews. Hunks are located by their context lines, so line numbers may be approximate; whitespace differences and up to `fuzz` mismatched context lines at each hunk edge are tolerated. Can update and create files, not delete or rename them.",
+                    parameters: {
+                        type: "object",
+                        properties: {
+                            patch: { type: "string", description: "The patch text" },
+                            fuzz: { type: "integer", description: "Context lines that may be ignored at each end of a hunk when it does not match exactly (default: 2, 0 = context must match)", minimum: 0 }
+                        },
+                        required: ["patch"],
+                        additionalProperties: false
+                    }
+                }
+            },
             {
                 type: "function",
                 function: {
                     name: "list_directory",
-                    description: "List files and directories in the workspace",
+                    description: "List files and directories in the workspace (entries matched by .gitignore/.jackignore are hidden unless you list an ignored directory itself)",
                     parameters: {
                         type: "object",
                         properties: {
@@ -1216,7 +1798,7 @@ class OllamaJack {
                 type: "function",
                 function: {
                     name: "search_code",
-                    description: "Search for code patterns across the workspace",
+                    description: "Search for code patterns across the workspace (skips .gitignore'd and binary files)",
                     parameters: {
                         type: "object",
                         properties: {
@@ -1244,7 +1826,7 @@ class OllamaJack {
                             contextLines: { type: "integer", description: "Number of context lines before/after matches (default: 0)" },
                             maxResults: { type: "integer", description: "Maximum number of results to return (default: 100)" },
                             fileTypes: { type: "array", items: { type: "string" }, description: "File extensions to include (e.g., ['.js', '.html', '.css'])" },
-                            excludePatterns: { type: "array", items: { type: "string" }, description: "File/directory patterns to exclude (e.g., ['node_modules', '.git'])" }
+                            excludePatterns: { type: "array", items: { type: "string" }, description: "Extra file/directory patterns to exclude (e.g., ['dist', '*.min.js']); .gitignore'd files are never searched" }
                         },
                         required: ["pattern"],
                         additionalProperties: false
@@ -1254,15 +1836,17 @@ class OllamaJack {
             {
                 type: "function",
                 function: {
-                    name: "git_operations",
-                    description: "Perform git operations in the workspace",
+                    name: "find_definition",
+                    description: "Find where a function, class, method, variable, type or interface is defined (JavaScript, TypeScript, Python). Returns kind, file, line range and enclosing scope - use instead of grepping for 'function name'",
                     parameters: {
                         type: "object",
                         properties: {
-                            operation: { type: "string", enum: ["status", "add", "commit", "push", "pull", "branch", "log"] },
-                            args: { type: "array", items: { type: "string" }, description: "Additional arguments" }
+                            symbol: { type: "string", description: "Symbol name, optionally qualified (e.g., 'searchCode' or 'OllamaJack.searchCode')" },
+                            kind: { type: "string", enum: ["function", "class", "method", "constructor", "getter", "setter", "property", "variable", "constant", "interface", "type", "enum", "enumMember", "namespace"], description: "Only definitions of this kind (optional)" },
+                            path: { type: "string", description: "Only search this file or directory (optional)" },
+                            maxResults: { type: "integer", description: "Maximum number of definitions to return (default: 20)" }
                         },
-                        required: ["operation"],
+                        required: ["symbol"],
                         additionalProperties: false
                     }
                 }
@@ -1270,15 +1854,17 @@ class OllamaJack {
             {
                 type: "function",
                 function: {
-                    name: "web_search",
-                    description: "Search the web for information using Ollama Cloud's web search API",
+                    name: "find_references",
+                    description: "Find every use of a symbol (JavaScript, TypeScript, Python), skipping comments and strings. Each result says whether it is the definition, an import or a reference and which function/class it is in. Matching is by name, not by type",
                     parameters: {
                         type: "object",
                         properties: {
-                            query: { type: "string", description: "Search query string" },
-                            max_results: { type: "integer", description: "Maximum results to return (default 5, max 10)", minimum: 1, maximum: 10 }
+                            symbol: { type: "string", description: "Symbol name (a qualified name like 'Class.method' matches uses of 'method')" },
+                            path: { type: "string", description: "Only search this file or directory (optional)" },
+                            includeDefinitions: { type: "boolean", description: "Include the definitions themselves (default: true)" },
+                            maxResults: { type: "integer", description: "Maximum number of references to return (default: 100)" }
                         },
-                        required: ["query"],
+                        required: ["symbol"],
                         additionalProperties: false
                     }
                 }
@@ -1286,14 +1872,143 @@ class OllamaJack {
             {
                 type: "function",
                 function: {
-                    name: "web_fetch",
-                    description: "Fetch content from a specific web page URL using Ollama Cloud's web fetch API",
+                    name: "file_outline",
+                    description: "Outline of a JavaScript, TypeScript or Python file: classes, functions, methods, variables and types with kinds and line ranges, nested by scope",
                     parameters: {
                         type: "object",
                         properties: {
-                            url: { type: "string", description: "URL to fetch content from" }
+                            filePath: { type: "string", description: "Path to file" }
                         },
-                        required: ["url"],
+                        required: ["filePath"],
+                        additionalProperties: false
+                    }
+                }
+            },
+            {
+                type: "function",
+                function: {
+                    name: "git_status",
+                    description: "Git status of the workspace as JSON: branch, upstream, ahead/behind and each changed file's index and working tree state (staged, unstaged, untracked, conflicted)",
+                    parameters: {
+                        type: "object",
+                        properties: {},
+                        additionalProperties: false
+                    }
+                }
+            },
+            {
+                type: "function",
+                function: {
+                    name: "git_diff",
+                    description: "Git diff as JSON with per-file hunks (old/new line ranges and +/- lines). Default: unstaged changes; staged: true for the index; ref to compare with a commit or a range like main..feature",
+                    parameters: {
+                        type: "object",
+                        properties: {
+                            staged: { type: "boolean", description: "Diff the index (what would be committed) against HEAD" },
+                            ref: { type: "string", description: "Commit, branch or range to diff against (e.g. HEAD~1, main..feature)" },
+                            paths: { type: "array", items: { type: "string" }, description: "Limit the diff to these files or directories" },
+                            contextLines: { type: "integer", description: "Unchanged lines around each change (default 3)", minimum: 0, maximum: 20 }
+                        },
+                        additionalProperties: false
+                    }
+                }
+            },
+            {
+                type: "function",
+                function: {
+                    name: "git_log",
+                    description: "Git history as JSON: hash, author, date, subject, body and changed files per commit, newest first",
+                    parameters: {
+                        type: "object",
+                        properties: {
+                            maxCount: { type: "integer", description: "Commits to return (default 20, max 200)", minimum: 1, maximum: 200 },
+                            ref: { type: "string", description: "Branch, commit or range to list (default HEAD)" },
+                            path: { type: "string", description: "Only commits touching this file or directory" },
+                            author: { type: "string", description: "Only commits whose author matches" },
+                            since: { type: "string", description: "Only commits after this date (e.g. 2024-01-31, '2 weeks ago')" },
+                            grep: { type: "string", description: "Only commits whose message matches (case-insensitive)" }
+                        },
+                        additionalProperties: false
+                    }
+                }
+            },
+            {
+                type: "function",
+                function: {
+                    name: "git_blame",
+                    description: "Who last changed each line in a range of a file: commit, author, date and commit summary per line",
+                    parameters: {
+                        type: "object",
+                        properties: {
+                            filePath: { type: "string", description: "Path to file" },
+                            startLine: { type: "integer", description: "First line (1-based)", minimum: 1 },
+                            endLine: { type: "integer", description: "Last line (inclusive, default startLine + 49)", minimum: 1 },
+                            ref: { type: "string", description: "Blame the file as of this commit (default: working tree)" }
+                        },
+                        required: ["filePath", "startLine"],
+                        additionalProperties: false
+                    }
+                }
+            },
+            {
+                type: "function",
+                function: {
+                    name: "git_commit",
+                    description: "Propose a git commit for review. Shows the files it includes and a generated message preview; pass message to use your own. Commits what is staged, the given paths, or every tracked change with all: true",
+                    parameters: {
+                        type: "object",
+                        properties: {
+                            message: { type: "string", description: "Commit message (default: generated from the changes)" },
+                            paths: { type: "array", items: { type: "string" }, description: "Commit exactly these files (untracked ones are added)" },
+                            all: { type: "boolean", description: "Commit every tracked change, like git commit -a" }
+                        },
+                        additionalProperties: false
+                    }
+                }
+            },
+            {
+                type: "function",
+                function: {
+                    name: "git_operations",
+                    description: "Run other git commands in the workspace (add, push, pull, branch, checkout, stash, ...). Prefer git_status, git_diff, git_log, git_blame and git_commit where they fit. Arguments reach git directly, not through a shell: no pipes, redirects or && chains. Destructive commands (reset --hard, push --force, clean -f, ...) always need user approval",
+                    parameters: {
+                        type: "object",
+                        properties: {
+                            operation: { type: "string", enum: GIT_OPERATIONS },
+                            args: { type: "array", items: { type: "string" }, description: "Additional arguments, one per item (e.g. [\"-m\", \"Fix parser\"]); options such as \"--oneline -5\" are split on spaces, quotes respected" }
+                        },
+                        required: ["operation"],
+                        additionalProperties: false
+                    }
+                }
+            },
+            {
+                type: "function",
+                function: {
+                    name: "web_search",
+                    description: "Search the web for information using Ollama Cloud's web search API",
+                    parameters: {
+                        type: "object",
+                        properties: {
+                            query: { type: "string", description: "Search query string" },
+                            max_results: { type: "integer", description: "Maximum results to return (default 5, max 10)", minimum: 1, maximum: 10 }
+                        },
+                        required: ["query"],
+                        additionalProperties: false
+                    }
+                }
+            },
+            {
+                type: "function",
+                function: {
+                    name: "web_fetch",
+                    description: "Fetch content from a specific web page URL using Ollama Cloud's web fetch API",
+                    parameters: {
+                        type: "object",
+                        properties: {
+                            url: { type: "string", description: "URL to fetch content from" }
+                        },
+                        required: ["url"],
                         additionalProperties: false
                     }
                 }
@@ -1666,6 +2381,103 @@ class OllamaJack {
                 }
             }
         ];
+
+        if (process.env.JACK_SEMANTIC_SEARCH !== 'false') {
+            this.tools.push({
+                type: "function",
+                function: {
+                    name: "semantic_search",
+                    description: "Find code by meaning rather than by name - e.g. 'where do we handle retries?' or 'validation of uploaded files'. Ranks chunks of workspace files by embedding similarity (local Ollama embedding model) and returns file, line range, score and a preview. Use grep_search or find_definition when you know the identifier",
+                    parameters: {
+                        type: "object",
+                        properties: {
+                            query: { type: "string", description: "What the code does, in plain words" },
+                            maxResults: { type: "integer", description: "Maximum number of chunks to return (default: 8, max 30)", minimum: 1, maximum: 30 },
+                            path: { type: "string", description: "Only search this directory (optional)" },
+                            fileTypes: { type: "array", items: { type: "string" }, description: "File extensions to include (e.g., ['.js', '.py'])" }
+                        },
+                        required: ["query"],
+                        additionalProperties: false
+                    }
+                }
+            });
+        }
+
+        if (this.lspConfig.auto || Object.keys(this.lspConfig.servers).length > 0) {
+            this.tools.push(...this.getLspTools());
+        }
+    }
+
+    /**
+     * Tools backed by language servers - only offered when JACK_LSP=auto or servers are configured
+     */
+    getLspTools() {
+        const position = {
+            filePath: { type: "string", description: "Path to file" },
+            line: { type: "integer", description: "Line number (1-based)" },
+            symbol: { type: "string", description: "Name on that line to point at (e.g., 'getUser')" },
+            column: { type: "integer", description: "Column (0-based) instead of symbol" }
+        };
+
+        return [
+            {
+                type: "function",
+                function: {
+                    name: "lsp_diagnostics",
+                    description: "Compiler/type-checker errors and warnings for a file from its language server (e.g., TypeScript, Pyright) - exact, unlike grepping linter output",
+                    parameters: {
+                        type: "object",
+                        properties: {
+                            filePath: { type: "string", description: "Path to file" }
+                        },
+                        required: ["filePath"],
+                        additionalProperties: false
+                    }
+                }
+            },
+            {
+                type: "function",
+                function: {
+                    name: "lsp_hover",
+                    description: "Type signature and documentation of the symbol at a position, from the language server",
+                    parameters: {
+                        type: "object",
+                        properties: position,
+                        required: ["filePath", "line"],
+                        additionalProperties: false
+                    }
+                }
+            },
+            {
+                type: "function",
+                function: {
+                    name: "lsp_definition",
+                    description: "Go to definition: where the symbol at a position is defined, resolved by the language server (follows imports and types)",
+                    parameters: {
+                        type: "object",
+                        properties: position,
+                        required: ["filePath", "line"],
+                        additionalProperties: false
+                    }
+                }
+            },
+            {
+                type: "function",
+                function: {
+                    name: "lsp_rename",
+                    description: "Rename the symbol at a position everywhere it is used, as computed by the language server. Proposes one edit covering every changed file for review",
+                    parameters: {
+                        type: "object",
+                        properties: {
+                            ...position,
+                            newName: { type: "string", description: "New name for the symbol" }
+                        },
+                        required: ["filePath", "line", "newName"],
+                        additionalProperties: false
+                    }
+                }
+            }
+        ];
     }
 
     async executeTool(toolCall, useVersioning = true) {
@@ -1687,6 +2499,7 @@ class OllamaJack {
 
         // 🎯 UNIVERSAL TOOL CALL VALIDATION (applies to ALL tools except commentary)
         // This is the FIRST line of defense before any tool executes
+        let toolRiskLevel = null; // feeds auto-accept rules with maxRisk
         if (toolName !== 'commentary' && toolName !== 'constrain' && !toolName.includes('canvas')) {
             try {
                 const toolAlignment = await this.alignmentEngine.validate('tool_call', {
@@ -1711,6 +2524,7 @@ class OllamaJack {
                     };
                 }
 
+                toolRiskLevel = toolAlignment.riskLevel;
                 logger.debug(`Tool alignment passed: ${toolName} (${toolAlignment.overallConfidence}% confidence)`);
             } catch (alignmentError) {
                 logger.error('Tool alignment validation error:', alignmentError);
@@ -1737,10 +2551,10 @@ class OllamaJack {
         }
         
         // Operations that modify state should use versioning
-        const modifyingOps = ['execute_terminal_command', 'write_file', 'git_operations', 'start_repl'];
+        const modifyingOps = ['execute_terminal_command', 'write_file', 'git_operations', 'git_commit', 'start_repl'];
         
         if (useVersioning && modifyingOps.includes(toolName)) {
-            return await this.executeVersionedTool(toolCall);
+            return await this.applyAutoAcceptPolicy(await this.executeVersionedTool(toolCall), toolRiskLevel);
         }
         
         // Smart tool argument preprocessing and validation
@@ -1774,6 +2588,16 @@ class OllamaJack {
                     });
                     break;
 
+                case 'multi_edit':
+                    // Several exact replacements, possibly across files, reviewed as one edit
+                    result = await this.proposeMultiEdit(args.edits, args.filePath);
+                    break;
+
+                case 'apply_patch':
+                    // Unified diff or V4A patch, hunks located fuzzily, reviewed as one edit
+                    result = await this.proposePatch(args.patch, args.fuzz);
+                    break;
+
                 case 'write_file':
                     // 🎯 FILE OPERATION ALIGNMENT - Validate write operations
                     try {
@@ -1817,10 +2641,62 @@ class OllamaJack {
                 case 'grep_search':
                     result = await this.grepSearch(args);
                     break;
+
+                case 'find_definition':
+                    result = await this.findDefinition(args);
+                    break;
+
+                case 'find_references':
+                    result = await this.findReferences(args);
+                    break;
+
+                case 'file_outline':
+                    result = await this.fileOutline(args.filePath);
+                    break;
+
+                case 'semantic_search':
+                    result = await this.semanticSearch(args);
+                    break;
+
+                case 'lsp_diagnostics':
+                    result = await this.lspDiagnostics(args.filePath);
+                    break;
+
+                case 'lsp_hover':
+                    result = await this.lspHover(args);
+                    break;
+
+                case 'lsp_definition':
+                    result = await this.lspDefinition(args);
+                    break;
+
+                case 'lsp_rename':
+                    result = await this.lspRename(args);
+                    break;
                     
+                case 'git_status':
+                    result = await this.gitStatus();
+                    break;
+
+                case 'git_diff':
+                    result = await this.gitDiff(args);
+                    break;
+
+                case 'git_log':
+                    result = await this.gitLog(args);
+                    break;
+
+                case 'git_blame':
+                    result = await this.gitBlame(args);
+                    break;
+
                 case 'git_operations':
                     result = await this.gitOperation(args.operation, args.args);
                     break;
+
+                case 'git_commit':
+                    result = await this.gitCommit(args);
+                    break;
                     
                 case 'web_search':
                     result = await this.webSearch(args.query, args.max_results);
@@ -2011,8 +2887,15 @@ class OllamaJack {
                     break;
                     
                 default:
-                    result = { error: `Unknown tool: ${toolName}` };
+                    if (this.mcpClients.hasTool(toolName)) {
+                        // Tools merged in from external MCP servers
+                        result = await this.mcpClients.callTool(toolName, args);
+                    } else {
+                        result = { error: `Unknown tool: ${toolName}` };
+                    }
             }
+
+            result = await this.applyAutoAcceptPolicy(result, toolRiskLevel);
             
             if (commentaryChannel) {
                 let content = args.commentary || `Mental commentary during ${toolName}`;
@@ -2094,32 +2977,91 @@ class OllamaJack {
                     args.content
                 );
                 break;
-            case 'execute_terminal_command':
+            case 'execute_terminal_command': {
                 operation = {
                     type: 'execute_command',
                     command: args.command,
                     cwd: args.cwd || this.workspaceRoot
                 };
+                const commandClassification = classifyShellCommand(args.command);
+                if (commandClassification.destructive) {
+                    operation.destructive = { reasons: commandClassification.reasons };
+                }
                 verboseContext = this.sessionMemory.getVerboseEditContext(
                     'execute_command',
                     `terminal: ${args.command}`,
                     `Working directory: ${args.cwd || this.workspaceRoot}`
                 );
                 break;
-            case 'git_operations':
+            }
+            case 'git_operations': {
+                let argv;
+                try {
+                    argv = gitArgv(args.operation, args.args || []);
+                } catch (error) {
+                    console.log(`❌ GIT_OPERATIONS ERROR: ${error.message}`);
+                    return { success: false, error: error.message, operation: 'git_operations' };
+                }
+                const [subcommand, ...gitArgs] = argv;
+                operation = {
+                    type: 'git_operation',
+                    operation: subcommand,
+                    args: gitArgs
+                };
+                const classification = classifyGitCommand(argv);
+                if (classification.destructive) {
+                    operation.destructive = { reasons: classification.reasons };
+                }
+                verboseContext = this.sessionMemory.getVerboseEditContext(
+                    'git_operation',
+                    `git ${subcommand}`,
+                    JSON.stringify(gitArgs)
+                );
+                break;
+            }
+            case 'git_commit': {
+                let commit;
+                try {
+                    commit = await this.prepareGitCommit(args);
+                } catch (error) {
+                    console.log(`❌ GIT_COMMIT ERROR: ${error.message}`);
+                    return { success: false, error: error.message, operation: 'git_commit' };
+                }
                 operation = {
                     type: 'git_operation',
-                    operation: args.operation,
-                    args: args.args
+                    operation: 'commit',
+                    args: commit.args,
+                    stage: commit.stage,
+                    preview: commit.preview
                 };
                 verboseContext = this.sessionMemory.getVerboseEditContext(
                     'git_operation',
-                    `git ${args.operation}`,
-                    JSON.stringify(args.args)
+                    'git commit',
+                    commit.preview.message
                 );
                 break;
+            }
         }
-        
+
+        // 🧩 SYNTAX VALIDATION - writes that would stop a file from parsing never reach review
+        if (operation.type === 'write_file') {
+            const before = await this.editController.undoStack.readFile(operation.filePath);
+            const syntaxAlignment = await this.alignmentEngine.validate('syntax_validation', {
+                filePath: operation.filePath,
+                before,
+                after: operation.mode === 'append' ? (before || '') + operation.content : operation.content,
+                workspaceRoot: this.workspaceRoot
+            });
+            if (!syntaxAlignment.allSystemsGo) {
+                logger.warn(`File write blocked by syntax validation: ${operation.filePath}`);
+                return {
+                    success: false,
+                    error: `File operation blocked - content does not parse:\n${syntaxAlignment.failureReport}`,
+                    operation: 'write_file'
+                };
+            }
+        }
+
         // Add verbose context to operation
         operation.verboseContext = verboseContext;
         operation.sessionContext = this.sessionMemory.getContextForAI();
@@ -2128,16 +3070,7 @@ class OllamaJack {
         const editId = await this.editController.proposeEdit(operation);
 
         // FEEDBACK LOOP: Check if there's a pending decision about this or previous edit
-        const decision = this.lastEditDecision;
-        const decisionInfo = decision ? {
-            lastEditDecision: {
-                decision: decision.decision, // accepted/rejected/refactored
-                success: decision.success,
-                reason: decision.reason || null,
-                userFeedback: decision.userFeedback || null,
-                editId: decision.editId
-            }
-        } : {};
+        const decisionInfo = this.describeLastEditDecision();
 
         return {
             editProposed: true,
@@ -2587,16 +3520,7 @@ class OllamaJack {
             const editId = await this.editController.proposeEditSurgical(filePath, oldString, newString, options);
 
             // Check for previous edit decision feedback
-            const decision = this.lastEditDecision;
-            const decisionInfo = decision ? {
-                lastEditDecision: {
-                    decision: decision.decision,
-                    success: decision.success,
-                    reason: decision.reason || null,
-                    userFeedback: decision.userFeedback || null,
-                    editId: decision.editId
-                }
-            } : {};
+            const decisionInfo = this.describeLastEditDecision();
 
             return {
                 success: true,
@@ -2622,36 +3546,185 @@ class OllamaJack {
         }
     }
 
-    async listDirectory(dirPath = '') {
-        const startTime = Date.now();
+    /**
+     * Multi-edit wrapper - proposes several exact string replacements as one edit
+     * The edit controller reads each file from disk and applies the replacements; every replacement
+     * then goes through the alignment engine's surgical checks (exact match, uniqueness, range, syntax
+     * balance) against that content as the replacements before it leave it, and full syntax validation
+     * runs once per file on the content the edit will write.
+     */
+    async proposeMultiEdit(edits, defaultFilePath) {
+        const pairs = (Array.isArray(edits) ? edits : []).map(pair => ({
+            ...pair,
+            filePath: (pair && pair.filePath) || defaultFilePath
+        }));
+
         try {
-            const fullPath = this.validateWorkspacePath(dirPath);
-            const items = await fs.readdir(fullPath, { withFileTypes: true });
+            if (pairs.length === 0) {
+                throw new Error('multi_edit requires a non-empty edits array');
+            }
 
-            const result = items.map(item => ({
-                name: item.name,
-                type: item.isDirectory() ? 'directory' : 'file',
-                path: path.join(dirPath, item.name)
-            }));
+            const prepared = await this.editController.prepareMultiEdit(pairs);
 
-            const fileCount = result.filter(item => item.type === 'file').length;
-            const dirCount = result.filter(item => item.type === 'directory').length;
-            const listTime = Date.now() - startTime;
+            // filePath -> content after the pairs validated so far, starting from what the controller read
+            const simulated = new Map(prepared.files.map(file => [file.filePath, file.backup]));
+            for (const [index, pair] of pairs.entries()) {
+                const content = simulated.get(pair.filePath);
+                const alignment = await this.alignmentEngine.validate('surgical_edit', {
+                    filePath: pair.filePath,
+                    oldString: pair.oldString,
+                    newString: pair.newString,
+                    options: { replace_all: !!pair.replaceAll, deferSyntax: true },
+                    content,
+                    workspaceRoot: this.workspaceRoot
+                });
 
-            // Update spinner context
-            this.updateSpinnerContext(`Listing directory: ${dirPath || '.'}`);
-            
-            console.log(`📁 LIST_DIR: ${dirPath || '.'}`);
-            console.log(`   📊 Contents: ${result.length} items (${fileCount} files, ${dirCount} dirs)`);
-            console.log(`   ⏱️  List time: ${listTime}ms`);
-            console.log(''); // Add blank line for better spacing
+                if (!alignment.allSystemsGo) {
+                    throw new Error(`Edit ${index + 1} of ${pairs.length} (${pair.filePath}) targeting failed:\n${alignment.failureReport}`);
+                }
 
-            return {
+                simulated.set(pair.filePath, pair.replaceAll
+                    ? content.split(pair.oldString).join(pair.newString)
+                    : content.replace(pair.oldString, () => pair.newString));
+            }
+
+            // Intermediate states may not parse - only each file's final content has to
+            for (const file of prepared.files) {
+                const alignment = await this.alignmentEngine.validate('syntax_validation', {
+                    filePath: file.filePath,
+                    before: file.backup,
+                    after: file.content,
+                    workspaceRoot: this.workspaceRoot
+                });
+                if (!alignment.allSystemsGo) {
+                    throw new Error(`Multi-edit would break ${file.filePath}:\n${alignment.failureReport}`);
+                }
+            }
+
+            const editId = await this.editController.proposeMultiEdit(prepared);
+            const files = prepared.files.map(file => file.filePath);
+
+            const decisionInfo = this.describeLastEditDecision();
+
+            return {
+                success: true,
+                editProposed: true,
+                editId,
+                message: `Multi-edit ${editId} proposed: ${pairs.length} change(s) across ${files.length} file(s)`,
+                operation: 'multi_edit',
+                description: { filePath: files.join(', ') },
+                files,
+                ...decisionInfo
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message,
+                operation: 'multi_edit'
+            };
+        }
+    }
+
+    /**
+     * Patch wrapper - proposes a unified diff or V4A patch as one edit
+     * The context tolerance comes from the tool call, else JACK_PATCH_FUZZ, else 2 lines; every
+     * patched file goes through the same file_operation alignment checks as write_file.
+     */
+    async proposePatch(patch, fuzz) {
+        try {
+            if (typeof patch !== 'string' || !patch.trim()) {
+                throw new Error('apply_patch requires the patch text');
+            }
+
+            const envFuzz = parseInt(process.env.JACK_PATCH_FUZZ, 10);
+            const tolerance = Number.isInteger(fuzz) && fuzz >= 0
+                ? fuzz
+                : (Number.isInteger(envFuzz) && envFuzz >= 0 ? envFuzz : DEFAULT_FUZZ);
+
+            const prepared = await this.editController.preparePatch(patch, { fuzz: tolerance });
+
+            for (const file of prepared.files) {
+                const alignment = await this.alignmentEngine.validate('file_operation', {
+                    filePath: file.filePath,
+                    content: file.content,
+                    mode: 'write',
+                    workspaceRoot: this.workspaceRoot
+                });
+                if (!alignment.allSystemsGo) {
+                    throw new Error(`Patch blocked for safety (${file.filePath}):\n${alignment.failureReport}`);
+                }
+            }
+
+            const editId = await this.editController.proposePatch(prepared);
+            const files = prepared.files.map(file => file.filePath);
+
+            const decisionInfo = this.describeLastEditDecision();
+
+            return {
+                success: true,
+                editProposed: true,
+                editId,
+                message: `Patch ${editId} proposed: ${files.length} file(s)`,
+                operation: 'apply_patch',
+                description: { filePath: files.join(', ') },
+                format: prepared.format,
+                fuzz: tolerance,
+                files: prepared.files.map(file => ({
+                    filePath: file.filePath,
+                    created: file.type === 'add',
+                    hunks: file.hunks
+                })),
+                ...decisionInfo
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message,
+                operation: 'apply_patch'
+            };
+        }
+    }
+
+    async listDirectory(dirPath = '') {
+        const startTime = Date.now();
+        try {
+            const fullPath = this.validateWorkspacePath(dirPath);
+            const index = await this.workspaceIndex.ready();
+            const relativeDir = path.relative(this.workspaceRoot, fullPath);
+
+            // Ignored directories (node_modules, build output) are not in the index - list them from disk when asked for
+            let entries = index.listDirectory(relativeDir);
+            const indexed = entries !== null;
+            if (!indexed) {
+                const items = await fs.readdir(fullPath, { withFileTypes: true });
+                entries = items.map(item => ({ name: item.name, type: item.isDirectory() ? 'directory' : 'file' }));
+            }
+
+            const result = entries.map(item => ({
+                name: item.name,
+                type: item.type,
+                path: path.join(dirPath, item.name)
+            }));
+
+            const fileCount = result.filter(item => item.type === 'file').length;
+            const dirCount = result.filter(item => item.type === 'directory').length;
+            const listTime = Date.now() - startTime;
+
+            // Update spinner context
+            this.updateSpinnerContext(`Listing directory: ${dirPath || '.'}`);
+            
+            console.log(`📁 LIST_DIR: ${dirPath || '.'}${indexed ? '' : ' (ignored directory, read from disk)'}`);
+            console.log(`   📊 Contents: ${result.length} items (${fileCount} files, ${dirCount} dirs)`);
+            console.log(`   ⏱️  List time: ${listTime}ms`);
+            console.log(''); // Add blank line for better spacing
+
+            return {
                 success: true,
                 items: result,
                 totalItems: result.length,
                 fileCount: fileCount,
                 directoryCount: dirCount,
+                indexed: indexed,
                 listTime: listTime
             };
         } catch (error) {
@@ -2962,46 +4035,39 @@ class OllamaJack {
         const results = [];
         let filesSearched = 0;
         let totalLinesSearched = 0;
+        let binarySkipped = 0;
 
-        const searchDir = async (dir) => {
-            const items = await fs.readdir(dir, { withFileTypes: true });
+        const index = await this.workspaceIndex.ready();
+        for (const file of index.files({ extensions: fileTypes })) {
+            let content;
+            try {
+                content = await index.readText(file);
+            } catch (error) {
+                continue; // Skip files that can't be read
+            }
+            if (content === null) {
+                binarySkipped++;
+                continue;
+            }
 
-            for (const item of items) {
-                const fullPath = path.join(dir, item.name);
+            const lines = content.split('\n');
+            filesSearched++;
+            totalLinesSearched += lines.length;
 
-                if (item.isDirectory() && !item.name.startsWith('.')) {
-                    await searchDir(fullPath);
-                } else if (item.isFile()) {
-                    const ext = path.extname(item.name);
-                    if (fileTypes.length === 0 || fileTypes.includes(ext)) {
-                        try {
-                            const content = await fs.readFile(fullPath, 'utf8');
-                            const lines = content.split('\n');
-                            filesSearched++;
-                            totalLinesSearched += lines.length;
-
-                            lines.forEach((line, index) => {
-                                if (line.includes(pattern)) {
-                                    results.push({
-                                        file: path.relative(this.workspaceRoot, fullPath),
-                                        line: index + 1,
-                                        content: line.trim()
-                                    });
-                                }
-                            });
-                        } catch (error) {
-                            // Skip files that can't be read
-                        }
-                    }
+            lines.forEach((line, lineIndex) => {
+                if (line.includes(pattern)) {
+                    results.push({
+                        file: path.normalize(file),
+                        line: lineIndex + 1,
+                        content: line.trim()
+                    });
                 }
-            }
-        };
-
-        await searchDir(this.workspaceRoot);
+            });
+        }
 
         const searchTime = Date.now() - startTime;
         console.log(`🔍 SEARCH_CODE: "${pattern}"`);
-        console.log(`   📊 Results: ${results.length} matches in ${filesSearched} files`);
+        console.log(`   📊 Results: ${results.length} matches in ${filesSearched} files${binarySkipped ? ` (${binarySkipped} binary/oversized skipped)` : ''}`);
         console.log(`   📈 Searched: ${totalLinesSearched} lines total`);
         console.log(`   ⏱️  Search time: ${searchTime}ms`);
 
@@ -3011,6 +4077,7 @@ class OllamaJack {
             matchCount: results.length,
             filesSearched: filesSearched,
             totalLinesSearched: totalLinesSearched,
+            binarySkipped: binarySkipped,
             searchTime: searchTime,
             pattern: pattern,
             fileTypes: fileTypes
@@ -3028,12 +4095,14 @@ class OllamaJack {
             contextLines = 0,
             maxResults = 100,
             fileTypes = [],
-            excludePatterns = ['node_modules', '.git', '.env', '.memory', '.edits', '.telemetry']
+            // node_modules, .git and Jack's data directories are never indexed; .env files are but stay out of grep by default
+            excludePatterns = ['.env', '.env.*']
         } = args;
 
         let results = [];
         let filesSearched = 0;
         let totalLinesSearched = 0;
+        let binarySkipped = 0;
 
         // Create search regex
         let searchRegex;
@@ -3059,103 +4128,89 @@ class OllamaJack {
             };
         }
 
-        const shouldExclude = (filePath) => {
-            return excludePatterns.some(pattern => {
-                if (pattern.includes('*') || pattern.includes('?')) {
-                    // Simple glob pattern matching
-                    const regexPattern = pattern
-                        .replace(/\*/g, '.*')
-                        .replace(/\?/g, '.');
-                    return new RegExp(regexPattern, 'i').test(filePath);
-                }
-                return filePath.includes(pattern);
-            });
+        // Patterns match a path segment ('dist'), a file name glob ('*.min.js') or a path glob ('src/**/fixtures/**')
+        const shouldExclude = (relativePath) => {
+            const segments = relativePath.split('/');
+            return excludePatterns.some(pattern => segments.includes(pattern) || matchesGlob(relativePath, pattern));
         };
 
-        const searchFile = async (fullPath) => {
-            if (shouldExclude(fullPath)) return;
-            
-            const ext = path.extname(fullPath);
-            if (fileTypes.length > 0 && !fileTypes.some(type => 
-                type.startsWith('.') ? ext === type : ext === '.' + type
-            )) {
+        const searchFile = async (index, relativePath) => {
+            if (shouldExclude(relativePath)) return;
+
+            let content;
+            try {
+                content = await index.readText(relativePath);
+            } catch (error) {
+                return; // Skip files that can't be read
+            }
+            if (content === null) {
+                binarySkipped++;
                 return;
             }
 
-            try {
-                const content = await fs.readFile(fullPath, 'utf8');
-                const lines = content.split('\n');
-                filesSearched++;
-                totalLinesSearched += lines.length;
+            const lines = content.split('\n');
+            filesSearched++;
+            totalLinesSearched += lines.length;
 
-                for (let i = 0; i < lines.length && results.length < maxResults; i++) {
-                    const line = lines[i];
-                    const matches = line.match(searchRegex);
-                    
-                    if (matches) {
-                        // Collect context lines if requested
-                        const contextBefore = contextLines > 0 ? 
-                            lines.slice(Math.max(0, i - contextLines), i) : [];
-                        const contextAfter = contextLines > 0 ? 
-                            lines.slice(i + 1, Math.min(lines.length, i + 1 + contextLines)) : [];
+            for (let i = 0; i < lines.length && results.length < maxResults; i++) {
+                const line = lines[i];
+                const matches = line.match(searchRegex);
 
-                        results.push({
-                            file: path.relative(this.workspaceRoot, fullPath),
-                            line: i + 1,
-                            content: line,
-                            matches: matches.length,
-                            matchedText: matches,
-                            contextBefore: contextBefore,
-                            contextAfter: contextAfter,
-                            // Add character positions of matches
-                            positions: [...line.matchAll(searchRegex)].map(match => ({
-                                start: match.index,
-                                end: match.index + match[0].length,
-                                text: match[0]
-                            }))
-                        });
-                    }
+                if (matches) {
+                    // Collect context lines if requested
+                    const contextBefore = contextLines > 0 ?
+                        lines.slice(Math.max(0, i - contextLines), i) : [];
+                    const contextAfter = contextLines > 0 ?
+                        lines.slice(i + 1, Math.min(lines.length, i + 1 + contextLines)) : [];
+
+                    results.push({
+                        file: path.normalize(relativePath),
+                        line: i + 1,
+                        content: line,
+                        matches: matches.length,
+                        matchedText: matches,
+                        contextBefore: contextBefore,
+                        contextAfter: contextAfter,
+                        // Add character positions of matches
+                        positions: [...line.matchAll(searchRegex)].map(match => ({
+                            start: match.index,
+                            end: match.index + match[0].length,
+                            text: match[0]
+                        }))
+                    });
                 }
-            } catch (error) {
-                // Skip files that can't be read
             }
         };
 
+        const index = await this.workspaceIndex.ready();
+
         // Search specific file or entire workspace
         if (filePath) {
-            const fullPath = path.resolve(this.workspaceRoot, filePath);
+            // A file named explicitly is searched even when ignored - but never outside the workspace
+            let fullPath;
+            try {
+                fullPath = this.validateWorkspacePath(filePath);
+            } catch (error) {
+                return { success: false, error: error.message, pattern: pattern };
+            }
             if (await fs.pathExists(fullPath)) {
                 const stat = await fs.stat(fullPath);
                 if (stat.isFile()) {
-                    await searchFile(fullPath);
+                    await searchFile(index, path.relative(this.workspaceRoot, fullPath).split(path.sep).join('/'));
                 }
             }
         } else {
-            // Search entire workspace
-            const searchDir = async (dir) => {
-                if (shouldExclude(dir)) return;
-                
-                const items = await fs.readdir(dir, { withFileTypes: true });
-
-                for (const item of items) {
-                    const fullPath = path.join(dir, item.name);
-
-                    if (item.isDirectory()) {
-                        await searchDir(fullPath);
-                    } else if (item.isFile()) {
-                        await searchFile(fullPath);
-                    }
-                }
-            };
-
-            await searchDir(this.workspaceRoot);
+            for (const file of index.files({ extensions: fileTypes })) {
+                if (results.length >= maxResults) break;
+                await searchFile(index, file);
+            }
         }
 
         const searchTime = Date.now() - startTime;
         
         // Enhanced logging with grep-style output
         console.log(`🔍 GREP_SEARCH: "${pattern}"`);
-        console.log(`   📊 Results: ${results.length} matches in ${filesSearched} files`);
+        console.log(`   📊 Results: ${results.length} matches in ${filesSearched} files${binarySkipped ? ` (${binarySkipped} binary/oversized skipped)` : ''}`);
         console.log(`   📈 Searched: ${totalLinesSearched} lines total`);
         console.log(`   ⏱️  Search time: ${searchTime}ms`);
         console.log(`   🔧 Options: regex=${isRegex}, case-sensitive=${caseSensitive}, whole-word=${wholeWord}, context=${contextLines}`);
@@ -3177,6 +4232,7 @@ class OllamaJack {
             matchCount: results.length,
             filesSearched: filesSearched,
             totalLinesSearched: totalLinesSearched,
+            binarySkipped: binarySkipped,
             searchTime: searchTime,
             pattern: pattern,
             isRegex: isRegex,
@@ -3188,729 +4244,1279 @@ class OllamaJack {
         };
     }
 
-    async gitOperation(operation, args = []) {
-        const command = `git ${operation} ${args.join(' ')}`.trim();
-        return await this.executeCommand(command);
+    /**
+     * Workspace-relative files a symbol search covers - everything supported, or one file/directory
+     * @throws {Error} For paths outside the workspace, missing paths and unsupported files
+     */
+    async getSymbolSearchFiles(scopePath) {
+        if (!scopePath) return this.symbolIndex.files();
+
+        const fullPath = this.validateWorkspacePath(scopePath);
+        const relativePath = path.relative(this.workspaceRoot, fullPath).split(path.sep).join('/');
+        const stat = await fs.stat(fullPath);
+        if (stat.isFile()) {
+            if (!symbolLanguage(relativePath)) {
+                throw new Error(`Symbols are not supported for ${scopePath} (JavaScript, TypeScript and Python only)`);
+            }
+            return [relativePath];
+        }
+        return this.symbolIndex.files(relativePath);
     }
 
-    async webSearch(query, maxResults = 5) {
+    async findDefinition(args) {
+        const startTime = Date.now();
+        const { symbol, kind = null, path: scopePath = null, maxResults = 20 } = args;
+        if (!symbol) {
+            return { success: false, error: 'find_definition requires a symbol name' };
+        }
+
+        let files;
         try {
-            // Check if we're in cloud mode and have API key
-            if (!process.env.OLLAMA_API_KEY) {
-                return { 
-                    error: "Web search requires Ollama Cloud API key. Set OLLAMA_API_KEY environment variable or switch to cloud mode." 
-                };
-            }
+            files = await this.getSymbolSearchFiles(scopePath);
+        } catch (error) {
+            return { success: false, error: error.message, symbol };
+        }
 
-            // Reset usage counter if it's a new day
-            const today = new Date().toDateString();
-            if (this.webSearchUsage.resetDate !== today) {
-                this.webSearchUsage.searches = 0;
-                this.webSearchUsage.fetches = 0;
-                this.webSearchUsage.resetDate = today;
-                console.log(`[WEB SEARCH] 🔄 Daily usage reset for ${today}`);
+        const name = symbol.split('.').pop();
+        const definitions = [];
+        for (const file of files) {
+            let loaded;
+            try {
+                loaded = await this.symbolIndex.load(file, { containing: name });
+            } catch (error) {
+                continue; // Skip files that can't be read
+            }
+            if (!loaded) continue;
+
+            for (const entry of loaded.symbols) {
+                if (!matchesQuery(entry, symbol) || (kind && entry.kind !== kind)) continue;
+                definitions.push({
+                    file: path.normalize(file),
+                    name: entry.name,
+                    kind: entry.kind,
+                    qualifiedName: entry.qualifiedName,
+                    scope: entry.scope,
+                    line: entry.line,
+                    range: entry.range,
+                    signature: entry.signature,
+                    exported: !!entry.exported
+                });
             }
+        }
 
-            // Check daily limit
-            if (this.webSearchUsage.searches >= this.webSearchUsage.dailyLimit) {
-                return {
-                    error: `Daily web search limit reached (${this.webSearchUsage.dailyLimit}). Try again tomorrow.`,
-                    usage: this.getWebSearchUsage()
-                };
-            }
+        // Exact qualified matches, then exported symbols, then top-level ones
+        const rank = definition => (definition.qualifiedName === symbol ? 0 : 4) + (definition.exported ? 0 : 2) + (definition.scope ? 1 : 0);
+        definitions.sort((a, b) => rank(a) - rank(b) || a.file.localeCompare(b.file) || a.line - b.line);
 
-            const response = await axios.post('https://ollama.com/api/web_search', {
-                query: query,
-                max_results: Math.min(maxResults, 10)
-            }, {
-                headers: {
-                    'Authorization': `Bearer ${process.env.OLLAMA_API_KEY}`,
-                    'Content-Type': 'application/json'
-                }
-            });
+        const searchTime = Date.now() - startTime;
+        console.log(`🧭 FIND_DEFINITION: "${symbol}"${kind ? ` (${kind})` : ''}`);
+        console.log(`   📊 Results: ${definitions.length} definition${definitions.length === 1 ? '' : 's'} in ${files.length} files`);
+        definitions.slice(0, 3).forEach(definition => {
+            console.log(`      ${definition.file}:${definition.line}: ${definition.kind} ${definition.qualifiedName}`);
+        });
+        console.log(`   ⏱️  Search time: ${searchTime}ms`);
 
-            if (response.data && response.data.results) {
-                // Increment usage counter
-                this.webSearchUsage.searches++;
-                await this.saveWebSearchUsage();
-                console.log(`[WEB SEARCH] 🔍 Query: "${query}" | Usage: ${this.webSearchUsage.searches}/${this.webSearchUsage.dailyLimit}`);
-                
-                return {
-                    success: true,
-                    query: query,
-                    results: response.data.results,
-                    count: response.data.results.length,
-                    usage: this.getWebSearchUsage()
-                };
-            } else {
-                return { error: "Invalid response from web search API" };
-            }
-        } catch (error) {
-            return { 
-                error: `Web search failed: ${error.response?.data?.error || error.message}` 
-            };
-        }
+        return {
+            success: true,
+            symbol,
+            definitions: definitions.slice(0, maxResults),
+            matchCount: definitions.length,
+            filesSearched: files.length,
+            searchTime
+        };
     }
 
-    async webFetch(url) {
+    async findReferences(args) {
+        const startTime = Date.now();
+        const { symbol, path: scopePath = null, includeDefinitions = true, maxResults = 100 } = args;
+        if (!symbol) {
+            return { success: false, error: 'find_references requires a symbol name' };
+        }
+
+        let files;
         try {
-            // Check if we're in cloud mode and have API key
-            if (!process.env.OLLAMA_API_KEY) {
-                return { 
-                    error: "Web fetch requires Ollama Cloud API key. Set OLLAMA_API_KEY environment variable or switch to cloud mode." 
-                };
-            }
+            files = await this.getSymbolSearchFiles(scopePath);
+        } catch (error) {
+            return { success: false, error: error.message, symbol };
+        }
 
-            // Reset usage counter if it's a new day
-            const today = new Date().toDateString();
-            if (this.webSearchUsage.resetDate !== today) {
-                this.webSearchUsage.searches = 0;
-                this.webSearchUsage.fetches = 0;
-                this.webSearchUsage.resetDate = today;
-                console.log(`[WEB SEARCH] 🔄 Daily usage reset for ${today}`);
+        const name = symbol.split('.').pop();
+        const references = [];
+        const counts = { definition: 0, import: 0, reference: 0 };
+        for (const file of files) {
+            let loaded;
+            try {
+                loaded = await this.symbolIndex.load(file, { containing: name });
+            } catch (error) {
+                continue; // Skip files that can't be read
+            }
+            if (!loaded) continue;
+
+            const lines = loaded.content.split('\n');
+            for (const occurrence of findOccurrences(file, loaded.content, name, loaded.symbols)) {
+                if (occurrence.kind === 'definition' && !includeDefinitions) continue;
+                counts[occurrence.kind]++;
+                if (references.length < maxResults) {
+                    references.push({
+                        file: path.normalize(file),
+                        ...occurrence,
+                        content: (lines[occurrence.line - 1] || '').trim()
+                    });
+                }
             }
+        }
 
-            // Check daily limit (fetches count toward same limit)
-            if (this.webSearchUsage.fetches >= this.webSearchUsage.dailyLimit) {
-                return {
-                    error: `Daily web fetch limit reached (${this.webSearchUsage.dailyLimit}). Try again tomorrow.`,
-                    usage: this.getWebSearchUsage()
-                };
+        const total = counts.definition + counts.import + counts.reference;
+        const searchTime = Date.now() - startTime;
+        console.log(`🧭 FIND_REFERENCES: "${symbol}"`);
+        console.log(`   📊 Results: ${counts.reference} references, ${counts.import} imports, ${counts.definition} definitions in ${files.length} files`);
+        console.log(`   ⏱️  Search time: ${searchTime}ms`);
+
+        return {
+            success: true,
+            symbol,
+            references,
+            matchCount: total,
+            truncated: total > references.length,
+            counts: { definitions: counts.definition, imports: counts.import, references: counts.reference },
+            filesSearched: files.length,
+            searchTime
+        };
+    }
+
+    async fileOutline(filePath) {
+        const startTime = Date.now();
+        try {
+            const fullPath = this.validateWorkspacePath(filePath);
+            const relativePath = path.relative(this.workspaceRoot, fullPath).split(path.sep).join('/');
+            if (!symbolLanguage(relativePath)) {
+                throw new Error(`Outlines are not supported for ${filePath} (JavaScript, TypeScript and Python only)`);
             }
 
-            // Ensure URL has protocol
-            if (!url.startsWith('http://') && !url.startsWith('https://')) {
-                url = 'https://' + url;
+            const loaded = await this.symbolIndex.load(relativePath);
+            if (!loaded) {
+                throw new Error(`${filePath} is binary or too large to outline`);
             }
 
-            const response = await axios.post('https://ollama.com/api/web_fetch', {
-                url: url
-            }, {
-                headers: {
-                    'Authorization': `Bearer ${process.env.OLLAMA_API_KEY}`,
-                    'Content-Type': 'application/json'
-                }
-            });
+            const outlineTime = Date.now() - startTime;
+            console.log(`🧭 FILE_OUTLINE: ${filePath}`);
+            console.log(`   📊 Symbols: ${loaded.symbols.length} (${loaded.language})${loaded.errors.length > 0 ? ` - ${loaded.errors.length} parse error(s), outline may be partial` : ''}`);
+            console.log(`   ⏱️  Outline time: ${outlineTime}ms`);
 
-            if (response.data) {
-                // Increment usage counter
-                this.webSearchUsage.fetches++;
-                await this.saveWebSearchUsage();
-                console.log(`[WEB SEARCH] 🌐 Fetch: "${url}" | Usage: ${this.webSearchUsage.fetches}/${this.webSearchUsage.dailyLimit}`);
-                
-                return {
-                    success: true,
-                    url: url,
-                    title: response.data.title,
-                    content: response.data.content,
-                    links: response.data.links || [],
-                    usage: this.getWebSearchUsage()
-                };
-            } else {
-                return { error: "Invalid response from web fetch API" };
-            }
+            return {
+                success: true,
+                filePath,
+                language: loaded.language,
+                symbols: buildOutline(loaded.symbols),
+                symbolCount: loaded.symbols.length,
+                parseErrors: loaded.errors,
+                outlineTime
+            };
         } catch (error) {
-            return { 
-                error: `Web fetch failed: ${error.response?.data?.error || error.message}` 
+            console.log(`❌ FILE_OUTLINE ERROR: ${filePath} - ${error.message}`);
+            return {
+                success: false,
+                error: error.message,
+                filePath
             };
         }
     }
 
-    getWebSearchUsage() {
-        return {
-            searches: this.webSearchUsage.searches,
-            fetches: this.webSearchUsage.fetches,
-            total: this.webSearchUsage.searches + this.webSearchUsage.fetches,
-            dailyLimit: this.webSearchUsage.dailyLimit,
-            remaining: this.webSearchUsage.dailyLimit - (this.webSearchUsage.searches + this.webSearchUsage.fetches),
-            resetDate: this.webSearchUsage.resetDate
-        };
+    async semanticSearch(args = {}) {
+        const startTime = Date.now();
+        try {
+            if (!args.query || !args.query.trim()) {
+                throw new Error('semantic_search requires a query');
+            }
+            const under = args.path ? path.relative(this.workspaceRoot, this.validateWorkspacePath(args.path)) : '';
+            const maxResults = Math.max(1, Math.min(Number.isInteger(args.maxResults) ? args.maxResults : 8, 30));
+
+            const { model, results, index } = await this.semanticIndex.search(args.query, {
+                maxResults,
+                under,
+                extensions: args.fileTypes || []
+            });
+
+            const searchTime = Date.now() - startTime;
+            console.log(`🧠 SEMANTIC_SEARCH: "${args.query}" (${model})`);
+            console.log(`   📊 ${results.length} result${results.length === 1 ? '' : 's'} from ${index.chunks} chunks in ${index.files} files${index.embeddedChunks > 0 ? ` - embedded ${index.embeddedChunks} new chunks` : ''}`);
+            results.slice(0, 3).forEach(result => {
+                console.log(`      ${result.filePath}:${result.startLine}-${result.endLine} (${result.score})`);
+            });
+            console.log(`   ⏱️  Search time: ${searchTime}ms`);
+
+            return {
+                success: true,
+                query: args.query,
+                model,
+                results,
+                index,
+                searchTime
+            };
+        } catch (error) {
+            console.log(`❌ SEMANTIC_SEARCH ERROR: ${error.message}`);
+            return { success: false, error: error.message, query: args.query };
+        }
     }
 
-    // New enhanced tools implementation
-    async runTests(testCommand, cwd = this.workspaceRoot, timeout = 300) {
-        try {
-            const { exec } = require('child_process');
+    /**
+     * Position for an lsp_* tool call: `line` is 1-based; the column is `column` (0-based), the
+     * start of `symbol` on that line, or the line's first non-blank character
+     * @returns {Promise<{fullPath: string, position: {line: number, character: number}, lineText: string}>}
+     */
+    async resolveLspPosition(args) {
+        const { filePath, line, column, symbol } = args;
+        if (!filePath) {
+            throw new Error('filePath is required');
+        }
+        if (!Number.isInteger(line) || line < 1) {
+            throw new Error('line must be a 1-based line number');
+        }
 
-            return new Promise((resolve) => {
-                const startTime = Date.now();
-                const timeoutMs = timeout * 1000;
+        const fullPath = this.validateWorkspacePath(filePath);
+        const lines = (await fs.readFile(fullPath, 'utf8')).split('\n');
+        if (line > lines.length) {
+            throw new Error(`${filePath} has only ${lines.length} lines`);
+        }
 
-                const child = exec(testCommand, {
-                    cwd,
-                    timeout: timeoutMs,
-                    maxBuffer: 1024 * 1024 * 10 // 10MB buffer
-                }, (error, stdout, stderr) => {
-                    const executionTime = Date.now() - startTime;
+        const lineText = lines[line - 1].replace(/\r$/, '');
+        let character = Math.max(lineText.search(/\S/), 0);
+        if (Number.isInteger(column)) {
+            character = column;
+        } else if (symbol) {
+            const name = symbol.split('.').pop().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            const match = new RegExp(`(^|[^\\w$])${name}(?![\\w$])`).exec(lineText);
+            if (!match) {
+                throw new Error(`"${symbol}" does not appear on line ${line} of ${filePath}: ${lineText.trim()}`);
+            }
+            character = match.index + match[1].length;
+        }
 
-                    // Parse test results based on common test output patterns
-                    const output = stdout + stderr;
-                    const result = this.parseTestOutput(output, executionTime, error);
+        return { fullPath, position: { line: line - 1, character }, lineText };
+    }
 
-                    resolve(result);
-                });
+    /**
+     * Workspace-relative path of a language server URI (absolute for files outside the workspace,
+     * like library typings)
+     */
+    lspPathFor(uri) {
+        const fullPath = fileURLToPath(uri);
+        const relativePath = path.relative(this.workspaceRoot, fullPath);
+        const external = relativePath.startsWith('..') || path.isAbsolute(relativePath);
+        return { fullPath, file: external ? fullPath : relativePath, external };
+    }
 
-                // Handle timeout
-                setTimeout(() => {
-                    if (!child.killed) {
-                        child.kill('SIGTERM');
-                        resolve({
-                            success: false,
-                            error: `Test execution timed out after ${timeout} seconds`,
-                            timeout: true,
-                            executionTime: timeout * 1000
-                        });
-                    }
-                }, timeoutMs);
+    async lspDiagnostics(filePath) {
+        const startTime = Date.now();
+        try {
+            if (!filePath) {
+                throw new Error('lsp_diagnostics requires a filePath');
+            }
+            const fullPath = this.validateWorkspacePath(filePath);
+            const client = await this.lsp.clientFor(fullPath);
+            const { diagnostics, settled } = await client.getDiagnostics(fullPath);
+
+            const counts = { errors: 0, warnings: 0, information: 0, hints: 0 };
+            const countKeys = { error: 'errors', warning: 'warnings', information: 'information', hint: 'hints' };
+            diagnostics.forEach(diagnostic => counts[countKeys[diagnostic.severity]]++);
+
+            const checkTime = Date.now() - startTime;
+            console.log(`🩺 LSP_DIAGNOSTICS: ${filePath} (${client.name})`);
+            console.log(`   📊 ${counts.errors} error${counts.errors === 1 ? '' : 's'}, ${counts.warnings} warning${counts.warnings === 1 ? '' : 's'}${settled ? '' : ' - server sent no diagnostics in time, list may be incomplete'}`);
+            diagnostics.filter(diagnostic => diagnostic.severity === 'error').slice(0, 3).forEach(diagnostic => {
+                console.log(`      ${filePath}:${diagnostic.line}:${diagnostic.column}: ${diagnostic.message.split('\n')[0]}`);
             });
-        } catch (error) {
+            console.log(`   ⏱️  Check time: ${checkTime}ms`);
+
             return {
-                success: false,
-                error: `Failed to run tests: ${error.message}`,
-                executionTime: 0
+                success: true,
+                filePath,
+                server: client.name,
+                diagnostics,
+                counts,
+                complete: settled,
+                checkTime
             };
+        } catch (error) {
+            console.log(`❌ LSP_DIAGNOSTICS ERROR: ${filePath} - ${error.message}`);
+            return { success: false, error: error.message, filePath };
         }
     }
 
-    parseTestOutput(output, executionTime, error) {
-        const result = {
-            success: !error,
-            executionTime,
-            output: output,
-            summary: {}
-        };
+    async lspHover(args) {
+        try {
+            const target = await this.resolveLspPosition(args);
+            const client = await this.lsp.clientFor(target.fullPath);
+            const hover = await client.hover(target.fullPath, target.position);
+            const text = hover ? hoverText(hover.contents) : '';
 
-        // Parse Jest/Mocha style output
-        const passedMatch = output.match(/(\d+)\s+passing/);
-        const failedMatch = output.match(/(\d+)\s+failing/);
-        const testsMatch = output.match(/(\d+)\s+tests?/);
+            console.log(`🩺 LSP_HOVER: ${args.filePath}:${args.line}:${target.position.character} (${client.name})`);
+            console.log(`   📊 ${text ? text.split('\n').find(line => line.trim() && !line.startsWith('```')) || 'Documentation found' : 'Nothing to show at this position'}`);
 
-        if (passedMatch || failedMatch || testsMatch) {
-            result.summary = {
-                total: testsMatch ? parseInt(testsMatch[1]) : 0,
-                passed: passedMatch ? parseInt(passedMatch[1]) : 0,
-                failed: failedMatch ? parseInt(failedMatch[1]) : 0,
-                framework: 'jest/mocha'
+            return {
+                success: true,
+                filePath: args.filePath,
+                line: args.line,
+                column: target.position.character,
+                server: client.name,
+                found: !!text,
+                hover: text
             };
+        } catch (error) {
+            console.log(`❌ LSP_HOVER ERROR: ${args.filePath} - ${error.message}`);
+            return { success: false, error: error.message, filePath: args.filePath };
         }
+    }
 
-        // Parse pytest output
-        const pytestPassed = output.match(/(\d+)\s+passed/);
-        const pytestFailed = output.match(/(\d+)\s+failed/);
-        const pytestErrors = output.match(/(\d+)\s+errors?/);
+    async lspDefinition(args) {
+        try {
+            const target = await this.resolveLspPosition(args);
+            const client = await this.lsp.clientFor(target.fullPath);
+            const result = await client.definition(target.fullPath, target.position);
+            const locations = result ? (Array.isArray(result) ? result : [result]) : [];
+
+            const definitions = [];
+            for (const location of locations) {
+                // Location or LocationLink
+                const { fullPath, file, external } = this.lspPathFor(location.targetUri || location.uri);
+                const range = location.targetSelectionRange || location.range;
+                let content = null;
+                try {
+                    content = ((await fs.readFile(fullPath, 'utf8')).split('\n')[range.start.line] || '').trim();
+                } catch (error) {
+                    // Virtual documents (e.g. lib.d.ts inside the server) have no file to preview
+                }
+                definitions.push({
+                    file,
+                    external,
+                    line: range.start.line + 1,
+                    column: range.start.character,
+                    endLine: range.end.line + 1,
+                    endColumn: range.end.character,
+                    content
+                });
+            }
 
-        if (pytestPassed || pytestFailed || pytestErrors) {
-            result.summary = {
-                total: (pytestPassed ? parseInt(pytestPassed[1]) : 0) +
-                       (pytestFailed ? parseInt(pytestFailed[1]) : 0) +
-                       (pytestErrors ? parseInt(pytestErrors[1]) : 0),
-                passed: pytestPassed ? parseInt(pytestPassed[1]) : 0,
-                failed: (pytestFailed ? parseInt(pytestFailed[1]) : 0) +
-                        (pytestErrors ? parseInt(pytestErrors[1]) : 0),
-                framework: 'pytest'
-            };
-        }
+            console.log(`🩺 LSP_DEFINITION: ${args.filePath}:${args.line}:${target.position.character} (${client.name})`);
+            console.log(`   📊 Results: ${definitions.length} definition${definitions.length === 1 ? '' : 's'}`);
+            definitions.slice(0, 3).forEach(definition => console.log(`      ${definition.file}:${definition.line}`));
 
-        // Extract error details
-        if (error) {
-            result.error = error.message;
-            result.exitCode = error.code;
+            return {
+                success: true,
+                filePath: args.filePath,
+                line: args.line,
+                column: target.position.character,
+                server: client.name,
+                definitions
+            };
+        } catch (error) {
+            console.log(`❌ LSP_DEFINITION ERROR: ${args.filePath} - ${error.message}`);
+            return { success: false, error: error.message, filePath: args.filePath };
         }
-
-        return result;
     }
 
-    async runLinter(linterCommand, cwd = this.workspaceRoot, filePath = null) {
+    /**
+     * Rename through the language server - its WorkspaceEdit is turned into new file contents and
+     * proposed like a patch (one file: write_file, several: one all-or-nothing multi-file edit)
+     */
+    async lspRename(args) {
         try {
-            const { exec } = require('child_process');
-
-            // If filePath is specified, append it to the command
-            const fullCommand = filePath ? `${linterCommand} ${filePath}` : linterCommand;
-
-            return new Promise((resolve) => {
-                exec(fullCommand, {
-                    cwd,
-                    maxBuffer: 1024 * 1024 * 5 // 5MB buffer for linter output
-                }, (error, stdout, stderr) => {
-                    const output = stdout + stderr;
-                    const result = this.parseLinterOutput(output, error);
+            const { newName } = args;
+            if (typeof newName !== 'string' || !/^[\w$]+$/.test(newName)) {
+                throw new Error('lsp_rename requires newName to be a plain identifier');
+            }
+
+            const target = await this.resolveLspPosition(args);
+            const oldName = args.symbol
+                ? args.symbol.split('.').pop()
+                : ((target.lineText.slice(target.position.character).match(/^[\w$]+/) || [])[0] || 'symbol');
+            const client = await this.lsp.clientFor(target.fullPath);
+            const workspaceEdit = await client.rename(target.fullPath, target.position, newName);
+            if (!workspaceEdit) {
+                throw new Error(`Nothing to rename at ${args.filePath}:${args.line}:${target.position.character}`);
+            }
+
+            const files = [];
+            for (const { fullPath, edits } of LspManager.workspaceEditFiles(workspaceEdit)) {
+                const { file, external } = this.lspPathFor(pathToFileURL(fullPath).href);
+                if (external) {
+                    throw new Error(`Rename would change ${fullPath}, outside the workspace - rename blocked`);
+                }
+                const original = await fs.readFile(fullPath, 'utf8');
+                const content = applyTextEdits(original, edits);
+                if (content !== original) {
+                    files.push({ filePath: file, content, original, changes: edits.length });
+                }
+            }
+            if (files.length === 0) {
+                throw new Error(`${client.name} found nothing to change for renaming ${oldName} to ${newName}`);
+            }
 
-                    resolve(result);
+            for (const file of files) {
+                const alignment = await this.alignmentEngine.validate('file_operation', {
+                    filePath: file.filePath,
+                    content: file.content,
+                    mode: 'write',
+                    workspaceRoot: this.workspaceRoot
                 });
+                if (!alignment.allSystemsGo) {
+                    throw new Error(`Rename blocked for safety (${file.filePath}):\n${alignment.failureReport}`);
+                }
+            }
+
+            const editId = await this.editController.proposeFileContents(files, {
+                source: { rename: { from: oldName, to: newName } },
+                description: `Rename ${oldName} to ${newName}: ${files.map(file => path.basename(file.filePath)).join(', ')}`,
+                expectedOutcome: `Rename in ${files.length} files, all or nothing`
             });
+
+            const decisionInfo = this.describeLastEditDecision();
+
+            return {
+                success: true,
+                editProposed: true,
+                editId,
+                message: `Rename ${editId} proposed: ${oldName} → ${newName} in ${files.length} file(s)`,
+                operation: 'lsp_rename',
+                description: { filePath: files.map(file => file.filePath).join(', ') },
+                server: client.name,
+                files: files.map(file => ({ filePath: file.filePath, changes: file.changes })),
+                ...decisionInfo
+            };
         } catch (error) {
             return {
                 success: false,
-                error: `Failed to run linter: ${error.message}`,
-                issues: []
+                error: error.message,
+                operation: 'lsp_rename'
             };
         }
     }
 
-    parseLinterOutput(output, error) {
-        const result = {
-            success: !error || error.code === 0,
-            output: output,
-            issues: []
-        };
+    /**
+     * Post-apply alignment (edit controller hook): compare each applied file's language server
+     * diagnostics before and after the edit. New errors never undo the edit - they are noted on
+     * it as `diagnostics` and reported with the next edit decision so the model can fix them.
+     */
+    async checkAppliedDiagnostics(lsp, root, edits, files) {
+        const reports = [];
+        for (const file of files) {
+            const fullPath = path.resolve(root, file.filePath);
+            if (file.after === null || !lsp.hasServerFor(fullPath)) continue;
 
-        // Parse ESLint output
-        const eslintRegex = /^(.+?): line (\d+), col (\d+), (Error|Warning) - (.+?)(?:\s\((.+?)\))?$/gm;
-        let match;
-        while ((match = eslintRegex.exec(output)) !== null) {
-            result.issues.push({
-                file: match[1],
-                line: parseInt(match[2]),
-                column: parseInt(match[3]),
-                severity: match[4].toLowerCase(),
-                message: match[5],
-                rule: match[6] || null,
-                linter: 'eslint'
-            });
-        }
+            let compared;
+            try {
+                compared = await lsp.compareDiagnostics(fullPath, file.before, file.after);
+            } catch (error) {
+                logger.warn(`Post-edit diagnostics skipped for ${file.filePath}: ${error.message}`);
+                continue;
+            }
 
-        // Parse flake8 output
-        const flake8Regex = /^(.+?):(\d+):(\d+): (\w+) (.+)$/gm;
-        while ((match = flake8Regex.exec(output)) !== null) {
-            result.issues.push({
-                file: match[1],
-                line: parseInt(match[2]),
-                column: parseInt(match[3]),
-                severity: match[4].toLowerCase(),
-                message: match[5],
-                linter: 'flake8'
+            const alignment = await this.alignmentEngine.validate('post_edit_diagnostics', {
+                filePath: file.filePath,
+                server: compared.server,
+                before: compared.before,
+                after: compared.after
+            });
+            reports.push({
+                filePath: path.relative(root, fullPath),
+                server: compared.server,
+                errors: compared.after.filter(diagnostic => diagnostic.severity === 'error').length,
+                newErrors: diffDiagnostics(compared.before, compared.after, 'error'),
+                newWarnings: diffDiagnostics(compared.before, compared.after, 'warning'),
+                complete: compared.settled,
+                riskLevel: alignment.riskLevel,
+                passed: alignment.allSystemsGo
             });
         }
+        if (reports.length === 0) return;
 
-        // Count issues by severity
-        const errorCount = result.issues.filter(i => i.severity === 'error').length;
-        const warningCount = result.issues.filter(i => i.severity === 'warning').length;
+        const diagnostics = { checkedAt: new Date().toISOString(), passed: reports.every(report => report.passed), files: reports };
+        for (const edit of edits) {
+            edit.diagnostics = diagnostics;
+        }
 
-        result.summary = {
-            totalIssues: result.issues.length,
-            errors: errorCount,
-            warnings: warningCount
-        };
+        const newErrors = reports.reduce((total, report) => total + report.newErrors.length, 0);
+        if (newErrors > 0) {
+            console.log(`\x1b[91m🩺 ${edits.map(edit => edit.id).join(', ')} introduced ${newErrors} new error${newErrors === 1 ? '' : 's'} - check lsp_diagnostics and fix them\x1b[0m\n`);
+        } else {
+            console.log(`\x1b[92m🩺 No new language server errors in ${reports.length} file${reports.length === 1 ? '' : 's'}\x1b[0m\n`);
+        }
+    }
 
-        if (error && error.code !== 0) {
-            result.error = error.message;
-            result.exitCode = error.code;
+    /**
+     * git_operations without edit control: argv straight to git, no shell
+     * Destructive commands are refused - there is no one to approve them on this path.
+     */
+    async gitOperation(operation, args = []) {
+        let argv;
+        try {
+            argv = gitArgv(operation, args);
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+        const command = `git ${argv.join(' ')}`;
+        const classification = classifyGitCommand(argv);
+        if (classification.destructive) {
+            logger.warn(`Refused destructive git command without edit control: ${command} (${classification.reasons.join('; ')})`);
+            return {
+                success: false,
+                command,
+                error: `${command} was refused: ${classification.reasons.join('; ')}. Destructive git commands need user approval, which only edit control can ask for`
+            };
         }
+        const result = await runGit(argv, { cwd: this.workspaceRoot });
+        return {
+            success: result.success,
+            command,
+            stdout: result.stdout,
+            stderr: result.stderr,
+            error: result.error
+        };
+    }
 
-        return result;
+    /**
+     * Workspace-relative pathspecs for git from tool paths (which must stay inside the workspace)
+     */
+    gitPathspecs(paths = []) {
+        return paths.map(userPath => {
+            const relativePath = path.relative(this.workspaceRoot, this.validateWorkspacePath(userPath)).split(path.sep).join('/') || '.';
+            // A leading ':' would be read as pathspec magic (":/" is the repository root)
+            return relativePath.startsWith(':') ? `./${relativePath}` : relativePath;
+        });
     }
 
-    async checkDependencies(packageManager = 'auto', cwd = this.workspaceRoot, includeDev = true) {
+    async gitStatus() {
         try {
-            const fs = require('fs').promises;
-            const path = require('path');
-
-            // Auto-detect package manager
-            if (packageManager === 'auto') {
-                const hasPackageLock = await fs.access(path.join(cwd, 'package-lock.json')).then(() => true).catch(() => false);
-                const hasYarnLock = await fs.access(path.join(cwd, 'yarn.lock')).then(() => true).catch(() => false);
-                const hasPnpmLock = await fs.access(path.join(cwd, 'pnpm-lock.yaml')).then(() => true).catch(() => false);
-                const hasPipfile = await fs.access(path.join(cwd, 'Pipfile')).then(() => true).catch(() => false);
-                const hasRequirements = await fs.access(path.join(cwd, 'requirements.txt')).then(() => true).catch(() => false);
-
-                if (hasPackageLock) packageManager = 'npm';
-                else if (hasYarnLock) packageManager = 'yarn';
-                else if (hasPnpmLock) packageManager = 'pnpm';
-                else if (hasPipfile || hasRequirements) packageManager = 'pip';
-                else packageManager = 'npm'; // default fallback
-            }
-
-            let result;
-            switch (packageManager) {
-                case 'npm':
-                    result = await this.checkNpmDependencies(cwd, includeDev);
-                    break;
-                case 'yarn':
-                    result = await this.checkYarnDependencies(cwd, includeDev);
-                    break;
-                case 'pnpm':
-                    result = await this.checkPnpmDependencies(cwd, includeDev);
-                    break;
-                case 'pip':
-                    result = await this.checkPipDependencies(cwd);
-                    break;
-                default:
-                    return { error: `Unsupported package manager: ${packageManager}` };
-            }
-
-            return result;
+            const status = await new GitTools(this.workspaceRoot).status();
+            const { branch, counts } = status;
+            const head = branch.detached ? `detached at ${(branch.oid || '').slice(0, 7)}` : branch.head;
+            console.log(`🔗 GIT_STATUS: ${head}${branch.upstream ? ` → ${branch.upstream} (↑${branch.ahead} ↓${branch.behind})` : ''}`);
+            console.log(`   📊 ${status.clean ? 'Working tree clean' : `${counts.staged} staged, ${counts.unstaged} unstaged, ${counts.untracked} untracked${counts.conflicted > 0 ? `, ${counts.conflicted} conflicted` : ''}`}`);
+            return { success: true, ...status };
         } catch (error) {
-            return {
-                success: false,
-                error: `Failed to check dependencies: ${error.message}`,
-                packageManager: packageManager
-            };
+            console.log(`❌ GIT_STATUS ERROR: ${error.message}`);
+            return { success: false, error: error.message };
         }
     }
 
-    async checkNpmDependencies(cwd, includeDev) {
-        const { exec } = require('child_process');
-
-        return new Promise((resolve) => {
-            const command = includeDev ? 'npm list --depth=0 --json' : 'npm list --depth=0 --json --production';
-            exec(command, { cwd }, (error, stdout, stderr) => {
-                try {
-                    const data = JSON.parse(stdout);
-                    const dependencies = data.dependencies || {};
-
-                    const result = {
-                        success: !error,
-                        packageManager: 'npm',
-                        includeDev,
-                        dependencies: Object.entries(dependencies).map(([name, info]) => ({
-                            name,
-                            version: info.version,
-                            type: info.dev ? 'dev' : 'prod'
-                        }))
-                    };
-
-                    resolve(result);
-                } catch (parseError) {
-                    resolve({
-                        success: false,
-                        error: `Failed to parse npm output: ${parseError.message}`,
-                        rawOutput: stdout
-                    });
-                }
+    async gitDiff(args = {}) {
+        try {
+            const diff = await new GitTools(this.workspaceRoot).diff({
+                staged: !!args.staged,
+                ref: args.ref || null,
+                paths: this.gitPathspecs(args.paths || []),
+                contextLines: Number.isInteger(args.contextLines) ? args.contextLines : 3
             });
-        });
+            const target = args.ref ? args.ref : (args.staged ? 'staged' : 'unstaged');
+            console.log(`🔗 GIT_DIFF: ${target}${args.paths && args.paths.length > 0 ? ` (${args.paths.join(', ')})` : ''}`);
+            console.log(`   📊 ${diff.files.length} file${diff.files.length === 1 ? '' : 's'}, +${diff.additions} -${diff.deletions}${diff.truncated ? ' (truncated - narrow with paths)' : ''}`);
+            return { success: true, ...diff };
+        } catch (error) {
+            console.log(`❌ GIT_DIFF ERROR: ${error.message}`);
+            return { success: false, error: error.message };
+        }
     }
 
-    async checkYarnDependencies(cwd, includeDev) {
-        const { exec } = require('child_process');
-
-        return new Promise((resolve) => {
-            const command = 'yarn list --depth=0 --json';
-            exec(command, { cwd }, (error, stdout, stderr) => {
-                // Yarn list output is complex, fallback to npm-style parsing
-                resolve({
-                    success: false,
-                    error: 'Yarn dependency checking not fully implemented yet',
-                    packageManager: 'yarn'
-                });
+    async gitLog(args = {}) {
+        try {
+            const { commits } = await new GitTools(this.workspaceRoot).log({
+                maxCount: Number.isInteger(args.maxCount) ? args.maxCount : 20,
+                ref: args.ref || null,
+                path: args.path ? this.gitPathspecs([args.path])[0] : null,
+                author: args.author || null,
+                since: args.since || null,
+                grep: args.grep || null,
+                stats: true
             });
-        });
+            console.log(`🔗 GIT_LOG: ${args.ref || 'HEAD'}${args.path ? ` -- ${args.path}` : ''}`);
+            console.log(`   📊 ${commits.length} commit${commits.length === 1 ? '' : 's'}${commits.length > 0 ? `, latest ${commits[0].shortHash} "${commits[0].subject}"` : ''}`);
+            return { success: true, commits };
+        } catch (error) {
+            console.log(`❌ GIT_LOG ERROR: ${error.message}`);
+            return { success: false, error: error.message };
+        }
     }
 
-    async checkPnpmDependencies(cwd, includeDev) {
-        const { exec } = require('child_process');
-
-        return new Promise((resolve) => {
-            const command = 'pnpm list --depth=0 --json';
-            exec(command, { cwd }, (error, stdout, stderr) => {
-                try {
-                    const data = JSON.parse(stdout);
-                    const result = {
-                        success: !error,
-                        packageManager: 'pnpm',
-                        includeDev,
-                        dependencies: data.map(dep => ({
-                            name: dep.name,
-                            version: dep.version,
-                            type: 'prod' // pnpm doesn't distinguish easily
-                        }))
-                    };
-
-                    resolve(result);
-                } catch (parseError) {
-                    resolve({
-                        success: false,
-                        error: `Failed to parse pnpm output: ${parseError.message}`,
-                        rawOutput: stdout
-                    });
-                }
+    async gitBlame(args = {}) {
+        try {
+            if (!args.filePath) {
+                throw new Error('git_blame requires a filePath');
+            }
+            const startLine = Number.isInteger(args.startLine) ? args.startLine : 1;
+            const endLine = Number.isInteger(args.endLine) ? args.endLine : startLine + 49;
+            const { lines } = await new GitTools(this.workspaceRoot).blame(this.gitPathspecs([args.filePath])[0], {
+                startLine,
+                endLine,
+                ref: args.ref || null
             });
-        });
+            const authors = new Set(lines.map(line => line.author));
+            console.log(`🔗 GIT_BLAME: ${args.filePath}:${startLine}-${lines.length > 0 ? lines[lines.length - 1].line : endLine}`);
+            console.log(`   📊 ${lines.length} line${lines.length === 1 ? '' : 's'}, ${authors.size} author${authors.size === 1 ? '' : 's'}`);
+            return { success: true, filePath: args.filePath, lines };
+        } catch (error) {
+            console.log(`❌ GIT_BLAME ERROR: ${args.filePath} - ${error.message}`);
+            return { success: false, error: error.message, filePath: args.filePath };
+        }
     }
 
-    async checkPipDependencies(cwd) {
-        const { exec } = require('child_process');
-
-        return new Promise((resolve) => {
-            exec('pip freeze', { cwd }, (error, stdout, stderr) => {
-                const lines = stdout.split('\n').filter(line => line.trim());
-                const dependencies = lines.map(line => {
-                    const [name, version] = line.split('==');
-                    return { name, version };
-                });
+    /**
+     * What git_commit will run: the preview (files and generated message) and the git arguments
+     * @returns {Promise<{args: string[], stage: string[]|null, preview: Object}>}
+     * @throws {Error} When there is nothing to commit or a path is outside the workspace
+     */
+    async prepareGitCommit(args = {}) {
+        const paths = this.gitPathspecs(args.paths || []);
+        const preview = await new GitTools(this.workspaceRoot).commitPreview({ paths, all: !!args.all });
+        if (args.message && args.message.trim()) {
+            preview.message = args.message.trim();
+            preview.generated = false;
+        } else {
+            preview.generated = true;
+        }
 
-                resolve({
-                    success: !error,
-                    packageManager: 'pip',
-                    dependencies
-                });
-            });
-        });
+        const commitArgs = ['-m', preview.message];
+        if (preview.mode === 'all') commitArgs.push('-a');
+        if (preview.mode === 'paths') commitArgs.push('--', ...paths);
+        return { args: commitArgs, stage: preview.mode === 'paths' ? paths : null, preview };
     }
 
-    async showFileDiff(filePath, newContent, contextLines = 3) {
+    /**
+     * git_commit without edit control: commit right away
+     */
+    async gitCommit(args = {}) {
         try {
-            const fs = require('fs').promises;
-            const path = require('path');
+            const commit = await this.prepareGitCommit(args);
+            const result = await this.editController.executeGitOperation({ operation: 'commit', args: commit.args, stage: commit.stage });
+            console.log(`🔗 GIT_COMMIT: ${commit.preview.message.split('\n')[0]}`);
+            return { ...result, preview: commit.preview };
+        } catch (error) {
+            console.log(`❌ GIT_COMMIT ERROR: ${error.message}`);
+            return { success: false, error: error.message };
+        }
+    }
 
-            const fullPath = this.validateWorkspacePath(filePath);
+    async webSearch(query, maxResults = 5) {
+        try {
+            // Check if we're in cloud mode and have API key
+            if (!process.env.OLLAMA_API_KEY) {
+                return { 
+                    error: "Web search requires Ollama Cloud API key. Set OLLAMA_API_KEY environment variable or switch to cloud mode." 
+                };
+            }
 
-            // Read current content
-            let currentContent;
-            try {
-                currentContent = await fs.readFile(fullPath, 'utf8');
-            } catch (error) {
-                // File doesn't exist, treat as empty
-                currentContent = '';
+            // Reset usage counter if it's a new day
+            const today = new Date().toDateString();
+            if (this.webSearchUsage.resetDate !== today) {
+                this.webSearchUsage.searches = 0;
+                this.webSearchUsage.fetches = 0;
+                this.webSearchUsage.resetDate = today;
+                console.log(`[WEB SEARCH] 🔄 Daily usage reset for ${today}`);
             }
 
-            const currentLines = currentContent.split('\n');
-            const newLines = newContent.split('\n');
+            // Check daily limit
+            if (this.webSearchUsage.searches >= this.webSearchUsage.dailyLimit) {
+                return {
+                    error: `Daily web search limit reached (${this.webSearchUsage.dailyLimit}). Try again tomorrow.`,
+                    usage: this.getWebSearchUsage()
+                };
+            }
 
-            // Generate unified diff
-            const diff = this.generateUnifiedDiff(filePath, currentLines, newLines, contextLines);
+            const response = await axios.post('https://ollama.com/api/web_search', {
+                query: query,
+                max_results: Math.min(maxResults, 10)
+            }, {
+                headers: {
+                    'Authorization': `Bearer ${process.env.OLLAMA_API_KEY}`,
+                    'Content-Type': 'application/json'
+                }
+            });
 
-            return {
-                success: true,
-                filePath,
-                diff,
-                changes: this.countDiffChanges(diff),
-                currentLines: currentLines.length,
-                newLines: newLines.length
-            };
+            if (response.data && response.data.results) {
+                // Increment usage counter
+                this.webSearchUsage.searches++;
+                await this.saveWebSearchUsage();
+                console.log(`[WEB SEARCH] 🔍 Query: "${query}" | Usage: ${this.webSearchUsage.searches}/${this.webSearchUsage.dailyLimit}`);
+                
+                return {
+                    success: true,
+                    query: query,
+                    results: response.data.results,
+                    count: response.data.results.length,
+                    usage: this.getWebSearchUsage()
+                };
+            } else {
+                return { error: "Invalid response from web search API" };
+            }
         } catch (error) {
-            return {
-                success: false,
-                error: `Failed to generate diff: ${error.message}`,
-                filePath
+            return { 
+                error: `Web search failed: ${error.response?.data?.error || error.message}` 
             };
         }
     }
 
-    generateUnifiedDiff(filePath, oldLines, newLines, contextLines) {
-        const diff = [];
-        diff.push(`--- a/${filePath}`);
-        diff.push(`+++ b/${filePath}`);
-
-        let oldIndex = 0;
-        let newIndex = 0;
-        let hunkStart = -1;
-        let hunkLines = [];
+    async webFetch(url) {
+        try {
+            // Check if we're in cloud mode and have API key
+            if (!process.env.OLLAMA_API_KEY) {
+                return { 
+                    error: "Web fetch requires Ollama Cloud API key. Set OLLAMA_API_KEY environment variable or switch to cloud mode." 
+                };
+            }
 
-        while (oldIndex < oldLines.length || newIndex < newLines.length) {
-            // Find next difference
-            let diffStart = -1;
-            for (let i = 0; i < Math.min(oldLines.length - oldIndex, newLines.length - newIndex); i++) {
-                if (oldLines[oldIndex + i] !== newLines[newIndex + i]) {
-                    diffStart = i;
-                    break;
-                }
+            // Reset usage counter if it's a new day
+            const today = new Date().toDateString();
+            if (this.webSearchUsage.resetDate !== today) {
+                this.webSearchUsage.searches = 0;
+                this.webSearchUsage.fetches = 0;
+                this.webSearchUsage.resetDate = today;
+                console.log(`[WEB SEARCH] 🔄 Daily usage reset for ${today}`);
             }
 
-            if (diffStart === -1) {
-                // No more differences in this range
-                if (oldIndex < oldLines.length) {
-                    // Remaining old lines are deletions
-                    if (hunkStart === -1) {
-                        hunkStart = oldIndex + 1;
-                        hunkLines = [];
-                    }
-                    const remaining = oldLines.length - oldIndex;
-                    for (let i = 0; i < remaining; i++) {
-                        hunkLines.push(`-${oldLines[oldIndex + i]}`);
-                    }
-                    oldIndex = oldLines.length;
-                } else if (newIndex < newLines.length) {
-                    // Remaining new lines are additions
-                    if (hunkStart === -1) {
-                        hunkStart = oldIndex + 1;
-                        hunkLines = [];
-                    }
-                    const remaining = newLines.length - newIndex;
-                    for (let i = 0; i < remaining; i++) {
-                        hunkLines.push(`+${newLines[newIndex + i]}`);
-                    }
-                    newIndex = newLines.length;
-                }
-            } else {
-                // Found a difference
-                if (hunkStart === -1) {
-                    hunkStart = oldIndex + 1;
-                    hunkLines = [];
-                }
+            // Check daily limit (fetches count toward same limit)
+            if (this.webSearchUsage.fetches >= this.webSearchUsage.dailyLimit) {
+                return {
+                    error: `Daily web fetch limit reached (${this.webSearchUsage.dailyLimit}). Try again tomorrow.`,
+                    usage: this.getWebSearchUsage()
+                };
+            }
 
-                // Add context before the change
-                const contextStart = Math.max(0, diffStart - contextLines);
-                for (let i = contextStart; i < diffStart; i++) {
-                    if (oldIndex + i < oldLines.length) {
-                        hunkLines.push(` ${oldLines[oldIndex + i]}`);
-                    }
-                }
+            // Ensure URL has protocol
+            if (!url.startsWith('http://') && !url.startsWith('https://')) {
+                url = 'https://' + url;
+            }
 
-                // Find the end of the difference
-                let diffEnd = diffStart;
-                while (diffEnd < Math.min(oldLines.length - oldIndex, newLines.length - newIndex)) {
-                    if (oldLines[oldIndex + diffEnd] === newLines[newIndex + diffEnd]) {
-                        break;
-                    }
-                    diffEnd++;
+            const response = await axios.post('https://ollama.com/api/web_fetch', {
+                url: url
+            }, {
+                headers: {
+                    'Authorization': `Bearer ${process.env.OLLAMA_API_KEY}`,
+                    'Content-Type': 'application/json'
                 }
+            });
 
-                // Add the changed lines
-                for (let i = diffStart; i < diffEnd; i++) {
-                    if (oldIndex + i < oldLines.length) {
-                        hunkLines.push(`-${oldLines[oldIndex + i]}`);
-                    }
-                    if (newIndex + i < newLines.length) {
-                        hunkLines.push(`+${newLines[newIndex + i]}`);
-                    }
-                }
+            if (response.data) {
+                // Increment usage counter
+                this.webSearchUsage.fetches++;
+                await this.saveWebSearchUsage();
+                console.log(`[WEB SEARCH] 🌐 Fetch: "${url}" | Usage: ${this.webSearchUsage.fetches}/${this.webSearchUsage.dailyLimit}`);
+                
+                return {
+                    success: true,
+                    url: url,
+                    title: response.data.title,
+                    content: response.data.content,
+                    links: response.data.links || [],
+                    usage: this.getWebSearchUsage()
+                };
+            } else {
+                return { error: "Invalid response from web fetch API" };
+            }
+        } catch (error) {
+            return { 
+                error: `Web fetch failed: ${error.response?.data?.error || error.message}` 
+            };
+        }
+    }
+
+    getWebSearchUsage() {
+        return {
+            searches: this.webSearchUsage.searches,
+            fetches: this.webSearchUsage.fetches,
+            total: this.webSearchUsage.searches + this.webSearchUsage.fetches,
+            dailyLimit: this.webSearchUsage.dailyLimit,
+            remaining: this.webSearchUsage.dailyLimit - (this.webSearchUsage.searches + this.webSearchUsage.fetches),
+            resetDate: this.webSearchUsage.resetDate
+        };
+    }
+
+    // New enhanced tools implementation
+    async runTests(testCommand, cwd = this.workspaceRoot, timeout = 300) {
+        try {
+            const { exec } = require('child_process');
+
+            return new Promise((resolve) => {
+                const startTime = Date.now();
+                const timeoutMs = timeout * 1000;
+
+                const child = exec(testCommand, {
+                    cwd,
+                    timeout: timeoutMs,
+                    maxBuffer: 1024 * 1024 * 10 // 10MB buffer
+                }, (error, stdout, stderr) => {
+                    const executionTime = Date.now() - startTime;
+
+                    // Parse test results based on common test output patterns
+                    const output = stdout + stderr;
+                    const result = this.parseTestOutput(output, executionTime, error);
 
-                // Add context after the change
-                const contextEnd = Math.min(diffEnd + contextLines,
-                    Math.min(oldLines.length - oldIndex, newLines.length - newIndex));
-                for (let i = diffEnd; i < contextEnd; i++) {
-                    if (oldIndex + i < oldLines.length) {
-                        hunkLines.push(` ${oldLines[oldIndex + i]}`);
+                    resolve(result);
+                });
+
+                // Handle timeout
+                setTimeout(() => {
+                    if (!child.killed) {
+                        child.kill('SIGTERM');
+                        resolve({
+                            success: false,
+                            error: `Test execution timed out after ${timeout} seconds`,
+                            timeout: true,
+                            executionTime: timeout * 1000
+                        });
                     }
-                }
+                }, timeoutMs);
+            });
+        } catch (error) {
+            return {
+                success: false,
+                error: `Failed to run tests: ${error.message}`,
+                executionTime: 0
+            };
+        }
+    }
 
-                oldIndex += diffEnd;
-                newIndex += diffEnd;
-            }
+    parseTestOutput(output, executionTime, error) {
+        const result = {
+            success: !error,
+            executionTime,
+            output: output,
+            summary: {}
+        };
 
-            // Output hunk if we have one
-            if (hunkStart !== -1 && hunkLines.length > 0) {
-                diff.push(`@@ -${hunkStart},${oldLines.length} +${hunkStart},${newLines.length} @@`);
-                diff.push(...hunkLines);
-                hunkStart = -1;
-                hunkLines = [];
-            }
+        // Parse Jest/Mocha style output
+        const passedMatch = output.match(/(\d+)\s+passing/);
+        const failedMatch = output.match(/(\d+)\s+failing/);
+        const testsMatch = output.match(/(\d+)\s+tests?/);
+
+        if (passedMatch || failedMatch || testsMatch) {
+            result.summary = {
+                total: testsMatch ? parseInt(testsMatch[1]) : 0,
+                passed: passedMatch ? parseInt(passedMatch[1]) : 0,
+                failed: failedMatch ? parseInt(failedMatch[1]) : 0,
+                framework: 'jest/mocha'
+            };
         }
 
-        return diff.join('\n');
-    }
+        // Parse pytest output
+        const pytestPassed = output.match(/(\d+)\s+passed/);
+        const pytestFailed = output.match(/(\d+)\s+failed/);
+        const pytestErrors = output.match(/(\d+)\s+errors?/);
 
-    countDiffChanges(diff) {
-        const lines = diff.split('\n');
-        let additions = 0;
-        let deletions = 0;
+        if (pytestPassed || pytestFailed || pytestErrors) {
+            result.summary = {
+                total: (pytestPassed ? parseInt(pytestPassed[1]) : 0) +
+                       (pytestFailed ? parseInt(pytestFailed[1]) : 0) +
+                       (pytestErrors ? parseInt(pytestErrors[1]) : 0),
+                passed: pytestPassed ? parseInt(pytestPassed[1]) : 0,
+                failed: (pytestFailed ? parseInt(pytestFailed[1]) : 0) +
+                        (pytestErrors ? parseInt(pytestErrors[1]) : 0),
+                framework: 'pytest'
+            };
+        }
 
-        for (const line of lines) {
-            if (line.startsWith('+') && !line.startsWith('+++')) {
-                additions++;
-            } else if (line.startsWith('-') && !line.startsWith('---')) {
-                deletions++;
-            }
+        // Extract error details
+        if (error) {
+            result.error = error.message;
+            result.exitCode = error.code;
         }
 
-        return { additions, deletions, total: additions + deletions };
+        return result;
     }
 
-    async startRepl(language = 'auto', cwd = this.workspaceRoot, imports = []) {
+    async runLinter(linterCommand, cwd = this.workspaceRoot, filePath = null) {
         try {
-            const { spawn } = require('child_process');
-
-            // Auto-detect language
-            if (language === 'auto') {
-                const fs = require('fs');
-                const hasPackageJson = fs.existsSync(require('path').join(cwd, 'package.json'));
-                const hasRequirements = fs.existsSync(require('path').join(cwd, 'requirements.txt'));
-                const hasPipfile = fs.existsSync(require('path').join(cwd, 'Pipfile'));
+            const { exec } = require('child_process');
 
-                if (hasPackageJson) language = 'node';
-                else if (hasRequirements || hasPipfile) language = 'python';
-                else language = 'node'; // default
-            }
+            // If filePath is specified, append it to the command
+            const fullCommand = filePath ? `${linterCommand} ${filePath}` : linterCommand;
 
-            let command, args;
-            switch (language) {
-                case 'node':
-                    command = 'node';
-                    args = ['-i']; // interactive mode
-                    if (imports.length > 0) {
-                        // Pre-import modules
-                        args.push('-e', imports.map(imp => `require('${imp}')`).join(';'));
-                    }
-                    break;
-                case 'python':
-                    command = 'python';
-                    args = ['-i']; // interactive mode
-                    if (imports.length > 0) {
-                        // Pre-import modules
-                        args.push('-c', imports.map(imp => `import ${imp}`).join(';'));
-                    }
-                    break;
-                default:
-                    return { error: `Unsupported REPL language: ${language}` };
-            }
+            return new Promise((resolve) => {
+                exec(fullCommand, {
+                    cwd,
+                    maxBuffer: 1024 * 1024 * 5 // 5MB buffer for linter output
+                }, (error, stdout, stderr) => {
+                    const output = stdout + stderr;
+                    const result = this.parseLinterOutput(output, error);
 
-            // Note: This starts a background process, but for the tool response
-            // we just indicate it was started successfully
-            const child = spawn(command, args, {
-                cwd,
-                stdio: 'inherit', // Pass through to terminal
-                detached: true
+                    resolve(result);
+                });
             });
-
-            // Detach so it doesn't get killed when this process exits
-            child.unref();
-
-            return {
-                success: true,
-                language,
-                command: `${command} ${args.join(' ')}`,
-                cwd,
-                message: `REPL started in background. Use your terminal to interact with it.`,
-                pid: child.pid
-            };
         } catch (error) {
             return {
                 success: false,
-                error: `Failed to start REPL: ${error.message}`,
-                language
+                error: `Failed to run linter: ${error.message}`,
+                issues: []
             };
         }
     }
 
-    // Model usage tracking methods (collect real data)
-    resetUsageIfNeeded() {
-        const today = new Date().toDateString();
-        
-        // Reset daily stats if it's a new day
-        if (this.modelUsage.resetDate !== today) {
-            console.log(`[USAGE] 🔄 Daily usage reset for ${today}`);
-            
-            // Archive yesterday's data for analysis
-            if (Object.keys(this.modelUsage.models).length > 0) {
-                console.log(`[USAGE] 📊 Yesterday's usage summary:`);
-                Object.entries(this.modelUsage.models).forEach(([modelName, stats]) => {
-                    const successRate = stats.totalRequests > 0 ? 
-                        Math.round(((stats.totalRequests - stats.errors) / stats.totalRequests) * 100) : 0;
-                    console.log(`[USAGE]   ${modelName}: ${stats.totalRequests} requests, ${stats.errors} errors (${successRate}% success)`);
-                    if (stats.rateLimitErrors > 0) {
-                        console.log(`[USAGE]     └─ ${stats.rateLimitErrors} rate limit errors detected`);
-                    }
-                });
-            }
-            
-            this.modelUsage.resetDate = today;
-            this.modelUsage.resetTime = new Date().getTime();
-            
-            // Reset all model stats
-            Object.keys(this.modelUsage.models).forEach(modelName => {
-                this.modelUsage.models[modelName] = {
-                    totalRequests: 0,
-                    successfulRequests: 0,
-                    errors: 0,
-                    rateLimitErrors: 0,
-                    totalTokens: 0,
-                    lastUsed: null,
-                    firstUsed: null,
-                    errorMessages: []
-                };
-            });
-            
+    parseLinterOutput(output, error) {
+        const result = {
+            success: !error || error.code === 0,
+            output: output,
+            issues: []
+        };
+
+        // Parse ESLint output
+        const eslintRegex = /^(.+?): line (\d+), col (\d+), (Error|Warning) - (.+?)(?:\s\((.+?)\))?$/gm;
+        let match;
+        while ((match = eslintRegex.exec(output)) !== null) {
+            result.issues.push({
+                file: match[1],
+                line: parseInt(match[2]),
+                column: parseInt(match[3]),
+                severity: match[4].toLowerCase(),
+                message: match[5],
+                rule: match[6] || null,
+                linter: 'eslint'
+            });
+        }
+
+        // Parse flake8 output
+        const flake8Regex = /^(.+?):(\d+):(\d+): (\w+) (.+)$/gm;
+        while ((match = flake8Regex.exec(output)) !== null) {
+            result.issues.push({
+                file: match[1],
+                line: parseInt(match[2]),
+                column: parseInt(match[3]),
+                severity: match[4].toLowerCase(),
+                message: match[5],
+                linter: 'flake8'
+            });
+        }
+
+        // Count issues by severity
+        const errorCount = result.issues.filter(i => i.severity === 'error').length;
+        const warningCount = result.issues.filter(i => i.severity === 'warning').length;
+
+        result.summary = {
+            totalIssues: result.issues.length,
+            errors: errorCount,
+            warnings: warningCount
+        };
+
+        if (error && error.code !== 0) {
+            result.error = error.message;
+            result.exitCode = error.code;
+        }
+
+        return result;
+    }
+
+    async checkDependencies(packageManager = 'auto', cwd = this.workspaceRoot, includeDev = true) {
+        try {
+            const fs = require('fs').promises;
+            const path = require('path');
+
+            // Auto-detect package manager
+            if (packageManager === 'auto') {
+                const hasPackageLock = await fs.access(path.join(cwd, 'package-lock.json')).then(() => true).catch(() => false);
+                const hasYarnLock = await fs.access(path.join(cwd, 'yarn.lock')).then(() => true).catch(() => false);
+                const hasPnpmLock = await fs.access(path.join(cwd, 'pnpm-lock.yaml')).then(() => true).catch(() => false);
+                const hasPipfile = await fs.access(path.join(cwd, 'Pipfile')).then(() => true).catch(() => false);
+                const hasRequirements = await fs.access(path.join(cwd, 'requirements.txt')).then(() => true).catch(() => false);
+
+                if (hasPackageLock) packageManager = 'npm';
+                else if (hasYarnLock) packageManager = 'yarn';
+                else if (hasPnpmLock) packageManager = 'pnpm';
+                else if (hasPipfile || hasRequirements) packageManager = 'pip';
+                else packageManager = 'npm'; // default fallback
+            }
+
+            let result;
+            switch (packageManager) {
+                case 'npm':
+                    result = await this.checkNpmDependencies(cwd, includeDev);
+                    break;
+                case 'yarn':
+                    result = await this.checkYarnDependencies(cwd, includeDev);
+                    break;
+                case 'pnpm':
+                    result = await this.checkPnpmDependencies(cwd, includeDev);
+                    break;
+                case 'pip':
+                    result = await this.checkPipDependencies(cwd);
+                    break;
+                default:
+                    return { error: `Unsupported package manager: ${packageManager}` };
+            }
+
+            return result;
+        } catch (error) {
+            return {
+                success: false,
+                error: `Failed to check dependencies: ${error.message}`,
+                packageManager: packageManager
+            };
+        }
+    }
+
+    async checkNpmDependencies(cwd, includeDev) {
+        const { exec } = require('child_process');
+
+        return new Promise((resolve) => {
+            const command = includeDev ? 'npm list --depth=0 --json' : 'npm list --depth=0 --json --production';
+            exec(command, { cwd }, (error, stdout, stderr) => {
+                try {
+                    const data = JSON.parse(stdout);
+                    const dependencies = data.dependencies || {};
+
+                    const result = {
+                        success: !error,
+                        packageManager: 'npm',
+                        includeDev,
+                        dependencies: Object.entries(dependencies).map(([name, info]) => ({
+                            name,
+                            version: info.version,
+                            type: info.dev ? 'dev' : 'prod'
+                        }))
+                    };
+
+                    resolve(result);
+                } catch (parseError) {
+                    resolve({
+                        success: false,
+                        error: `Failed to parse npm output: ${parseError.message}`,
+                        rawOutput: stdout
+                    });
+                }
+            });
+        });
+    }
+
+    async checkYarnDependencies(cwd, includeDev) {
+        const { exec } = require('child_process');
+
+        return new Promise((resolve) => {
+            const command = 'yarn list --depth=0 --json';
+            exec(command, { cwd }, (error, stdout, stderr) => {
+                // Yarn list output is complex, fallback to npm-style parsing
+                resolve({
+                    success: false,
+                    error: 'Yarn dependency checking not fully implemented yet',
+                    packageManager: 'yarn'
+                });
+            });
+        });
+    }
+
+    async checkPnpmDependencies(cwd, includeDev) {
+        const { exec } = require('child_process');
+
+        return new Promise((resolve) => {
+            const command = 'pnpm list --depth=0 --json';
+            exec(command, { cwd }, (error, stdout, stderr) => {
+                try {
+                    const data = JSON.parse(stdout);
+                    const result = {
+                        success: !error,
+                        packageManager: 'pnpm',
+                        includeDev,
+                        dependencies: data.map(dep => ({
+                            name: dep.name,
+                            version: dep.version,
+                            type: 'prod' // pnpm doesn't distinguish easily
+                        }))
+                    };
+
+                    resolve(result);
+                } catch (parseError) {
+                    resolve({
+                        success: false,
+                        error: `Failed to parse pnpm output: ${parseError.message}`,
+                        rawOutput: stdout
+                    });
+                }
+            });
+        });
+    }
+
+    async checkPipDependencies(cwd) {
+        const { exec } = require('child_process');
+
+        return new Promise((resolve) => {
+            exec('pip freeze', { cwd }, (error, stdout, stderr) => {
+                const lines = stdout.split('\n').filter(line => line.trim());
+                const dependencies = lines.map(line => {
+                    const [name, version] = line.split('==');
+                    return { name, version };
+                });
+
+                resolve({
+                    success: !error,
+                    packageManager: 'pip',
+                    dependencies
+                });
+            });
+        });
+    }
+
+    async showFileDiff(filePath, newContent, contextLines = 3) {
+        try {
+            const fs = require('fs').promises;
+            const path = require('path');
+
+            const fullPath = this.validateWorkspacePath(filePath);
+
+            // Read current content
+            let currentContent;
+            try {
+                currentContent = await fs.readFile(fullPath, 'utf8');
+            } catch (error) {
+                // File doesn't exist, treat as empty
+                currentContent = '';
+            }
+
+            const currentLines = currentContent.split('\n');
+            const newLines = newContent.split('\n');
+
+            // Generate unified diff
+            const diff = this.generateUnifiedDiff(filePath, currentLines, newLines, contextLines);
+
+            return {
+                success: true,
+                filePath,
+                diff,
+                changes: this.countDiffChanges(diff),
+                currentLines: currentLines.length,
+                newLines: newLines.length
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: `Failed to generate diff: ${error.message}`,
+                filePath
+            };
+        }
+    }
+
+    /**
+     * Unified diff built from numbered hunks - the same hunks the edit controller
+     * offers for partial acceptance (`accept <edit_id> hunks 1,3`)
+     */
+    generateUnifiedDiff(filePath, oldLines, newLines, contextLines = 3) {
+        return formatUnifiedDiff(filePath, computeHunks(oldLines, newLines, contextLines));
+    }
+
+    countDiffChanges(diff) {
+        const lines = diff.split('\n');
+        let additions = 0;
+        let deletions = 0;
+
+        for (const line of lines) {
+            if (line.startsWith('+') && !line.startsWith('+++')) {
+                additions++;
+            } else if (line.startsWith('-') && !line.startsWith('---')) {
+                deletions++;
+            }
+        }
+
+        return { additions, deletions, total: additions + deletions };
+    }
+
+    async startRepl(language = 'auto', cwd = this.workspaceRoot, imports = []) {
+        try {
+            const { spawn } = require('child_process');
+
+            // Auto-detect language
+            if (language === 'auto') {
+                const fs = require('fs');
+                const hasPackageJson = fs.existsSync(require('path').join(cwd, 'package.json'));
+                const hasRequirements = fs.existsSync(require('path').join(cwd, 'requirements.txt'));
+                const hasPipfile = fs.existsSync(require('path').join(cwd, 'Pipfile'));
+
+                if (hasPackageJson) language = 'node';
+                else if (hasRequirements || hasPipfile) language = 'python';
+                else language = 'node'; // default
+            }
+
+            let command, args;
+            switch (language) {
+                case 'node':
+                    command = 'node';
+                    args = ['-i']; // interactive mode
+                    if (imports.length > 0) {
+                        // Pre-import modules
+                        args.push('-e', imports.map(imp => `require('${imp}')`).join(';'));
+                    }
+                    break;
+                case 'python':
+                    command = 'python';
+                    args = ['-i']; // interactive mode
+                    if (imports.length > 0) {
+                        // Pre-import modules
+                        args.push('-c', imports.map(imp => `import ${imp}`).join(';'));
+                    }
+                    break;
+                default:
+                    return { error: `Unsupported REPL language: ${language}` };
+            }
+
+            // Note: This starts a background process, but for the tool response
+            // we just indicate it was started successfully
+            const child = spawn(command, args, {
+                cwd,
+                stdio: 'inherit', // Pass through to terminal
+                detached: true
+            });
+
+            // Detach so it doesn't get killed when this process exits
+            child.unref();
+
+            return {
+                success: true,
+                language,
+                command: `${command} ${args.join(' ')}`,
+                cwd,
+                message: `REPL started in background. Use your terminal to interact with it.`,
+                pid: child.pid
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: `Failed to start REPL: ${error.message}`,
+                language
+            };
+        }
+    }
+
+    // Model usage tracking methods (collect real data)
+    resetUsageIfNeeded() {
+        const today = new Date().toDateString();
+        
+        // Reset daily stats if it's a new day
+        if (this.modelUsage.resetDate !== today) {
+            console.log(`[USAGE] 🔄 Daily usage reset for ${today}`);
+            
+            // Archive yesterday's data for analysis
+            if (Object.keys(this.modelUsage.models).length > 0) {
+                console.log(`[USAGE] 📊 Yesterday's usage summary:`);
+                Object.entries(this.modelUsage.models).forEach(([modelName, stats]) => {
+                    const successRate = stats.totalRequests > 0 ? 
+                        Math.round(((stats.totalRequests - stats.errors) / stats.totalRequests) * 100) : 0;
+                    console.log(`[USAGE]   ${modelName}: ${stats.totalRequests} requests, ${stats.errors} errors (${successRate}% success)`);
+                    if (stats.rateLimitErrors > 0) {
+                        console.log(`[USAGE]     └─ ${stats.rateLimitErrors} rate limit errors detected`);
+                    }
+                });
+            }
+            
+            this.modelUsage.resetDate = today;
+            this.modelUsage.resetTime = new Date().getTime();
+            
+            // Reset all model stats
+            Object.keys(this.modelUsage.models).forEach(modelName => {
+                this.modelUsage.models[modelName] = {
+                    totalRequests: 0,
+                    successfulRequests: 0,
+                    errors: 0,
+                    rateLimitErrors: 0,
+                    totalTokens: 0,
+                    lastUsed: null,
+                    firstUsed: null,
+                    errorMessages: []
+                };
+            });
+            
             // Reset daily stats
             this.modelUsage.dailyStats = {
                 totalRequests: 0,
@@ -3963,127 +5569,792 @@ class OllamaJack {
         const model = this.modelUsage.models[modelName];
         const now = new Date().getTime();
         
-        // Update model stats
-        model.totalRequests++;
-        model.lastUsed = new Date().toISOString();
-        this.modelUsage.dailyStats.totalRequests++;
+        // Update model stats
+        model.totalRequests++;
+        model.lastUsed = new Date().toISOString();
+        this.modelUsage.dailyStats.totalRequests++;
+        
+        // Track request type
+        if (isToolCall) {
+            model.toolCallRequests++;
+            this.modelUsage.dailyStats.toolCallRequests++;
+            this.modelUsage.currentConversation.consecutiveToolCalls++;
+        } else {
+            model.simpleChatRequests++;
+            this.modelUsage.dailyStats.simpleChatRequests++;
+            // Reset consecutive tool call counter on simple chat
+            this.modelUsage.currentConversation.consecutiveToolCalls = 0;
+        }
+        
+        if (isError) {
+            model.errors++;
+            this.modelUsage.dailyStats.totalErrors++;
+            
+            // Check if it's a tool call error
+            if (isToolCall) {
+                model.toolCallErrors++;
+                this.modelUsage.dailyStats.toolCallErrors++;
+                
+                // Track consecutive tool call failure pattern
+                const consecutiveCount = this.modelUsage.currentConversation.consecutiveToolCalls;
+                model.consecutiveToolCallFailures.push({
+                    failureAtStep: consecutiveCount,
+                    timestamp: new Date().toISOString(),
+                    errorMessage: errorMessage || 'Unknown error'
+                });
+                
+                console.log(`[USAGE] ⚠️ Tool call #${consecutiveCount} failed for ${modelName} (${model.toolCallErrors} total tool call errors)`);
+                
+                // Keep only last 10 consecutive failure records
+                if (model.consecutiveToolCallFailures.length > 10) {
+                    model.consecutiveToolCallFailures = model.consecutiveToolCallFailures.slice(-10);
+                }
+            }
+            
+            // Check if it's a rate limit error
+            const isRateLimit = errorMessage && (
+                errorMessage.toLowerCase().includes('rate limit') ||
+                errorMessage.toLowerCase().includes('quota') ||
+                errorMessage.toLowerCase().includes('too many requests') ||
+                errorMessage.toLowerCase().includes('limit exceeded')
+            );
+            
+            if (isRateLimit) {
+                model.rateLimitErrors++;
+                this.modelUsage.dailyStats.rateLimitErrors++;
+                console.log(`[USAGE] ⚠️ Rate limit detected for ${modelName} (${model.rateLimitErrors} today)`);
+            }
+            
+            // Store error message (keep last 5)
+            model.errorMessages.unshift({
+                message: errorMessage || 'Unknown error',
+                timestamp: new Date().toISOString(),
+                isRateLimit,
+                isToolCall,
+                requestType: isToolCall ? 'tool_call' : 'simple_chat'
+            });
+            if (model.errorMessages.length > 5) {
+                model.errorMessages = model.errorMessages.slice(0, 5);
+            }
+            
+        } else {
+            // Successful request
+            model.successfulRequests++;
+            model.totalTokens += tokenCount;
+            this.modelUsage.dailyStats.totalTokens += tokenCount;
+        }
+        
+        console.log(`[USAGE] 📊 ${modelName}: ${model.successfulRequests}/${model.totalRequests} success (${model.rateLimitErrors} rate limits)`);
+    }
+
+    getModelUsage() {
+        this.resetUsageIfNeeded();
+        
+        this.debugLog(`getModelUsage called, models tracked: ${Object.keys(this.modelUsage.models).length}`, 'USAGE');
+        this.debugLog(`Available models: ${Object.keys(this.modelUsage.models).join(', ')}`, 'USAGE');
+        
+        const usage = {};
+        Object.keys(this.modelUsage.models).forEach(modelName => {
+            const model = this.modelUsage.models[modelName];
+            const successRate = model.totalRequests > 0 ? 
+                Math.round((model.successfulRequests / model.totalRequests) * 100) : 0;
+            
+            usage[modelName] = {
+                totalRequests: model.totalRequests,
+                successfulRequests: model.successfulRequests,
+                errors: model.errors,
+                rateLimitErrors: model.rateLimitErrors,
+                toolCallErrors: model.toolCallErrors,
+                simpleChatRequests: model.simpleChatRequests,
+                toolCallRequests: model.toolCallRequests,
+                totalTokens: model.totalTokens,
+                successRate: successRate,
+                toolCallSuccessRate: model.toolCallRequests > 0 ? 
+                    Math.round(((model.toolCallRequests - model.toolCallErrors) / model.toolCallRequests) * 100) : 0,
+                avgTokensPerRequest: model.successfulRequests > 0 ? 
+                    Math.round(model.totalTokens / model.successfulRequests) : 0,
+                lastUsed: model.lastUsed,
+                firstUsed: model.firstUsed,
+                recentErrors: model.errorMessages.slice(0, 3) // Last 3 errors
+            };
+        });
+        
+        return {
+            resetDate: this.modelUsage.resetDate,
+            models: usage,
+            dailyStats: this.modelUsage.dailyStats,
+            summary: {
+                totalModels: Object.keys(usage).length,
+                modelsWithErrors: Object.values(usage).filter(m => m.errors > 0).length,
+                modelsWithRateLimits: Object.values(usage).filter(m => m.rateLimitErrors > 0).length,
+                totalSuccessRate: this.modelUsage.dailyStats.totalRequests > 0 ? 
+                    Math.round(((this.modelUsage.dailyStats.totalRequests - this.modelUsage.dailyStats.totalErrors) / this.modelUsage.dailyStats.totalRequests) * 100) : 0
+            }
+        };
+    }
+
+    /**
+     * Resolve the model for a proxy request (display name vs. API name)
+     * Cloud mode needs the -cloud suffix for API calls, responses keep the display name
+     */
+    resolveProxyModel(model) {
+        // Use the requested model or fall back to the engine's selected model
+        const requestedModel = model || this.currentModel;
+
+        // For cloud models, ensure we use the proper API name with -cloud suffix
+        let activeModel = requestedModel;
+
+        // Concurrent requests may use different models - keep this one's on its own context
+        // (never on the engine, which the interactive chat and other requests share)
+        const requestContext = getRequestContext();
+        if (requestContext) {
+            requestContext.model = requestedModel;
+        }
+
+        // Use unified cloud mode detection
+        if (this.isCloudMode() && requestedModel && !requestedModel.endsWith('-cloud')) {
+            // Add -cloud suffix for cloud mode (let users specify full names if needed)
+            activeModel = `${requestedModel}-cloud`;
+            console.log(`[HIJACKER] Using cloud model: ${activeModel} (from ${requestedModel})`);
+        } else {
+            console.log(`[HIJACKER] Using local model: ${activeModel}`);
+        }
+
+        return { requestedModel, activeModel };
+    }
+
+    /**
+     * Build the system message shared by every proxy endpoint
+     * (OpenAI chat completions, Anthropic messages, ...)
+     */
+    buildProxySystemMessage() {
+        // Add enhanced system message with session memory context
+        const baseSystemContent = `You are an AI assistant with full workspace control through an interactive terminal interface. You have these capabilities:
+
+🔧 AVAILABLE TOOLS:
+- Execute terminal commands
+- Read, write, and modify files  
+- Search through code
+- Git operations
+- Directory exploration
+- Workspace analysis
+
+� CRITICAL WORKSPACE RULES:
+1. ALWAYS start by using list_directory to discover actual files in the workspace
+2. NEVER assume file paths - only work with files that actually exist
+3. Use Windows-style paths (backslashes) when on Windows systems
+4. Before any file operation, verify the file exists with list_directory or read_file
+5. When given vague requests, explore the workspace structure first to understand the project
+
+�💬 INTERACTION STYLE:
+- Always explain what you're doing and why
+- Before making changes, describe your plan clearly
+- When proposing file edits, explain the purpose and impact
+- Be conversational and helpful, like a collaborative coding partner
+
+🔧 TOOL USAGE RULES:
+- show_file_diff: Requires filePath AND newContent parameters (not command/cwd)
+- execute_terminal_command: Use for git commands, shell operations (requires command parameter)
+- read_file: Only needs filePath parameter
+- For git diff operations: Use execute_terminal_command with "git diff" command, NOT show_file_diff
+- Never mix parameters from different tools
+
+🎯 EDIT WORKFLOW:
+- File modifications require user approval (accept/reject/refactor)
+- Explain each edit's purpose and expected outcome
+- Show content previews for proposed changes
+- Terminal commands execute immediately but explain the reasoning
+
+✂️ CRITICAL EDITING PROTOCOL (SURGICAL EDITS):
+1. **ALWAYS read the file first** - No exceptions! Edit tools fail without recent file read
+2. **Find the EXACT section** to change (10-20 lines with surrounding context)
+3. **Include surrounding context** in old_string for uniqueness
+4. **Make ONE small change at a time** - Never modify entire files
+5. **Verify the result** by reading the file again after edit approval
+6. **One logical change in several places** (rename a function and its call sites) → use multi_edit with an ordered edits list, so the user approves it once
+7. **Prefer diffs?** → apply_patch takes a unified diff or a V4A patch (*** Begin Patch ... *** End Patch) with a few lines of context around each change
+
+Example Surgical Edit:
+\`\`\`
+Step 1: read_file({ filePath: "server.js" })
+Step 2: Identify exact section with context:
+  old_string: "const port = 3000;\\n\\napp.listen(port, () => {"
+  new_string: "const port = process.env.PORT || 3000;\\n\\napp.listen(port, () => {"
+Step 3: After approval, verify with read_file again
+\`\`\`
+
+❌ NEVER DO THIS:
+- Write entire file content when you just need to change one line
+- Edit without reading the file first
+- Assume edits succeeded without checking
+- Make multiple unrelated changes in one edit
+
+💭 MANDATORY COMMENTARY PROTOCOL:
+**AFTER EVERY tool execution, you MUST use the commentary tool to:**
+1. **Observe what actually happened** (success/failure)
+2. **Check for errors or unexpected outcomes**
+3. **Verify changes were applied correctly**
+4. **Decide next action based on reality, not assumptions**
+
+After write_file/surgical_edit/multi_edit/apply_patch tools:
+  - commentary({ channel: "learning", content: "Edit tool returned: [result]. Let me verify by reading the file..." })
+
+After execute_terminal_command:
+  - commentary({ channel: "meta", content: "Command output shows: [observation]. This means..." })
+
+After read_file (before editing):
+  - commentary({ channel: "planning", content: "I see [what] on line [X]. I'll change just that section..." })
+
+When you see lastEditDecision in tool results:
+  - If decision === "rejected": commentary({ channel: "safety", content: "User REJECTED my edit. I need to try a different approach..." })
+  - If decision === "refactored": commentary({ channel: "collaboration", content: "User wants me to change: [userFeedback]. I'll adjust my approach..." })
+  - If decision === "accepted": commentary({ channel: "meta", content: "Edit was accepted and applied. Verified successfully." })
+
+**The commentary chain IS your intelligence** - each observation informs the next action!
+
+🔍 WORKSPACE DISCOVERY PROTOCOL:
+When receiving any task:
+1. First, run list_directory to see what files exist
+2. If analyzing code, use search_code to find relevant patterns - for a known function, class or method
+   use find_definition (where it is defined), find_references (who uses it) and file_outline (a file's structure)
+   - when you don't know the names, semantic_search finds code by what it does ("where do we handle retries?")
+   - when lsp_* tools are available, lsp_diagnostics gives exact compiler errors, lsp_hover types and docs,
+     lsp_definition definitions resolved through imports, and lsp_rename renames a symbol in every file
+   - for history use git_status, git_diff, git_log and git_blame (JSON) and git_commit to propose a commit,
+     not execute_terminal_command with git
+3. Only then proceed with actual file operations
+4. Work with real files, not imaginary ones
+
+Always be thorough in explanations and proactive in suggesting improvements!`;
+
+        // Add workspace context to base system content
+        const workspaceEnhancedContent = baseSystemContent + `\n\n🏠 WORKSPACE & OPERATING SYSTEM CONTEXT:
+- Current workspace: ${this.workspaceRoot}
+- Operating System: ${osAwareness.osInfo.name} ${osAwareness.osInfo.version} (${osAwareness.osInfo.arch})
+- Platform Family: ${osAwareness.osInfo.family}
+- Shell Environment: ${osAwareness.shellInfo.name} (${osAwareness.shellInfo.type})
+
+📋 OPERATING SYSTEM SPECIFICS:
+- Path Separator: "${osAwareness.osInfo.pathSeparator}" (use ${osAwareness.osInfo.pathSeparator === '\\' ? 'backslashes' : 'forward slashes'} for file paths)
+- File Listing: Use "${osAwareness.commandMappings['ls']}" command
+- File Copy: Use "${osAwareness.commandMappings['cp']}" command
+- File Delete: Use "${osAwareness.commandMappings['rm']}" command
+- Directory Creation: Use "${osAwareness.commandMappings['mkdir']}" command
+- Clear Screen: Use "${osAwareness.commandMappings['clear']}" command
+- Process List: Use "${osAwareness.commandMappings['ps']}" command
+- Find Command: Use "${osAwareness.commandMappings['which']}" command
+
+🔧 DEVELOPMENT TOOLS AVAILABLE:
+- Node.js: node
+- Package Manager: npm
+- Python: ${osAwareness.osInfo.isWindows ? 'python' : 'python3'}
+- Package Installer: ${osAwareness.osInfo.isWindows ? 'pip' : 'pip3'}
+- Git: git
+- Text Editor: ${osAwareness.osInfo.isWindows ? 'notepad' : 'nano'}
+
+⚠️ IMPORTANT OS-SPECIFIC RULES:
+${osAwareness.getOSNotes().map(note => `- ${note}`).join('\n')}
+
+💡 COMMAND ADAPTATION:
+- All commands will be automatically adapted for your OS (${osAwareness.osInfo.name})
+- File paths will be converted to use the correct separator (${osAwareness.osInfo.pathSeparator})
+- Environment variables will use the correct syntax (${osAwareness.osInfo.isWindows ? '%VAR%' : '$VAR'})
+- Invalid commands for this OS will be automatically suggested with alternatives`;
+        
+        // Enhance system message with session memory context
+        let enhancedSystemContent = this.sessionMemory.getEnhancedSystemPrompt(workspaceEnhancedContent);
         
-        // Track request type
-        if (isToolCall) {
-            model.toolCallRequests++;
-            this.modelUsage.dailyStats.toolCallRequests++;
-            this.modelUsage.currentConversation.consecutiveToolCalls++;
+        // Optional Canvas integration - add Canvas context if available
+        if (this.canvasIntegrationEnabled) {
+            const canvasContext = this.buildCanvasContext();
+            enhancedSystemContent += `\n\n📊 CANVAS INTEGRATION ACTIVE:\n${canvasContext}`;
+        }
+
+        return {
+            role: 'system',
+            content: enhancedSystemContent
+        };
+    }
+
+    /**
+     * Build the tool allowlist for a proxy request (JACK_TOOL_POLICY, X-Jack-Tools, `jack.tools`)
+     * @returns {{policy?: ToolPolicy, error?: string}}
+     */
+    resolveToolPolicy(req) {
+        const { policy, error } = ToolPolicy.fromRequest(req, this.tools.map(tool => tool.function.name));
+        if (policy && policy.sources.length > 0) {
+            logger.debug(`Tool policy for ${req.path}: ${policy.describe()} (${policy.allowed.size} tools)`);
+        }
+        return { policy, error };
+    }
+
+    /**
+     * Resolve which tools a proxy request exposes to the model
+     * - 'jack'    : Jack's tools only, client-declared `tools` are ignored (default)
+     * - 'merge'   : Jack's tools plus the client's (a client tool shadows a Jack tool of the same name)
+     * - 'replace' : the client's tools only, Jack executes nothing
+     * Calls to client-owned tools are handed back to the caller with finish_reason "tool_calls";
+     * a round that also calls Jack's tools is handed back without running Jack's calls
+     * @param {ToolPolicy} toolPolicy - Restricts which of Jack's tools are offered
+     * @returns {{mode: string, tools: Array, clientToolNames: Set<string>, error?: string}}
+     */
+    resolveProxyTools(req, toolPolicy) {
+        const validModes = ['jack', 'merge', 'replace'];
+        const clientTools = Array.isArray(req.body?.tools)
+            ? req.body.tools.filter(tool => tool && tool.type === 'function' && tool.function?.name)
+            : [];
+
+        const requestedMode = (
+            req.body?.jack?.tool_mode ||
+            req.get('X-Jack-Tool-Mode') ||
+            process.env.JACK_CLIENT_TOOL_MODE ||
+            'jack'
+        ).toLowerCase();
+
+        if (!validModes.includes(requestedMode)) {
+            return { error: `Invalid tool mode '${requestedMode}' - expected one of: ${validModes.join(', ')}` };
+        }
+
+        // Without client tools every mode behaves like 'jack'
+        const mode = clientTools.length > 0 ? requestedMode : 'jack';
+        const clientToolNames = new Set(mode === 'jack' ? [] : clientTools.map(tool => tool.function.name));
+
+        const jackTools = toolPolicy.filterTools(this.tools);
+
+        let tools;
+        if (mode === 'replace') {
+            tools = clientTools;
+        } else if (mode === 'merge') {
+            tools = [...jackTools.filter(tool => !clientToolNames.has(tool.function.name)), ...clientTools];
         } else {
-            model.simpleChatRequests++;
-            this.modelUsage.dailyStats.simpleChatRequests++;
-            // Reset consecutive tool call counter on simple chat
-            this.modelUsage.currentConversation.consecutiveToolCalls = 0;
+            tools = jackTools;
         }
-        
-        if (isError) {
-            model.errors++;
-            this.modelUsage.dailyStats.totalErrors++;
-            
-            // Check if it's a tool call error
-            if (isToolCall) {
-                model.toolCallErrors++;
-                this.modelUsage.dailyStats.toolCallErrors++;
-                
-                // Track consecutive tool call failure pattern
-                const consecutiveCount = this.modelUsage.currentConversation.consecutiveToolCalls;
-                model.consecutiveToolCallFailures.push({
-                    failureAtStep: consecutiveCount,
-                    timestamp: new Date().toISOString(),
-                    errorMessage: errorMessage || 'Unknown error'
-                });
-                
-                console.log(`[USAGE] ⚠️ Tool call #${consecutiveCount} failed for ${modelName} (${model.toolCallErrors} total tool call errors)`);
-                
-                // Keep only last 10 consecutive failure records
-                if (model.consecutiveToolCallFailures.length > 10) {
-                    model.consecutiveToolCallFailures = model.consecutiveToolCallFailures.slice(-10);
-                }
+
+        return { mode, tools, clientToolNames };
+    }
+
+    /**
+     * Convert OpenAI-format client messages into the shape Ollama expects:
+     * tool call arguments arrive as JSON strings, and tool results need the tool name
+     */
+    normalizeClientMessages(messages = []) {
+        const toolNames = new Map();
+
+        return messages.map(message => {
+            if (message.role === 'assistant' && Array.isArray(message.tool_calls)) {
+                return {
+                    ...message,
+                    content: message.content || '',
+                    tool_calls: message.tool_calls.map(toolCall => {
+                        toolNames.set(toolCall.id, toolCall.function?.name);
+
+                        let args = toolCall.function?.arguments;
+                        if (typeof args === 'string') {
+                            try {
+                                args = JSON.parse(args || '{}');
+                            } catch (error) {
+                                // Leave malformed arguments as-is so the model can see what it sent
+                            }
+                        }
+
+                        return { ...toolCall, function: { ...toolCall.function, arguments: args || {} } };
+                    })
+                };
             }
-            
-            // Check if it's a rate limit error
-            const isRateLimit = errorMessage && (
-                errorMessage.toLowerCase().includes('rate limit') ||
-                errorMessage.toLowerCase().includes('quota') ||
-                errorMessage.toLowerCase().includes('too many requests') ||
-                errorMessage.toLowerCase().includes('limit exceeded')
-            );
-            
-            if (isRateLimit) {
-                model.rateLimitErrors++;
-                this.modelUsage.dailyStats.rateLimitErrors++;
-                console.log(`[USAGE] ⚠️ Rate limit detected for ${modelName} (${model.rateLimitErrors} today)`);
+
+            if (message.role === 'tool' && !message.tool_name && toolNames.has(message.tool_call_id)) {
+                return { ...message, tool_name: toolNames.get(message.tool_call_id) };
             }
-            
-            // Store error message (keep last 5)
-            model.errorMessages.unshift({
-                message: errorMessage || 'Unknown error',
-                timestamp: new Date().toISOString(),
-                isRateLimit,
-                isToolCall,
-                requestType: isToolCall ? 'tool_call' : 'simple_chat'
+
+            return message;
+        });
+    }
+
+    /**
+     * Render tool calls for an OpenAI chat.completion message (arguments as JSON strings)
+     */
+    toOpenAIToolCalls(toolCalls) {
+        return toolCalls.map(toolCall => ({
+            id: toolCall.id,
+            type: 'function',
+            function: {
+                name: toolCall.function.name,
+                arguments: typeof toolCall.function.arguments === 'string'
+                    ? toolCall.function.arguments
+                    : JSON.stringify(toolCall.function.arguments || {})
+            }
+        }));
+    }
+
+    /**
+     * Execute one round of model tool calls for a proxy request
+     * Results are appended to the conversation as tool messages
+     * @param {ToolPolicy} toolPolicy - Calls to tools outside the policy are refused, not executed
+     */
+    async executeProxyToolCalls(toolCalls, currentMessages, toolPolicy = null) {
+        const toolResults = [];
+
+        for (const toolCall of toolCalls) {
+            this.logTraffic({
+                type: 'tool_call',
+                tool: toolCall.function.name,
+                status: 'executing',
+                timestamp: new Date().toISOString()
             });
-            if (model.errorMessages.length > 5) {
-                model.errorMessages = model.errorMessages.slice(0, 5);
+
+            let result;
+            try {
+                if (toolPolicy && !toolPolicy.allows(toolCall.function.name)) {
+                    // The model only sees permitted tools, but it can still hallucinate others
+                    logger.warn(`Tool call refused by request policy (${toolPolicy.describe()}): ${toolCall.function.name}`);
+                    result = {
+                        error: `Tool '${toolCall.function.name}' is not permitted for this request (tool policy: ${toolPolicy.describe()})`,
+                        success: false,
+                        blocked: true,
+                        tool: toolCall.function.name
+                    };
+                } else {
+                    result = await this.executeTool(toolCall);
+                }
+                console.log(`[TOOL] ${toolCall.function.name}:`, result);
+            } catch (toolError) {
+                console.log(`\x1b[91m❌ Tool execution failed: ${toolCall.function.name} - ${toolError.message}\x1b[0m`);
+                result = {
+                    error: `Tool execution failed: ${toolError.message}`,
+                    success: false,
+                    tool: toolCall.function.name
+                };
             }
-            
+
+            // Add tool result to conversation
+            currentMessages.push({
+                role: 'tool',
+                tool_call_id: toolCall.id,
+                content: JSON.stringify(result)
+            });
+
+            toolResults.push({ toolCall, result });
+
+            this.logDebug({
+                type: 'tool_call',
+                message: `Tool executed: ${toolCall.function.name}`,
+                data: { tool: toolCall.function.name, result }
+            });
+        }
+
+        return toolResults;
+    }
+
+    /**
+     * Log token budget usage for a proxy request
+     * NO TRUNCATION - the constrain system handles information management
+     */
+    async logProxyTokenBudget(messages, tools, activeModel) {
+        const tokenCheck = await this.checkTokenBudget(messages, tools, activeModel);
+
+        if (!tokenCheck.withinBudget) {
+            logger.warn(`Token budget warning: ${tokenCheck.estimatedTokens}/${tokenCheck.threshold} (${tokenCheck.usage}%) for ${activeModel}`);
+            logger.info(`Consider using constrain tools to manage information flow instead of truncation`);
         } else {
-            // Successful request
-            model.successfulRequests++;
-            model.totalTokens += tokenCount;
-            this.modelUsage.dailyStats.totalTokens += tokenCount;
+            logger.debug(`Token budget OK: ${tokenCheck.estimatedTokens}/${tokenCheck.threshold} tokens (${tokenCheck.usage}%) for ${activeModel}`);
         }
-        
-        console.log(`[USAGE] 📊 ${modelName}: ${model.successfulRequests}/${model.totalRequests} success (${model.rateLimitErrors} rate limits)`);
+
+        return tokenCheck;
     }
 
-    getModelUsage() {
-        this.resetUsageIfNeeded();
-        
-        this.debugLog(`getModelUsage called, models tracked: ${Object.keys(this.modelUsage.models).length}`, 'USAGE');
-        this.debugLog(`Available models: ${Object.keys(this.modelUsage.models).join(', ')}`, 'USAGE');
-        
-        const usage = {};
-        Object.keys(this.modelUsage.models).forEach(modelName => {
-            const model = this.modelUsage.models[modelName];
-            const successRate = model.totalRequests > 0 ? 
-                Math.round((model.successfulRequests / model.totalRequests) * 100) : 0;
-            
-            usage[modelName] = {
-                totalRequests: model.totalRequests,
-                successfulRequests: model.successfulRequests,
-                errors: model.errors,
-                rateLimitErrors: model.rateLimitErrors,
-                toolCallErrors: model.toolCallErrors,
-                simpleChatRequests: model.simpleChatRequests,
-                toolCallRequests: model.toolCallRequests,
-                totalTokens: model.totalTokens,
-                successRate: successRate,
-                toolCallSuccessRate: model.toolCallRequests > 0 ? 
-                    Math.round(((model.toolCallRequests - model.toolCallErrors) / model.toolCallRequests) * 100) : 0,
-                avgTokensPerRequest: model.successfulRequests > 0 ? 
-                    Math.round(model.totalTokens / model.successfulRequests) : 0,
-                lastUsed: model.lastUsed,
-                firstUsed: model.firstUsed,
-                recentErrors: model.errorMessages.slice(0, 3) // Last 3 errors
-            };
-        });
+    /**
+     * A round that calls client-owned tools goes back to the client whole. Jack's calls in the same
+     * round are not executed: the client's history only carries the calls it was handed, so their
+     * results would be unpaired on the next request. The model re-issues them once it sees the
+     * client's results.
+     */
+    logDeferredJackToolCalls(roundToolCalls, clientToolCalls) {
+        const skipped = roundToolCalls.filter(toolCall => !clientToolCalls.includes(toolCall));
+        if (skipped.length > 0) {
+            logger.info(`Round handed back to the client - not executing ${skipped.map(toolCall => toolCall.function.name).join(', ')} alongside client tools`);
+        }
+    }
+
+    /**
+     * Final message for a proxy tool loop that hit JACK_MAX_TOOL_ROUNDS
+     */
+    toolRoundLimitNotice() {
+        logger.warn(`Proxy tool loop stopped after ${this.maxToolRounds} tool rounds (JACK_MAX_TOOL_ROUNDS)`);
+        return `\n\n⚠️ Stopped after ${this.maxToolRounds} rounds of tool calls (JACK_MAX_TOOL_ROUNDS) - the remaining tool calls were not executed. Ask me to continue if the task is not finished.`;
+    }
+
+    /**
+     * Non-streaming proxy tool loop: call the model, execute tool calls, repeat until
+     * the model gives a final answer. Each model call is retried with exponential backoff.
+     * The loop stops early when the model calls a client-owned tool (see resolveProxyTools), and
+     * ends with a notice instead of running tools once maxToolRounds rounds have executed.
+     * @returns {Promise<{finalResponse: Object, currentMessages: Array, hadToolCalls: boolean, clientToolCalls: Array}>}
+     */
+    async runProxyToolLoop({ activeModel, requestedModel, messages, tools, options = undefined, toolPolicy = null, isClientTool = () => false }) {
+        await this.logProxyTokenBudget(messages, tools, activeModel);
+
+        const currentMessages = [...messages];
+        const maxRetries = 3;
+
+        const chatWithRetry = async (label) => {
+            let retryCount = 0;
+            let chatError;
+
+            while (retryCount <= maxRetries) {
+                try {
+                    if (retryCount > 0) {
+                        console.log(`\x1b[93m🔄 Retrying ${label} (attempt ${retryCount + 1}/${maxRetries + 1})\x1b[0m`);
+                    }
+
+                    return await this.ollama.chat({
+                        model: activeModel,
+                        messages: currentMessages,
+                        tools,
+                        options,
+                        stream: false
+                    });
+                } catch (error) {
+                    chatError = error;
+                    retryCount++;
+
+                    // Log each failed attempt as an API call
+                    this.logDebug({
+                        type: 'api_call',
+                        message: `${label} attempt ${retryCount}/${maxRetries + 1} failed: ${error.message}`,
+                        model: requestedModel,
+                        success: false,
+                        attempt: retryCount,
+                        tokens: { total: 0, prompt: 0, completion: 0 }
+                    });
+
+                    console.log(`\x1b[91m⚠️ ${label} failed (attempt ${retryCount}/${maxRetries + 1}): ${error.message}\x1b[0m`);
+
+                    if (retryCount <= maxRetries) {
+                        const delay = Math.min(1000 * Math.pow(2, retryCount - 1), 5000); // Exponential backoff, max 5s
+                        console.log(`\x1b[93m⏳ Waiting ${delay}ms before retry...\x1b[0m`);
+                        await new Promise(resolve => setTimeout(resolve, delay));
+                    }
+                }
+            }
+
+            this.logTraffic({
+                type: 'request',
+                status: 'error',
+                error: `After ${maxRetries + 1} attempts: ${chatError.message}`,
+                model: requestedModel,
+                timestamp: new Date().toISOString()
+            });
+
+            chatError.message = `${chatError.message} (after ${maxRetries + 1} attempts)`;
+            throw chatError;
+        };
+
+        let finalResponse = await chatWithRetry('Chat completion');
+        let hadToolCalls = false;
+        let toolRounds = 0;
+
+        // Keep executing tool calls until AI gives final response
+        while (finalResponse.message?.tool_calls && finalResponse.message.tool_calls.length > 0) {
+            if (toolRounds >= this.maxToolRounds) {
+                finalResponse = {
+                    ...finalResponse,
+                    message: {
+                        role: 'assistant',
+                        content: ((finalResponse.message.content || '') + this.toolRoundLimitNotice()).trimStart()
+                    },
+                    done_reason: 'length'
+                };
+                break;
+            }
+
+            toolRounds++;
+            hadToolCalls = true;
+            const toolCalls = OpenAIStreamWriter.normalizeToolCalls(finalResponse.message.tool_calls);
+
+            // Add the AI's message with tool calls to conversation
+            currentMessages.push({ ...finalResponse.message, tool_calls: toolCalls });
+
+            // Client-owned tools are executed by the caller - hand the round back
+            const clientToolCalls = toolCalls.filter(toolCall => isClientTool(toolCall.function.name));
+            if (clientToolCalls.length > 0) {
+                this.logDeferredJackToolCalls(toolCalls, clientToolCalls);
+                return { finalResponse, currentMessages, hadToolCalls, clientToolCalls };
+            }
+
+            // Execute all tool calls in this round (commentary included to keep call/result pairs in sync)
+            await this.executeProxyToolCalls(toolCalls, currentMessages, toolPolicy);
+
+            // Get AI's next response with tool results
+            finalResponse = await chatWithRetry('Tool follow-up');
+        }
+
+        return { finalResponse, currentMessages, hadToolCalls, clientToolCalls: [] };
+    }
+
+    /**
+     * Streaming proxy tool loop: each round streams one model turn through the callbacks,
+     * tool calls are executed by Jack and the follow-up turn continues in the same stream
+     * until the model answers or maxToolRounds rounds have executed
+     * @param {Object} params
+     * @param {Function} params.onContent - Called with each content fragment
+     * @param {Function} params.onToolCalls - Called with normalized Jack tool calls as they arrive (not executed when the round goes back to the client)
+     * @param {Function} params.onClientToolCalls - Called with calls to client-owned tools (the loop stops after that round)
+     * @param {Function} params.isClientTool - Returns true for tool names the caller executes itself
+     * @param {Function} params.isClosed - Returns true once the client disconnected
+     * @param {ToolPolicy} params.toolPolicy - Restricts which of Jack's tools may execute
+     * @returns {Promise<{content: string, promptTokens: number, completionTokens: number, hadToolCalls: boolean, doneReason: string, clientToolCalls: Array}>}
+     */
+    async streamProxyToolLoop({ activeModel, requestedModel, messages, tools, options = undefined, onContent = () => {}, onToolCalls = () => {}, onClientToolCalls = () => {}, isClientTool = () => false, isClosed = () => false, toolPolicy = null }) {
+        await this.logProxyTokenBudget(messages, tools, activeModel);
+
+        const currentMessages = [...messages];
+        let content = '';
+        let promptTokens = 0;
+        let completionTokens = 0;
+        let hadToolCalls = false;
+        let doneReason = 'stop';
+        let toolRounds = 0;
+        const clientToolCalls = [];
+
+        while (!isClosed()) {
+            let response;
+            try {
+                response = await this.ollama.chat({
+                    model: activeModel,
+                    messages: currentMessages,
+                    tools,
+                    options,
+                    stream: true
+                });
+            } catch (chatError) {
+                // Log failed API call attempt
+                this.logDebug({
+                    type: 'api_call',
+                    message: `Chat completion failed (streaming): ${chatError.message}`,
+                    model: requestedModel,
+                    success: false,
+                    tokens: { total: 0, prompt: 0, completion: 0 }
+                });
+                throw chatError;
+            }
+
+            let roundContent = '';
+            const roundToolCalls = [];
+
+            for await (const part of response) {
+                if (isClosed()) {
+                    // Client went away - stop pulling tokens from Ollama
+                    if (typeof response.abort === 'function') response.abort();
+                    break;
+                }
+
+                if (part.message?.content) {
+                    roundContent += part.message.content;
+                    onContent(part.message.content);
+                }
+
+                if (part.message?.tool_calls && part.message.tool_calls.length > 0) {
+                    const toolCalls = OpenAIStreamWriter.normalizeToolCalls(part.message.tool_calls);
+                    const jackToolCalls = toolCalls.filter(toolCall => !isClientTool(toolCall.function.name));
+                    const ownedByClient = toolCalls.filter(toolCall => isClientTool(toolCall.function.name));
+
+                    if (jackToolCalls.length > 0) onToolCalls(jackToolCalls);
+                    if (ownedByClient.length > 0) onClientToolCalls(ownedByClient);
+
+                    roundToolCalls.push(...toolCalls);
+                    clientToolCalls.push(...ownedByClient);
+                }
+
+                if (part.done) {
+                    promptTokens += part.prompt_eval_count || 0;
+                    completionTokens += part.eval_count || 0;
+                    doneReason = part.done_reason || 'stop';
+                    break;
+                }
+            }
+
+            content += roundContent;
+
+            if (roundToolCalls.length === 0 || isClosed()) {
+                break;
+            }
+
+            if (toolRounds >= this.maxToolRounds) {
+                const notice = this.toolRoundLimitNotice();
+                content += notice;
+                onContent(notice);
+                doneReason = 'length';
+                break;
+            }
+
+            toolRounds++;
+            hadToolCalls = true;
+            currentMessages.push({
+                role: 'assistant',
+                content: roundContent,
+                tool_calls: roundToolCalls
+            });
+
+            // Client-owned tools are executed by the caller - end the turn and hand the round back
+            if (clientToolCalls.length > 0) {
+                this.logDeferredJackToolCalls(roundToolCalls, clientToolCalls);
+                doneReason = 'tool_calls';
+                break;
+            }
+
+            await this.executeProxyToolCalls(roundToolCalls, currentMessages, toolPolicy);
+        }
+
+        return { content, promptTokens, completionTokens, hadToolCalls, doneReason, clientToolCalls };
+    }
+
+    /**
+     * List Ollama models with cloud display/API names resolved
+     * Shared by /api/models (Rich CLI) and /v1/models (OpenAI clients)
+     * @returns {Promise<{models: Array, mode: string}>}
+     */
+    async listProxyModels() {
+        // Wait for Ollama setup to complete
+        await this.setupOllamaPromise;
+        
+        const models = await this.ollama.list();
+        const isCloud = process.env.OLLAMA_API_KEY ? true : false;
+        
+        // For cloud models, ensure they have the proper naming format
+        let processedModels = models.models || [];
+        if (isCloud) {
+            processedModels = processedModels.map(model => {
+                // If model name doesn't end with -cloud, add it
+                const modelName = model.name || model;
+                const displayName = modelName.endsWith('-cloud') ? modelName.slice(0, -6) : modelName;
+                const apiName = modelName.endsWith('-cloud') ? modelName : `${modelName}-cloud`;
+                
+                return {
+                    ...model,
+                    name: displayName,        // For display in Rich CLI
+                    apiName: apiName,         // For API calls
+                    displayName: displayName,
+                    fullName: apiName
+                };
+            });
+        }
         
         return {
-            resetDate: this.modelUsage.resetDate,
-            models: usage,
-            dailyStats: this.modelUsage.dailyStats,
-            summary: {
-                totalModels: Object.keys(usage).length,
-                modelsWithErrors: Object.values(usage).filter(m => m.errors > 0).length,
-                modelsWithRateLimits: Object.values(usage).filter(m => m.rateLimitErrors > 0).length,
-                totalSuccessRate: this.modelUsage.dailyStats.totalRequests > 0 ? 
-                    Math.round(((this.modelUsage.dailyStats.totalRequests - this.modelUsage.dailyStats.totalErrors) / this.modelUsage.dailyStats.totalRequests) * 100) : 0
-            }
+            models: processedModels,
+            mode: isCloud ? 'cloud' : 'local'
+        };
+    }
+
+    /**
+     * Render an Ollama model entry as an OpenAI model object
+     */
+    toOpenAIModel(model) {
+        const modified = model.modified_at ? Date.parse(model.modified_at) : NaN;
+        return {
+            id: model.name,
+            object: 'model',
+            created: Number.isNaN(modified) ? 0 : Math.floor(modified / 1000),
+            owned_by: this.isCloudMode() ? 'ollama-cloud' : 'ollama'
         };
     }
 
@@ -4109,10 +6380,171 @@ class OllamaJack {
                 mode: this.isCloudMode() ? 'cloud' : 'local',
                 model: this.currentModel,
                 activeTerminals: this.activeTerminals.size,
-                webSearchUsage: this.getWebSearchUsage()
+                webSearchUsage: this.getWebSearchUsage(),
+                auth: this.apiAuth.getStatus(),
+                scheduler: this.requestScheduler.getStats(),
+                workspaces: this.workspaceRegistry.list(),
+                mcp: {
+                    ...this.mcpServer.getStatus(),
+                    clients: this.mcpClients.getStatus()
+                }
+            });
+        });
+
+        // Registered workspaces
+        this.app.get('/jack/workspaces', (req, res) => {
+            res.json({ workspaces: this.workspaceRegistry.list() });
+        });
+
+        // Register a workspace at runtime (add it to JACK_WORKSPACES to keep it across restarts)
+        this.app.post('/jack/workspaces', (req, res) => {
+            const { name, path: root } = req.body || {};
+            try {
+                const workspace = this.registerWorkspace(name, root);
+                res.status(201).json({
+                    success: true,
+                    workspace: this.workspaceRegistry.list().find(entry => entry.name === workspace.name)
+                });
+            } catch (error) {
+                res.status(400).json({ error: 'Invalid workspace', details: error.message });
+            }
+        });
+
+        // Undo/redo stacks for applied edits
+        this.app.get('/jack/undo', async (req, res) => {
+            try {
+                res.json(await this.editController.undoStack.list());
+            } catch (error) {
+                res.status(500).json({ error: error.message });
+            }
+        });
+
+        // Undo/redo: body { count, editId, force } - 409 when files changed outside Jack
+        for (const direction of ['undo', 'redo']) {
+            this.app.post(`/jack/${direction}`, async (req, res) => {
+                try {
+                    const { count, editId, force } = req.body || {};
+                    const options = {
+                        count: Math.max(1, parseInt(count, 10) || 1),
+                        editId: editId || null,
+                        force: force === true
+                    };
+                    const result = direction === 'undo'
+                        ? await this.editController.undoEdits(options)
+                        : await this.editController.redoEdits(options);
+
+                    if (result.success) {
+                        res.json(result);
+                    } else {
+                        res.status(result.conflicts ? 409 : 404).json(result);
+                    }
+                } catch (error) {
+                    res.status(500).json({ success: false, error: error.message });
+                }
+            });
+        }
+
+        // Git checkpoints of applied edits (refs/jack/checkpoints)
+        this.app.get('/jack/checkpoints', async (req, res) => {
+            try {
+                const { checkpoints } = this.editController;
+                res.json({
+                    enabled: checkpoints.enabled,
+                    available: await checkpoints.isAvailable(),
+                    ref: checkpoints.ref,
+                    checkpoints: await checkpoints.list(Math.max(1, parseInt(req.query.limit, 10) || 20))
+                });
+            } catch (error) {
+                res.status(500).json({ error: error.message });
+            }
+        });
+
+        this.app.get('/jack/checkpoints/:index/diff', async (req, res) => {
+            try {
+                res.type('text/x-diff').send(await this.editController.checkpoints.diff(parseInt(req.params.index, 10)));
+            } catch (error) {
+                res.status(404).json({ error: error.message });
+            }
+        });
+
+        // Restore: body { force } - 409 when files changed since the last checkpoint
+        this.app.post('/jack/checkpoints/:index/restore', async (req, res) => {
+            let result;
+            try {
+                result = await this.editController.checkpoints.restore(parseInt(req.params.index, 10), { force: (req.body || {}).force === true });
+            } catch (error) {
+                return res.status(404).json({ success: false, error: error.message });
+            }
+            res.status(result.success ? 200 : 409).json(result);
+        });
+
+        // Checkpoint mode: body { enabled }
+        this.app.post('/jack/checkpoints', async (req, res) => {
+            try {
+                res.json(await this.editController.setCheckpointMode((req.body || {}).enabled === true));
+            } catch (error) {
+                res.status(500).json({ error: error.message });
+            }
+        });
+
+        // Edit review - pending edits with their diffs, and decisions on them (the /jack/review page uses these)
+        this.app.get('/jack/review', (req, res) => {
+            res.type('html').send(renderReviewPage());
+        });
+
+        this.app.get('/jack/edits', (req, res) => {
+            res.json({
+                autoAcceptEdits: this.autoAcceptEdits,
+                awaitingDecision: this.pendingEdit || null,
+                pending: this.editController.listPendingEdits(),
+                batches: this.editController.listBatches()
+            });
+        });
+
+        this.app.get('/jack/edits/:editId', (req, res) => {
+            const details = this.editController.getEditDetails(req.params.editId);
+            if (!details) {
+                return res.status(404).json({ error: `Edit ${req.params.editId} is not pending` });
+            }
+            res.json(details);
+        });
+
+        // accept: { hunks, resolution } - reject: { hunks, reason } - refactor: { modifications }
+        for (const action of ['accept', 'reject', 'refactor']) {
+            this.app.post(`/jack/edits/:editId/${action}`, async (req, res) => {
+                const refused = reviewRequestError(req);
+                if (refused) {
+                    return res.status(403).json({ success: false, error: refused });
+                }
+                try {
+                    const { status, body } = await this.reviewEdit(req.params.editId, action, req.body || {});
+                    res.status(status).json(body);
+                } catch (error) {
+                    res.status(500).json({ success: false, error: error.message });
+                }
             });
+        }
+
+        this.app.get('/jack/batches', (req, res) => {
+            res.json({ batches: this.editController.listBatches() });
         });
 
+        // Batch decisions apply or discard every pending edit of the batch - reject: { reason }
+        for (const action of ['accept', 'reject']) {
+            this.app.post(`/jack/batches/:batchId/${action}`, async (req, res) => {
+                const refused = reviewRequestError(req);
+                if (refused) {
+                    return res.status(403).json({ success: false, error: refused });
+                }
+                try {
+                    const { status, body } = await this.reviewBatch(req.params.batchId, action, req.body || {});
+                    res.status(status).json(body);
+                } catch (error) {
+                    res.status(500).json({ success: false, error: error.message });
+                }
+            });
+        }
+
         // Web search usage endpoint
         this.app.get('/jack/web-usage', (req, res) => {
             res.json({
@@ -4736,7 +7168,8 @@ class OllamaJack {
                 success: true, 
                 autoAcceptEdits: this.autoAcceptEdits,
                 mode: currentMode,
-                message: `Current mode: ${currentMode} - ${description}`
+                message: `Current mode: ${currentMode} - ${description}`,
+                policy: this.autoAcceptPolicy.getStatus()
             });
         });
 
@@ -4948,35 +7381,7 @@ class OllamaJack {
         // Get available models
         this.app.get('/api/models', async (req, res) => {
             try {
-                // Wait for Ollama setup to complete
-                await this.setupOllamaPromise;
-                
-                const models = await this.ollama.list();
-                const isCloud = process.env.OLLAMA_API_KEY ? true : false;
-                
-                // For cloud models, ensure they have the proper naming format
-                let processedModels = models.models || [];
-                if (isCloud) {
-                    processedModels = processedModels.map(model => {
-                        // If model name doesn't end with -cloud, add it
-                        const modelName = model.name || model;
-                        const displayName = modelName.endsWith('-cloud') ? modelName.slice(0, -6) : modelName;
-                        const apiName = modelName.endsWith('-cloud') ? modelName : `${modelName}-cloud`;
-                        
-                        return {
-                            ...model,
-                            name: displayName,        // For display in Rich CLI
-                            apiName: apiName,         // For API calls
-                            displayName: displayName,
-                            fullName: apiName
-                        };
-                    });
-                }
-                
-                res.json({
-                    models: processedModels,
-                    mode: isCloud ? 'cloud' : 'local'
-                });
+                res.json(await this.listProxyModels());
             } catch (error) {
                 console.log('Error fetching models:', error.message);
                 res.status(500).json({ 
@@ -4987,7 +7392,7 @@ class OllamaJack {
         });
 
         // Main hijack endpoint - OpenAI compatible
-        this.app.post('/v1/chat/completions', async (req, res) => {
+        this.app.post('/v1/chat/completions', this.scheduled(async (req, res) => {
             const startTime = Date.now();
             
             // Log incoming request
@@ -5003,533 +7408,134 @@ class OllamaJack {
             try {
                 const { model, messages, stream = false } = req.body;
                 
-                // Track user message in session memory
-                if (messages && messages.length > 0) {
-                    const lastMessage = messages[messages.length - 1];
-                    if (lastMessage.role === 'user') {
-                        this.sessionMemory.trackConversation('user_message', lastMessage.content);
-                        
-                        // Detect user intent from the current message
-                        this.sessionMemory.updateUserIntent(lastMessage.content);
-                    }
-                }
-                
-                // Use the requested model or fall back to current model
-                const requestedModel = model || this.currentModel;
-                if (!this.currentModel && model) {
-                    this.currentModel = model; // Set current model if not set
-                }
-                
-                // For cloud models, ensure we use the proper API name with -cloud suffix
-                let activeModel = requestedModel;
-                
-                // Use unified cloud mode detection
-                if (this.isCloudMode() && requestedModel && !requestedModel.endsWith('-cloud')) {
-                    // Add -cloud suffix for cloud mode (let users specify full names if needed)
-                    activeModel = `${requestedModel}-cloud`;
-                    console.log(`[HIJACKER] Using cloud model: ${activeModel} (from ${requestedModel})`);
-                } else {
-                    console.log(`[HIJACKER] Using local model: ${activeModel}`);
+                // Per-request allowlist for Jack's tools
+                const { policy: toolPolicy, error: policyError } = this.resolveToolPolicy(req);
+                if (policyError) {
+                    return res.status(400).json({ error: 'Invalid tool policy', details: policyError });
                 }
 
-                // Add enhanced system message with session memory context
-                const baseSystemContent = `You are an AI assistant with full workspace control through an interactive terminal interface. You have these capabilities:
-
-🔧 AVAILABLE TOOLS:
-- Execute terminal commands
-- Read, write, and modify files  
-- Search through code
-- Git operations
-- Directory exploration
-- Workspace analysis
-
-� CRITICAL WORKSPACE RULES:
-1. ALWAYS start by using list_directory to discover actual files in the workspace
-2. NEVER assume file paths - only work with files that actually exist
-3. Use Windows-style paths (backslashes) when on Windows systems
-4. Before any file operation, verify the file exists with list_directory or read_file
-5. When given vague requests, explore the workspace structure first to understand the project
-
-�💬 INTERACTION STYLE:
-- Always explain what you're doing and why
-- Before making changes, describe your plan clearly
-- When proposing file edits, explain the purpose and impact
-- Be conversational and helpful, like a collaborative coding partner
-
-🔧 TOOL USAGE RULES:
-- show_file_diff: Requires filePath AND newContent parameters (not command/cwd)
-- execute_terminal_command: Use for git commands, shell operations (requires command parameter)
-- read_file: Only needs filePath parameter
-- For git diff operations: Use execute_terminal_command with "git diff" command, NOT show_file_diff
-- Never mix parameters from different tools
-
-🎯 EDIT WORKFLOW:
-- File modifications require user approval (accept/reject/refactor)
-- Explain each edit's purpose and expected outcome
-- Show content previews for proposed changes
-- Terminal commands execute immediately but explain the reasoning
-
-✂️ CRITICAL EDITING PROTOCOL (SURGICAL EDITS):
-1. **ALWAYS read the file first** - No exceptions! Edit tools fail without recent file read
-2. **Find the EXACT section** to change (10-20 lines with surrounding context)
-3. **Include surrounding context** in old_string for uniqueness
-4. **Make ONE small change at a time** - Never modify entire files
-5. **Verify the result** by reading the file again after edit approval
-
-Example Surgical Edit:
-\`\`\`
-Step 1: read_file({ filePath: "server.js" })
-Step 2: Identify exact section with context:
-  old_string: "const port = 3000;\\n\\napp.listen(port, () => {"
-  new_string: "const port = process.env.PORT || 3000;\\n\\napp.listen(port, () => {"
-Step 3: After approval, verify with read_file again
-\`\`\`
-
-❌ NEVER DO THIS:
-- Write entire file content when you just need to change one line
-- Edit without reading the file first
-- Assume edits succeeded without checking
-- Make multiple unrelated changes in one edit
-
-💭 MANDATORY COMMENTARY PROTOCOL:
-**AFTER EVERY tool execution, you MUST use the commentary tool to:**
-1. **Observe what actually happened** (success/failure)
-2. **Check for errors or unexpected outcomes**
-3. **Verify changes were applied correctly**
-4. **Decide next action based on reality, not assumptions**
-
-After write_file/surgical_edit tools:
-  - commentary({ channel: "learning", content: "Edit tool returned: [result]. Let me verify by reading the file..." })
-
-After execute_terminal_command:
-  - commentary({ channel: "meta", content: "Command output shows: [observation]. This means..." })
-
-After read_file (before editing):
-  - commentary({ channel: "planning", content: "I see [what] on line [X]. I'll change just that section..." })
-
-When you see lastEditDecision in tool results:
-  - If decision === "rejected": commentary({ channel: "safety", content: "User REJECTED my edit. I need to try a different approach..." })
-  - If decision === "refactored": commentary({ channel: "collaboration", content: "User wants me to change: [userFeedback]. I'll adjust my approach..." })
-  - If decision === "accepted": commentary({ channel: "meta", content: "Edit was accepted and applied. Verified successfully." })
-
-**The commentary chain IS your intelligence** - each observation informs the next action!
-
-🔍 WORKSPACE DISCOVERY PROTOCOL:
-When receiving any task:
-1. First, run list_directory to see what files exist
-2. If analyzing code, use search_code to find relevant patterns
-3. Only then proceed with actual file operations
-4. Work with real files, not imaginary ones
-
-Always be thorough in explanations and proactive in suggesting improvements!`;
-
-                // Add workspace context to base system content
-                const workspaceEnhancedContent = baseSystemContent + `\n\n🏠 WORKSPACE & OPERATING SYSTEM CONTEXT:
-- Current workspace: ${this.workspaceRoot}
-- Operating System: ${osAwareness.osInfo.name} ${osAwareness.osInfo.version} (${osAwareness.osInfo.arch})
-- Platform Family: ${osAwareness.osInfo.family}
-- Shell Environment: ${osAwareness.shellInfo.name} (${osAwareness.shellInfo.type})
-
-📋 OPERATING SYSTEM SPECIFICS:
-- Path Separator: "${osAwareness.osInfo.pathSeparator}" (use ${osAwareness.osInfo.pathSeparator === '\\' ? 'backslashes' : 'forward slashes'} for file paths)
-- File Listing: Use "${osAwareness.commandMappings['ls']}" command
-- File Copy: Use "${osAwareness.commandMappings['cp']}" command
-- File Delete: Use "${osAwareness.commandMappings['rm']}" command
-- Directory Creation: Use "${osAwareness.commandMappings['mkdir']}" command
-- Clear Screen: Use "${osAwareness.commandMappings['clear']}" command
-- Process List: Use "${osAwareness.commandMappings['ps']}" command
-- Find Command: Use "${osAwareness.commandMappings['which']}" command
-
-🔧 DEVELOPMENT TOOLS AVAILABLE:
-- Node.js: node
-- Package Manager: npm
-- Python: ${osAwareness.osInfo.isWindows ? 'python' : 'python3'}
-- Package Installer: ${osAwareness.osInfo.isWindows ? 'pip' : 'pip3'}
-- Git: git
-- Text Editor: ${osAwareness.osInfo.isWindows ? 'notepad' : 'nano'}
-
-⚠️ IMPORTANT OS-SPECIFIC RULES:
-${osAwareness.getOSNotes().map(note => `- ${note}`).join('\n')}
+                // Client-declared tools are merged with or replace Jack's tool set
+                const toolSelection = this.resolveProxyTools(req, toolPolicy);
+                if (toolSelection.error) {
+                    return res.status(400).json({ error: 'Invalid tool configuration', details: toolSelection.error });
+                }
+                const isClientTool = (name) => toolSelection.clientToolNames.has(name);
 
-💡 COMMAND ADAPTATION:
-- All commands will be automatically adapted for your OS (${osAwareness.osInfo.name})
-- File paths will be converted to use the correct separator (${osAwareness.osInfo.pathSeparator})
-- Environment variables will use the correct syntax (${osAwareness.osInfo.isWindows ? '%VAR%' : '$VAR'})
-- Invalid commands for this OS will be automatically suggested with alternatives`;
-                
-                // Enhance system message with session memory context
-                let enhancedSystemContent = this.sessionMemory.getEnhancedSystemPrompt(workspaceEnhancedContent);
-                
-                // Optional Canvas integration - add Canvas context if available
-                if (this.canvasIntegrationEnabled) {
-                    const canvasContext = this.buildCanvasContext();
-                    enhancedSystemContent += `\n\n📊 CANVAS INTEGRATION ACTIVE:\n${canvasContext}`;
+                // Track user message in session memory
+                if (messages && messages.length > 0) {
+                    const lastMessage = messages[messages.length - 1];
+                    if (lastMessage.role === 'user') {
+                        this.sessionMemory.trackConversation('user_message', lastMessage.content);
+                        
+                        // Detect user intent from the current message
+                        this.sessionMemory.updateUserIntent(lastMessage.content);
+                    }
                 }
                 
-                const systemMessage = {
-                    role: 'system',
-                    content: enhancedSystemContent
-                };
-
-                const enhancedMessages = [systemMessage, ...messages];
+                const { requestedModel, activeModel } = this.resolveProxyModel(model);
+                const enhancedMessages = [this.buildProxySystemMessage(), ...this.normalizeClientMessages(messages)];
 
                 // Check if this model supports tools (DeepSeek uses OpenAI-compatible format)
                 const supportsTools = true; // DeepSeek officially supports OpenAI-compatible tool calling
-                const toolsToUse = supportsTools ? this.tools : undefined;
+                const toolsToUse = supportsTools ? toolSelection.tools : undefined;
 
                 if (stream) {
-                    res.setHeader('Content-Type', 'text/plain');
-                    res.setHeader('Cache-Control', 'no-cache');
-                    res.setHeader('Connection', 'keep-alive');
+                    const streamWriter = new OpenAIStreamWriter(res, {
+                        model: requestedModel, // Use display name
+                        includeUsage: !!req.body.stream_options?.include_usage
+                    });
 
-                    let response;
-                    let hadToolCalls = false;
-                    let totalContent = '';
-                    
+                    streamWriter.open();
+
+                    let streamResult;
                     try {
-                        // TOKEN BUDGET MONITORING - No Truncation, Use Constrain System Instead
-                        const tokenCheck = await this.checkTokenBudget(enhancedMessages, toolsToUse, activeModel);
-                        let messagesToUse = enhancedMessages;
-                        
-                        if (!tokenCheck.withinBudget) {
-                            logger.warn(`Token budget warning: ${tokenCheck.estimatedTokens}/${tokenCheck.threshold} (${tokenCheck.usage}%) for ${activeModel}`);
-                            logger.info(`Consider using constrain tools to manage information flow instead of truncation`);
-                            // NO TRUNCATION - Let the constrain system handle information management
-                        } else {
-                            logger.debug(`Token budget OK: ${tokenCheck.estimatedTokens}/${tokenCheck.threshold} tokens (${tokenCheck.usage}%) for ${activeModel}`);
-                        }
-                        
-                        response = await this.ollama.chat({
-                            model: activeModel,
-                            messages: messagesToUse,
+                        streamResult = await this.streamProxyToolLoop({
+                            activeModel,
+                            requestedModel,
+                            messages: enhancedMessages,
                             tools: toolsToUse,
-                            stream: true
+                            toolPolicy,
+                            isClientTool,
+                            onContent: (content) => streamWriter.writeContent(content),
+                            // Only client-owned calls are streamed - Jack runs its own tools on the server,
+                            // and a caller seeing their tool_calls would try to execute them too
+                            onClientToolCalls: (toolCalls) => streamWriter.writeToolCalls(toolCalls),
+                            isClosed: () => streamWriter.closed
                         });
-                        
-                    } catch (chatError) {
+                    } catch (streamError) {
                         // Track failed request
-                        this.trackModelUsage(activeModel, true, chatError.message, 0);
-                        
-                        // Log failed API call attempt
-                        this.logDebug({
-                            type: 'api_call',
-                            message: `Chat completion failed (streaming): ${chatError.message}`,
-                            model: requestedModel,
-                            success: false,
-                            tokens: { total: 0, prompt: 0, completion: 0 }
-                        });
-                        
+                        this.trackModelUsage(activeModel, true, streamError.message, 0);
+
                         // Log streaming error
                         this.logDebug({
                             type: 'error',
-                            message: `Chat completion failed (streaming): ${chatError.message}`,
+                            message: `Chat completion failed (streaming): ${streamError.message}`,
                             model: requestedModel
                         });
-                        
+
                         this.logTraffic({
                             type: 'request',
                             status: 'error',
-                            error: chatError.message,
+                            error: streamError.message,
                             model: requestedModel,
                             timestamp: new Date().toISOString()
                         });
-                        
-                        throw chatError;
-                    }
 
-                    for await (const part of response) {
-                        if (part.message?.tool_calls) {
-                            hadToolCalls = true;
-                            // Execute tool calls (skip commentary tools in streaming)
-                            const executableToolCalls = part.message.tool_calls.filter(toolCall => 
-                                toolCall.function.name !== 'commentary'
-                            );
-                            
-                            for (const toolCall of executableToolCalls) {
-                                this.logTraffic({
-                                    type: 'tool_call',
-                                    tool: toolCall.function.name,
-                                    status: 'executing',
-                                    timestamp: new Date().toISOString()
-                                });
-                                
-                                const result = await this.executeTool(toolCall);
-                                console.log(`[TOOL] ${toolCall.function.name}:`, result);
-                                
-                                this.logDebug({
-                                    type: 'tool_call',
-                                    message: `Tool executed: ${toolCall.function.name}`,
-                                    data: { tool: toolCall.function.name, result }
-                                });
-                            }
-                            
-                            // Execute commentary tools separately
-                            const commentaryToolCalls = part.message.tool_calls.filter(toolCall => 
-                                toolCall.function.name === 'commentary'
-                            );
-                            
-                            for (const toolCall of commentaryToolCalls) {
-                                try {
-                                    await this.executeTool(toolCall);
-                                    console.log(`[COMMENTARY] ${toolCall.function.name}: executed`);
-                                } catch (toolError) {
-                                    console.log(`\x1b[91m❌ Commentary tool execution failed: ${toolCall.function.name} - ${toolError.message}\x1b[0m`);
-                                }
-                            }
-                        }
+                        // Headers are already sent - report the failure inside the stream
+                        streamWriter.writeError(`Hijacking failed: ${streamError.message}`);
+                        streamWriter.end();
+                        return;
+                    }
 
-                        if (part.message?.content) {
-                            totalContent += part.message.content;
-                        }
+                    const { content: totalContent, promptTokens, completionTokens, hadToolCalls, doneReason } = streamResult;
 
-                        const chunk = {
-                            id: `hijack-${Date.now()}`,
-                            object: 'chat.completion.chunk',
-                            created: Math.floor(Date.now() / 1000),
-                            model: requestedModel, // Use display name
-                            choices: [{
-                                index: 0,
-                                delta: { content: part.message?.content || '' },
-                                finish_reason: part.done ? 'stop' : null
-                            }]
-                        };
-                        
-                        res.write(`data: ${JSON.stringify(chunk)}\n\n`);
-                        
-                        if (part.done) {
-                            res.write('data: [DONE]\n\n');
-                            break;
-                        }
-                    }
-                    
                     // Track streaming completion
-                    const estimatedTokens = Math.ceil(totalContent.length / 4); // rough estimate
+                    const totalTokens = promptTokens + completionTokens;
+                    const estimatedTokens = totalTokens || Math.ceil(totalContent.length / 4); // rough estimate
                     this.trackModelUsage(activeModel, false, null, estimatedTokens, hadToolCalls);
-                    
+
                     // Track AI response in session memory
                     if (totalContent.trim()) {
                         this.sessionMemory.trackConversation('ai_response', totalContent.trim());
                     }
-                    
+
                     // Log streaming completion
                     const responseTime = Date.now() - startTime;
                     this.logTraffic({
                         type: 'request',
-                        status: 'success',
+                        status: streamWriter.closed ? 'client_closed' : 'success',
                         responseTime,
                         tokens: estimatedTokens,
                         model: requestedModel,
                         timestamp: new Date().toISOString()
                     });
-                    
+
                     this.logDebug({
                         type: 'api_call',
                         message: 'Chat completion successful (streaming)',
                         model: requestedModel,
                         success: true,
-                        tokens: { total: estimatedTokens, prompt: 0, completion: estimatedTokens }
+                        tokens: { total: estimatedTokens, prompt: promptTokens, completion: completionTokens }
                     });
-                    
-                    res.end();
+
+                    // 'tool_calls' hands the round to the client, 'length' is the JACK_MAX_TOOL_ROUNDS stop
+                    streamWriter.finish(['tool_calls', 'length'].includes(doneReason) ? doneReason : 'stop', {
+                        prompt_tokens: promptTokens,
+                        completion_tokens: completionTokens,
+                        total_tokens: totalTokens
+                    });
+                    streamWriter.end();
                 } else {
-                    let response;
-                    let retryCount = 0;
-                    const maxRetries = 3;
-                    let chatError;
-                    
-                    // Retry logic for initial chat completion
-                    while (retryCount <= maxRetries) {
-                        try {
-                            console.log(retryCount > 0 ? `\x1b[93m🔄 Retrying initial chat completion (attempt ${retryCount + 1}/${maxRetries + 1})\x1b[0m` : '');
-                            
-                            // TOKEN BUDGET MONITORING - No Truncation, Use Constrain System Instead
-                            const tokenCheck = await this.checkTokenBudget(enhancedMessages, toolsToUse, activeModel);
-                            let messagesToUse = enhancedMessages;
-                            
-                            if (!tokenCheck.withinBudget) {
-                                console.log(`⚠️ Token budget warning: ${tokenCheck.estimatedTokens}/${tokenCheck.threshold} (${tokenCheck.usage}%) for ${activeModel}`);
-                                console.log(`💡 Consider using constrain tools to manage information flow instead of truncation`);
-                                // NO TRUNCATION - Let the constrain system handle information management
-                            } else if (retryCount === 0) { // Only log on first attempt to avoid spam
-                                console.log(`✅ Token budget OK: ${tokenCheck.estimatedTokens}/${tokenCheck.threshold} tokens (${tokenCheck.usage}%) for ${activeModel}`);
-                            }
-                            
-                            response = await this.ollama.chat({
-                                model: activeModel,
-                                messages: messagesToUse,
-                                tools: toolsToUse,
-                                stream: false
-                            });
-                            
-                            // Success - break out of retry loop
-                            chatError = null;
-                            break;
-                            
-                        } catch (error) {
-                            chatError = error;
-                            retryCount++;
-                            
-                            // Log each failed attempt as an API call
-                            this.logDebug({
-                                type: 'api_call',
-                                message: `Chat completion attempt ${retryCount}/${maxRetries + 1} failed: ${error.message}`,
-                                model: requestedModel,
-                                success: false,
-                                attempt: retryCount,
-                                tokens: { total: 0, prompt: 0, completion: 0 }
-                            });
-                            
-                            console.log(`\x1b[91m⚠️ Initial chat completion failed (attempt ${retryCount}/${maxRetries + 1}): ${error.message}\x1b[0m`);
-                            
-                            if (retryCount <= maxRetries) {
-                                const delay = Math.min(1000 * Math.pow(2, retryCount - 1), 5000); // Exponential backoff, max 5s
-                                console.log(`\x1b[93m⏳ Waiting ${delay}ms before retry...\x1b[0m`);
-                                await new Promise(resolve => setTimeout(resolve, delay));
-                            }
-                        }
-                    }
-                    
-                    if (chatError) {
-                        // Track failed request after all retries
-                        this.trackModelUsage(activeModel, true, chatError.message, 0);
-                        
-                        // Log failed API call attempt
-                        this.logDebug({
-                            type: 'api_call',
-                            message: `Chat completion failed after ${maxRetries + 1} attempts: ${chatError.message}`,
-                            model: requestedModel,
-                            success: false,
-                            tokens: { total: 0, prompt: 0, completion: 0 }
-                        });
-                        
-                        // Log non-streaming error
-                        this.logDebug({
-                            type: 'error',
-                            message: `Chat completion failed after ${maxRetries + 1} attempts: ${chatError.message}`,
-                            model: requestedModel
-                        });
-                        
-                        this.logTraffic({
-                            type: 'request',
-                            status: 'error',
-                            error: `After ${maxRetries + 1} attempts: ${chatError.message}`,
-                            model: requestedModel,
-                            timestamp: new Date().toISOString()
-                        });
-                        
-                        throw chatError;
-                    }
+                    const { finalResponse, hadToolCalls, clientToolCalls } = await this.runProxyToolLoop({
+                        activeModel,
+                        requestedModel,
+                        messages: enhancedMessages,
+                        tools: toolsToUse,
+                        toolPolicy,
+                        isClientTool
+                    });
 
-                    // Handle tool call sequencing
-                    let currentMessages = [...enhancedMessages];
-                    let finalResponse = response;
-                    
-                    // Keep executing tool calls until AI gives final response
-                    while (finalResponse.message?.tool_calls && finalResponse.message.tool_calls.length > 0) {
-                        // Add the AI's message with tool calls to conversation
-                        currentMessages.push(finalResponse.message);
-                        
-                        // Execute all tool calls in this round with error recovery (now includes commentary for sync)
-                        const toolResults = [];
-                        const executableToolCalls = finalResponse.message.tool_calls; // Process ALL tools consistently
-                        
-                        for (const toolCall of executableToolCalls) {
-                            this.logTraffic({
-                                type: 'tool_call',
-                                tool: toolCall.function.name,
-                                status: 'executing',
-                                timestamp: new Date().toISOString()
-                            });
-                            
-                            let result;
-                            try {
-                                result = await this.executeTool(toolCall);
-                                console.log(`[TOOL] ${toolCall.function.name}:`, result);
-                            } catch (toolError) {
-                                console.log(`\x1b[91m❌ Tool execution failed: ${toolCall.function.name} - ${toolError.message}\x1b[0m`);
-                                result = { 
-                                    error: `Tool execution failed: ${toolError.message}`,
-                                    success: false,
-                                    tool: toolCall.function.name
-                                };
-                            }
-                            
-                            // Add tool result to conversation
-                            currentMessages.push({
-                                role: 'tool',
-                                tool_call_id: toolCall.id,
-                                content: JSON.stringify(result)
-                            });
-                            
-                            toolResults.push({ toolCall, result });
-                            
-                            this.logDebug({
-                                type: 'tool_call',
-                                message: `Tool executed: ${toolCall.function.name}`,
-                                data: { tool: toolCall.function.name, result }
-                            });
-                        }
-                        
-                        // Commentary tools are now handled with regular tools above to maintain sync
-                        // (Removed separate commentary processing to prevent tool call/result mismatch)
-                        
-                        // Get AI's next response with tool results with retry logic
-                        let retryCount = 0;
-                        const maxRetries = 3;
-                        let chatError;
-                        
-                        while (retryCount <= maxRetries) {
-                            try {
-                                console.log(retryCount > 0 ? `\x1b[93m🔄 Retrying chat completion (attempt ${retryCount + 1}/${maxRetries + 1})\x1b[0m` : '');
-                                
-                                finalResponse = await this.ollama.chat({
-                                    model: activeModel,
-                                    messages: currentMessages,
-                                    tools: toolsToUse,
-                                    stream: false
-                                });
-                                
-                                // Success - break out of retry loop
-                                chatError = null;
-                                break;
-                                
-                            } catch (error) {
-                                chatError = error;
-                                retryCount++;
-                                
-                                console.log(`\x1b[91m⚠️ Tool follow-up failed (attempt ${retryCount}/${maxRetries + 1}): ${error.message}\x1b[0m`);
-                                
-                                if (retryCount <= maxRetries) {
-                                    const delay = Math.min(1000 * Math.pow(2, retryCount - 1), 5000); // Exponential backoff, max 5s
-                                    console.log(`\x1b[93m⏳ Waiting ${delay}ms before retry...\x1b[0m`);
-                                    await new Promise(resolve => setTimeout(resolve, delay));
-                                }
-                            }
-                        }
-                        
-                        if (chatError) {
-                            // Track failed follow-up request after all retries
-                            const hasToolCalls = finalResponse?.message?.tool_calls && finalResponse.message.tool_calls.length > 0;
-                            this.trackModelUsage(activeModel, true, chatError.message, 0, hasToolCalls);
-                            
-                            // Log follow-up error
-                            this.logDebug({
-                                type: 'error',
-                                message: `Follow-up chat completion failed after ${maxRetries + 1} attempts: ${chatError.message}`,
-                                model: requestedModel
-                            });
-                            
-                            this.logTraffic({
-                                type: 'request',
-                                status: 'error',
-                                error: `After ${maxRetries + 1} attempts: ${chatError.message}`,
-                                model: requestedModel,
-                                timestamp: new Date().toISOString()
-                            });
-                            
-                            throw chatError;
-                        }
-                    }
+                    let responseContent = finalResponse.message?.content || '';
 
                     // Extract actual token counts from final response
                     const promptTokens = finalResponse.prompt_eval_count || 0;
@@ -5562,6 +7568,19 @@ ${osAwareness.getOSNotes().map(note => `- ${note}`).join('\n')}
                         console.log(`\x1b[93m📝 Response truncated from ${finalResponse.message.content.length} to ${responseContent.length} characters\x1b[0m`);
                     }
 
+                    const responseMessage = {
+                        role: 'assistant',
+                        content: responseContent
+                    };
+                    let finishReason = wasTruncated || finalResponse.done_reason === 'length' ? 'length' : 'stop';
+
+                    // Calls to client-owned tools go back to the caller for execution
+                    if (clientToolCalls.length > 0) {
+                        responseMessage.content = responseContent || null;
+                        responseMessage.tool_calls = this.toOpenAIToolCalls(clientToolCalls);
+                        finishReason = 'tool_calls';
+                    }
+
                     const openaiResponse = {
                         id: `hijack-${Date.now()}`,
                         object: 'chat.completion',
@@ -5569,11 +7588,8 @@ ${osAwareness.getOSNotes().map(note => `- ${note}`).join('\n')}
                         model: requestedModel, // Use display name for response
                         choices: [{
                             index: 0,
-                            message: {
-                                role: 'assistant',
-                                content: responseContent
-                            },
-                            finish_reason: wasTruncated ? 'length' : 'stop'
+                            message: responseMessage,
+                            finish_reason: finishReason
                         }],
                         usage: {
                             prompt_tokens: promptTokens,
@@ -5583,7 +7599,6 @@ ${osAwareness.getOSNotes().map(note => `- ${note}`).join('\n')}
                     };
                     
                     // Track final token usage for this conversation
-                    const hadToolCalls = currentMessages.some(msg => msg.role === 'tool');
                     this.trackModelUsage(activeModel, false, null, totalTokens, hadToolCalls);
                     
                     // Log successful response
@@ -5613,46 +7628,367 @@ ${osAwareness.getOSNotes().map(note => `- ${note}`).join('\n')}
                     res.json(openaiResponse);
                 }
             } catch (error) {
-                console.error('[HIJACK ERROR]:', error);
-                
-                // Determine if this was a tool call request
-                const { messages } = req.body;
-                const hasToolCalls = messages && messages.some(msg => 
-                    msg.role === 'assistant' && msg.tool_calls && msg.tool_calls.length > 0
-                );
-                
-                // Track the error for the model - use activeModel if it was set
-                const requestedModel = req.body.model || this.currentModel;
-                let modelToTrack = requestedModel;
-                
-                // Apply same logic as above to get the actual model name used
-                if (requestedModel) {
-                    if (this.isCloudMode() && !requestedModel.endsWith('-cloud')) {
-                        modelToTrack = `${requestedModel}-cloud`;
-                    }
-                    this.trackModelUsage(modelToTrack, true, error.message, 0, hasToolCalls);
+                console.error('[HIJACK ERROR]:', error);
+                
+                // Determine if this was a tool call request
+                const { messages } = req.body;
+                const hasToolCalls = messages && messages.some(msg => 
+                    msg.role === 'assistant' && msg.tool_calls && msg.tool_calls.length > 0
+                );
+                
+                // Track the error for the model - use activeModel if it was set
+                const requestedModel = req.body.model || this.currentModel;
+                let modelToTrack = requestedModel;
+                
+                // Apply same logic as above to get the actual model name used
+                if (requestedModel) {
+                    if (this.isCloudMode() && !requestedModel.endsWith('-cloud')) {
+                        modelToTrack = `${requestedModel}-cloud`;
+                    }
+                    this.trackModelUsage(modelToTrack, true, error.message, 0, hasToolCalls);
+                }
+                
+                // Log error
+                const responseTime = Date.now() - startTime;
+                this.logTraffic({
+                    type: 'request',
+                    method: 'POST',
+                    endpoint: '/v1/chat/completions',
+                    status: 'error',
+                    responseTime,
+                    timestamp: new Date().toISOString()
+                });
+                
+                this.logDebug({
+                    type: 'error',
+                    message: `Hijacking failed: ${error.message}`,
+                    data: { error: error.message }
+                });
+                
+                res.status(500).json({ error: 'Hijacking failed', details: error.message });
+            }
+        }));
+
+        // Anthropic Messages API compatible endpoint - same Ollama call and tool loop as /v1/chat/completions
+        this.app.post('/v1/messages', this.scheduled(async (req, res) => {
+            const startTime = Date.now();
+            
+            this.logTraffic({
+                type: 'request',
+                method: 'POST',
+                endpoint: '/v1/messages',
+                status: 'received',
+                timestamp: new Date().toISOString(),
+                source: 'IDE'
+            });
+
+            const validationError = AnthropicAdapter.validateRequest(req.body);
+            if (validationError) {
+                return res.status(400).json(AnthropicAdapter.buildError('invalid_request_error', validationError));
+            }
+
+            // Per-request allowlist for Jack's tools
+            const { policy: toolPolicy, error: policyError } = this.resolveToolPolicy(req);
+            if (policyError) {
+                return res.status(400).json(AnthropicAdapter.buildError('invalid_request_error', `Invalid tool policy: ${policyError}`));
+            }
+            const toolsToUse = toolPolicy.filterTools(this.tools);
+
+            const { model, stream = false } = req.body;
+            const { requestedModel, activeModel } = this.resolveProxyModel(model);
+
+            // Track user message in session memory
+            const lastUserText = AnthropicAdapter.lastUserText(req.body);
+            if (lastUserText) {
+                this.sessionMemory.trackConversation('user_message', lastUserText);
+                this.sessionMemory.updateUserIntent(lastUserText);
+            }
+
+            const enhancedMessages = [this.buildProxySystemMessage(), ...AnthropicAdapter.toOllamaMessages(req.body)];
+            const options = AnthropicAdapter.toOllamaOptions(req.body);
+
+            const completeRequest = (content, promptTokens, completionTokens, hadToolCalls, status = 'success') => {
+                const totalTokens = promptTokens + completionTokens;
+                this.trackModelUsage(activeModel, false, null, totalTokens, hadToolCalls);
+
+                if (content.trim()) {
+                    this.sessionMemory.trackConversation('ai_response', content.trim());
+                }
+
+                this.logTraffic({
+                    type: 'request',
+                    status,
+                    responseTime: Date.now() - startTime,
+                    tokens: totalTokens,
+                    model: requestedModel,
+                    timestamp: new Date().toISOString()
+                });
+
+                this.logDebug({
+                    type: 'api_call',
+                    message: `Anthropic message successful${stream ? ' (streaming)' : ''}`,
+                    model: requestedModel,
+                    success: true,
+                    tokens: { total: totalTokens, prompt: promptTokens, completion: completionTokens }
+                });
+            };
+
+            const failRequest = (error) => {
+                console.error('[HIJACK ERROR]:', error);
+                this.trackModelUsage(activeModel, true, error.message, 0);
+
+                this.logTraffic({
+                    type: 'request',
+                    method: 'POST',
+                    endpoint: '/v1/messages',
+                    status: 'error',
+                    error: error.message,
+                    responseTime: Date.now() - startTime,
+                    timestamp: new Date().toISOString()
+                });
+
+                this.logDebug({
+                    type: 'error',
+                    message: `Hijacking failed: ${error.message}`,
+                    data: { error: error.message }
+                });
+            };
+
+            if (stream) {
+                const streamWriter = new AnthropicStreamWriter(res, { model: requestedModel });
+                streamWriter.open();
+                streamWriter.start();
+
+                try {
+                    const result = await this.streamProxyToolLoop({
+                        activeModel,
+                        requestedModel,
+                        messages: enhancedMessages,
+                        tools: toolsToUse,
+                        toolPolicy,
+                        options,
+                        onContent: (content) => streamWriter.writeText(content),
+                        // Jack executes the tools itself - the client only sees the text around them
+                        onToolCalls: () => streamWriter.closeBlock(),
+                        isClosed: () => streamWriter.closed
+                    });
+
+                    completeRequest(result.content, result.promptTokens, result.completionTokens, result.hadToolCalls,
+                        streamWriter.closed ? 'client_closed' : 'success');
+
+                    streamWriter.finish(AnthropicAdapter.stopReason(result.doneReason), result.completionTokens);
+                } catch (error) {
+                    failRequest(error);
+                    // Headers are already sent - report the failure inside the stream
+                    streamWriter.writeError(`Hijacking failed: ${error.message}`);
+                }
+                streamWriter.end();
+                return;
+            }
+
+            try {
+                const { finalResponse, hadToolCalls } = await this.runProxyToolLoop({
+                    activeModel,
+                    requestedModel,
+                    messages: enhancedMessages,
+                    tools: toolsToUse,
+                    toolPolicy,
+                    options
+                });
+
+                const content = finalResponse.message?.content || '';
+                const promptTokens = finalResponse.prompt_eval_count || 0;
+                const completionTokens = finalResponse.eval_count || 0;
+
+                completeRequest(content, promptTokens, completionTokens, hadToolCalls);
+
+                res.json(AnthropicAdapter.buildMessage({
+                    model: requestedModel, // Use display name for response
+                    text: content,
+                    stopReason: AnthropicAdapter.stopReason(finalResponse.done_reason),
+                    inputTokens: promptTokens,
+                    outputTokens: completionTokens
+                }));
+            } catch (error) {
+                failRequest(error);
+                res.status(500).json(AnthropicAdapter.buildError('api_error', `Hijacking failed: ${error.message}`));
+            }
+        }));
+
+        // OpenAI-compatible model listing - backed by the same Ollama listing as /api/models
+        this.app.get('/v1/models', async (req, res) => {
+            try {
+                const { models } = await this.listProxyModels();
+                res.json({
+                    object: 'list',
+                    data: models.map(model => this.toOpenAIModel(model))
+                });
+            } catch (error) {
+                console.log('Error fetching models:', error.message);
+                res.status(500).json(OpenAIResponsesAdapter.buildError(`Failed to fetch models: ${error.message}`, 'server_error'));
+            }
+        });
+
+        this.app.get('/v1/models/:model(*)', async (req, res) => {
+            try {
+                const { models } = await this.listProxyModels();
+                const model = models.find(m => m.name === req.params.model || m.apiName === req.params.model);
+                if (!model) {
+                    return res.status(404).json(OpenAIResponsesAdapter.buildError(
+                        `The model '${req.params.model}' does not exist`, 'invalid_request_error', 'model'
+                    ));
+                }
+                res.json(this.toOpenAIModel(model));
+            } catch (error) {
+                console.log('Error fetching models:', error.message);
+                res.status(500).json(OpenAIResponsesAdapter.buildError(`Failed to fetch models: ${error.message}`, 'server_error'));
+            }
+        });
+
+        // OpenAI Responses API - same Ollama call and tool loop as /v1/chat/completions
+        this.app.post('/v1/responses', this.scheduled(async (req, res) => {
+            const startTime = Date.now();
+
+            this.logTraffic({
+                type: 'request',
+                method: 'POST',
+                endpoint: '/v1/responses',
+                status: 'received',
+                timestamp: new Date().toISOString(),
+                source: 'IDE'
+            });
+
+            const validationError = OpenAIResponsesAdapter.validateRequest(req.body);
+            if (validationError) {
+                return res.status(400).json(OpenAIResponsesAdapter.buildError(validationError.message, 'invalid_request_error', validationError.param));
+            }
+
+            // Per-request allowlist for Jack's tools
+            const { policy: toolPolicy, error: policyError } = this.resolveToolPolicy(req);
+            if (policyError) {
+                return res.status(400).json(OpenAIResponsesAdapter.buildError(`Invalid tool policy: ${policyError}`, 'invalid_request_error', 'jack.tools'));
+            }
+            const toolsToUse = toolPolicy.filterTools(this.tools);
+
+            const { model, stream = false, instructions = null } = req.body;
+            const { requestedModel, activeModel } = this.resolveProxyModel(model);
+
+            // Track user message in session memory
+            const lastUserText = OpenAIResponsesAdapter.lastUserText(req.body);
+            if (lastUserText) {
+                this.sessionMemory.trackConversation('user_message', lastUserText);
+                this.sessionMemory.updateUserIntent(lastUserText);
+            }
+
+            const enhancedMessages = [this.buildProxySystemMessage(), ...OpenAIResponsesAdapter.toOllamaMessages(req.body)];
+            const options = OpenAIResponsesAdapter.toOllamaOptions(req.body);
+
+            const completeRequest = (content, promptTokens, completionTokens, hadToolCalls, status = 'success') => {
+                const totalTokens = promptTokens + completionTokens;
+                this.trackModelUsage(activeModel, false, null, totalTokens, hadToolCalls);
+
+                if (content.trim()) {
+                    this.sessionMemory.trackConversation('ai_response', content.trim());
                 }
-                
-                // Log error
-                const responseTime = Date.now() - startTime;
+
+                this.logTraffic({
+                    type: 'request',
+                    status,
+                    responseTime: Date.now() - startTime,
+                    tokens: totalTokens,
+                    model: requestedModel,
+                    timestamp: new Date().toISOString()
+                });
+
+                this.logDebug({
+                    type: 'api_call',
+                    message: `Response successful${stream ? ' (streaming)' : ''}`,
+                    model: requestedModel,
+                    success: true,
+                    tokens: { total: totalTokens, prompt: promptTokens, completion: completionTokens }
+                });
+            };
+
+            const failRequest = (error) => {
+                console.error('[HIJACK ERROR]:', error);
+                this.trackModelUsage(activeModel, true, error.message, 0);
+
                 this.logTraffic({
                     type: 'request',
                     method: 'POST',
-                    endpoint: '/v1/chat/completions',
+                    endpoint: '/v1/responses',
                     status: 'error',
-                    responseTime,
+                    error: error.message,
+                    responseTime: Date.now() - startTime,
                     timestamp: new Date().toISOString()
                 });
-                
+
                 this.logDebug({
                     type: 'error',
                     message: `Hijacking failed: ${error.message}`,
                     data: { error: error.message }
                 });
-                
-                res.status(500).json({ error: 'Hijacking failed', details: error.message });
+            };
+
+            if (stream) {
+                const streamWriter = new OpenAIResponsesStreamWriter(res, { model: requestedModel, instructions });
+                streamWriter.open();
+                streamWriter.start();
+
+                try {
+                    const result = await this.streamProxyToolLoop({
+                        activeModel,
+                        requestedModel,
+                        messages: enhancedMessages,
+                        tools: toolsToUse,
+                        toolPolicy,
+                        options,
+                        onContent: (content) => streamWriter.writeText(content),
+                        isClosed: () => streamWriter.closed
+                    });
+
+                    completeRequest(result.content, result.promptTokens, result.completionTokens, result.hadToolCalls,
+                        streamWriter.closed ? 'client_closed' : 'success');
+
+                    streamWriter.finish(result.doneReason, result.promptTokens, result.completionTokens);
+                } catch (error) {
+                    failRequest(error);
+                    // Headers are already sent - report the failure inside the stream
+                    streamWriter.writeError(`Hijacking failed: ${error.message}`);
+                }
+                streamWriter.end();
+                return;
             }
-        });
+
+            try {
+                const { finalResponse, hadToolCalls } = await this.runProxyToolLoop({
+                    activeModel,
+                    requestedModel,
+                    messages: enhancedMessages,
+                    tools: toolsToUse,
+                    toolPolicy,
+                    options
+                });
+
+                const content = finalResponse.message?.content || '';
+                const promptTokens = finalResponse.prompt_eval_count || 0;
+                const completionTokens = finalResponse.eval_count || 0;
+
+                completeRequest(content, promptTokens, completionTokens, hadToolCalls);
+
+                res.json(OpenAIResponsesAdapter.buildResponse({
+                    model: requestedModel, // Use display name for response
+                    instructions,
+                    text: content,
+                    doneReason: finalResponse.done_reason,
+                    inputTokens: promptTokens,
+                    outputTokens: completionTokens
+                }));
+            } catch (error) {
+                failRequest(error);
+                res.status(500).json(OpenAIResponsesAdapter.buildError(`Hijacking failed: ${error.message}`, 'server_error'));
+            }
+        }));
 
         // Direct tool execution endpoint
         this.app.post('/hijack/execute', async (req, res) => {
@@ -5661,6 +7997,18 @@ ${osAwareness.getOSNotes().map(note => `- ${note}`).join('\n')}
                 const toolCall = {
                     function: { name: tool, arguments: args }
                 };
+
+                // The caller's API key may only allow part of Jack's tool set
+                const { policy: toolPolicy, error: policyError } = this.resolveToolPolicy(req);
+                if (policyError) {
+                    return res.status(400).json({ error: 'Invalid tool policy', details: policyError });
+                }
+                if (!toolPolicy.allows(tool || '')) {
+                    return res.status(403).json({
+                        error: 'Forbidden',
+                        details: `Tool '${tool}' is not permitted (tool policy: ${toolPolicy.describe()})`
+                    });
+                }
                 
                 const result = await this.executeTool(toolCall);
                 res.json(result);
@@ -5668,6 +8016,39 @@ ${osAwareness.getOSNotes().map(note => `- ${note}`).join('\n')}
                 res.status(500).json({ error: error.message });
             }
         });
+
+        // MCP over HTTP - one JSON-RPC exchange per request
+        this.app.post('/mcp', this.scheduled(async (req, res) => {
+            const { policy: toolPolicy, error: policyError } = this.resolveToolPolicy(req);
+            if (policyError) {
+                return res.status(400).json({ error: 'Invalid tool policy', details: policyError });
+            }
+            await this.mcpServer.handleHttp(req, res, {
+                toolPolicy,
+                workspace: req.jackWorkspace,
+                canReview: !!req.jackAuth?.scopes.has('review')
+            });
+        }));
+
+        // MCP over SSE - the stream's tool policy and workspace are fixed when it opens
+        this.app.get('/mcp/sse', (req, res) => {
+            const { policy: toolPolicy, error: policyError } = this.resolveToolPolicy(req);
+            if (policyError) {
+                return res.status(400).json({ error: 'Invalid tool policy', details: policyError });
+            }
+            const { workspace, error: workspaceError } = this.workspaceRegistry.resolve(req);
+            if (workspaceError) {
+                return res.status(400).json({ error: 'Unknown workspace', details: workspaceError });
+            }
+            this.mcpServer.openSse(req, res, '/mcp/messages', {
+                toolPolicy,
+                workspace,
+                canReview: !!req.jackAuth?.scopes.has('review'),
+                keyId: req.jackAuth?.keyId !== 'anonymous' ? req.jackAuth?.keyId : null
+            });
+        });
+
+        this.app.post('/mcp/messages', this.scheduled((req, res) => this.mcpServer.handleSseMessage(req, res)));
     }
 
     async start() {
@@ -5681,6 +8062,28 @@ ${osAwareness.getOSNotes().map(note => `- ${note}`).join('\n')}
             console.error('[HIJACKER] Failed to setup Ollama:', error);
             process.exit(1);
         }
+
+        await this.connectMcpServers();
+
+        if (this.mcpStdio) {
+            // The editor owns this process - no HTTP server, no interactive chat
+            const { policy: toolPolicy, error: policyError } = ToolPolicy.fromSpecs(
+                [process.env.JACK_TOOL_POLICY],
+                this.tools.map(tool => tool.function.name)
+            );
+            if (policyError) {
+                console.error(`[MCP] Invalid JACK_TOOL_POLICY: ${policyError}`);
+                process.exit(1);
+            }
+            // The editor is the only reviewer here - it decides on proposed edits with review_edit
+            const closed = this.mcpServer.attachStdio(mcpStdout, { toolPolicy, canReview: true });
+            console.log(`[MCP] Serving ${toolPolicy.filterTools(this.tools).length} tools on stdio - Workspace: ${this.workspaceRoot}`);
+            closed.then(() => {
+                this.cleanup();
+                process.exit(0);
+            });
+            return;
+        }
         
         console.log('[DEBUG] Starting Express server...');
         
@@ -5876,6 +8279,190 @@ ${osAwareness.getOSNotes().map(note => `- ${note}`).join('\n')}
         return thinkingPatterns.some(pattern => pattern.test(content.trim()));
     }
 
+    /**
+     * A typed accept/reject decided the edit the tool chain is paused on - record the
+     * decision for the model and resume the chain
+     */
+    settlePendingEdit(editId, decision, success, reason = null) {
+        if (!this.pendingEdit || this.pendingEdit !== editId) return;
+
+        this.lastEditDecision = { editId, decision, success, reason, timestamp: Date.now() };
+        this.pendingEdit = null;
+        this.continuePendingToolChain();
+    }
+
+    /**
+     * FEEDBACK LOOP: the user's decision on the previous edit, for the next proposal's tool result
+     * @returns {{lastEditDecision?: Object}} - Spread into the result; empty before the first decision
+     */
+    describeLastEditDecision() {
+        const decision = this.lastEditDecision;
+        if (!decision) return {};
+
+        return {
+            lastEditDecision: {
+                decision: decision.decision, // accepted/rejected/refactored
+                success: decision.success,
+                reason: decision.reason || null,
+                userFeedback: decision.userFeedback || null,
+                editId: decision.editId,
+                diagnostics: this.editController.getAppliedDiagnostics(decision.editId)
+            }
+        };
+    }
+
+    /**
+     * Run a freshly proposed edit through the auto-accept policy
+     * Edits an accept rule matches are applied right away and the tool result says so; prompt rules
+     * and unmatched edits stay pending for review. Every decision is logged with its rule.
+     * @param {Object} result - Tool result (only results with editProposed are considered)
+     * @param {string|null} toolRiskLevel - Risk level from the tool_call alignment
+     */
+    async applyAutoAcceptPolicy(result, toolRiskLevel = null) {
+        if (!result || !result.editProposed || !result.editId) return result;
+        const edit = this.editController.pendingEdits.get(result.editId);
+        if (!edit) return result;
+
+        // The higher of the tool_call risk and the operation's own alignment risk
+        const levels = ['LOW', 'MEDIUM', 'HIGH', 'CRITICAL'];
+        const risks = [toolRiskLevel, result.alignment && result.alignment.riskLevel].filter(level => levels.includes(level));
+        edit.riskLevel = risks.length > 0 ? levels[Math.max(...risks.map(level => levels.indexOf(level)))] : null;
+
+        const facts = this.editController.getEditPolicyFacts(edit);
+        const decision = this.autoAcceptPolicy.evaluate(facts);
+        if (!decision) return result;
+
+        await this.editController.recordAutoDecision(edit, { ...decision, facts });
+        const target = facts.command || facts.files.join(', ');
+        logger.info(`Auto-${decision.action}: ${edit.id} (${facts.operation} ${target}) by rule "${decision.rule}"`);
+
+        if (decision.action === 'prompt') {
+            console.log(`\x1b[93m👤 Policy rule "${decision.rule}" requires review for ${edit.id}\x1b[0m`);
+            return { ...result, autoDecision: { action: 'prompt', rule: decision.rule } };
+        }
+
+        console.log(`\x1b[96m🤖 AUTO-ACCEPT: ${edit.id} matched policy rule "${decision.rule}"\x1b[0m`);
+        const applied = await this.editController.acceptEdit(edit.id);
+        return {
+            ...result,
+            editApplied: applied,
+            message: applied
+                ? `Edit ${edit.id} applied automatically (auto-accept rule "${decision.rule}")`
+                : `Edit ${edit.id} matched auto-accept rule "${decision.rule}" but failed to apply: ${edit.error || 'unknown error'} - it is pending review`,
+            autoDecision: { action: 'accept', rule: decision.rule, success: applied },
+            ...(edit.diagnostics ? { diagnostics: edit.diagnostics } : {})
+        };
+    }
+
+    /**
+     * Accept, reject or refactor a pending edit on behalf of the review API (and MCP review_edit)
+     * Same bookkeeping as the typed commands, so a tool chain paused on the edit resumes.
+     * @param {string} editId
+     * @param {string} action - 'accept' | 'reject' | 'refactor'
+     * @param {Object} options - { hunks, resolution } to accept, { hunks, reason } to reject, { modifications } to refactor
+     * @returns {Promise<{status: number, body: Object}>} - HTTP status and JSON body
+     */
+    async reviewEdit(editId, action, options = {}) {
+        const edit = this.editController.pendingEdits.get(editId);
+        if (!edit) {
+            return { status: 404, body: { success: false, error: `Edit ${editId} is not pending` } };
+        }
+
+        let hunks = null;
+        if (options.hunks !== undefined && options.hunks !== null && action !== 'refactor') {
+            try {
+                hunks = parseHunkList(Array.isArray(options.hunks) ? options.hunks.join(',') : options.hunks);
+            } catch (error) {
+                return { status: 400, body: { success: false, error: error.message } };
+            }
+            const { error } = this.editController.validateHunkSelection(edit, hunks);
+            if (error) {
+                return { status: 400, body: { success: false, error } };
+            }
+        }
+
+        if (action === 'accept') {
+            const resolution = ['markers', 'overwrite'].includes(options.resolution) ? options.resolution : null;
+            const success = await this.editController.acceptEdit(editId, { resolution, hunks });
+            if (!success) {
+                if (edit.conflict) {
+                    return { status: 409, body: { success: false, conflict: edit.conflict, error: `Edit ${editId} conflicts with changes on disk - accept with resolution "markers" or "overwrite"` } };
+                }
+                return { status: 422, body: { success: false, error: edit.error || `Failed to apply edit ${editId}` } };
+            }
+            const partial = edit.hunks;
+            this.settlePendingEdit(editId, 'accepted', true, partial && partial.rejected.length > 0
+                ? `Only hunks ${partial.accepted.join(', ')} of ${partial.total} were applied - the user rejected hunks ${partial.rejected.join(', ')}`
+                : null);
+            return { status: 200, body: { success: true, editId, decision: 'accepted', hunks: partial || null, diagnostics: edit.diagnostics || null } };
+        }
+
+        if (action === 'reject') {
+            const reason = options.reason || (hunks ? 'User rejected hunks in review' : 'User rejected in review');
+            const success = hunks
+                ? await this.editController.rejectHunks(editId, hunks, reason)
+                : await this.editController.rejectEdit(editId, reason);
+            if (!success) {
+                return { status: 422, body: { success: false, error: edit.error || `Failed to reject edit ${editId}` } };
+            }
+            const applied = this.editController.appliedEdits.has(editId);
+            this.settlePendingEdit(editId, applied ? 'accepted' : 'rejected', true, applied
+                ? `The user rejected hunks ${hunks.join(', ')} of this edit (${reason}); the remaining hunks were applied`
+                : reason);
+            return { status: 200, body: { success: true, editId, decision: applied ? 'partially-accepted' : 'rejected', reason } };
+        }
+
+        if (action === 'refactor') {
+            const modifications = typeof options.modifications === 'string' ? options.modifications.trim() : '';
+            if (!modifications) {
+                return { status: 400, body: { success: false, error: 'Refactor needs "modifications" describing the changes' } };
+            }
+            const newEditId = await this.editController.refactorEdit(editId, modifications);
+            if (this.pendingEdit === editId) {
+                // Same as the [3] key: the model sees the feedback and the chain waits on the new edit
+                this.lastEditDecision = { editId, decision: 'refactored', success: !!newEditId, userFeedback: modifications, newEditId, timestamp: Date.now() };
+                this.pendingEdit = newEditId || null;
+                this.continuePendingToolChain();
+            }
+            return { status: 200, body: { success: true, editId, decision: 'refactored', newEditId } };
+        }
+
+        return { status: 400, body: { success: false, error: `Unknown review action: ${action}` } };
+    }
+
+    /**
+     * Accept or reject every pending edit of a batch on behalf of the review API
+     * A tool chain paused on one of the batch's edits resumes with the batch decision.
+     * @param {string} batchId
+     * @param {string} action - 'accept' | 'reject'
+     * @param {Object} options - { reason } to reject
+     * @returns {Promise<{status: number, body: Object}>} - HTTP status and JSON body
+     */
+    async reviewBatch(batchId, action, options = {}) {
+        const editIds = this.editController.getPendingBatchEdits(batchId).map(edit => edit.id);
+        if (editIds.length === 0) {
+            return { status: 404, body: { success: false, error: `Batch ${batchId} has no pending edits` } };
+        }
+
+        if (action === 'accept') {
+            const result = await this.editController.acceptBatch(batchId);
+            if (!result.success) {
+                return { status: 422, body: { ...result, batchId } };
+            }
+            editIds.forEach(editId => this.settlePendingEdit(editId, 'accepted', true));
+            return { status: 200, body: { success: true, batchId, decision: 'accepted', applied: result.applied } };
+        }
+
+        if (action === 'reject') {
+            const reason = options.reason || 'User rejected batch in review';
+            const result = await this.editController.rejectBatch(batchId, reason);
+            editIds.forEach(editId => this.settlePendingEdit(editId, 'rejected', true, reason));
+            return { status: 200, body: { success: true, batchId, decision: 'rejected', rejected: result.rejected, reason } };
+        }
+
+        return { status: 400, body: { success: false, error: `Unknown batch action: ${action}` } };
+    }
+
     continuePendingToolChain() {
         // Resume any paused tool execution
         if (this.pausedToolChainResolver) {
@@ -5950,10 +8537,23 @@ ${osAwareness.getOSNotes().map(note => `- ${note}`).join('\n')}
                 console.log('\x1b[93m💡 Use Rich CLI for system commands (auto-accept, models, usage, etc.)\x1b[0m');
                 console.log('\n\x1b[90m📝 LEGACY EDIT COMMANDS (still supported):\x1b[0m');
                 console.log('\x1b[90m  • "accept <edit_id>" - Accept a specific edit\x1b[0m');
+                console.log('\x1b[90m  • "accept <edit_id> --markers|--overwrite" - Resolve a merge conflict with the file on disk\x1b[0m');
+                console.log('\x1b[90m  • "accept <edit_id> hunks 1,3" - Apply only some hunks of a file edit\x1b[0m');
                 console.log('\x1b[90m  • "reject <edit_id>" - Reject a specific edit\x1b[0m');
+                console.log('\x1b[90m  • "reject <edit_id> hunks 2" - Leave out some hunks and apply the rest\x1b[0m');
                 console.log('\x1b[90m  • "refactor <edit_id> <changes>" - Modify specific edit\x1b[0m');
                 console.log('\x1b[90m  • "batch start <description>" - Start edit batch\x1b[0m');
+                console.log('\x1b[90m  • "batch end" - Stop adding new edits to the current batch\x1b[0m');
+                console.log('\x1b[90m  • "accept batch <batch_id>" - Apply every edit in a batch, all-or-nothing\x1b[0m');
+                console.log('\x1b[90m  • "reject batch <batch_id>" - Reject every edit in a batch\x1b[0m');
+                console.log('\x1b[95m  • "undo [n|<edit_id>] [--force]" - Undo applied edits (survives restarts)\x1b[0m');
+                console.log('\x1b[95m  • "redo [n|<edit_id>] [--force]" - Re-apply undone edits\x1b[0m');
+                console.log('\x1b[95m  • "undo list" - Show the undo and redo stacks\x1b[0m');
+                console.log('\x1b[95m  • "checkpoints [on|off]" - List git checkpoints, or toggle checkpoint mode\x1b[0m');
+                console.log('\x1b[95m  • "checkpoints diff <n>" / "checkpoints restore <n> [--force]" - Inspect or go back to a checkpoint\x1b[0m');
+                console.log(`\x1b[95m  • Browser review: http://localhost:${this.port}/jack/review - accept/reject/refactor pending edits from a web page\x1b[0m`);
                 console.log('\x1b[90m  • "auto-accept on/off" - Toggle automatic edit approval (legacy)\x1b[0m'); 
+                console.log('\x1b[95m  • "auto-accept policy" - Show the rules that auto-accept or always prompt for edits\x1b[0m');
                 console.log('\n\x1b[91m  • "exit" - Exit chat mode\x1b[0m');
                 console.log('');
                 rl.prompt();
@@ -6057,12 +8657,117 @@ ${osAwareness.getOSNotes().map(note => `- ${note}`).join('\n')}
             }
             
             // Note: 1/2/3 instant keypress handling is done via setupInstantKeypress method
+
+            if (command.toLowerCase() === 'undo list') {
+                const stacks = await this.editController.undoStack.list();
+                console.log(`\x1b[95m↩️  UNDO STACK (${stacks.undo.length})\x1b[0m`);
+                stacks.undo.slice(0, 10).forEach(entry => {
+                    console.log(`\x1b[96m   • ${entry.editId}: ${entry.filePath}${entry.batchId ? ` [${entry.batchId}]` : ''}\x1b[0m`);
+                });
+                console.log(`\x1b[95m↪️  REDO STACK (${stacks.redo.length})\x1b[0m`);
+                stacks.redo.slice(0, 10).forEach(entry => {
+                    console.log(`\x1b[96m   • ${entry.editId}: ${entry.filePath}\x1b[0m`);
+                });
+                console.log('');
+                rl.prompt();
+                return;
+            }
+
+            const checkpointCommand = command.trim().match(/^checkpoints(?:\s+(list|on|off|diff|restore)(?:\s+(\d+))?(\s+--force)?)?\s*$/i);
+            if (checkpointCommand) {
+                const [, action = 'list', number, force] = checkpointCommand;
+                const index = number === undefined ? null : parseInt(number, 10);
+                try {
+                    switch (action.toLowerCase()) {
+                        case 'on':
+                        case 'off': {
+                            const mode = await this.editController.setCheckpointMode(action.toLowerCase() === 'on');
+                            console.log(mode.enabled
+                                ? `\x1b[92m📌 Checkpoint mode ON - applied edits are committed to ${this.editController.checkpoints.ref}${mode.available ? '' : ' (once the workspace is a git repository)'}\x1b[0m`
+                                : '\x1b[93m📌 Checkpoint mode OFF - applied edits are backed up to .edits/backups\x1b[0m');
+                            break;
+                        }
+                        case 'diff':
+                            if (index === null) throw new Error('Usage: checkpoints diff <n>');
+                            this.editController.displayCheckpointDiff(index, await this.editController.checkpoints.diff(index));
+                            break;
+                        case 'restore':
+                            if (index === null) throw new Error('Usage: checkpoints restore <n> [--force]');
+                            this.editController.displayCheckpointRestore(index, await this.editController.checkpoints.restore(index, { force: !!force }));
+                            break;
+                        default:
+                            this.editController.displayCheckpoints(await this.editController.checkpoints.list());
+                    }
+                } catch (error) {
+                    console.log(`\x1b[91m❌ ${error.message}\x1b[0m`);
+                }
+                console.log('');
+                rl.prompt();
+                return;
+            }
+
+            // Only exact command forms - "undo the last change" is still a request for the AI
+            if (/^(undo|redo)(\s+(\d+|edit_\S+|--force))*\s*$/i.test(command.trim())) {
+                const [direction, ...args] = command.trim().split(/\s+/);
+                const options = this.parseUndoArgs(args);
+                if (direction.toLowerCase() === 'undo') {
+                    await this.editController.undoEdits(options);
+                } else {
+                    await this.editController.redoEdits(options);
+                }
+                console.log('');
+                rl.prompt();
+                return;
+            }
+
+            if (command.toLowerCase().startsWith('accept batch ')) {
+                const batchId = command.slice(13).trim();
+                const result = await this.editController.acceptBatch(batchId);
+                if (result.success) {
+                    console.log(`\x1b[92m✅ Batch ${batchId} has been applied to the workspace\x1b[0m`);
+                } else {
+                    console.log(`\x1b[91m❌ Batch ${batchId} was not applied: ${result.error}\x1b[0m`);
+                }
+                console.log('');
+                rl.prompt();
+                return;
+            }
+
+            if (command.toLowerCase().startsWith('reject batch ')) {
+                const parts = command.slice(13).trim().split(' ');
+                const batchId = parts[0];
+                const reason = parts.slice(1).join(' ') || 'User rejected batch';
+                await this.editController.rejectBatch(batchId, reason);
+                console.log('');
+                rl.prompt();
+                return;
+            }
             
             if (command.toLowerCase().startsWith('accept ')) {
-                const editId = command.slice(7).trim();
-                const success = await this.editController.acceptEdit(editId);
+                const [editId, ...args] = command.slice(7).trim().split(/\s+/);
+                const resolution = args.includes('--markers') ? 'markers'
+                    : args.includes('--overwrite') ? 'overwrite'
+                    : null;
+                let hunks = null;
+                const hunksAt = args.findIndex(arg => arg.toLowerCase() === 'hunks');
+                if (hunksAt !== -1) {
+                    try {
+                        hunks = parseHunkList(args[hunksAt + 1]);
+                    } catch (error) {
+                        console.log(`\x1b[91m❌ ${error.message}\x1b[0m\n`);
+                        rl.prompt();
+                        return;
+                    }
+                }
+                const success = await this.editController.acceptEdit(editId, { resolution, hunks });
                 if (success) {
                     console.log(`\x1b[92m✅ Edit ${editId} has been applied to the workspace\x1b[0m`);
+                    const partial = this.editController.editHistory.find(edit => edit.id === editId)?.hunks;
+                    this.settlePendingEdit(editId, 'accepted', true, partial && partial.rejected.length > 0
+                        ? `Only hunks ${partial.accepted.join(', ')} of ${partial.total} were applied - the user rejected hunks ${partial.rejected.join(', ')}`
+                        : null);
+                } else if (this.editController.pendingEdits.get(editId)?.conflict) {
+                    console.log(`\x1b[93m⏸️  Edit ${editId} conflicts with changes on disk - resolve with --markers or --overwrite\x1b[0m`);
                 } else {
                     console.log(`\x1b[91m❌ Failed to apply edit ${editId}\x1b[0m`);
                 }
@@ -6074,10 +8779,31 @@ ${osAwareness.getOSNotes().map(note => `- ${note}`).join('\n')}
             if (command.toLowerCase().startsWith('reject ')) {
                 const parts = command.slice(7).trim().split(' ');
                 const editId = parts[0];
+
+                if ((parts[1] || '').toLowerCase() === 'hunks') {
+                    try {
+                        const hunks = parseHunkList(parts[2]);
+                        const reason = parts.slice(3).join(' ') || 'User rejected hunks';
+                        if (await this.editController.rejectHunks(editId, hunks, reason)) {
+                            console.log(`\x1b[93m🧩 Hunk${hunks.length === 1 ? '' : 's'} ${hunks.join(', ')} of ${editId} rejected\x1b[0m`);
+                            const applied = this.editController.appliedEdits.has(editId);
+                            this.settlePendingEdit(editId, applied ? 'accepted' : 'rejected', true, applied
+                                ? `The user rejected hunks ${hunks.join(', ')} of this edit (${reason}); the remaining hunks were applied`
+                                : reason);
+                        }
+                    } catch (error) {
+                        console.log(`\x1b[91m❌ ${error.message}\x1b[0m`);
+                    }
+                    console.log('');
+                    rl.prompt();
+                    return;
+                }
+
                 const reason = parts.slice(1).join(' ') || 'User rejected';
                 const success = await this.editController.rejectEdit(editId, reason);
                 if (success) {
                     console.log(`\x1b[91m❌ Edit ${editId} has been rejected\x1b[0m`);
+                    this.settlePendingEdit(editId, 'rejected', true, reason);
                 }
                 console.log('');
                 rl.prompt();
@@ -6112,6 +8838,24 @@ ${osAwareness.getOSNotes().map(note => `- ${note}`).join('\n')}
                 return;
             }
             
+            if (command.toLowerCase() === 'auto-accept policy') {
+                this.autoAcceptPolicy.refresh();
+                const status = this.autoAcceptPolicy.getStatus();
+                console.log(`\x1b[95m📜 AUTO-ACCEPT POLICY: ${status.file}\x1b[0m`);
+                if (status.error) {
+                    console.log(`\x1b[91m❌ ${status.error} - no rules active\x1b[0m`);
+                } else if (status.rules.length === 0) {
+                    console.log(`\x1b[90m   No rules${status.loaded ? '' : ' (file not found)'} - ${this.autoAcceptEdits ? 'every edit is applied automatically' : 'every edit needs approval'}\x1b[0m`);
+                }
+                for (const rule of status.rules) {
+                    const icon = rule.action === 'accept' ? '\x1b[92m🤖 accept' : '\x1b[93m👤 prompt';
+                    console.log(`   ${icon}\x1b[0m  ${rule.name}`);
+                }
+                console.log('');
+                rl.prompt();
+                return;
+            }
+            
             if (command.toLowerCase() === 'auto-accept off') {
                 this.autoAcceptEdits = false;
                 console.log(`\x1b[91m⏸️  Auto-accept mode disabled - manual approval required\x1b[0m`);
@@ -6128,6 +8872,18 @@ ${osAwareness.getOSNotes().map(note => `- ${note}`).join('\n')}
                 rl.prompt();
                 return;
             }
+
+            if (command.toLowerCase() === 'batch end') {
+                const batchId = this.editController.endEditBatch();
+                if (!batchId) {
+                    console.log(`\x1b[93m⚠️  No edit batch is open\x1b[0m`);
+                } else {
+                    console.log(`\x1b[93m💡 Use 'accept batch ${batchId}' or 'reject batch ${batchId}'\x1b[0m`);
+                }
+                console.log('');
+                rl.prompt();
+                return;
+            }
             
             // Process AI request
             let chatStartTime;
@@ -6425,6 +9181,9 @@ Always be thorough in explanations and proactive in suggesting improvements!`;
                             case 'git_operations':
                                 console.log(`   🔗 Git operation: ${args.operation}`);
                                 break;
+                            case 'git_commit':
+                                console.log(`   🔗 Git commit: ${args.message ? args.message.split('\n')[0] : 'generated message'}`);
+                                break;
                             default:
                                 console.log(`   🔧 ${toolCall.function.name}: ${JSON.stringify(args).substring(0, 100)}`);
                         }
@@ -6473,9 +9232,22 @@ Always be thorough in explanations and proactive in suggesting improvements!`;
                             console.log(`\x1b[92m[1] ✅ ACCEPT\x1b[0m | \x1b[91m[2] ❌ REJECT\x1b[0m | \x1b[94m[3] 🔧 REFACTOR\x1b[0m`);
                             console.log('');
                             
-                            if (this.autoAcceptEdits) {
-                                // Auto-Edit Mode: Apply edit automatically
+                            const autoDecision = result.autoDecision || null;
+                            if (autoDecision && autoDecision.action === 'accept' && autoDecision.success) {
+                                // Already applied by an auto-accept policy rule
+                                console.log(`\x1b[92m✅ Edit ${result.editId} applied by policy rule "${autoDecision.rule}"\x1b[0m\n`);
+                            } else if (this.autoAcceptEdits && !autoDecision) {
+                                // Auto-Edit Mode: Apply edit automatically (policy "prompt" rules still ask)
                                 console.log(`\x1b[96m🤖 AUTO-EDIT MODE: Applying edit automatically...\x1b[0m`);
+                                const edit = this.editController.pendingEdits.get(result.editId);
+                                if (edit) {
+                                    await this.editController.recordAutoDecision(edit, {
+                                        action: 'accept',
+                                        rule: 'auto-accept on',
+                                        facts: this.editController.getEditPolicyFacts(edit)
+                                    });
+                                    logger.info(`Auto-accept: ${result.editId} by rule "auto-accept on"`);
+                                }
                                 const accepted = await this.editController.acceptEdit(result.editId);
                                 if (accepted) {
                                     console.log(`\x1b[92m✅ Edit ${result.editId} applied successfully (Auto-Edit Mode)\x1b[0m\n`);
@@ -7325,17 +10097,13 @@ const ollamaJack = new OllamaJack();
 // Cleanup on exit
 process.on('SIGINT', () => {
     console.log('\n🛑 Shutting down hijacker...');
-    if (ollamaJack && ollamaJack.telemetryManager && typeof ollamaJack.telemetryManager.cleanup === 'function') {
-        ollamaJack.telemetryManager.cleanup();
-    }
+    ollamaJack.cleanup();
     process.exit(0);
 });
 
 process.on('SIGTERM', () => {
     console.log('\n🛑 Shutting down hijacker...');
-    if (ollamaJack && ollamaJack.telemetryManager && typeof ollamaJack.telemetryManager.cleanup === 'function') {
-        ollamaJack.telemetryManager.cleanup();
-    }
+    ollamaJack.cleanup();
     process.exit(0);
 });
 
@@ -4,6 +4,7 @@ const readline = require('readline');
 const path = require('path');
 const { exec } = require('child_process');
 const axios = require('axios');
+const { EMBEDDING_MODELS } = require('./utils/semantic-index');
 
 // Load environment from the Ollama Jack project directory
 const jackProjectRoot = path.dirname(__filename);
@@ -50,15 +51,8 @@ class AIPopulationAgent {
             const response = await axios.get(`${ollamaUrl}/api/tags`, { timeout: 5000 });
             const models = response.data.models || [];
             
-            // Look for embedding models in order of preference
-            const embeddingModels = [
-                'embeddinggemma:300m',
-                'nomic-embed-text:latest',
-                'mxbai-embed-large:latest',
-                'all-minilm:latest'
-            ];
-            
-            for (const model of embeddingModels) {
+            // Look for embedding models in order of preference (same list as semantic_search)
+            for (const model of EMBEDDING_MODELS) {
                 if (models.some(m => m.name === model)) {
                     return model;
                 }
@@ -358,6 +352,7 @@ class OllamaJackCLI {
         }
         
         this.mainHijackerPort = process.env.PORT || 11435;
+        this.installJackAuth();
         this.currentModel = null;
         this.availableModels = [];
         this.currentModelIndex = 0;
@@ -419,6 +414,22 @@ class OllamaJackCLI {
         this.detectIDE();
     }
 
+    // Send JACK_API_KEY with every request to the Jack server when API key auth is enabled
+    installJackAuth() {
+        const token = process.env.JACK_API_KEY;
+        if (!token) return;
+
+        const jackPorts = new Set([String(this.mainHijackerPort), '11435']);
+        axios.interceptors.request.use(config => {
+            const match = (config.url || '').match(/^http:\/\/(?:localhost|127\.0\.0\.1):(\d+)\//);
+            if (match && jackPorts.has(match[1])) {
+                config.headers = config.headers || {};
+                config.headers.Authorization = `Bearer ${token}`;
+            }
+            return config;
+        });
+    }
+
     // Dynamic Model Analysis System
     async analyzeModel(modelName, forceRefresh = false) {
         // Check cache first
@@ -4,11 +4,12 @@ const fs = require('fs');
 const path = require('path');
 
 class SessionMemory {
-    constructor(dataDir, workspaceRoot, telemetryManager = null) {
+    constructor(dataDir, workspaceRoot, telemetryManager = null, options = {}) {
         this.dataDir = dataDir;
         this.workspaceRoot = workspaceRoot;
         this.telemetryManager = telemetryManager;
-        this.memoryDir = path.join(dataDir, '.memory');
+        // options.memoryDir lets several memories (e.g. one per proxy client) share a data dir
+        this.memoryDir = options.memoryDir || path.join(dataDir, '.memory');
         this.sessionFile = path.join(this.memoryDir, 'session.json');
         this.contextFile = path.join(this.memoryDir, 'context.json');
         
@@ -586,8 +587,17 @@ class SessionMemory {
         if (sessionContext.conversationContext.length > 0) {
             enhancedPrompt += '**Recent Conversation:**\n';
             sessionContext.conversationContext.forEach(turn => {
-                enhancedPrompt += `- User: ${turn.userMessage.substring(0, 150)}${turn.userMessage.length > 150 ? '...' : ''}\n`;
-                enhancedPrompt += `- AI: ${turn.aiResponse.substring(0, 150)}${turn.aiResponse.length > 150 ? '...' : ''}\n`;
+                // trackConversation() stores single messages ({ type, content }) next to full turns
+                if (turn.userMessage === undefined && turn.aiResponse === undefined) {
+                    const speaker = turn.type === 'user_message' ? 'User' : 'AI';
+                    const text = typeof turn.content === 'string' ? turn.content : JSON.stringify(turn.content || '');
+                    enhancedPrompt += `- ${speaker}: ${text.substring(0, 150)}${text.length > 150 ? '...' : ''}\n`;
+                    return;
+                }
+                const userMessage = turn.userMessage || '';
+                const aiResponse = turn.aiResponse || '';
+                enhancedPrompt += `- User: ${userMessage.substring(0, 150)}${userMessage.length > 150 ? '...' : ''}\n`;
+                enhancedPrompt += `- AI: ${aiResponse.substring(0, 150)}${aiResponse.length > 150 ? '...' : ''}\n`;
             });
             enhancedPrompt += '\n';
         }
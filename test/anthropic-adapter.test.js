@@ -0,0 +1,79 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { AnthropicAdapter, AnthropicStreamWriter } = require('../utils/anthropic-adapter');
+const { fakeResponse } = require('./support/fake-response');
+
+describe('AnthropicStreamWriter', () => {
+    it('writes the message_* and content_block_* event sequence', () => {
+        const res = fakeResponse();
+        const writer = new AnthropicStreamWriter(res, { model: 'alpha:1b' });
+        writer.open();
+        writer.start(12);
+        writer.writeText('Hel');
+        writer.writeText('lo');
+        writer.closeBlock();
+        writer.writeText('again');
+        writer.finish('end_turn', 7);
+        writer.end();
+
+        const events = res.events();
+        assert.deepEqual(events.map(({ event }) => event), [
+            'message_start', 'ping',
+            'content_block_start', 'content_block_delta', 'content_block_delta', 'content_block_stop',
+            'content_block_start', 'content_block_delta', 'content_block_stop',
+            'message_delta', 'message_stop'
+        ]);
+        assert.ok(events.every(({ event, data }) => data.type === event));
+
+        const { message } = events[0].data;
+        assert.deepEqual({ id: message.id, model: message.model, stop_reason: message.stop_reason, usage: message.usage },
+            { id: writer.id, model: 'alpha:1b', stop_reason: null, usage: { input_tokens: 12, output_tokens: 0 } });
+        assert.deepEqual(events.filter(({ event }) => event === 'content_block_delta').map(({ data }) => [data.index, data.delta.text]),
+            [[0, 'Hel'], [0, 'lo'], [1, 'again']]);
+        assert.deepEqual(events[9].data, { type: 'message_delta', delta: { stop_reason: 'end_turn', stop_sequence: null }, usage: { output_tokens: 7 } });
+        assert.equal(res.ended, true);
+    });
+
+    it('finishes once and without a content block when nothing was written', () => {
+        const res = fakeResponse();
+        const writer = new AnthropicStreamWriter(res);
+        writer.start();
+        writer.writeText('');
+        writer.finish(AnthropicAdapter.stopReason('length'), 1);
+        writer.finish('end_turn', 2);
+
+        const events = res.events();
+        assert.deepEqual(events.map(({ event }) => event), ['message_start', 'ping', 'message_delta', 'message_stop']);
+        assert.equal(events[2].data.delta.stop_reason, 'max_tokens');
+    });
+});
+
+describe('AnthropicAdapter', () => {
+    it('maps Ollama done reasons onto stop reasons', () => {
+        assert.equal(AnthropicAdapter.stopReason('length'), 'max_tokens');
+        assert.equal(AnthropicAdapter.stopReason('stop'), 'end_turn');
+        assert.equal(AnthropicAdapter.stopReason(undefined), 'end_turn');
+    });
+
+    it('turns tool_use and tool_result blocks into Ollama tool calls and tool messages', () => {
+        const messages = AnthropicAdapter.toOllamaMessages({
+            system: [{ type: 'text', text: 'Be brief' }],
+            messages: [
+                { role: 'user', content: 'List files' },
+                { role: 'assistant', content: [{ type: 'tool_use', id: 'toolu_1', name: 'list_directory', input: { dirPath: '' } }] },
+                { role: 'user', content: [
+                    { type: 'tool_result', tool_use_id: 'toolu_1', content: [{ type: 'text', text: 'a.txt' }] },
+                    { type: 'text', text: 'Thanks' }
+                ] }
+            ]
+        });
+        assert.deepEqual(messages, [
+            { role: 'system', content: 'Be brief' },
+            { role: 'user', content: 'List files' },
+            { role: 'assistant', content: '', tool_calls: [{ id: 'toolu_1', type: 'function', function: { name: 'list_directory', arguments: { dirPath: '' } } }] },
+            { role: 'tool', tool_call_id: 'toolu_1', tool_name: 'list_directory', content: 'a.txt' },
+            { role: 'user', content: 'Thanks' }
+        ]);
+    });
+});
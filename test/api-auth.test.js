@@ -0,0 +1,128 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+const ApiAuth = require('../utils/api-auth');
+
+const sha256 = (text) => crypto.createHash('sha256').update(text).digest('hex');
+
+const fakeRequest = (method, path, headers = {}) => ({
+    method,
+    path,
+    get: (name) => headers[name.toLowerCase()]
+});
+
+const fakeResponse = () => ({
+    statusCode: 200,
+    body: null,
+    status(code) {
+        this.statusCode = code;
+        return this;
+    },
+    json(body) {
+        this.body = body;
+        return this;
+    },
+    on() {}
+});
+
+const runMiddleware = (auth, req) => {
+    const res = fakeResponse();
+    let passed = false;
+    auth.middleware()(req, res, () => { passed = true; });
+    return { res, passed };
+};
+
+describe('ApiAuth.parseKeys', () => {
+    it('parses ids, scopes and tool policies', () => {
+        const [ide, bot] = ApiAuth.parseKeys('ide:sk-local-123:chat,tools; bot:sk-bot:chat,tools:read_file+grep_search');
+        assert.equal(ide.id, 'ide');
+        assert.deepEqual([...ide.scopes], ['chat', 'tools']);
+        assert.equal(ide.toolPolicy, null);
+        assert.deepEqual([...bot.scopes], ['chat', 'tools']);
+        assert.equal(bot.toolPolicy, 'read_file,grep_search');
+    });
+
+    it('keeps tokens that contain colons', () => {
+        const auth = new ApiAuth('ide:abc:def:ghi:chat,tools:read-only');
+        const [key] = auth.keys;
+        assert.equal(key.toolPolicy, 'read-only');
+        assert.equal(auth.authenticate('abc:def:ghi'), key);
+        assert.equal(auth.authenticate('abc'), null);
+    });
+
+    it('prefers the last separator that leaves a valid scope list', () => {
+        const auth = new ApiAuth('ide:secret:tools:chat');
+        assert.deepEqual([...auth.keys[0].scopes], ['chat']);
+        assert.ok(auth.authenticate('secret:tools'));
+    });
+
+    it('accepts sha256 digests and the * scope', () => {
+        const auth = new ApiAuth(`owner:sha256:${sha256('sk-owner')}:*`);
+        const key = auth.authenticate('sk-owner');
+        assert.ok(key);
+        assert.ok(key.scopes.has('admin') && key.scopes.has('review'));
+    });
+
+    it('rejects malformed entries without echoing the token', () => {
+        assert.throws(() => ApiAuth.parseKeys('ide:sk-secret'), (error) => {
+            assert.match(error.message, /key 'ide': expected id:token:scopes/);
+            assert.doesNotMatch(error.message, /sk-secret/);
+            return true;
+        });
+        assert.throws(() => ApiAuth.parseKeys('ide:sk-1:chat,tool'), /key 'ide'/);
+        assert.throws(() => ApiAuth.parseKeys(':sk-1:chat'), /entry 1: expected id:token:scopes/);
+        assert.throws(() => ApiAuth.parseKeys('ci:sha256:abc:chat'), /64-digit hex digest/);
+        assert.throws(() => ApiAuth.parseKeys('a:sk-1:chat;a:sk-2:chat'), /key 'a': duplicate id/);
+    });
+
+    it('lists every malformed entry at once', () => {
+        assert.throws(() => new ApiAuth('ok:sk-1:chat;bad:sk-2:nope;worse'), /key 'bad'.*; entry 3/);
+    });
+});
+
+describe('ApiAuth.scopeFor', () => {
+    it('maps routes to scopes and fails closed', () => {
+        assert.equal(ApiAuth.scopeFor('POST', '/v1/chat/completions'), 'chat');
+        assert.equal(ApiAuth.scopeFor('POST', '/hijack/execute'), 'tools');
+        assert.equal(ApiAuth.scopeFor('GET', '/jack/auto-accept'), 'telemetry');
+        assert.equal(ApiAuth.scopeFor('POST', '/jack/auto-accept'), 'admin');
+        assert.equal(ApiAuth.scopeFor('GET', '/jack/review'), 'public');
+        assert.equal(ApiAuth.scopeFor('POST', '/jack/edits/edit_1/accept'), 'review');
+        assert.equal(ApiAuth.scopeFor('POST', '/jack/batches/batch_1/reject'), 'review');
+        assert.equal(ApiAuth.scopeFor('POST', '/jack/something-new'), 'admin');
+    });
+});
+
+describe('ApiAuth#middleware', () => {
+    const auth = new ApiAuth('ide:sk-ide:chat;ops:sk-ops:chat,tools:read-only');
+
+    it('lets everything through when auth is off', () => {
+        const req = fakeRequest('POST', '/jack/debug');
+        const { passed } = runMiddleware(new ApiAuth(''), req);
+        assert.equal(passed, true);
+        assert.equal(req.jackAuth.keyId, 'anonymous');
+    });
+
+    it('rejects missing and unknown tokens', () => {
+        const { res, passed } = runMiddleware(auth, fakeRequest('POST', '/v1/chat/completions', { authorization: 'Bearer nope' }));
+        assert.equal(passed, false);
+        assert.equal(res.statusCode, 401);
+    });
+
+    it('rejects keys without the route scope', () => {
+        const { res } = runMiddleware(auth, fakeRequest('POST', '/hijack/execute', { authorization: 'Bearer sk-ide' }));
+        assert.equal(res.statusCode, 403);
+    });
+
+    it('sets the key id and tool policy for downstream handlers', () => {
+        const chatOnly = fakeRequest('POST', '/v1/messages', { 'x-api-key': 'sk-ide' });
+        assert.equal(runMiddleware(auth, chatOnly).passed, true);
+        assert.equal(chatOnly.jackAuth.keyId, 'ide');
+        assert.equal(chatOnly.jackAuth.toolPolicy, 'none');
+
+        const withTools = fakeRequest('POST', '/v1/messages', { authorization: 'Bearer sk-ops' });
+        runMiddleware(auth, withTools);
+        assert.equal(withTools.jackAuth.toolPolicy, 'read-only');
+    });
+});
@@ -0,0 +1,104 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { AutoAcceptPolicy, matchesGlob } = require('../utils/auto-accept-policy');
+
+describe('matchesGlob', () => {
+    it('matches file names at any depth when the glob has no slash', () => {
+        assert.equal(matchesGlob('config/.env', '.env'), true);
+        assert.equal(matchesGlob('.env.local', '.env.*'), true);
+        assert.equal(matchesGlob('src/app.js', '*.ts'), false);
+    });
+
+    it('anchors globs with a slash to the workspace root', () => {
+        assert.equal(matchesGlob('src/a/b/c.js', 'src/**'), true);
+        assert.equal(matchesGlob('./src/index.js', 'src/*.js'), true);
+        assert.equal(matchesGlob('src/a/index.js', 'src/*.js'), false);
+        assert.equal(matchesGlob('src/index.js', 'src/**/*.js'), true);
+        assert.equal(matchesGlob('lib\\util.js', 'lib/?til.js'), true);
+    });
+
+    it('translates brace alternatives with the glob rules', () => {
+        assert.equal(matchesGlob('src/app.ts', 'src/*.{js,ts}'), true);
+        assert.equal(matchesGlob('docs/a/b/guide.md', '{src/*.js,docs/**/*.md}'), true);
+        assert.equal(matchesGlob('src/a/app.js', '{src/*.js,docs/**}'), false);
+        assert.equal(matchesGlob('test/unit/a.spec.ts', 'test/{unit,e2e}/*.{spec,test}.{js,ts}'), true);
+    });
+
+    it('handles nested groups and literal braces', () => {
+        assert.equal(matchesGlob('a.test.tsx', '*.{test.{ts,tsx},spec.js}'), true);
+        assert.equal(matchesGlob('a.test.js', '*.{test.{ts,tsx},spec.js}'), false);
+        assert.equal(matchesGlob('a{b.js', 'a{b.js'), true);
+        assert.equal(matchesGlob('a.b', '{a.b}'), true);
+        assert.equal(matchesGlob('axb', '{a.b}'), false);
+    });
+});
+
+describe('AutoAcceptPolicy.parseRule', () => {
+    it('normalizes lists and risk levels', () => {
+        const rule = AutoAcceptPolicy.parseRule({ action: 'accept', operation: 'write_file', paths: 'src/**', maxRisk: 'low' }, 2);
+        assert.equal(rule.name, 'rule 3');
+        assert.deepEqual(rule.operations, ['write_file']);
+        assert.deepEqual(rule.paths, ['src/**']);
+        assert.equal(rule.maxRisk, 'LOW');
+    });
+
+    it('rejects invalid rules', () => {
+        assert.throws(() => AutoAcceptPolicy.parseRule({ action: 'allow' }, 0), /rule 1: action must be one of accept, prompt/);
+        assert.throws(() => AutoAcceptPolicy.parseRule({ name: 'x', action: 'accept', operation: 'rm' }, 0), /x: unknown operation rm/);
+        assert.throws(() => AutoAcceptPolicy.parseRule({ name: 'x', action: 'accept', maxRisk: 'NONE' }, 0), /maxRisk/);
+        assert.throws(() => AutoAcceptPolicy.parseRule({ name: 'x', action: 'accept', maxChangedLines: -1 }, 0), /maxChangedLines/);
+        assert.throws(() => AutoAcceptPolicy.parseRule({ name: 'x', action: 'prompt', command: '(' }, 0), /x: invalid command pattern/);
+    });
+});
+
+describe('AutoAcceptPolicy#evaluate', () => {
+    let directory;
+    let policy;
+    const edit = (overrides) => ({
+        operation: 'surgical_edit', files: ['src/app.js'], changedLines: 3, command: null, riskLevel: 'LOW', destructive: false, ...overrides
+    });
+
+    before(() => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'jack-policy-'));
+        const filePath = path.join(directory, 'auto-accept-policy.json');
+        fs.writeFileSync(filePath, JSON.stringify({
+            rules: [
+                { name: 'small-src', action: 'accept', paths: ['src/**'], maxChangedLines: 10, maxRisk: 'MEDIUM' },
+                { name: 'env-files', action: 'prompt', paths: ['.env', '.env.*'] },
+                { name: 'no-push', action: 'prompt', command: '\\bgit\\s+push\\b' }
+            ]
+        }));
+        policy = new AutoAcceptPolicy(filePath);
+    });
+
+    after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+    it('accepts edits inside every accept condition', () => {
+        assert.deepEqual(policy.evaluate(edit()), { action: 'accept', rule: 'small-src' });
+        assert.equal(policy.evaluate(edit({ changedLines: 11 })), null);
+        assert.equal(policy.evaluate(edit({ riskLevel: 'HIGH' })), null);
+        assert.equal(policy.evaluate(edit({ files: ['src/app.js', 'README.md'] })), null);
+    });
+
+    it('lets prompt rules win over accept rules', () => {
+        assert.deepEqual(policy.evaluate(edit({ files: ['src/app.js', 'src/.env'] })), { action: 'prompt', rule: 'env-files' });
+        assert.deepEqual(policy.evaluate(edit({ operation: 'execute_command', files: [], command: 'git push origin' })),
+            { action: 'prompt', rule: 'no-push' });
+    });
+
+    it('always prompts for destructive git commands', () => {
+        assert.equal(policy.evaluate(edit({ destructive: true })).action, 'prompt');
+    });
+
+    it('leaves no rules active when the file does not parse', () => {
+        const broken = path.join(directory, 'broken.json');
+        fs.writeFileSync(broken, '{ "rules": [');
+        const brokenPolicy = new AutoAcceptPolicy(broken);
+        assert.equal(brokenPolicy.evaluate(edit()), null);
+        assert.ok(brokenPolicy.getStatus().error);
+    });
+});
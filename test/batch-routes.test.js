@@ -0,0 +1,58 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { EditVersionController } = require('../edit-controller');
+const { startFakeOllama, startEngine } = require('./support/proxy-engine');
+
+describe('/jack/batches routes', { timeout: 60000 }, () => {
+    let ollama;
+    let engine;
+    let batchId;
+    let edits;
+
+    before(async () => {
+        ollama = await startFakeOllama();
+        // Proposed by an earlier run - the engine has to pick the batch up from .edits/pending.json
+        engine = await startEngine(ollama, {}, async (workspace) => {
+            const controller = new EditVersionController(workspace);
+            batchId = controller.startEditBatch('two files');
+            edits = [
+                await controller.proposeEdit({ type: 'write_file', filePath: 'a.txt', content: 'batched\n', mode: 'write' }),
+                await controller.proposeEdit({ type: 'write_file', filePath: 'b.txt', content: 'added\n', mode: 'write' })
+            ];
+            controller.endEditBatch();
+            await controller.pendingSaved;
+        });
+    });
+
+    after(async () => {
+        if (engine) await engine.stop();
+        if (ollama) ollama.close();
+    });
+
+    it('lists the restored batch with its pending edits', async () => {
+        const { batches } = await engine.request('GET', '/jack/batches');
+        assert.deepEqual(batches.map(({ id, pending }) => ({ id, pending })), [{ id: batchId, pending: edits }]);
+        const listed = await engine.request('GET', '/jack/edits');
+        assert.deepEqual(listed.pending.map(edit => edit.batchId), [batchId, batchId]);
+    });
+
+    it('needs the review header to decide a batch', async () => {
+        const refused = await engine.request('POST', `/jack/batches/${batchId}/accept`);
+        assert.match(refused.error, /X-Jack-Review header/);
+        assert.equal(fs.readFileSync(path.join(engine.workspace, 'a.txt'), 'utf8'), 'hello\n');
+    });
+
+    it('applies every edit of the batch', async () => {
+        const accepted = await engine.request('POST', `/jack/batches/${batchId}/accept`, {}, { 'X-Jack-Review': '1' });
+        assert.deepEqual(accepted, { success: true, batchId, decision: 'accepted', applied: edits });
+        assert.equal(fs.readFileSync(path.join(engine.workspace, 'a.txt'), 'utf8'), 'batched\n');
+        assert.equal(fs.readFileSync(path.join(engine.workspace, 'b.txt'), 'utf8'), 'added\n');
+
+        const again = await engine.request('POST', `/jack/batches/${batchId}/reject`, {}, { 'X-Jack-Review': '1' });
+        assert.equal(again.error, `Batch ${batchId} has no pending edits`);
+        assert.deepEqual((await engine.request('GET', '/jack/batches')).batches, []);
+    });
+});
@@ -0,0 +1,76 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { startFakeOllama, startEngine } = require('./support/proxy-engine');
+
+const EDITOR_OPEN = {
+    type: 'function',
+    function: { name: 'editor_open', description: 'Open a file in the editor', parameters: { type: 'object', properties: { path: { type: 'string' } } } }
+};
+
+describe('client tools on /v1/chat/completions', { timeout: 60000 }, () => {
+    const calls = [];
+    let ollama;
+    let engine;
+
+    const chat = (content, mode, extra = {}) => engine.request('POST', '/v1/chat/completions',
+        { model: 'alpha:1b', messages: [{ role: 'user', content }], tools: [EDITOR_OPEN], ...extra },
+        mode ? { 'X-Jack-Tool-Mode': mode } : {});
+    const offered = marker => calls.filter(call => call.prompt === marker).map(call => call.tools);
+
+    before(async () => {
+        ollama = await startFakeOllama(calls);
+        engine = await startEngine(ollama);
+    });
+
+    after(async () => {
+        if (engine) await engine.stop();
+        if (ollama) ollama.close();
+    });
+
+    it('offers only Jack tools unless a tool mode asks for the client tools', async () => {
+        await chat('jack mode');
+        const [tools] = offered('jack mode');
+        assert.ok(tools.includes('list_directory'));
+        assert.equal(tools.includes('editor_open'), false);
+    });
+
+    it('hands a round that calls a client tool back to the client without running Jack tools', async () => {
+        const response = await chat('CLIENT merge', 'merge');
+        const [choice] = response.choices;
+        assert.equal(choice.finish_reason, 'tool_calls');
+        assert.deepEqual(choice.message.tool_calls.map(call => [call.type, call.function.name, JSON.parse(call.function.arguments)]),
+            [['function', 'editor_open', { path: 'a.txt' }]]);
+
+        // One model call: list_directory was not executed alongside the client's tool
+        const [tools] = offered('CLIENT merge');
+        assert.equal(offered('CLIENT merge').length, 1);
+        assert.ok(tools.includes('list_directory') && tools.includes('editor_open'));
+    });
+
+    it('continues once the client sends the tool result back', async () => {
+        const response = await chat('CLIENT merge', 'merge', {
+            messages: [
+                { role: 'user', content: 'CLIENT merge' },
+                { role: 'assistant', content: '', tool_calls: [{ id: 'call_1', type: 'function', function: { name: 'editor_open', arguments: '{"path":"a.txt"}' } }] },
+                { role: 'tool', tool_call_id: 'call_1', content: 'opened' }
+            ]
+        });
+        assert.equal(response.choices[0].finish_reason, 'stop');
+        assert.equal(response.choices[0].message.content, 'Answer from alpha:1b');
+    });
+
+    it('offers only the client tools in replace mode, set in the request body', async () => {
+        await chat('replace mode', null, { jack: { tool_mode: 'replace' } });
+        assert.deepEqual(offered('replace mode'), [['editor_open']]);
+    });
+
+    it('rejects unknown tool modes', async () => {
+        const response = await chat('bad mode', 'everything');
+        assert.deepEqual(response, {
+            error: 'Invalid tool configuration',
+            details: "Invalid tool mode 'everything' - expected one of: jack, merge, replace"
+        });
+        assert.deepEqual(offered('bad mode'), []);
+    });
+});
@@ -0,0 +1,73 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { computeHunks, applyHunks, parseHunkList } = require('../utils/diff-hunks');
+const { EditVersionController } = require('../edit-controller');
+
+// 20 lines with three changes far enough apart to land in separate hunks
+const before = Array.from({ length: 20 }, (_, n) => `line ${n + 1}`);
+const after = before.map(line => (['line 2', 'line 10', 'line 18'].includes(line) ? `${line} changed` : line));
+const only = (...changed) => before.map(line => (changed.includes(line) ? `${line} changed` : line));
+
+describe('computeHunks / applyHunks', () => {
+    it('splits distant changes into numbered hunks', () => {
+        const hunks = computeHunks(before, after);
+        assert.deepEqual(hunks.map(hunk => hunk.index), [1, 2, 3]);
+        assert.deepEqual(hunks.map(hunk => hunk.lines.filter(line => line[0] === '+')), [['+line 2 changed'], ['+line 10 changed'], ['+line 18 changed']]);
+    });
+
+    it('applies only the selected hunks', () => {
+        const hunks = computeHunks(before, after);
+        assert.deepEqual(applyHunks(before, hunks, [1, 3]), only('line 2', 'line 18'));
+        assert.deepEqual(applyHunks(before, hunks, [2]), only('line 10'));
+        assert.deepEqual(applyHunks(before, hunks, [1, 2, 3]), after);
+        assert.deepEqual(applyHunks(before, hunks, []), before);
+    });
+
+    it('parses hunk lists and ranges', () => {
+        assert.deepEqual(parseHunkList('3,1-2,2'), [1, 2, 3]);
+        assert.deepEqual(parseHunkList('4-2'), [2, 3, 4]);
+        assert.throws(() => parseHunkList('1,a'), /Invalid hunk list '1,a'/);
+    });
+});
+
+describe('hunk-level acceptance', () => {
+    let workspace;
+    let controller;
+
+    const read = () => fs.readFileSync(path.join(workspace, 'f.txt'), 'utf8');
+    const propose = () => controller.proposeEdit({ type: 'write_file', filePath: 'f.txt', content: after.join('\n') + '\n', mode: 'write' });
+
+    beforeEach(() => {
+        workspace = fs.mkdtempSync(path.join(os.tmpdir(), 'jack-hunks-'));
+        fs.writeFileSync(path.join(workspace, 'f.txt'), before.join('\n') + '\n');
+        controller = new EditVersionController(workspace);
+    });
+
+    afterEach(() => {
+        fs.rmSync(workspace, { recursive: true, force: true });
+    });
+
+    it('writes only the accepted hunks', async () => {
+        const editId = await propose();
+        assert.equal(await controller.acceptEdit(editId, { hunks: [1, 3] }), true);
+        assert.equal(read(), only('line 2', 'line 18').join('\n') + '\n');
+        assert.equal(controller.pendingEdits.has(editId), false);
+    });
+
+    it('applies the hunks that were not rejected', async () => {
+        const editId = await propose();
+        assert.equal(await controller.rejectHunks(editId, [1]), true);
+        assert.equal(read(), only('line 10', 'line 18').join('\n') + '\n');
+    });
+
+    it('refuses hunks the edit does not have', async () => {
+        const editId = await propose();
+        assert.match(controller.validateHunkSelection(controller.pendingEdits.get(editId), [4]).error, /has 3 hunks - no hunk 4/);
+        assert.equal(await controller.acceptEdit(editId, { hunks: [4] }), false);
+        assert.equal(read(), before.join('\n') + '\n');
+    });
+});
@@ -0,0 +1,69 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { EditVersionController } = require('../edit-controller');
+
+const write = (filePath, content) => ({ type: 'write_file', filePath, content, mode: 'write' });
+
+describe('edit batches', () => {
+    let workspace;
+    let controller;
+
+    const read = (filePath) => fs.readFileSync(path.join(workspace, filePath), 'utf8');
+
+    beforeEach(() => {
+        workspace = fs.mkdtempSync(path.join(os.tmpdir(), 'jack-batch-'));
+        fs.writeFileSync(path.join(workspace, 'a.txt'), 'original\n');
+        controller = new EditVersionController(workspace);
+    });
+
+    afterEach(() => {
+        fs.rmSync(workspace, { recursive: true, force: true });
+    });
+
+    it('rolls every file back when one write fails', async () => {
+        const batchId = controller.startEditBatch('three files');
+        const created = await controller.proposeEdit(write('new.txt', 'created\n'));
+        const changed = await controller.proposeEdit(write('a.txt', 'changed\n'));
+        const failing = await controller.proposeEdit(write('c.txt', 'never\n'));
+        controller.endEditBatch();
+
+        const execute = controller.executeEdit.bind(controller);
+        controller.executeEdit = async (edit) => (edit.id === failing ? { success: false, error: 'disk full' } : execute(edit));
+
+        const result = await controller.acceptBatch(batchId);
+        assert.deepEqual(result, { success: false, error: `Edit ${failing} failed: disk full`, rolledBack: true });
+        assert.equal(read('a.txt'), 'original\n');
+        assert.equal(fs.existsSync(path.join(workspace, 'new.txt')), false);
+        assert.deepEqual(controller.getPendingBatchEdits(batchId).map(edit => edit.id), [created, changed, failing]);
+        assert.equal(controller.listBatches()[0].lastError, `${failing}: disk full`);
+    });
+
+    it('keeps pending edits and their batch across a restart', async () => {
+        await controller.proposeEdit(write('outside.txt', 'no batch\n'));
+        const batchId = controller.startEditBatch('rename things');
+        const first = await controller.proposeEdit(write('a.txt', 'first\n'));
+        const second = await controller.proposeEdit(write('b.txt', 'second\n'));
+        const refactored = await controller.refactorEdit(first, 'shorter');
+        await controller.pendingSaved;
+
+        // The batch was never closed - the next run closes it
+        const restarted = new EditVersionController(workspace);
+        assert.equal(restarted.pendingEdits.size, 3);
+        assert.deepEqual(restarted.listBatches().map(({ id, description, open, pending }) => ({ id, description, open, pending })),
+            [{ id: batchId, description: 'rename things', open: false, pending: [second, refactored] }]);
+
+        const result = await restarted.acceptBatch(batchId);
+        assert.deepEqual(result, { success: true, applied: [second, refactored] });
+        assert.equal(read('a.txt'), 'first\n');
+        assert.equal(read('b.txt'), 'second\n');
+        await restarted.pendingSaved;
+
+        const saved = JSON.parse(fs.readFileSync(path.join(workspace, '.edits', 'pending.json'), 'utf8'));
+        assert.deepEqual(saved.pending.map(edit => edit.operation.filePath), ['outside.txt']);
+        assert.deepEqual(saved.batches, []);
+    });
+});
@@ -0,0 +1,80 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { EditVersionController } = require('../edit-controller');
+
+const write = (filePath, content) => ({ type: 'write_file', filePath, content, mode: 'write' });
+
+describe('undo/redo of applied edits', () => {
+    let workspace;
+    let controller;
+
+    // CRLF endings, no final newline and multi-byte characters have to come back unchanged
+    const original = 'line one\r\nzweite Zeile: äöü ✓\r\nno newline at the end';
+    const bytes = (filePath) => fs.readFileSync(path.join(workspace, filePath));
+    const apply = async (operation) => {
+        const editId = await controller.proposeEdit(operation);
+        assert.equal(await controller.acceptEdit(editId), true);
+        return editId;
+    };
+
+    beforeEach(() => {
+        workspace = fs.mkdtempSync(path.join(os.tmpdir(), 'jack-undo-'));
+        fs.writeFileSync(path.join(workspace, 'a.txt'), original);
+        controller = new EditVersionController(workspace);
+    });
+
+    afterEach(() => {
+        fs.rmSync(workspace, { recursive: true, force: true });
+    });
+
+    it('restores the exact bytes on undo and redo, across a restart', async () => {
+        const changed = 'line one\nchanged ✗\n';
+        const editId = await apply(write('a.txt', changed));
+        assert.deepEqual(bytes('a.txt'), Buffer.from(changed));
+
+        const restarted = new EditVersionController(workspace);
+        const undone = await restarted.undoEdits();
+        assert.equal(undone.success, true);
+        assert.deepEqual(undone.entries.map(entry => entry.editId), [editId]);
+        assert.deepEqual(bytes('a.txt'), Buffer.from(original));
+
+        assert.equal((await new EditVersionController(workspace).redoEdits()).success, true);
+        assert.deepEqual(bytes('a.txt'), Buffer.from(changed));
+    });
+
+    it('removes a created file on undo and undoes a batch as one step', async () => {
+        const batchId = controller.startEditBatch('two files');
+        await controller.proposeEdit(write('a.txt', 'batched'));
+        await controller.proposeEdit(write('new.txt', 'created'));
+        controller.endEditBatch();
+        assert.equal((await controller.acceptBatch(batchId)).success, true);
+
+        const undone = await controller.undoEdits();
+        assert.equal(undone.entries.length, 2);
+        assert.deepEqual(bytes('a.txt'), Buffer.from(original));
+        assert.equal(fs.existsSync(path.join(workspace, 'new.txt')), false);
+
+        await controller.redoEdits();
+        assert.equal(bytes('a.txt').toString(), 'batched');
+        assert.equal(bytes('new.txt').toString(), 'created');
+    });
+
+    it('refuses to undo over changes made since, unless forced', async () => {
+        await apply(write('a.txt', 'from jack'));
+        fs.writeFileSync(path.join(workspace, 'a.txt'), 'edited by hand');
+
+        const refused = await controller.undoEdits();
+        assert.equal(refused.success, false);
+        assert.deepEqual(refused.conflicts.map(conflict => conflict.filePath), ['a.txt']);
+        assert.equal(bytes('a.txt').toString(), 'edited by hand');
+
+        const forced = await controller.undoEdits({ force: true });
+        assert.equal(forced.forced, true);
+        assert.deepEqual(bytes('a.txt'), Buffer.from(original));
+        assert.equal(fs.readFileSync(path.join(forced.backupDir, 'a.txt'), 'utf8'), 'edited by hand');
+    });
+});
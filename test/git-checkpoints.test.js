@@ -0,0 +1,84 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+const { GitCheckpoints, CHECKPOINT_REF } = require('../utils/git-checkpoints');
+
+describe('GitCheckpoints', () => {
+    let repo;
+    let checkpoints;
+
+    const git = (...args) => execFileSync('git', ['-c', 'user.name=Test', '-c', 'user.email=test@example.com', ...args], { cwd: repo, encoding: 'utf8' });
+    const read = (filePath) => fs.readFileSync(path.join(repo, filePath), 'utf8');
+    // Write a file the way an applied edit does, and checkpoint it
+    const edit = async (filePath, content) => {
+        const fullPath = path.join(repo, filePath);
+        const before = fs.existsSync(fullPath) ? read(filePath) : null;
+        fs.writeFileSync(fullPath, content);
+        return checkpoints.record(`edit: ${filePath}`, [{ filePath, before, after: content }]);
+    };
+
+    before(() => {
+        repo = fs.mkdtempSync(path.join(os.tmpdir(), 'jack-checkpoints-'));
+        git('init', '-q');
+        fs.writeFileSync(path.join(repo, 'a.txt'), 'committed\n');
+        git('add', 'a.txt');
+        git('commit', '-q', '-m', 'initial');
+        checkpoints = new GitCheckpoints(repo, { enabled: true });
+    });
+
+    after(() => {
+        fs.rmSync(repo, { recursive: true, force: true });
+    });
+
+    it('commits applied edits to the shadow ref without touching branch or index', async () => {
+        const head = git('rev-parse', 'HEAD');
+        assert.deepEqual(await edit('a.txt', 'first edit\n'), { commit: git('rev-parse', CHECKPOINT_REF).trim(), index: 1 });
+        assert.equal((await edit('b.txt', 'new file\n')).index, 2);
+
+        assert.equal(git('rev-parse', 'HEAD'), head);
+        assert.equal(git('status', '--porcelain'), ' M a.txt\n?? b.txt\n');
+        assert.deepEqual((await checkpoints.list()).map(({ index, message, files }) => ({ index, message, files })), [
+            { index: 2, message: 'edit: b.txt', files: ['b.txt'] },
+            { index: 1, message: 'edit: a.txt', files: ['a.txt'] },
+            { index: 0, message: `Checkpoint baseline (HEAD ${head.slice(0, 12)})`, files: [] }
+        ]);
+        assert.match(await checkpoints.diff(1), /-committed\n\+first edit/);
+    });
+
+    it('records changes saved outside Jack before the edit that follows them', async () => {
+        fs.writeFileSync(path.join(repo, 'a.txt'), 'saved in the editor\n');
+        const { index } = await edit('a.txt', 'second edit\n');
+        const [latest, external] = await checkpoints.list(2);
+        assert.equal(latest.index, index);
+        assert.equal(external.message, 'Working tree before: edit: a.txt');
+        assert.match(await checkpoints.diff(external.index), /\+saved in the editor/);
+    });
+
+    it('restores a checkpoint, refusing to overwrite outside changes unless forced', async () => {
+        fs.writeFileSync(path.join(repo, 'b.txt'), 'changed by hand\n');
+        const refused = await checkpoints.restore(1);
+        assert.equal(refused.success, false);
+        assert.deepEqual(refused.conflicts, ['b.txt']);
+        assert.equal(read('a.txt'), 'second edit\n');
+
+        const restored = await checkpoints.restore(1, { force: true });
+        assert.equal(restored.success, true);
+        assert.deepEqual(restored.files.sort((x, y) => x.filePath.localeCompare(y.filePath)),
+            [{ filePath: 'a.txt', restored: 'written' }, { filePath: 'b.txt', restored: 'removed' }]);
+        assert.equal(read('a.txt'), 'first edit\n');
+        assert.equal(fs.existsSync(path.join(repo, 'b.txt')), false);
+
+        // The hand-made change was checkpointed before it was overwritten
+        const messages = (await checkpoints.list(3)).map(entry => entry.message);
+        assert.deepEqual(messages.slice(0, 2), ['Restore checkpoint #1', 'Working tree before: Restore checkpoint #1']);
+    });
+
+    it('records nothing when disabled', async () => {
+        const disabled = new GitCheckpoints(repo, { enabled: false });
+        assert.equal(await disabled.record('edit', [{ filePath: 'a.txt', after: 'x' }]), null);
+    });
+});
@@ -0,0 +1,90 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { classifyGitCommand, classifyShellCommand, normalizeGitArgs, gitArgv } = require('../utils/git-tools');
+
+const destructive = (...argv) => classifyGitCommand(argv).destructive;
+
+describe('classifyGitCommand', () => {
+    it('flags commands that discard work or rewrite history', () => {
+        assert.equal(destructive('reset', '--hard', 'HEAD~1'), true);
+        assert.equal(destructive('push', '--force-with-lease'), true);
+        assert.equal(destructive('push', 'origin', '+main'), true);
+        assert.equal(destructive('push', 'origin', ':old-branch'), true);
+        assert.equal(destructive('clean', '-fdx'), true);
+        assert.equal(destructive('checkout', '--', 'src/app.js'), true);
+        assert.equal(destructive('checkout', 'main', 'src/app.js'), true);
+        assert.equal(destructive('checkout', '.'), true);
+        assert.equal(destructive('checkout', '-f', 'main'), true);
+        assert.equal(destructive('checkout', '--force', 'main'), true);
+        assert.equal(destructive('branch', '-D', 'feature'), true);
+        assert.equal(destructive('stash', 'drop'), true);
+        assert.equal(destructive('rebase', 'main'), true);
+        assert.equal(destructive('commit', '--amend', '--no-edit'), true);
+    });
+
+    it('leaves everyday commands alone', () => {
+        assert.equal(destructive('reset', 'HEAD', 'file.js'), false);
+        assert.equal(destructive('push', 'origin', 'main'), false);
+        assert.equal(destructive('clean', '-n'), false);
+        assert.equal(destructive('checkout', 'feature'), false);
+        assert.equal(destructive('checkout', '-b', 'feature', 'origin/feature'), false);
+        assert.equal(destructive('restore', '--staged', 'file.js'), false);
+        assert.equal(destructive('branch', '-d', 'merged'), false);
+        assert.equal(destructive('stash', 'pop'), false);
+        assert.equal(destructive('rebase', '--abort'), false);
+        assert.equal(destructive('log', '--oneline'), false);
+    });
+
+    it('skips global options before the subcommand', () => {
+        assert.deepEqual(classifyGitCommand(['-C', 'repo', '-c', 'user.name=x', 'reset', '--hard']), {
+            destructive: true,
+            subcommand: 'reset',
+            reasons: ['reset --hard discards uncommitted changes']
+        });
+        assert.equal(classifyGitCommand(['--no-pager', 'status']).subcommand, 'status');
+    });
+});
+
+describe('classifyShellCommand', () => {
+    it('finds git invocations anywhere in a command line', () => {
+        assert.equal(classifyShellCommand('npm test && git push -f origin main').destructive, true);
+        assert.equal(classifyShellCommand('FOO=1 sudo /usr/bin/git clean -f').destructive, true);
+        assert.equal(classifyShellCommand('echo "git reset --hard"').destructive, false);
+        assert.equal(classifyShellCommand('git status; git log -1').destructive, false);
+    });
+});
+
+describe('normalizeGitArgs', () => {
+    it('splits options written for a shell, honouring quotes', () => {
+        assert.deepEqual(normalizeGitArgs(['--oneline -5']), ['--oneline', '-5']);
+        assert.deepEqual(normalizeGitArgs(['-m "Fix parser"']), ['-m', 'Fix parser']);
+        assert.deepEqual(normalizeGitArgs(["'Fix parser'"]), ['Fix parser']);
+    });
+
+    it('keeps plain values and shell operators as they are', () => {
+        assert.deepEqual(normalizeGitArgs(['-m', 'Fix parser; add tests']), ['-m', 'Fix parser; add tests']);
+        assert.deepEqual(normalizeGitArgs(['--format=%h %s', '-n 5']), ['--format=%h', '%s', '-n', '5']);
+        assert.deepEqual(normalizeGitArgs(['--grep=a|b -i']), ['--grep=a|b', '-i']);
+    });
+});
+
+describe('gitArgv', () => {
+    it('splits an operation that carries its own arguments', () => {
+        assert.deepEqual(gitArgv('log --oneline -5'), ['log', '--oneline', '-5']);
+        assert.deepEqual(gitArgv('commit -m "Fix parser"', ['--no-verify']), ['commit', '-m', 'Fix parser', '--no-verify']);
+        assert.deepEqual(gitArgv('status && rm -rf /'), ['status', '&&', 'rm', '-rf', '/']);
+    });
+
+    it('requires a subcommand first', () => {
+        assert.throws(() => gitArgv(''), /Invalid git operation/);
+        assert.throws(() => gitArgv('-c core.pager=sh status'), /expected a subcommand/);
+    });
+
+    it('only runs the subcommands git_operations offers', () => {
+        assert.throws(() => gitArgv('config core.hooksPath .hooks'), /git config is not supported by git_operations/);
+        assert.throws(() => gitArgv('config', ['core.hooksPath', '.hooks']), /not supported/);
+        assert.throws(() => gitArgv('update-ref -d refs/heads/main'), /not supported/);
+        assert.deepEqual(gitArgv('stash', ['pop']), ['stash', 'pop']);
+    });
+});
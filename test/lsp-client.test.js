@@ -0,0 +1,125 @@
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { LspClient, diffDiagnostics, applyTextEdits, formatDiagnostic, hoverText } = require('../utils/lsp-client');
+
+// Minimal stdio language server: an error for every line containing BAD, published per version;
+// hover answers with the workspace/configuration it asked the client for. Frames are written in
+// two pieces so the client has to reassemble them.
+const SERVER = `
+let buffer = Buffer.alloc(0);
+let nextId = 1000;
+let settings = null;
+let writing = Promise.resolve();
+const send = (message) => {
+    const frame = Buffer.from('Content-Length: ' + Buffer.byteLength(JSON.stringify(message)) + '\\r\\n\\r\\n' + JSON.stringify(message));
+    writing = writing.then(() => new Promise(resolve => {
+        process.stdout.write(frame.subarray(0, 10));
+        setTimeout(() => resolve(process.stdout.write(frame.subarray(10))), 5);
+    }));
+};
+const publish = ({ uri, version, text }) => send({ jsonrpc: '2.0', method: 'textDocument/publishDiagnostics', params: { uri, version,
+    diagnostics: text.split('\\n').flatMap((line, n) => line.includes('BAD')
+        ? [{ range: { start: { line: n, character: line.indexOf('BAD') }, end: { line: n, character: line.indexOf('BAD') + 3 } }, severity: 1, code: { value: 'E1' }, message: 'bad token', source: 'fake' }]
+        : []) } });
+process.stdin.on('data', (chunk) => {
+    buffer = Buffer.concat([buffer, chunk]);
+    let end;
+    while ((end = buffer.indexOf('\\r\\n\\r\\n')) !== -1) {
+        const length = parseInt(buffer.subarray(0, end).toString().match(/Content-Length: (\\d+)/)[1], 10);
+        if (buffer.length < end + 4 + length) return;
+        const { id, method, params, result } = JSON.parse(buffer.subarray(end + 4, end + 4 + length).toString());
+        buffer = buffer.subarray(end + 4 + length);
+        if (id === 1000) settings = result;
+        else if (method === 'initialize') send({ jsonrpc: '2.0', id, result: { capabilities: { hoverProvider: true }, serverInfo: { name: 'fake' } } });
+        else if (method === 'initialized') send({ jsonrpc: '2.0', id: nextId++, method: 'workspace/configuration', params: { items: [{ section: 'fake.lint' }, {}] } });
+        else if (method === 'textDocument/didOpen') publish(params.textDocument);
+        else if (method === 'textDocument/didChange') publish({ ...params.textDocument, text: params.contentChanges[0].text });
+        else if (method === 'textDocument/hover') send({ jsonrpc: '2.0', id, result: { contents: { kind: 'markdown', value: JSON.stringify(settings) } } });
+        else if (method === 'exit') process.exit(0);
+        else if (id !== undefined) send({ jsonrpc: '2.0', id, error: { code: -32601, message: 'unknown method ' + method } });
+    }
+});
+`;
+
+const error = (line, message, code = 'E1') => ({ line, message, code, severity: 'error' });
+
+describe('LSP helpers', () => {
+    it('converts diagnostics to 1-based lines with named severities and plain codes', () => {
+        const range = { start: { line: 0, character: 4 }, end: { line: 1, character: 2 } };
+        assert.deepEqual(formatDiagnostic({ range, severity: 2, code: { value: 'no-unused' }, message: 'unused' }),
+            { line: 1, column: 4, endLine: 2, endColumn: 2, severity: 'warning', message: 'unused', code: 'no-unused', source: null });
+        assert.equal(formatDiagnostic({ range, message: 'x', code: 0 }).code, 0);
+        assert.equal(formatDiagnostic({ range, message: 'x' }).severity, 'error');
+    });
+
+    it('reports only errors an edit introduced, however far existing ones moved', () => {
+        const before = [error(3, 'missing semicolon'), error(9, 'unknown name', 'E2')];
+        const after = [error(5, 'missing semicolon'), error(6, 'missing semicolon'), error(11, 'unknown name', 'E2'), { ...error(2, 'style'), severity: 'warning' }];
+        assert.deepEqual(diffDiagnostics(before, after), [error(6, 'missing semicolon')]);
+        assert.deepEqual(diffDiagnostics(before, after, 'warning').map(diagnostic => diagnostic.message), ['style']);
+    });
+
+    it('applies text edits in any order and keeps same-position inserts in order', () => {
+        const at = (line, character) => ({ line, character });
+        const text = 'const a = 1;\nconst b = a;\n';
+        assert.equal(applyTextEdits(text, [
+            { range: { start: at(1, 6), end: at(1, 7) }, newText: 'count' },
+            { range: { start: at(0, 0), end: at(0, 0) }, newText: '// one\n' },
+            { range: { start: at(0, 0), end: at(0, 0) }, newText: '// two\n' },
+            { range: { start: at(1, 99), end: at(1, 99) }, newText: ' // end of line' }
+        ]), '// one\n// two\nconst a = 1;\nconst count = a; // end of line\n');
+        assert.throws(() => applyTextEdits(text, [
+            { range: { start: at(0, 0), end: at(0, 8) }, newText: '' },
+            { range: { start: at(0, 6), end: at(0, 10) }, newText: '' }
+        ]), /overlapping edits/);
+    });
+
+    it('flattens every hover content shape to text', () => {
+        assert.equal(hoverText(null), '');
+        assert.equal(hoverText({ kind: 'markdown', value: '**a**' }), '**a**');
+        assert.equal(hoverText(['plain', { language: 'ts', value: 'let a: number' }, '']), 'plain\n\n```ts\nlet a: number\n```');
+    });
+});
+
+describe('LspClient', () => {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'jack-lsp-'));
+    const file = path.join(root, 'main.js');
+    const client = new LspClient('fake', {
+        command: process.execPath,
+        args: ['-e', SERVER],
+        settings: { fake: { lint: { strict: true } } }
+    }, { rootPath: root, timeoutMs: 5000 });
+
+    after(() => {
+        client.close();
+        fs.rmSync(root, { recursive: true, force: true });
+    });
+
+    it('collects published diagnostics for the content on disk and for proposed content', async () => {
+        fs.writeFileSync(file, 'const ok = 1;\nBAD\n');
+        await client.connect();
+        assert.deepEqual(client.serverInfo, { name: 'fake' });
+
+        const onDisk = await client.getDiagnostics(file);
+        assert.equal(onDisk.settled, true);
+        assert.deepEqual(onDisk.diagnostics.map(({ line, column, code, source }) => ({ line, column, code, source })),
+            [{ line: 2, column: 0, code: 'E1', source: 'fake' }]);
+
+        const proposed = await client.getDiagnostics(file, 'const ok = 1;\n');
+        assert.deepEqual(proposed.diagnostics, []);
+        assert.equal(client.documentText(file), 'const ok = 1;\n');
+    });
+
+    it('answers the server configuration request from the configured settings', async () => {
+        const hover = await client.hover(file, { line: 0, character: 6 });
+        assert.deepEqual(JSON.parse(hoverText(hover.contents)), [{ strict: true }, { fake: { lint: { strict: true } } }]);
+    });
+
+    it('rejects requests the server does not support', async () => {
+        await assert.rejects(client.definition(file, { line: 0, character: 6 }), /unknown method textDocument\/definition/);
+    });
+});
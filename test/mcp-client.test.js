@@ -0,0 +1,62 @@
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const os = require('os');
+
+const { McpClientManager } = require('../utils/mcp-client');
+
+// Minimal stdio MCP server: two pages of tools, an echo tool and a tool that reports an error
+const SERVER = `
+const readline = require('readline');
+const send = (message) => process.stdout.write(JSON.stringify(message) + '\\n');
+readline.createInterface({ input: process.stdin }).on('line', (line) => {
+    const { id, method, params } = JSON.parse(line);
+    if (id === undefined) return;
+    if (method === 'initialize') return send({ jsonrpc: '2.0', id, result: { serverInfo: { name: 'echo', version: '1.0' } } });
+    if (method === 'tools/list') {
+        return send({ jsonrpc: '2.0', id, result: params.cursor
+            ? { tools: [{ name: 'fail' }] }
+            : { tools: [{ name: 'echo.text', description: 'Echo text', inputSchema: { type: 'object', properties: { text: { type: 'string' } } } }], nextCursor: 'page2' } });
+    }
+    if (method === 'tools/call' && params.name === 'fail') {
+        return send({ jsonrpc: '2.0', id, result: { isError: true, content: [{ type: 'text', text: 'no such record' }] } });
+    }
+    send({ jsonrpc: '2.0', id, result: { content: [{ type: 'text', text: params.arguments.text }, { type: 'image', data: '' }] } });
+});
+`;
+
+describe('McpClientManager', () => {
+    const manager = new McpClientManager({
+        echo: { command: process.execPath, args: ['-e', SERVER] },
+        broken: { command: `${os.tmpdir()}/no-such-mcp-server` },
+        off: { command: 'unused', disabled: true }
+    }, { timeoutMs: 5000 });
+
+    after(() => manager.closeAll());
+
+    it('merges the tools of every server that starts, under mcp__ names', async () => {
+        const definitions = await manager.connectAll();
+        assert.deepEqual(definitions.map(tool => tool.function.name), ['mcp__echo__echo_text', 'mcp__echo__fail']);
+        assert.equal(definitions[0].function.description, '[MCP: echo] Echo text');
+        assert.deepEqual(definitions[1].function.parameters, { type: 'object', properties: {} });
+
+        const status = manager.getStatus();
+        assert.deepEqual(status.map(({ name, connected, tools }) => ({ name, connected, tools })), [
+            { name: 'echo', connected: true, tools: 2 },
+            { name: 'broken', connected: false, tools: 0 }
+        ]);
+        assert.ok(status[1].lastError);
+    });
+
+    it('flattens tool results into Jack\'s result shape', async () => {
+        assert.deepEqual(await manager.callTool('mcp__echo__echo_text', { text: 'hi' }),
+            { success: true, server: 'echo', tool: 'echo.text', content: 'hi\n[image content omitted]' });
+        assert.deepEqual(await manager.callTool('mcp__echo__fail', {}),
+            { success: false, server: 'echo', tool: 'fail', content: 'no such record', error: 'no such record' });
+        assert.equal(manager.hasTool('mcp__broken__anything'), false);
+    });
+
+    it('keeps tool names within what models accept', () => {
+        assert.equal(McpClientManager.toolNameFor('my server', 'do/it'), 'mcp__my_server__do_it');
+        assert.equal(McpClientManager.toolNameFor('s', 'x'.repeat(80)).length, 64);
+    });
+});
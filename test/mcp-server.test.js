@@ -0,0 +1,71 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { McpServer } = require('../utils/mcp-server');
+
+const tools = [
+    { type: 'function', function: { name: 'read_file', description: 'Read a file', parameters: { type: 'object', properties: { filePath: { type: 'string' } } } } },
+    { type: 'function', function: { name: 'write_file' } }
+];
+
+const createServer = (calls = []) => new McpServer({
+    name: 'jack',
+    version: '1.0.0',
+    listTools: (session) => (session.readOnly ? tools.slice(0, 1) : tools),
+    callTool: async (name, args) => {
+        calls.push({ name, args });
+        if (args.fail) throw new Error('disk on fire');
+        return name === 'write_file' ? { success: false, error: 'rejected' } : { success: true, content: 'hello' };
+    }
+});
+
+const rpc = (id, method, params) => ({ jsonrpc: '2.0', id, method, params });
+
+describe('McpServer#handleMessage', () => {
+    it('initializes with a supported protocol version', async () => {
+        const session = { transport: 'test' };
+        const response = await createServer().handleMessage(rpc(1, 'initialize', { protocolVersion: '2024-11-05', clientInfo: { name: 'editor' } }), session);
+        assert.deepEqual(response.result, {
+            protocolVersion: '2024-11-05',
+            capabilities: { tools: { listChanged: false } },
+            serverInfo: { name: 'jack', version: '1.0.0' }
+        });
+        assert.equal((await createServer().handleMessage(rpc(2, 'initialize', { protocolVersion: '1999-01-01' }), {})).result.protocolVersion, '2025-03-26');
+    });
+
+    it('lists the session\'s tools in MCP form', async () => {
+        const { result } = await createServer().handleMessage(rpc(1, 'tools/list'), { readOnly: true });
+        assert.deepEqual(result.tools, [{ name: 'read_file', description: 'Read a file', inputSchema: tools[0].function.parameters }]);
+    });
+
+    it('calls tools and reports failures as tool errors', async () => {
+        const calls = [];
+        const server = createServer(calls);
+
+        const read = await server.handleMessage(rpc(1, 'tools/call', { name: 'read_file', arguments: { filePath: 'a.txt' } }), {});
+        assert.equal(read.result.isError, false);
+        assert.deepEqual(JSON.parse(read.result.content[0].text), { success: true, content: 'hello' });
+        assert.deepEqual(calls, [{ name: 'read_file', args: { filePath: 'a.txt' } }]);
+
+        assert.equal((await server.handleMessage(rpc(2, 'tools/call', { name: 'write_file' }), {})).result.isError, true);
+        const thrown = await server.handleMessage(rpc(3, 'tools/call', { name: 'read_file', arguments: { fail: true } }), {});
+        assert.match(thrown.result.content[0].text, /Tool execution failed: disk on fire/);
+    });
+
+    it('answers protocol errors with JSON-RPC error codes', async () => {
+        const server = createServer();
+        assert.equal((await server.handleMessage(rpc(1, 'tools/call', { name: 'write_file' }), { readOnly: true })).error.code, -32602);
+        assert.equal((await server.handleMessage(rpc(2, 'resources/list'), {})).error.code, -32601);
+        assert.equal((await server.handleMessage({ id: 3, method: 'ping' }, {})).error.code, -32600);
+        assert.equal(await server.handleMessage({ jsonrpc: '2.0', method: 'notifications/initialized' }, {}), null);
+    });
+
+    it('answers batches, leaving out notifications', async () => {
+        const responses = await createServer().handleMessage([
+            rpc(1, 'ping'),
+            { jsonrpc: '2.0', method: 'notifications/initialized' },
+            rpc(2, 'tools/list')
+        ], {});
+        assert.deepEqual(responses.map(response => response.id), [1, 2]);
+    });
+});
@@ -0,0 +1,46 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { startFakeOllama, startEngine } = require('./support/proxy-engine');
+
+describe('multi_edit validation', { timeout: 60000 }, () => {
+    let ollama;
+    let engine;
+
+    // Enough lines that one replacement stays a small part of the file
+    const filler = Array.from({ length: 40 }, (_, n) => `// line ${n}\n`).join('');
+    const execute = (tool, args) => engine.request('POST', '/hijack/execute', { tool, args });
+    const multiEdit = (oldString, newString) => execute('multi_edit', { edits: [{ filePath: 'm.js', oldString, newString }] });
+
+    before(async () => {
+        ollama = await startFakeOllama();
+        engine = await startEngine(ollama);
+    });
+
+    after(async () => {
+        if (engine) await engine.stop();
+        if (ollama) ollama.close();
+    });
+
+    it('checks the file as it is on disk, not as it was read', async () => {
+        fs.writeFileSync(path.join(engine.workspace, 'm.js'), filler + 'const a = 1;\n');
+        assert.equal((await execute('read_file', { filePath: 'm.js' })).success, true);
+        fs.writeFileSync(path.join(engine.workspace, 'm.js'), filler + 'const a = 1;\nconst c = 0;\n');
+
+        // Fine against the content that was read, a redeclaration against the file that would be written
+        const result = await multiEdit('const a = 1;', 'const a = 1;\nconst c = 3;');
+        assert.equal(result.success, false);
+        assert.match(result.error, /Multi-edit would break m\.js[\s\S]*Identifier 'c' has already been declared/);
+        assert.deepEqual((await engine.request('GET', '/jack/edits')).pending, []);
+    });
+
+    it('proposes the content it validated', async () => {
+        const result = await multiEdit('const c = 0;', 'const c = 2;');
+        assert.equal(result.success, true);
+
+        const details = await engine.request('GET', `/jack/edits/${result.editId}`);
+        assert.equal(details.operation.files[0].content, filler + 'const a = 1;\nconst c = 2;\n');
+    });
+});
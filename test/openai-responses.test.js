@@ -0,0 +1,83 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { OpenAIResponsesStreamWriter } = require('../utils/openai-responses');
+const { fakeResponse } = require('./support/fake-response');
+
+const stream = (write) => {
+    const res = fakeResponse();
+    const writer = new OpenAIResponsesStreamWriter(res, { model: 'alpha:1b', instructions: 'Be brief' });
+    writer.open();
+    write(writer);
+    writer.end();
+    return { res, writer, events: res.events() };
+};
+
+describe('OpenAIResponsesStreamWriter', () => {
+    it('writes the response lifecycle with numbered events', () => {
+        const { res, writer, events } = stream(writer => {
+            writer.start();
+            writer.writeText('Hel');
+            writer.writeText('lo');
+            writer.finish('stop', 4, 2);
+        });
+
+        assert.deepEqual(events.map(({ event }) => event), [
+            'response.created', 'response.in_progress',
+            'response.output_item.added', 'response.content_part.added',
+            'response.output_text.delta', 'response.output_text.delta',
+            'response.output_text.done', 'response.content_part.done', 'response.output_item.done',
+            'response.completed'
+        ]);
+        assert.deepEqual(events.map(({ data }) => data.sequence_number), events.map((_, index) => index));
+        assert.ok(events.every(({ event, data }) => data.type === event));
+        assert.equal(res.headers['content-type'], 'text/event-stream');
+
+        const { response } = events[events.length - 1].data;
+        assert.equal(response.id, writer.id);
+        assert.equal(response.status, 'completed');
+        assert.equal(response.output_text, 'Hello');
+        assert.equal(response.instructions, 'Be brief');
+        assert.deepEqual(response.output[0].content[0], { type: 'output_text', text: 'Hello', annotations: [] });
+        assert.deepEqual(response.usage, { input_tokens: 4, output_tokens: 2, total_tokens: 6 });
+        assert.equal(events[6].data.text, 'Hello');
+        assert.equal(res.ended, true);
+    });
+
+    it('ends with response.incomplete when the token limit stopped the model', () => {
+        const { events } = stream(writer => {
+            writer.start();
+            writer.writeText('cut');
+            writer.finish('length', 1, 1);
+            writer.finish('stop');
+        });
+
+        const last = events[events.length - 1];
+        assert.equal(last.event, 'response.incomplete');
+        assert.deepEqual(last.data.response.incomplete_details, { reason: 'max_output_tokens' });
+        assert.equal(last.data.response.output[0].status, 'incomplete');
+        assert.equal(events.filter(({ event }) => ['response.completed', 'response.incomplete'].includes(event)).length, 1);
+    });
+
+    it('completes without output items when no text was written', () => {
+        const { events } = stream(writer => {
+            writer.start();
+            writer.finish('stop');
+        });
+
+        assert.deepEqual(events.map(({ event }) => event), ['response.created', 'response.in_progress', 'response.completed']);
+        assert.deepEqual(events[2].data.response.output, []);
+    });
+
+    it('reports errors as error and response.failed', () => {
+        const { events } = stream(writer => {
+            writer.start();
+            writer.writeError('model crashed');
+        });
+
+        assert.deepEqual(events.slice(2).map(({ event }) => event), ['error', 'response.failed']);
+        assert.equal(events[2].data.message, 'model crashed');
+        assert.deepEqual(events[3].data.response.error, { code: 'server_error', message: 'model crashed' });
+        assert.equal(events[3].data.response.status, 'failed');
+    });
+});
@@ -0,0 +1,76 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const OpenAIStreamWriter = require('../utils/openai-stream');
+const { fakeResponse } = require('./support/fake-response');
+
+const deltas = (res) => res.events().filter(({ data }) => data !== '[DONE]').map(({ data }) => data.choices[0]);
+
+describe('OpenAIStreamWriter', () => {
+    it('streams role, content and a final stop chunk, then [DONE]', () => {
+        const res = fakeResponse();
+        const writer = new OpenAIStreamWriter(res, { model: 'alpha:1b' });
+        writer.open();
+        writer.writeContent('Hel');
+        writer.writeContent('');
+        writer.writeContent('lo');
+        writer.finish('stop');
+        writer.end();
+
+        assert.equal(res.headers['content-type'], 'text/event-stream');
+        assert.deepEqual(deltas(res), [
+            { index: 0, delta: { role: 'assistant', content: 'Hel' }, finish_reason: null },
+            { index: 0, delta: { content: 'lo' }, finish_reason: null },
+            { index: 0, delta: {}, finish_reason: 'stop' }
+        ]);
+        const events = res.events();
+        assert.equal(events[events.length - 1].data, '[DONE]');
+        assert.ok(events.slice(0, -1).every(({ data }) => data.id === writer.id && data.object === 'chat.completion.chunk' && data.model === 'alpha:1b'));
+        assert.equal(res.ended, true);
+    });
+
+    it('streams tool calls as a header delta and argument fragments', () => {
+        const res = fakeResponse();
+        const writer = new OpenAIStreamWriter(res, { argumentFragmentSize: 8 });
+        const indexed = writer.writeToolCalls([
+            { id: 'call_1', function: { name: 'read_file', arguments: { filePath: 'a.js' } } },
+            { id: 'call_2', function: { name: 'list_directory', arguments: '{}' } }
+        ]);
+        writer.finish('tool_calls');
+
+        assert.deepEqual(indexed.map(call => call.index), [0, 1]);
+        const calls = deltas(res).filter(choice => choice.delta.tool_calls).map(choice => choice.delta.tool_calls[0]);
+        assert.deepEqual(calls[0], { index: 0, id: 'call_1', type: 'function', function: { name: 'read_file', arguments: '' } });
+        assert.equal(calls.filter(call => call.index === 0).map(call => call.function.arguments).join(''), '{"filePath":"a.js"}');
+        assert.deepEqual(calls.filter(call => call.index === 1).map(call => call.function.arguments), ['', '{}']);
+        assert.equal(deltas(res)[0].delta.role, 'assistant');
+        assert.deepEqual(deltas(res).map(choice => choice.finish_reason).filter(Boolean), ['tool_calls']);
+    });
+
+    it('finishes once, with length and a usage chunk when asked for', () => {
+        const res = fakeResponse();
+        const writer = new OpenAIStreamWriter(res, { includeUsage: true });
+        const usage = { prompt_tokens: 3, completion_tokens: 5, total_tokens: 8 };
+        writer.writeContent('cut');
+        writer.finish('length', usage);
+        writer.finish('stop', usage);
+        writer.end();
+
+        const events = res.events().map(({ data }) => data);
+        assert.deepEqual(events.map(data => (data === '[DONE]' ? data : data.choices.map(choice => choice.finish_reason))),
+            [[null], ['length'], [], '[DONE]']);
+        assert.deepEqual(events[2].usage, usage);
+    });
+
+    it('stops writing once the client is gone', () => {
+        const res = fakeResponse();
+        const writer = new OpenAIStreamWriter(res);
+        writer.writeContent('first');
+        res.emit('close');
+        assert.equal(writer.writeContent('second'), false);
+        writer.finish('stop');
+        writer.end();
+        assert.equal(res.events().length, 1);
+        assert.equal(res.ended, false);
+    });
+});
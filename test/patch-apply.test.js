@@ -0,0 +1,123 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parsePatch, applyFilePatch, addedFileContent } = require('../utils/patch-apply');
+
+const text = (...lines) => lines.join('\n') + '\n';
+
+const apply = (content, patch, options) => {
+    const [file] = parsePatch(patch);
+    return applyFilePatch(content, file.hunks, options);
+};
+
+describe('parsePatch', () => {
+    it('parses unified file headers', () => {
+        const files = parsePatch(text(
+            'diff --git a/src/app.js b/src/app.js',
+            '--- a/src/app.js',
+            '+++ b/src/main.js',
+            '@@ -2,2 +2,2 @@',
+            ' keep',
+            '-old',
+            '+new',
+            '--- /dev/null',
+            '+++ b/src/new.js',
+            '@@ -0,0 +1 @@',
+            '+created'));
+        assert.equal(files.length, 2);
+        const { type, filePath, moveTo } = files[0];
+        assert.deepEqual({ type, filePath, moveTo }, { type: 'update', filePath: 'src/app.js', moveTo: 'src/main.js' });
+        assert.equal(files[0].hunks[0].oldStart, 1);
+        assert.deepEqual(files[0].hunks[0].lines, [' keep', '-old', '+new']);
+        assert.equal(files[1].type, 'add');
+        assert.equal(addedFileContent(files[1]), 'created\n');
+    });
+
+    it('parses V4A sections and nested anchors', () => {
+        const files = parsePatch(text(
+            '*** Begin Patch',
+            '*** Update File: src/app.js',
+            '@@ class App',
+            '@@ start() {',
+            '-    old();',
+            '+    fresh();',
+            '*** Add File: src/new.js',
+            '+one',
+            '+two',
+            '*** Delete File: src/gone.js',
+            '*** End Patch'));
+        assert.deepEqual(files.map(file => file.type), ['update', 'add', 'delete']);
+        assert.deepEqual(files[0].hunks[0].anchor, ['class App', 'start() {']);
+        assert.equal(addedFileContent(files[1]), 'one\ntwo\n');
+    });
+
+    it('rejects patches without files or hunks', () => {
+        assert.throws(() => parsePatch('just some text'), /Patch contains no files/);
+        assert.throws(() => parsePatch(text('--- a/x', '+++ b/x')), /Patch for x has no hunks/);
+        assert.throws(() => parsePatch(text('@@ -1 +1 @@', '-a', '+b')), /hunk before any ---\/\+\+\+ file header/);
+    });
+});
+
+describe('applyFilePatch', () => {
+    const file = text('function a() {', '    return 1;', '}', '', 'function b() {', '    return 2;', '}');
+
+    it('applies hunks whose line numbers drifted', () => {
+        const { content, hunks } = apply(file, text(
+            '--- a/x.js', '+++ b/x.js',
+            '@@ -1,3 +1,3 @@',
+            ' function b() {',
+            '-    return 2;',
+            '+    return 3;',
+            ' }'));
+        assert.equal(content, file.replace('return 2', 'return 3'));
+        assert.deepEqual(hunks, [{ index: 1, line: 5, offset: 4, fuzz: 0, whitespace: 'exact' }]);
+    });
+
+    it('matches context whose indentation was lost', () => {
+        const { content, hunks } = apply(file, text(
+            '--- a/x.js', '+++ b/x.js',
+            '@@ -1,3 +1,3 @@',
+            ' function a() {',
+            '-return 1;',
+            '+    return 10;',
+            ' }'));
+        assert.equal(content, file.replace('return 1;', 'return 10;'));
+        assert.equal(hunks[0].whitespace, 'whitespace');
+    });
+
+    it('drops up to fuzz context lines that no longer exist', () => {
+        const patch = text(
+            '--- a/x.js', '+++ b/x.js',
+            '@@ -4,4 +4,4 @@',
+            ' // removed comment',
+            ' function b() {',
+            '-    return 2;',
+            '+    return 3;');
+        assert.equal(apply(file, patch).hunks[0].fuzz, 1);
+        assert.throws(() => apply(file, patch, { fuzz: 0, filePath: 'x.js' }),
+            /Hunk 1 of x.js does not match the file \(fuzz 0\)/);
+    });
+
+    it('uses V4A anchors to pick between identical blocks', () => {
+        const twins = text('function a() {', '    return 0;', '}', 'function b() {', '    return 0;', '}');
+        const { content, hunks } = apply(twins, text(
+            '*** Begin Patch',
+            '*** Update File: x.js',
+            '@@ function b() {',
+            '-    return 0;',
+            '+    return 2;',
+            '*** End Patch'));
+        assert.equal(content, text('function a() {', '    return 0;', '}', 'function b() {', '    return 2;', '}'));
+        assert.equal(hunks[0].line, 5);
+    });
+
+    it('keeps CRLF line endings and honours "No newline at end of file"', () => {
+        const { content } = apply('one\r\ntwo\r\n', text(
+            '--- a/x', '+++ b/x',
+            '@@ -2 +2 @@',
+            '-two',
+            '+TWO',
+            '\\ No newline at end of file'));
+        assert.equal(content, 'one\r\nTWO');
+    });
+});
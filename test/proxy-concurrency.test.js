@@ -0,0 +1,61 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { startFakeOllama, startEngine } = require('./support/proxy-engine');
+
+describe('concurrent proxy requests', { timeout: 60000 }, () => {
+    const calls = [];
+    let ollama;
+    let engine;
+
+    before(async () => {
+        ollama = await startFakeOllama(calls);
+        engine = await startEngine(ollama);
+    });
+
+    after(async () => {
+        if (engine) await engine.stop();
+        if (ollama) ollama.close();
+    });
+
+    it('keeps each request on its own model and leaves the engine model alone', async () => {
+        const [slow, fast] = await Promise.all([
+            engine.request('POST', '/v1/chat/completions',
+                { model: 'alpha:1b', messages: [{ role: 'user', content: 'first SLOW TOOL' }] },
+                { 'X-Jack-Client': 'editor-a' }),
+            engine.request('POST', '/v1/chat/completions',
+                { model: 'beta:1b', messages: [{ role: 'user', content: 'second TOOL' }] },
+                { 'X-Jack-Client': 'editor-b' })
+        ]);
+
+        assert.equal(slow.model, 'alpha:1b');
+        assert.equal(slow.choices[0].message.content, 'Answer from alpha:1b');
+        assert.equal(fast.model, 'beta:1b');
+        assert.equal(fast.choices[0].message.content, 'Answer from beta:1b');
+
+        // Both requests ran a tool round while the other was in flight
+        const modelsFor = (marker) => calls.filter(call => call.prompt.includes(marker)).map(call => call.model);
+        assert.deepEqual(modelsFor('first'), ['alpha:1b', 'alpha:1b']);
+        assert.deepEqual(modelsFor('second'), ['beta:1b', 'beta:1b']);
+
+        // Request handlers never select the engine's model or its pending edit
+        assert.equal((await engine.request('GET', '/api/model')).currentModel, null);
+        assert.equal((await engine.request('GET', '/jack/edits')).awaitingDecision, null);
+    });
+
+    it('caps the X-Jack-Client labels that get their own session memory', async () => {
+        for (let n = 0; n < 20; n++) {
+            const response = await engine.request('POST', '/v1/chat/completions',
+                { model: 'alpha:1b', messages: [{ role: 'user', content: `label ${n}` }] },
+                { 'X-Jack-Client': `label-${n}` });
+            assert.equal(response.choices[0].message.content, 'Answer from alpha:1b');
+        }
+
+        // editor-a and editor-b from the previous test, plus 14 of the new labels
+        const clients = fs.readdirSync(path.join(engine.workspace, '.memory', 'clients'));
+        assert.equal(clients.length, 16);
+        assert.ok(clients.includes('label-13') && !clients.includes('label-14'));
+    });
+});
@@ -0,0 +1,45 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { startFakeOllama, startEngine, sseEvents } = require('./support/proxy-engine');
+
+describe('/v1/chat/completions tool rounds', { timeout: 60000 }, () => {
+    const calls = [];
+    let ollama;
+    let engine;
+
+    const chat = (content, stream = false) => ({ model: 'alpha:1b', stream, messages: [{ role: 'user', content }] });
+
+    before(async () => {
+        ollama = await startFakeOllama(calls);
+        engine = await startEngine(ollama, { JACK_MAX_TOOL_ROUNDS: '1' });
+    });
+
+    after(async () => {
+        if (engine) await engine.stop();
+        if (ollama) ollama.close();
+    });
+
+    it('finishes with length when the round limit stops the loop', async () => {
+        const response = await engine.request('POST', '/v1/chat/completions', chat('LOOP forever'));
+        const [choice] = response.choices;
+        assert.equal(choice.finish_reason, 'length');
+        assert.match(choice.message.content, /Stopped after 1 rounds of tool calls/);
+        assert.equal(choice.message.tool_calls, undefined);
+    });
+
+    it('finishes a stream with length when the round limit stops the loop', async () => {
+        const events = sseEvents(await engine.stream('POST', '/v1/chat/completions', chat('LOOP streaming', true)));
+        const finishReasons = events.map(event => event.choices[0].finish_reason).filter(Boolean);
+        assert.deepEqual(finishReasons, ['length']);
+        assert.match(events.map(event => event.choices[0].delta.content || '').join(''), /Stopped after 1 rounds/);
+    });
+
+    it('does not stream the tool calls Jack executes itself', async () => {
+        const events = sseEvents(await engine.stream('POST', '/v1/chat/completions', chat('TOOL streaming', true)));
+        assert.equal(events.some(event => event.choices[0].delta.tool_calls), false);
+        assert.equal(events.map(event => event.choices[0].delta.content || '').join(''), 'Answer from alpha:1b');
+        assert.equal(events[events.length - 1].choices[0].finish_reason, 'stop');
+        assert.deepEqual(calls.filter(call => call.prompt === 'TOOL streaming').map(call => call.hasToolResult), [false, true]);
+    });
+});
@@ -0,0 +1,158 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { RequestScheduler, SchedulerError } = require('../utils/request-scheduler');
+const { getContext } = require('../utils/request-context');
+
+const fakeResponse = () => {
+    const listeners = {};
+    return {
+        statusCode: 200,
+        headers: {},
+        body: null,
+        set(name, value) { this.headers[name] = value; },
+        status(code) {
+            this.statusCode = code;
+            return this;
+        },
+        json(body) { this.body = body; },
+        on(event, listener) { listeners[event] = listener; },
+        emit(event) { if (listeners[event]) listeners[event](); }
+    };
+};
+
+describe('RequestScheduler#acquire', () => {
+    it('admits up to the concurrency limit and queues the rest', async () => {
+        const scheduler = new RequestScheduler({ concurrency: 1, rateLimit: 0 });
+        const first = await scheduler.acquire('a');
+        let secondAdmitted = false;
+        const second = scheduler.acquire('a').then(slot => {
+            secondAdmitted = true;
+            return slot;
+        });
+
+        await new Promise(resolve => setImmediate(resolve));
+        assert.equal(secondAdmitted, false);
+        assert.equal(scheduler.getQueueDepth(), 1);
+
+        first.release();
+        (await second).release();
+        assert.equal(scheduler.getStats().completed, 2);
+    });
+
+    it('serves waiting clients round-robin', async () => {
+        const scheduler = new RequestScheduler({ concurrency: 1, rateLimit: 0 });
+        const order = [];
+        const first = await scheduler.acquire('a');
+
+        const waiters = [['a', 1], ['a', 2], ['b', 1]].map(([client, n]) =>
+            scheduler.acquire(client).then(slot => {
+                order.push(`${client}${n}`);
+                slot.release();
+            }));
+
+        first.release();
+        await Promise.all(waiters);
+        assert.deepEqual(order, ['a1', 'b1', 'a2']);
+    });
+
+    it('rate limits per client', async () => {
+        const scheduler = new RequestScheduler({ concurrency: 5, rateLimit: 2, rateWindowMs: 60000 });
+        (await scheduler.acquire('a')).release();
+        (await scheduler.acquire('a')).release();
+
+        await assert.rejects(scheduler.acquire('a'), (error) => {
+            assert.ok(error instanceof SchedulerError);
+            assert.equal(error.statusCode, 429);
+            assert.ok(error.retryAfter >= 1);
+            return true;
+        });
+        (await scheduler.acquire('b')).release();
+    });
+
+    it('rejects when a client queue is full', async () => {
+        const scheduler = new RequestScheduler({ concurrency: 1, maxQueuePerClient: 1, rateLimit: 0 });
+        const first = await scheduler.acquire('a');
+        const queued = scheduler.acquire('a');
+
+        await assert.rejects(scheduler.acquire('a'), /Too many queued requests/);
+        first.release();
+        (await queued).release();
+    });
+
+    it('times out requests that wait too long', async () => {
+        const scheduler = new RequestScheduler({ concurrency: 1, queueTimeoutMs: 20, rateLimit: 0 });
+        const first = await scheduler.acquire('a');
+
+        await assert.rejects(scheduler.acquire('b'), (error) => error.statusCode === 503);
+        assert.equal(scheduler.getQueueDepth(), 0);
+        assert.equal(scheduler.getStats().timedOut, 1);
+        first.release();
+    });
+});
+
+describe('RequestScheduler#wrap', () => {
+    it('keys rate limits by bucket, not by the caller-chosen label', async () => {
+        const scheduler = new RequestScheduler({ concurrency: 5, rateLimit: 1 });
+        let handled = 0;
+        const handler = scheduler.wrap(async () => { handled++; }, (req) => ({ bucket: 'addr:10.0.0.1', clientId: req.label }));
+
+        await handler({ label: 'editor-1' }, fakeResponse(), () => {});
+
+        const limited = fakeResponse();
+        await handler({ label: 'editor-2' }, limited, () => {});
+
+        assert.equal(handled, 1);
+        assert.equal(limited.statusCode, 429);
+        assert.ok(limited.headers['Retry-After']);
+        assert.deepEqual(scheduler.getStats().clients['addr:10.0.0.1'].labels, ['editor-1', 'editor-2']);
+    });
+
+    it('runs the handler inside a request context', async () => {
+        const scheduler = new RequestScheduler({ concurrency: 1, rateLimit: 0 });
+        let context;
+        const handler = scheduler.wrap(
+            async () => { context = getContext(); },
+            () => ({ bucket: 'key:ide', clientId: 'ide.vscode' }),
+            (req, clientId) => ({ model: `model-for-${clientId}` })
+        );
+
+        await handler({}, fakeResponse(), () => {});
+
+        assert.equal(context.clientId, 'ide.vscode');
+        assert.equal(context.bucket, 'key:ide');
+        assert.equal(context.model, 'model-for-ide.vscode');
+        assert.match(context.requestId, /^req_[0-9a-f]{12}$/);
+        assert.equal(scheduler.running, 0);
+    });
+
+    it('holds the slot until the handler settles, even after the client disconnects', async () => {
+        const scheduler = new RequestScheduler({ concurrency: 1, rateLimit: 0 });
+        let finishHandler;
+        const res = fakeResponse();
+        const handler = scheduler.wrap(
+            () => new Promise(resolve => { finishHandler = resolve; }),
+            () => ({ bucket: 'addr:10.0.0.1', clientId: 'addr:10.0.0.1' })
+        );
+
+        const running = handler({}, res, () => {});
+        await new Promise(resolve => setImmediate(resolve));
+        res.emit('close');
+        assert.equal(scheduler.running, 1);
+
+        finishHandler();
+        await running;
+        assert.equal(scheduler.running, 0);
+    });
+
+    it('releases the slot and passes the error on when the handler throws', async () => {
+        const scheduler = new RequestScheduler({ concurrency: 1, rateLimit: 0 });
+        let passed;
+        const handler = scheduler.wrap(async () => { throw new Error('boom'); }, () => ({ bucket: 'a', clientId: 'a' }));
+
+        await handler({}, fakeResponse(), (error) => { passed = error; });
+
+        assert.equal(passed.message, 'boom');
+        assert.equal(scheduler.running, 0);
+    });
+});
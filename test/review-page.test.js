@@ -0,0 +1,34 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { renderReviewPage, reviewRequestError } = require('../utils/review-page');
+
+const fakeRequest = (headers = {}) => ({
+    get: (name) => headers[name.toLowerCase()]
+});
+
+describe('reviewRequestError', () => {
+    it('requires the review header', () => {
+        assert.match(reviewRequestError(fakeRequest({ host: 'localhost:11435' })), /X-Jack-Review header/);
+    });
+
+    it('allows clients without an Origin and the page itself', () => {
+        assert.equal(reviewRequestError(fakeRequest({ 'x-jack-review': '1', host: 'localhost:11435' })), null);
+        assert.equal(reviewRequestError(fakeRequest({
+            'x-jack-review': '1', host: 'localhost:11435', origin: 'http://localhost:11435'
+        })), null);
+    });
+
+    it('refuses other and opaque origins', () => {
+        const from = (origin) => reviewRequestError(fakeRequest({ 'x-jack-review': '1', host: 'localhost:11435', origin }));
+        assert.match(from('https://evil.example'), /not accepted from https:\/\/evil\.example/);
+        assert.match(from('http://localhost:3000'), /not accepted/);
+        assert.match(from('null'), /not accepted from null/);
+    });
+});
+
+describe('renderReviewPage', () => {
+    it('sends the review header with its requests', () => {
+        assert.match(renderReviewPage(), /'X-Jack-Review': '1'/);
+    });
+});
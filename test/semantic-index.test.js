@@ -0,0 +1,88 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { SemanticIndex, bestEmbeddingModel } = require('../utils/semantic-index');
+const { WorkspaceIndex } = require('../utils/workspace-index');
+const { EditVersionController } = require('../edit-controller');
+
+/**
+ * Stand-in for OllamaEmbedder - one dimension per keyword, so similarity follows shared words
+ */
+function keywordEmbedder(model = 'nomic-embed-text:latest') {
+    const keywords = ['retry', 'backoff', 'parse', 'token', 'render'];
+    return {
+        inputs: [],
+        resolveModel: async () => model,
+        async embed(texts) {
+            this.inputs.push(...texts);
+            return texts.map(text => [...keywords.map(word => text.split(word).length - 1), 0.01]);
+        }
+    };
+}
+
+describe('bestEmbeddingModel', () => {
+    it('prefers the listed models, then their other tags, then anything named embed', () => {
+        assert.equal(bestEmbeddingModel(['llama3:8b', 'all-minilm:latest', 'nomic-embed-text:latest']), 'nomic-embed-text:latest');
+        assert.equal(bestEmbeddingModel(['nomic-embed-text:v1.5']), 'nomic-embed-text:v1.5');
+        assert.equal(bestEmbeddingModel(['llama3:8b', 'snowflake-arctic-embed:s']), 'snowflake-arctic-embed:s');
+        assert.equal(bestEmbeddingModel(['llama3:8b']), null);
+    });
+});
+
+describe('SemanticIndex', () => {
+    let root;
+    let workspaceIndex;
+    let editController;
+
+    const create = (embedder) => new SemanticIndex({ workspaceIndex, editController, dataDir: root, embedder });
+
+    before(() => {
+        root = fs.mkdtempSync(path.join(os.tmpdir(), 'jack-semantic-'));
+        fs.writeFileSync(path.join(root, 'network.js'), 'function send() {\n    // retry with backoff until the retry limit\n}\n');
+        fs.writeFileSync(path.join(root, 'lexer.js'), 'function lex() {\n    // parse each token\n}\n');
+        fs.writeFileSync(path.join(root, 'package-lock.json'), '{"retry": "backoff"}\n');
+        workspaceIndex = new WorkspaceIndex(root, { watch: false });
+        editController = new EditVersionController(root);
+    });
+
+    after(() => {
+        workspaceIndex.close();
+        fs.rmSync(root, { recursive: true, force: true });
+    });
+
+    it('ranks chunks by similarity, with the model query and document prefixes', async () => {
+        const embedder = keywordEmbedder();
+        const { model, results, index } = await create(embedder).search('how do we retry with backoff?');
+
+        assert.equal(model, 'nomic-embed-text:latest');
+        assert.deepEqual(results.map(result => result.filePath), ['network.js', 'lexer.js']);
+        assert.deepEqual([results[0].startLine, results[0].endLine], [1, 3]);
+        assert.match(results[0].preview, /retry with backoff/);
+        assert.deepEqual(index, { files: 2, chunks: 2, embeddedChunks: 2, complete: true });
+
+        assert.ok(embedder.inputs.slice(0, 2).every(input => input.startsWith('search_document: ')));
+        assert.equal(embedder.inputs[2], 'search_query: how do we retry with backoff?');
+    });
+
+    it('reloads saved vectors and embeds only files that changed', async () => {
+        fs.writeFileSync(path.join(root, 'lexer.js'), 'function lex() {\n    // parse each token, then render\n}\n');
+        await workspaceIndex.build();
+
+        const embedder = keywordEmbedder();
+        const { results, index } = await create(embedder).search('render', { maxResults: 1 });
+        assert.equal(results[0].filePath, 'lexer.js');
+        assert.equal(index.embeddedChunks, 1);
+        assert.deepEqual(embedder.inputs.map(input => input.split('\n')[0]), ['search_document: lexer.js', 'search_query: render']);
+    });
+
+    it('rebuilds an index made with another model', async () => {
+        const embedder = keywordEmbedder('all-minilm:latest');
+        const semanticIndex = create(embedder);
+        const { index } = await semanticIndex.search('token', { extensions: ['js'], under: './' });
+        assert.equal(index.embeddedChunks, 2);
+        assert.equal(semanticIndex.getStatus().model, 'all-minilm:latest');
+    });
+});
@@ -0,0 +1,35 @@
+/**
+ * Stand-in for the Express response the SSE stream writers write into
+ */
+
+const { EventEmitter } = require('events');
+
+/**
+ * Response that records headers and body; `events()` parses the SSE written so far
+ * @returns {EventEmitter & {headers: Object, body: string, ended: boolean, events: Function}}
+ */
+function fakeResponse() {
+    const res = new EventEmitter();
+    res.headers = {};
+    res.body = '';
+    res.ended = false;
+    res.setHeader = (name, value) => { res.headers[name.toLowerCase()] = value; };
+    res.write = (chunk) => { res.body += chunk; return true; };
+    res.end = () => { res.ended = true; };
+
+    // [{ event, data }] - event is null for unnamed events, data is parsed unless it is not JSON ([DONE])
+    res.events = () => res.body.split('\n\n').filter(Boolean).map(block => {
+        const event = (block.match(/^event: (.*)$/m) || [])[1] || null;
+        const raw = block.match(/^data: (.*)$/m)[1];
+        let data = raw;
+        try {
+            data = JSON.parse(raw);
+        } catch (error) {
+            // Sentinels such as [DONE]
+        }
+        return { event, data };
+    });
+    return res;
+}
+
+module.exports = { fakeResponse };
@@ -0,0 +1,145 @@
+/**
+ * Proxy test harness - a stand-in Ollama server and a spawned engine pointed at it
+ * Requiring hi-jack-engine.js starts the engine, so route tests run it as a child process.
+ *
+ * Prompt markers understood by the fake Ollama:
+ *   TOOL - one round with a list_directory call, then an answer
+ *   LOOP - a list_directory call every round
+ *   SLOW - the first answer is delayed so concurrent requests overlap
+ *   CLIENT - one round calling the client's editor_open tool alongside list_directory, then an answer
+ */
+
+const http = require('http');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+
+const ENGINE = path.join(__dirname, '..', '..', 'hi-jack-engine.js');
+
+/**
+ * Fake Ollama answering /api/tags and /api/chat (streaming and not); every chat call is pushed to `calls`
+ */
+function startFakeOllama(calls = []) {
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            if (req.url === '/api/tags') {
+                res.setHeader('Content-Type', 'application/json');
+                return res.end(JSON.stringify({ models: [] }));
+            }
+            if (req.url !== '/api/chat') {
+                res.statusCode = 404;
+                return res.end(JSON.stringify({ error: 'not found' }));
+            }
+
+            const request = JSON.parse(body);
+            const prompt = request.messages.filter(message => message.role === 'user').pop().content;
+            const hasToolResult = request.messages.some(message => message.role === 'tool');
+            const tools = (request.tools || []).map(tool => tool.function.name);
+            calls.push({ prompt, model: request.model, hasToolResult, stream: !!request.stream, tools });
+
+            const listDirectory = { function: { name: 'list_directory', arguments: { dirPath: '' } } };
+            let toolCalls = null;
+            if (prompt.includes('LOOP') || (!hasToolResult && prompt.includes('TOOL'))) {
+                toolCalls = [listDirectory];
+            } else if (!hasToolResult && prompt.includes('CLIENT')) {
+                toolCalls = [listDirectory, { function: { name: 'editor_open', arguments: { path: 'a.txt' } } }];
+            }
+            const content = toolCalls ? '' : `Answer from ${request.model}`;
+            const done = { model: request.model, done: true, done_reason: 'stop', prompt_eval_count: 1, eval_count: 1 };
+
+            const reply = () => {
+                if (request.stream) {
+                    res.setHeader('Content-Type', 'application/x-ndjson');
+                    res.write(JSON.stringify({ model: request.model, message: { role: 'assistant', content, tool_calls: toolCalls || undefined }, done: false }) + '\n');
+                    return res.end(JSON.stringify({ ...done, message: { role: 'assistant', content: '' } }) + '\n');
+                }
+                res.setHeader('Content-Type', 'application/json');
+                res.end(JSON.stringify({ ...done, message: { role: 'assistant', content, tool_calls: toolCalls || undefined } }));
+            };
+
+            if (prompt.includes('SLOW') && !hasToolResult) {
+                setTimeout(reply, 300);
+            } else {
+                reply();
+            }
+        });
+    });
+
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+/**
+ * Spawn the engine in server-only mode on a random port with a throwaway workspace
+ * @param {http.Server} ollama - From startFakeOllama
+ * @param {Object} env - Extra environment (JACK_* settings)
+ * @param {Function} prepare - Called with the workspace path before the engine starts
+ * @returns {Promise<{port: number, workspace: string, request: Function, stream: Function, stop: Function}>}
+ */
+async function startEngine(ollama, env = {}, prepare = null) {
+    const port = 20000 + Math.floor(Math.random() * 20000);
+    const workspace = fs.mkdtempSync(path.join(os.tmpdir(), 'jack-proxy-'));
+    fs.writeFileSync(path.join(workspace, 'a.txt'), 'hello\n');
+    if (prepare) await prepare(workspace);
+
+    const engine = spawn(process.execPath, [ENGINE, '--server-only', `--workspace=${workspace}`], {
+        env: {
+            ...process.env,
+            MODE: 'local',
+            OLLAMA_HOST: `http://127.0.0.1:${ollama.address().port}`,
+            PORT: String(port),
+            JACK_API_KEYS: '',
+            JACK_ALIGNMENT_VERBOSITY: 'silent',
+            ...env
+        },
+        stdio: 'ignore'
+    });
+
+    const send = (method, route, body = undefined, headers = {}) => fetch(`http://127.0.0.1:${port}${route}`, {
+        method,
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: body ? JSON.stringify(body) : undefined
+    });
+
+    const handle = {
+        port,
+        workspace,
+        request: async (...args) => (await send(...args)).json(),
+        // Raw SSE body of a streaming request
+        stream: async (...args) => (await send(...args)).text(),
+        stop: async () => {
+            if (engine.exitCode === null) {
+                await new Promise(resolve => {
+                    engine.once('exit', resolve);
+                    engine.kill();
+                });
+            }
+            fs.rmSync(workspace, { recursive: true, force: true });
+        }
+    };
+
+    for (let attempt = 0; attempt < 200; attempt++) {
+        if (engine.exitCode !== null) throw new Error(`Engine exited with code ${engine.exitCode}`);
+        try {
+            await handle.request('GET', '/api/status');
+            return handle;
+        } catch (error) {
+            await new Promise(resolve => setTimeout(resolve, 100));
+        }
+    }
+    await handle.stop();
+    throw new Error('Engine did not start');
+}
+
+/**
+ * JSON payloads of the `data:` lines of an SSE body
+ */
+function sseEvents(body) {
+    return body.split('\n')
+        .filter(line => line.startsWith('data: ') && line !== 'data: [DONE]')
+        .map(line => JSON.parse(line.slice(6)));
+}
+
+module.exports = { startFakeOllama, startEngine, sseEvents };
@@ -0,0 +1,136 @@
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { SymbolIndex, symbolLanguage, extractSymbols, findOccurrences, matchesQuery, buildOutline } = require('../utils/symbol-index');
+const { WorkspaceIndex } = require('../utils/workspace-index');
+
+const JS = `const { helper } = require('./helper');
+
+class Engine {
+    run(task) {
+        return helper(task);
+    }
+}
+
+function start() {
+    const engine = new Engine();
+    engine.run('x');
+}
+
+module.exports = { start, stop() {} };
+`;
+
+const PY = `import os
+
+class Repo:
+    """Docs mention def fake(): here"""
+    def save(self, data=(1,
+            2)):
+        return os.path.join(data)
+
+def main():
+    Repo().save()
+`;
+
+const summary = symbols => symbols.map(({ qualifiedName, kind, scope, line }) => ({ qualifiedName, kind, scope, line }));
+
+describe('extractSymbols', () => {
+    it('finds classes, methods, functions and module.exports methods in JavaScript', () => {
+        const { language, symbols, errors } = extractSymbols('engine.js', JS);
+        assert.equal(language, 'javascript');
+        assert.deepEqual(errors, []);
+        assert.deepEqual(summary(symbols), [
+            { qualifiedName: 'Engine', kind: 'class', scope: null, line: 3 },
+            { qualifiedName: 'Engine.run', kind: 'method', scope: 'Engine', line: 4 },
+            { qualifiedName: 'start', kind: 'function', scope: null, line: 9 },
+            { qualifiedName: 'stop', kind: 'function', scope: null, line: 14 }
+        ]);
+    });
+
+    it('finds TypeScript declarations', () => {
+        const source = 'export interface Shape { area(): number }\nexport type Id = string;\nexport enum Color { Red }\nexport const square = (n: number): number => n * n;\n';
+        assert.deepEqual(extractSymbols('shapes.ts', source).symbols.map(({ name, kind }) => [name, kind]), [
+            ['Shape', 'interface'], ['area', 'method'], ['Id', 'type'], ['Color', 'enum'], ['Red', 'enumMember'], ['square', 'function']
+        ]);
+    });
+
+    it('scans Python past docstrings and multi-line signatures', () => {
+        assert.deepEqual(summary(extractSymbols('repo.py', PY).symbols), [
+            { qualifiedName: 'Repo', kind: 'class', scope: null, line: 3 },
+            { qualifiedName: 'Repo.save', kind: 'method', scope: 'Repo', line: 5 },
+            { qualifiedName: 'main', kind: 'function', scope: null, line: 9 }
+        ]);
+    });
+
+    it('keeps symbols of files with recoverable errors and reports the rest as unparsable', () => {
+        const recovered = extractSymbols('half.js', 'function ok() {}\nlet a = 1; let a = 2;\nfunction later() {}\n');
+        assert.ok(['ok', 'later'].every(name => recovered.symbols.some(symbol => symbol.name === name)));
+        assert.deepEqual(recovered.errors, [{ message: "Identifier 'a' has already been declared.", line: 2 }]);
+
+        const broken = extractSymbols('broken.js', 'function ok() {}\nconst x = ;\n');
+        assert.deepEqual(broken.symbols, []);
+        assert.deepEqual(broken.errors, [{ message: 'Unexpected token', line: 2 }]);
+    });
+
+    it('rejects unsupported files', () => {
+        assert.equal(symbolLanguage('types.MTS'), 'typescript');
+        assert.equal(symbolLanguage('script.rb'), null);
+        assert.throws(() => extractSymbols('script.rb', ''), /Symbols are not supported for \.rb files/);
+    });
+});
+
+describe('symbol queries', () => {
+    const { symbols } = extractSymbols('engine.js', JS);
+
+    it('classifies occurrences with their enclosing scope', () => {
+        assert.deepEqual(findOccurrences('engine.js', JS, 'Engine', symbols), [
+            { line: 3, column: 6, kind: 'definition', scope: null },
+            { line: 10, column: 23, kind: 'reference', scope: 'start' }
+        ]);
+        assert.deepEqual(findOccurrences('engine.js', JS, 'helper', symbols).map(({ kind, scope }) => [kind, scope]),
+            [['import', null], ['reference', 'Engine.run']]);
+        assert.deepEqual(findOccurrences('repo.py', PY, 'save', extractSymbols('repo.py', PY).symbols).map(({ line, kind }) => [line, kind]),
+            [[5, 'definition'], [10, 'reference']]);
+    });
+
+    it('matches a name, a qualified name or a qualified suffix', () => {
+        const run = symbols.find(symbol => symbol.name === 'run');
+        assert.equal(matchesQuery(run, 'run'), true);
+        assert.equal(matchesQuery(run, 'Engine.run'), true);
+        assert.equal(matchesQuery(run, 'gine.run'), false);
+    });
+
+    it('nests the outline under enclosing symbols', () => {
+        const outline = buildOutline(symbols);
+        assert.deepEqual(outline.map(node => node.name), ['Engine', 'start', 'stop']);
+        assert.deepEqual(outline[0].children.map(node => node.name), ['run']);
+        assert.equal(outline[1].children, undefined);
+    });
+});
+
+describe('SymbolIndex', () => {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'jack-symbols-'));
+    const workspaceIndex = new WorkspaceIndex(root, { watch: false });
+
+    after(() => {
+        workspaceIndex.close();
+        fs.rmSync(root, { recursive: true, force: true });
+    });
+
+    it('lists supported files and reparses only changed content', async () => {
+        fs.writeFileSync(path.join(root, 'engine.js'), JS);
+        fs.writeFileSync(path.join(root, 'notes.md'), '# notes\n');
+        const index = new SymbolIndex(workspaceIndex);
+        assert.deepEqual(await index.files(), ['engine.js']);
+
+        const first = await index.load('engine.js');
+        assert.equal((await index.load('engine.js')).symbols, first.symbols);
+        assert.equal(await index.load('engine.js', { containing: 'absent' }), null);
+
+        fs.writeFileSync(path.join(root, 'engine.js'), 'function changed() {}\n');
+        assert.deepEqual((await index.load('engine.js')).symbols.map(symbol => symbol.name), ['changed']);
+    });
+});
@@ -0,0 +1,54 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { validateSyntax, checkChange, stripJsonComments } = require('../utils/syntax-validator');
+
+describe('stripJsonComments', () => {
+    it('removes comments and trailing commas', () => {
+        const jsonc = '{\n  // compiler\n  "strict": true, /* more */\n  "lib": ["es2020",],\n}';
+        assert.deepEqual(JSON.parse(stripJsonComments(jsonc)), { strict: true, lib: ['es2020'] });
+    });
+
+    it('removes trailing commas followed by comments', () => {
+        assert.deepEqual(JSON.parse(stripJsonComments('[1, // last\n]')), [1]);
+        assert.deepEqual(JSON.parse(stripJsonComments('{"a": 1, /* end */ }')), { a: 1 });
+    });
+
+    it('leaves comment and comma lookalikes inside strings alone', () => {
+        const jsonc = '{"glob": "src/**/*.ts", "url": "http://x", "list": "a,]", "obj": ",}", "quote": "\\",}"}';
+        assert.deepEqual(JSON.parse(stripJsonComments(jsonc)),
+            { glob: 'src/**/*.ts', url: 'http://x', list: 'a,]', obj: ',}', quote: '",}' });
+    });
+
+    it('keeps offsets so error positions still point at the source', () => {
+        const jsonc = '{"a": 1, /* c */ "b": }';
+        assert.equal(stripJsonComments(jsonc).length, jsonc.length);
+        assert.equal(stripJsonComments('[1,]').indexOf(']'), 3);
+    });
+});
+
+describe('validateSyntax', () => {
+    it('allows comments only in JSONC files', () => {
+        const content = '{\n  // options\n  "compilerOptions": {},\n}\n';
+        assert.equal(validateSyntax('tsconfig.json', content).valid, true);
+        assert.equal(validateSyntax('data.json', content).valid, false);
+    });
+
+    it('reports where JavaScript stops parsing', () => {
+        const result = validateSyntax('app.js', 'function a() {\n  return 1;\n');
+        assert.equal(result.valid, false);
+        assert.equal(result.errors[0].line, 3);
+    });
+
+    it('skips files without a checker', () => {
+        assert.deepEqual(validateSyntax('README.md', '{'), { language: null, checked: false, valid: true, schema: null, errors: [] });
+    });
+});
+
+describe('checkChange', () => {
+    it('only flags changes that break a valid file', () => {
+        assert.equal(checkChange('a.json', '{}', '{').breaks, true);
+        assert.equal(checkChange('a.json', '{', '{{').breaks, false);
+        assert.equal(checkChange('a.json', null, '{').breaks, true);
+    });
+});
@@ -0,0 +1,66 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { mergeThreeWay, matchLines } = require('../utils/three-way-merge');
+
+const text = (...lines) => lines.join('\n');
+
+describe('matchLines', () => {
+    it('matches the longest common subsequence', () => {
+        assert.deepEqual(matchLines(['a', 'b', 'c', 'd'], ['a', 'x', 'c', 'd']), [[0, 0], [2, 2], [3, 3]]);
+        assert.deepEqual(matchLines(['a', 'b', 'c'], ['b', 'c', 'a']), [[1, 0], [2, 1]]);
+    });
+
+    it('handles empty sides', () => {
+        assert.deepEqual(matchLines([], ['a']), []);
+        assert.deepEqual(matchLines(['a', 'b'], []), []);
+    });
+});
+
+describe('mergeThreeWay', () => {
+    const base = text('one', 'two', 'three', 'four', 'five');
+
+    it('takes changes made on only one side', () => {
+        const ours = text('one', 'TWO', 'three', 'four', 'five');
+        const theirs = text('one', 'two', 'three', 'four', 'FIVE');
+        const result = mergeThreeWay(base, ours, theirs);
+        assert.equal(result.clean, true);
+        assert.equal(result.merged, text('one', 'TWO', 'three', 'four', 'FIVE'));
+        assert.deepEqual(result.conflicts, []);
+    });
+
+    it('takes identical changes once', () => {
+        const both = text('one', 'two', 'inserted', 'three', 'four', 'five');
+        const result = mergeThreeWay(base, both, both);
+        assert.equal(result.clean, true);
+        assert.equal(result.merged, both);
+    });
+
+    it('keeps deletions and insertions at either end', () => {
+        const ours = text('zero', 'one', 'two', 'three', 'four', 'five');
+        const theirs = text('one', 'two', 'three', 'four');
+        const result = mergeThreeWay(base, ours, theirs);
+        assert.equal(result.clean, true);
+        assert.equal(result.merged, text('zero', 'one', 'two', 'three', 'four'));
+    });
+
+    it('marks overlapping changes as conflicts', () => {
+        const ours = text('one', 'two', 'disk', 'four', 'five');
+        const theirs = text('one', 'two', 'edit', 'four', 'five');
+        const result = mergeThreeWay(base, ours, theirs, { ours: 'on disk', theirs: 'proposed edit' });
+        assert.equal(result.clean, false);
+        assert.equal(result.merged, text(
+            'one', 'two',
+            '<<<<<<< on disk', 'disk', '=======', 'edit', '>>>>>>> proposed edit',
+            'four', 'five'));
+        assert.deepEqual(result.conflicts, [{ line: 3, base: ['three'], ours: ['disk'], theirs: ['edit'] }]);
+    });
+
+    it('reports the merged line of each conflict', () => {
+        const ours = text('ONE', 'two', 'three', 'four', 'disk');
+        const theirs = text('uno', 'two', 'three', 'four', 'edit');
+        const { conflicts, merged } = mergeThreeWay(base, ours, theirs);
+        assert.deepEqual(conflicts.map(conflict => conflict.line), [1, 9]);
+        assert.equal(merged.split('\n')[conflicts[1].line - 1], '<<<<<<< ours');
+    });
+});
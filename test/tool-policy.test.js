@@ -0,0 +1,83 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const ToolPolicy = require('../utils/tool-policy');
+
+const AVAILABLE = ['read_file', 'list_directory', 'write_file', 'execute_terminal_command', 'web_search', 'commentary'];
+
+const fakeRequest = (headers = {}, body = {}, jackAuth = undefined) => ({
+    body,
+    jackAuth,
+    get: (name) => headers[name.toLowerCase()]
+});
+
+describe('ToolPolicy.parseSpec', () => {
+    it('resolves tool names and profiles', () => {
+        assert.deepEqual([...ToolPolicy.parseSpec('read-only,web_search', AVAILABLE)].sort(),
+            ['commentary', 'list_directory', 'read_file', 'web_search']);
+    });
+
+    it('applies removals after additions', () => {
+        const allowed = ToolPolicy.parseSpec(['full', '-execute_terminal_command'], AVAILABLE);
+        assert.equal(allowed.has('execute_terminal_command'), false);
+        assert.equal(allowed.has('write_file'), true);
+    });
+
+    it('starts from the full tool set when a spec only removes', () => {
+        const allowed = ToolPolicy.parseSpec('-write_file', AVAILABLE);
+        assert.equal(allowed.size, AVAILABLE.length - 1);
+        assert.equal(allowed.has('write_file'), false);
+    });
+
+    it('drops profile tools that are not registered', () => {
+        const allowed = ToolPolicy.parseSpec('read-only', ['read_file']);
+        assert.deepEqual([...allowed], ['read_file']);
+    });
+
+    it('rejects unknown names', () => {
+        assert.throws(() => ToolPolicy.parseSpec('read_file,rm_rf', AVAILABLE), /Unknown tool or profile 'rm_rf'/);
+    });
+});
+
+describe('ToolPolicy.fromSpecs', () => {
+    it('intersects every spec', () => {
+        const { policy } = ToolPolicy.fromSpecs(['research', undefined, '', 'read_file,web_search,write_file'], AVAILABLE);
+        assert.deepEqual([...policy.allowed].sort(), ['read_file', 'web_search']);
+        assert.equal(policy.describe(), 'research ∩ read_file,web_search,write_file');
+    });
+
+    it('allows everything without specs', () => {
+        const { policy } = ToolPolicy.fromSpecs([null, undefined], AVAILABLE);
+        assert.equal(policy.allowed.size, AVAILABLE.length);
+        assert.equal(policy.describe(), 'full');
+    });
+
+    it('reports parse errors instead of throwing', () => {
+        const result = ToolPolicy.fromSpecs(['nope'], AVAILABLE);
+        assert.equal(result.policy, undefined);
+        assert.match(result.error, /Unknown tool or profile 'nope'/);
+    });
+});
+
+describe('ToolPolicy.fromRequest', () => {
+    it('narrows the API key policy with the header and body', () => {
+        const req = fakeRequest({ 'x-jack-tools': 'read-only' }, { jack: { tools: '-list_directory' } }, { toolPolicy: 'research' });
+        const { policy } = ToolPolicy.fromRequest(req, AVAILABLE);
+        assert.deepEqual([...policy.allowed].sort(), ['commentary', 'read_file']);
+    });
+});
+
+describe('ToolPolicy#allows', () => {
+    it('strips channel and format decorations from tool names', () => {
+        const { policy } = ToolPolicy.fromSpecs(['read_file'], AVAILABLE);
+        assert.equal(policy.allows('read_file<|channel|>commentary'), true);
+        assert.equal(policy.allows('<|read_file|>json'), true);
+        assert.equal(policy.allows('write_file'), false);
+    });
+
+    it('filters tool definitions', () => {
+        const { policy } = ToolPolicy.fromSpecs(['none,web_search'], AVAILABLE);
+        const tools = AVAILABLE.map(name => ({ type: 'function', function: { name } }));
+        assert.deepEqual(policy.filterTools(tools).map(tool => tool.function.name), ['web_search']);
+    });
+});
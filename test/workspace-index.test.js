@@ -0,0 +1,97 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { WorkspaceIndex, parseIgnoreFile } = require('../utils/workspace-index');
+
+describe('WorkspaceIndex', () => {
+    let root;
+    let index;
+
+    const write = (relPath, content) => {
+        fs.mkdirSync(path.dirname(path.join(root, relPath)), { recursive: true });
+        fs.writeFileSync(path.join(root, relPath), content);
+    };
+
+    before(async () => {
+        root = fs.mkdtempSync(path.join(os.tmpdir(), 'jack-index-'));
+        write('.gitignore', '*.log\n/build/\ndocs/**/draft.md\n!keep.log\n');
+        write('.jackignore', '!node_modules/\nnode_modules/*\n!node_modules/lib/\nsecret.txt\n');
+        write('app.js', 'module.exports = 1;\n');
+        write('debug.log', 'noise\n');
+        write('keep.log', 'kept\n');
+        write('secret.txt', 'tracked but hidden\n');
+        write('build/out.js', 'generated\n');
+        write('src/build/helper.js', 'not the root build\n');
+        write('src/.gitignore', 'local.js\n');
+        write('src/local.js', 'ignored below src\n');
+        write('docs/a/b/draft.md', 'draft\n');
+        write('docs/readme.md', 'docs\n');
+        write('node_modules/lib/index.js', 'dependency\n');
+        write('node_modules/other/index.js', 'other dependency\n');
+        write('.git/HEAD', 'ref: refs/heads/main\n');
+        write('.edits/pending.json', '{}');
+        write('image.bin', Buffer.from([0x89, 0x50, 0x00, 0x47]));
+
+        index = new WorkspaceIndex(root, { watch: false });
+        await index.ready();
+    });
+
+    after(() => {
+        index.close();
+        fs.rmSync(root, { recursive: true, force: true });
+    });
+
+    it('applies .gitignore rules at every depth and .jackignore overrides', () => {
+        assert.deepEqual(index.files(), [
+            '.gitignore',
+            '.jackignore',
+            'app.js',
+            'docs/readme.md',
+            'image.bin',
+            'keep.log',
+            'node_modules/lib/index.js',
+            'src/.gitignore',
+            'src/build/helper.js'
+        ]);
+        assert.equal(index.isIgnored('debug.log'), true);
+        assert.equal(index.isIgnored('build', true), true);
+        assert.equal(index.isIgnored('src/build', true), false);
+    });
+
+    it('filters by directory and extension and lists directories', () => {
+        assert.deepEqual(index.files({ under: './src/', extensions: ['js'] }), ['src/build/helper.js']);
+        assert.deepEqual(index.listDirectory('docs'), [{ name: 'a', type: 'directory' }, { name: 'readme.md', type: 'file' }]);
+        assert.equal(index.listDirectory('build'), null);
+    });
+
+    it('lists binary files but never returns them as text', async () => {
+        assert.equal(await index.readText('image.bin'), null);
+        assert.equal(index.fileInfo('image.bin').binary, true);
+        assert.equal(await index.readText('app.js'), 'module.exports = 1;\n');
+    });
+
+    it('picks up changes on rebuild', async () => {
+        write('new.js', 'added\n');
+        fs.rmSync(path.join(root, 'app.js'));
+        await index.build();
+        assert.equal(index.fileInfo('app.js'), null);
+        assert.ok(index.files().includes('new.js'));
+    });
+});
+
+describe('parseIgnoreFile', () => {
+    it('skips comments and blank lines and keeps escaped markers literal', () => {
+        const rules = parseIgnoreFile('# comment\n\n\\#hash\n\\!bang\n!negated\ndir/\n');
+        assert.deepEqual(rules.map(({ negate, dirOnly, anchored }) => ({ negate, dirOnly, anchored })), [
+            { negate: false, dirOnly: false, anchored: false },
+            { negate: false, dirOnly: false, anchored: false },
+            { negate: true, dirOnly: false, anchored: false },
+            { negate: false, dirOnly: true, anchored: false }
+        ]);
+        assert.ok(rules[0].regex.test('#hash'));
+        assert.ok(rules[1].regex.test('!bang'));
+    });
+});
@@ -0,0 +1,63 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const WorkspaceRegistry = require('../utils/workspace-registry');
+
+const fakeRequest = (headers = {}, body = {}) => ({
+    body,
+    get: (name) => headers[name.toLowerCase()]
+});
+
+describe('WorkspaceRegistry.parseSpec', () => {
+    it('reads name=path entries separated by ; or newlines', () => {
+        assert.deepEqual(WorkspaceRegistry.parseSpec('web=/src/web; api="/src/api"\n\nbroken'), [
+            { name: 'web', root: '/src/web' },
+            { name: 'api', root: '/src/api' }
+        ]);
+        assert.deepEqual(WorkspaceRegistry.parseSpec(''), []);
+    });
+});
+
+describe('WorkspaceRegistry', () => {
+    let root;
+    let registry;
+
+    before(() => {
+        root = fs.mkdtempSync(path.join(os.tmpdir(), 'jack-registry-'));
+        fs.mkdirSync(path.join(root, 'api'));
+        registry = new WorkspaceRegistry((name, workspaceRoot) => ({ dataDir: workspaceRoot, label: `state of ${name}` }));
+        registry.register('default', root);
+        registry.register('api', path.join(root, 'api'));
+    });
+
+    after(() => {
+        fs.rmSync(root, { recursive: true, force: true });
+    });
+
+    it('creates per-workspace state and refuses bad registrations', () => {
+        assert.equal(registry.get('api').label, 'state of api');
+        assert.equal(registry.get('api').root, path.join(root, 'api'));
+        assert.throws(() => registry.register('api', root), /already registered/);
+        assert.throws(() => registry.register('bad name', root), /Invalid workspace name/);
+        assert.throws(() => registry.register('missing', path.join(root, 'nope')), /is not a directory/);
+    });
+
+    it('resolves the header first, then a model@workspace suffix', () => {
+        assert.equal(registry.resolve(fakeRequest()).workspace.name, 'default');
+        assert.equal(registry.resolve(fakeRequest({ 'x-jack-workspace': 'api' })).workspace.name, 'api');
+
+        const req = fakeRequest({}, { model: 'qwen3:8b@api' });
+        assert.equal(registry.resolve(req).workspace.name, 'api');
+        assert.equal(req.body.model, 'qwen3:8b');
+
+        // An @ that does not name a workspace is part of the model name
+        const other = fakeRequest({}, { model: 'team@model' });
+        assert.equal(registry.resolve(other).workspace.name, 'default');
+        assert.equal(other.body.model, 'team@model');
+
+        assert.match(registry.resolve(fakeRequest({ 'x-jack-workspace': 'web' })).error, /Unknown workspace 'web' \(registered: default, api\)/);
+    });
+});
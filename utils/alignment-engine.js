@@ -1,4 +1,6 @@
 const logger = require('./logger');
+const { checkChange, describeErrors, syntaxPolicy } = require('./syntax-validator');
+const { diffDiagnostics } = require('./lsp-client');
 
 /**
  * UNIVERSAL ALIGNMENT ENGINE
@@ -77,7 +79,11 @@ class UniversalAlignmentEngine {
             'surgical_edit': this.getSurgicalEditParameters(),
             'command_execution': this.getCommandExecutionParameters(),
             'tool_call': this.getToolCallParameters(),
-            'file_operation': this.getFileOperationParameters()
+            'file_operation': this.getFileOperationParameters(),
+            'syntax_validation': {
+                syntaxValid: this.getSyntaxValidationParameter(params => ({ before: params.before, after: params.after }))
+            },
+            'post_edit_diagnostics': this.getPostEditDiagnosticsParameters()
         };
 
         return parameterSets[operationType];
@@ -119,6 +125,29 @@ class UniversalAlignmentEngine {
                 }
             },
 
+            uniqueMatch: {
+                category: 'Exact Targeting',
+                displayName: 'Unique Match',
+                critical: true,
+                check: async (params) => {
+                    const { content, oldString, options = {} } = params;
+                    const occurrences = oldString ? content.split(oldString).length - 1 : 0;
+                    const replaceAll = !!(options.replace_all || options.replaceAll);
+
+                    params._uniqueData = { occurrences, replaceAll };
+
+                    // Missing strings are reported by exactMatch
+                    return occurrences <= 1 || replaceAll;
+                },
+                confidence: 100,
+                getMessage: (result, params) => {
+                    if (!params._uniqueData) return null;
+                    const { occurrences, replaceAll } = params._uniqueData;
+                    if (!result) return `⚠️ Ambiguous: ${occurrences} matches - add context or use replaceAll`;
+                    return replaceAll && occurrences > 1 ? `Replacing all ${occurrences} matches` : 'Single match';
+                }
+            },
+
             positionVerify: {
                 category: 'Exact Targeting',
                 displayName: 'Position Verified',
@@ -502,7 +531,18 @@ class UniversalAlignmentEngine {
                 getMessage: (result, params) => {
                     return result ? 'Block structure intact' : '⚠️ May break block structure';
                 }
-            }
+            },
+
+            // Category 5: SYNTAX VALIDATION - the whole file must still parse after the replacement
+            syntaxValid: this.getSyntaxValidationParameter(params => {
+                const { content, oldString, newString, options = {} } = params;
+                // multi_edit checks the final content once all of its replacements are applied
+                if (options.deferSyntax || !content.includes(oldString)) return null;
+                const after = (options.replace_all || options.replaceAll)
+                    ? content.split(oldString).join(newString)
+                    : content.replace(oldString, () => newString);
+                return { before: content, after };
+            })
         };
     }
 
@@ -608,8 +648,8 @@ class UniversalAlignmentEngine {
                 check: async (params) => {
                     const { toolName, recentActions } = params;
 
-                    // Surgical edit requires recent read_file
-                    if (toolName === 'surgical_edit') {
+                    // Surgical edits require recent read_file
+                    if (toolName === 'surgical_edit' || toolName === 'multi_edit') {
                         const hasRecentRead = recentActions.some(a =>
                             a.tool === 'read_file' &&
                             Date.now() - a.timestamp < 60000
@@ -621,7 +661,7 @@ class UniversalAlignmentEngine {
                 },
                 confidence: 100,
                 getMessage: (result, params) => {
-                    if (params.toolName === 'surgical_edit') {
+                    if (params.toolName === 'surgical_edit' || params.toolName === 'multi_edit') {
                         return result ? 'File read <60s ago ✓' : '⚠️ Must read file first!';
                     }
                     return 'No prerequisites';
@@ -771,34 +811,94 @@ class UniversalAlignmentEngine {
                 }
             },
 
-            syntaxWillBeValid: {
-                category: 'Content Validation',
-                displayName: 'Syntax Will Be Valid',
-                critical: false,
-                check: async (params) => {
-                    const { filePath, content } = params;
-                    if (!content) return true;
+            syntaxValid: this.getSyntaxValidationParameter(params => {
+                const { filePath, content, mode, workspaceRoot } = params;
+                const fs = require('fs');
+                const path = require('path');
+                const fullPath = path.resolve(workspaceRoot || process.cwd(), filePath);
+                const before = fs.existsSync(fullPath) ? fs.readFileSync(fullPath, 'utf8') : null;
+                return { before, after: mode === 'append' ? (before || '') + content : content };
+            })
+        };
+    }
+
+    /**
+     * SYNTAX VALIDATION PARAMETER
+     * Shared by every set that changes file content: parses the content the operation produces
+     * (JSON, JS/TS, YAML, plus package.json/workflow/compose schemas). JACK_SYNTAX_POLICY decides
+     * the outcome - block makes it a critical failure, warn passes with a warning, off skips it.
+     * Files that did not parse before the change are reported but never blocked.
+     * @param {Function} resolveContent - params => {before, after}, or null to skip
+     */
+    getSyntaxValidationParameter(resolveContent) {
+        const policy = syntaxPolicy();
+        return {
+            category: 'Syntax Validation',
+            displayName: 'Syntax Still Valid',
+            critical: policy === 'block',
+            check: async (params) => {
+                if (policy === 'off') return true;
+                const contents = resolveContent(params);
+                if (!contents || typeof contents.after !== 'string') return true;
+
+                const change = checkChange(params.filePath, contents.before, contents.after);
+                params._syntaxData = { ...change, policy };
+                return !change.breaks || policy === 'warn';
+            },
+            confidence: 97,
+            getMessage: (result, params) => {
+                if (policy === 'off') return 'Skipped (JACK_SYNTAX_POLICY=off)';
+                const data = params._syntaxData;
+                if (!data) return 'Skipped';
+                if (!data.result.checked) return 'No checker for this file type';
+                if (data.result.valid) return describeErrors(data.result);
+                if (!data.wasValid) return `⚠️ Already invalid before this change: ${describeErrors(data.result)}`;
+                return `⚠️ Breaks ${data.result.language}${policy === 'warn' ? ' (warn only)' : ''}: ${describeErrors(data.result)}`;
+            }
+        };
+    }
 
-                    // Only validate JS/JSON files
-                    if (!filePath.match(/\.(js|json)$/)) return true;
+    /**
+     * POST-EDIT DIAGNOSTICS PARAMETERS (2 checks)
+     * Language server diagnostics of an applied file, before vs after the edit
+     * params: { filePath, server, before, after } - diagnostics as returned by utils/lsp-client.js
+     */
+    getPostEditDiagnosticsParameters() {
+        const describe = diagnostics => diagnostics.slice(0, 3)
+            .map(diagnostic => `line ${diagnostic.line}: ${diagnostic.message.split('\n')[0]}`)
+            .join('; ') + (diagnostics.length > 3 ? ` (+${diagnostics.length - 3} more)` : '');
 
-                    try {
-                        if (filePath.endsWith('.json')) {
-                            JSON.parse(content);
-                        }
-                        // For JS, we'd need a parser - skip for now
-                        return true;
-                    } catch (error) {
-                        params._syntaxError = error.message;
-                        return false;
-                    }
+        return {
+            noNewErrors: {
+                category: 'Language Server',
+                displayName: 'No New Errors',
+                critical: true,
+                check: async (params) => {
+                    params._newErrors = diffDiagnostics(params.before, params.after, 'error');
+                    return params._newErrors.length === 0;
                 },
-                confidence: 92,
+                confidence: 99,
                 getMessage: (result, params) => {
-                    if (!result && params._syntaxError) {
-                        return `⚠️ Syntax error: ${params._syntaxError}`;
-                    }
-                    return result ? 'Syntax valid' : '⚠️ Syntax may be invalid';
+                    if (!params._newErrors) return null;
+                    const total = params.after.filter(diagnostic => diagnostic.severity === 'error').length;
+                    if (result) return `${params.server}: no new errors${total > 0 ? ` (${total} already there)` : ''}`;
+                    return `⚠️ ${params.server}: ${params._newErrors.length} new error(s) - ${describe(params._newErrors)}`;
+                }
+            },
+
+            noNewWarnings: {
+                category: 'Language Server',
+                displayName: 'No New Warnings',
+                critical: false,
+                check: async (params) => {
+                    params._newWarnings = diffDiagnostics(params.before, params.after, 'warning');
+                    return params._newWarnings.length === 0;
+                },
+                confidence: 90,
+                getMessage: (result, params) => {
+                    if (!params._newWarnings) return null;
+                    if (result) return 'No new warnings';
+                    return `⚠️ ${params._newWarnings.length} new warning(s) - ${describe(params._newWarnings)}`;
                 }
             }
         };
@@ -1044,7 +1144,9 @@ class UniversalAlignmentEngine {
             'Resource Checks': '⚡',
             'Intent Alignment': '🎯',
             'Tool Validation': '🔧',
-            'Context Checks': '📋'
+            'Context Checks': '📋',
+            'Syntax Validation': '🧩',
+            'Language Server': '🩺'
         };
         return icons[category] || '🔹';
     }
@@ -0,0 +1,334 @@
+/**
+ * Anthropic Adapter - Messages API (/v1/messages) compatibility for the proxy
+ * Maps Anthropic request shapes (system, content blocks, tool_use, tool_result)
+ * onto Ollama chat messages and renders Jack's answers back as Anthropic
+ * message objects or message_* / content_block_* Server-Sent Events
+ */
+
+const crypto = require('crypto');
+
+class AnthropicAdapter {
+    /**
+     * Generate an Anthropic-style message id
+     */
+    static createMessageId() {
+        return `msg_${crypto.randomBytes(12).toString('hex')}`;
+    }
+
+    /**
+     * Flatten the `system` field (string or array of text blocks) into plain text
+     */
+    static systemText(system) {
+        if (!system) return '';
+        if (typeof system === 'string') return system;
+        if (Array.isArray(system)) {
+            return system
+                .filter(block => block && block.type === 'text')
+                .map(block => block.text)
+                .join('\n\n');
+        }
+        return '';
+    }
+
+    /**
+     * Flatten tool_result content (string or array of blocks) into text for the tool message
+     */
+    static toolResultText(content) {
+        if (content === undefined || content === null) return '';
+        if (typeof content === 'string') return content;
+        if (Array.isArray(content)) {
+            return content
+                .map(block => block.type === 'text' ? block.text : `[${block.type} omitted]`)
+                .join('\n');
+        }
+        return JSON.stringify(content);
+    }
+
+    /**
+     * Convert Anthropic messages into Ollama chat messages
+     * - text blocks become message content, base64 image blocks become `images`
+     * - assistant tool_use blocks become `tool_calls`
+     * - user tool_result blocks become `tool` role messages (emitted before any remaining user text)
+     * @param {Object} body - Anthropic Messages request body
+     * @returns {Array} - Ollama chat messages (without Jack's own system message)
+     */
+    static toOllamaMessages(body) {
+        const ollamaMessages = [];
+        const toolNames = new Map(); // tool_use id -> tool name, for tool_result messages
+
+        const systemText = AnthropicAdapter.systemText(body.system);
+        if (systemText) {
+            ollamaMessages.push({ role: 'system', content: systemText });
+        }
+
+        for (const message of body.messages || []) {
+            if (typeof message.content === 'string') {
+                ollamaMessages.push({ role: message.role, content: message.content });
+                continue;
+            }
+
+            const blocks = Array.isArray(message.content) ? message.content : [];
+            const textParts = [];
+            const images = [];
+            const toolCalls = [];
+
+            for (const block of blocks) {
+                switch (block.type) {
+                    case 'text':
+                        textParts.push(block.text);
+                        break;
+                    case 'image':
+                        if (block.source?.type === 'base64' && block.source.data) {
+                            images.push(block.source.data);
+                        }
+                        break;
+                    case 'tool_use':
+                        toolNames.set(block.id, block.name);
+                        toolCalls.push({
+                            id: block.id,
+                            type: 'function',
+                            function: {
+                                name: block.name,
+                                arguments: block.input || {}
+                            }
+                        });
+                        break;
+                    case 'tool_result': {
+                        const resultText = AnthropicAdapter.toolResultText(block.content);
+                        ollamaMessages.push({
+                            role: 'tool',
+                            tool_call_id: block.tool_use_id,
+                            tool_name: toolNames.get(block.tool_use_id),
+                            content: block.is_error ? `Error: ${resultText}` : resultText
+                        });
+                        break;
+                    }
+                    default:
+                        // thinking, document and other block types have no Ollama equivalent
+                        break;
+                }
+            }
+
+            if (textParts.length === 0 && images.length === 0 && toolCalls.length === 0) {
+                continue;
+            }
+
+            const ollamaMessage = {
+                role: message.role,
+                content: textParts.join('\n')
+            };
+            if (images.length > 0) ollamaMessage.images = images;
+            if (toolCalls.length > 0) ollamaMessage.tool_calls = toolCalls;
+
+            ollamaMessages.push(ollamaMessage);
+        }
+
+        return ollamaMessages;
+    }
+
+    /**
+     * Map Anthropic sampling parameters onto Ollama options
+     */
+    static toOllamaOptions(body) {
+        const options = {};
+        if (typeof body.max_tokens === 'number') options.num_predict = body.max_tokens;
+        if (typeof body.temperature === 'number') options.temperature = body.temperature;
+        if (typeof body.top_p === 'number') options.top_p = body.top_p;
+        if (typeof body.top_k === 'number') options.top_k = body.top_k;
+        if (Array.isArray(body.stop_sequences) && body.stop_sequences.length > 0) {
+            options.stop = body.stop_sequences;
+        }
+        return Object.keys(options).length > 0 ? options : undefined;
+    }
+
+    /**
+     * Text of the last user turn, for session memory tracking
+     */
+    static lastUserText(body) {
+        const messages = body.messages || [];
+        const last = messages[messages.length - 1];
+        if (!last || last.role !== 'user') return null;
+        if (typeof last.content === 'string') return last.content;
+        if (!Array.isArray(last.content)) return null;
+
+        const text = last.content
+            .filter(block => block.type === 'text')
+            .map(block => block.text)
+            .join('\n');
+        return text || null;
+    }
+
+    /**
+     * Validate the parts of the request Jack depends on
+     * @returns {string|null} - Error message, or null when the request is usable
+     */
+    static validateRequest(body) {
+        if (!body || typeof body !== 'object') return 'Request body must be a JSON object';
+        if (!Array.isArray(body.messages) || body.messages.length === 0) {
+            return 'messages: field required and must be a non-empty array';
+        }
+        for (const [index, message] of body.messages.entries()) {
+            if (message.role !== 'user' && message.role !== 'assistant') {
+                return `messages.${index}.role: must be "user" or "assistant"`;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Map an Ollama done_reason onto an Anthropic stop_reason
+     */
+    static stopReason(doneReason) {
+        return doneReason === 'length' ? 'max_tokens' : 'end_turn';
+    }
+
+    /**
+     * Build a non-streaming Anthropic message response
+     */
+    static buildMessage({ id, model, text, stopReason = 'end_turn', inputTokens = 0, outputTokens = 0 }) {
+        return {
+            id: id || AnthropicAdapter.createMessageId(),
+            type: 'message',
+            role: 'assistant',
+            model,
+            content: text ? [{ type: 'text', text }] : [],
+            stop_reason: stopReason,
+            stop_sequence: null,
+            usage: {
+                input_tokens: inputTokens,
+                output_tokens: outputTokens
+            }
+        };
+    }
+
+    /**
+     * Build an Anthropic error body
+     */
+    static buildError(type, message) {
+        return {
+            type: 'error',
+            error: { type, message }
+        };
+    }
+}
+
+class AnthropicStreamWriter {
+    /**
+     * @param {import('express').Response} res - Express response to stream into
+     * @param {Object} options
+     * @param {string} options.model - Model name reported to the client
+     */
+    constructor(res, options = {}) {
+        this.res = res;
+        this.model = options.model || 'unknown';
+        this.id = AnthropicAdapter.createMessageId();
+
+        this.blockIndex = 0;
+        this.blockOpen = false;
+        this.finished = false;
+        this.closed = false;
+
+        this.res.on('close', () => {
+            this.closed = true;
+        });
+    }
+
+    /**
+     * Send SSE headers - must be called before any event is written
+     */
+    open() {
+        this.res.setHeader('Content-Type', 'text/event-stream');
+        this.res.setHeader('Cache-Control', 'no-cache');
+        this.res.setHeader('Connection', 'keep-alive');
+        this.res.setHeader('X-Accel-Buffering', 'no');
+        if (typeof this.res.flushHeaders === 'function') {
+            this.res.flushHeaders();
+        }
+    }
+
+    /**
+     * Write one named SSE event
+     */
+    writeEvent(event, data) {
+        if (this.closed) return false;
+        this.res.write(`event: ${event}\ndata: ${JSON.stringify({ type: event, ...data })}\n\n`);
+        return true;
+    }
+
+    /**
+     * Announce the message - usage carries input tokens once they are known
+     */
+    start(inputTokens = 0) {
+        this.writeEvent('message_start', {
+            message: {
+                ...AnthropicAdapter.buildMessage({ id: this.id, model: this.model, text: '', inputTokens }),
+                stop_reason: null
+            }
+        });
+        this.writeEvent('ping', {});
+    }
+
+    /**
+     * Stream a text fragment, opening a text content block on first use
+     */
+    writeText(text) {
+        if (!text) return true;
+
+        if (!this.blockOpen) {
+            this.writeEvent('content_block_start', {
+                index: this.blockIndex,
+                content_block: { type: 'text', text: '' }
+            });
+            this.blockOpen = true;
+        }
+
+        return this.writeEvent('content_block_delta', {
+            index: this.blockIndex,
+            delta: { type: 'text_delta', text }
+        });
+    }
+
+    /**
+     * Close the current content block - the next text fragment starts a new one
+     */
+    closeBlock() {
+        if (!this.blockOpen) return;
+        this.writeEvent('content_block_stop', { index: this.blockIndex });
+        this.blockOpen = false;
+        this.blockIndex++;
+    }
+
+    /**
+     * Close the message with its stop reason and output token count
+     */
+    finish(stopReason = 'end_turn', outputTokens = 0) {
+        if (this.finished) return;
+        this.finished = true;
+
+        this.closeBlock();
+        this.writeEvent('message_delta', {
+            delta: { stop_reason: stopReason, stop_sequence: null },
+            usage: { output_tokens: outputTokens }
+        });
+        this.writeEvent('message_stop', {});
+    }
+
+    /**
+     * Report an error after headers were already sent (HTTP status can no longer change)
+     */
+    writeError(message, type = 'api_error') {
+        this.writeEvent('error', { error: { type, message } });
+    }
+
+    /**
+     * End the response
+     */
+    end() {
+        if (!this.closed) {
+            this.res.end();
+        }
+        this.closed = true;
+    }
+}
+
+module.exports = { AnthropicAdapter, AnthropicStreamWriter };
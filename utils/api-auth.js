@@ -0,0 +1,255 @@
+/**
+ * API Auth - Bearer-token authentication with per-key scopes for the Express server
+ * Keys are configured in .env (JACK_API_KEYS); auth stays off when no keys are configured.
+ *
+ * Format: entries separated by ';' or newlines, each "<id>:<token>:<scope>,<scope>,..."
+ *   JACK_API_KEYS=ide:sk-local-123:chat,tools;ci-bot:sha256:9f86d0...:chat,tools:read-only,telemetry
+ * Tokens may be stored as "sha256:<hex digest>" instead of plaintext, and may contain ':'.
+ * Malformed entries (unknown scopes, bad digests, duplicate ids) stop the server at startup.
+ * The tools scope optionally carries a tool policy ("tools:read-only", "tools:read_file+grep_search").
+ */
+
+const crypto = require('crypto');
+const logger = require('./logger');
+
+const SCOPES = ['chat', 'tools', 'canvas', 'admin', 'telemetry', 'review'];
+
+// Route -> scope table; routes missing here require 'admin' so new endpoints fail closed
+const ROUTE_SCOPES = [
+    { pattern: /^\/v1\//, scope: 'chat' },
+    { pattern: /^\/api\/models$/, scope: 'chat' },
+    { pattern: /^\/hijack\/execute$/, scope: 'tools' },
+    { pattern: /^\/mcp(\/|$)/, scope: 'tools' },
+    { pattern: /^\/jack\/canvas-/, scope: 'canvas' },
+    { pattern: /^\/jack\/localStorage$/, scope: 'canvas' },
+    { pattern: /^\/hijack\/status$/, scope: 'telemetry' },
+    { pattern: /^\/api\/status$/, scope: 'telemetry' },
+    { pattern: /^\/activity$/, scope: 'telemetry' },
+    { pattern: /^\/jack\/(web-usage|model-usage|terminal-log)$/, scope: 'telemetry' },
+    // Settings are readable with telemetry, changing them is an admin toggle
+    { pattern: /^\/jack\/(auto-accept|terminal-windows|token-budget|workspaces|undo)$/, methods: ['GET'], scope: 'telemetry' },
+    { pattern: /^\/jack\/checkpoints(\/\d+\/diff)?$/, methods: ['GET'], scope: 'telemetry' },
+    // The review page is static - its calls to /jack/edits carry the key
+    { pattern: /^\/jack\/review$/, methods: ['GET'], scope: 'public' },
+    { pattern: /^\/jack\/edits(\/[^/]+(\/(accept|reject|refactor))?)?$/, scope: 'review' },
+    { pattern: /^\/jack\/batches(\/[^/]+\/(accept|reject))?$/, scope: 'review' },
+    { pattern: /^\/api\/model$/, methods: ['GET'], scope: 'telemetry' }
+];
+
+class ApiAuth {
+    /**
+     * @param {string} keySpec - Raw JACK_API_KEYS value
+     */
+    constructor(keySpec = process.env.JACK_API_KEYS) {
+        this.keys = [];
+        // A configured but unparseable key list still enables auth - fail closed
+        this.enabled = !!(keySpec && keySpec.trim());
+
+        if (this.enabled) {
+            this.keys = ApiAuth.parseKeys(keySpec);
+        }
+    }
+
+    /**
+     * Parse the JACK_API_KEYS format into key records
+     * Tokens may contain ':' themselves - the scope list starts after the last ':' that leaves a
+     * valid scope list behind (a "tools:<policy>" scope carries its own ':').
+     * @returns {Array<{id: string, digest: Buffer, scopes: Set<string>, toolPolicy: string|null}>}
+     * @throws {Error} Naming every malformed entry (never the token), so a typo fails at startup
+     */
+    static parseKeys(keySpec) {
+        const keys = [];
+        const problems = [];
+
+        keySpec.split(/[;\n]/).forEach((rawEntry, index) => {
+            const entry = rawEntry.trim();
+            if (!entry) return;
+
+            const idEnd = entry.indexOf(':');
+            const id = idEnd > 0 ? entry.slice(0, idEnd).trim() : '';
+            if (!id) {
+                problems.push(`entry ${index + 1}: expected id:token:scopes`);
+                return;
+            }
+
+            const rest = entry.slice(idEnd + 1);
+            let token = null;
+            let parsed = null;
+
+            for (let separator = rest.lastIndexOf(':'); separator > 0; separator = rest.lastIndexOf(':', separator - 1)) {
+                parsed = ApiAuth.parseScopes(rest.slice(separator + 1));
+                if (parsed) {
+                    token = rest.slice(0, separator);
+                    break;
+                }
+            }
+
+            if (!parsed) {
+                problems.push(`key '${id}': expected id:token:scopes with scopes from ${SCOPES.join(', ')}, tools:<policy> or *`);
+                return;
+            }
+
+            if (token.startsWith('sha256:') && !/^sha256:[0-9a-f]{64}$/i.test(token)) {
+                problems.push(`key '${id}': sha256 tokens need a 64-digit hex digest`);
+                return;
+            }
+
+            if (keys.some(key => key.id === id)) {
+                problems.push(`key '${id}': duplicate id`);
+                return;
+            }
+
+            keys.push({
+                id,
+                digest: ApiAuth.digestFor(token),
+                scopes: parsed.scopes,
+                toolPolicy: parsed.toolPolicy
+            });
+        });
+
+        if (problems.length > 0) {
+            throw new Error(`Invalid JACK_API_KEYS - ${problems.join('; ')}`);
+        }
+
+        return keys;
+    }
+
+    /**
+     * Parse a comma-separated scope list
+     * @returns {{scopes: Set<string>, toolPolicy: string|null}|null} null when a scope is unknown or none is given
+     */
+    static parseScopes(scopeList) {
+        const scopes = new Set();
+        let toolPolicy = null;
+
+        for (const rawScope of scopeList.split(',')) {
+            const scope = rawScope.trim();
+            if (!scope) continue;
+
+            if (scope === '*') {
+                SCOPES.forEach(name => scopes.add(name));
+            } else if (/^tools:[^:,\s]+$/.test(scope)) {
+                scopes.add('tools');
+                toolPolicy = scope.slice('tools:'.length).split('+').join(',');
+            } else if (SCOPES.includes(scope)) {
+                scopes.add(scope);
+            } else {
+                return null;
+            }
+        }
+
+        return scopes.size > 0 ? { scopes, toolPolicy } : null;
+    }
+
+    /**
+     * SHA-256 digest of a configured token ("sha256:<hex>" tokens are already digests)
+     */
+    static digestFor(token) {
+        if (token.startsWith('sha256:')) {
+            return Buffer.from(token.slice('sha256:'.length), 'hex');
+        }
+        return crypto.createHash('sha256').update(token).digest();
+    }
+
+    /**
+     * Scope required for a route (unlisted routes require admin)
+     */
+    static scopeFor(method, path) {
+        const match = ROUTE_SCOPES.find(route =>
+            route.pattern.test(path) && (!route.methods || route.methods.includes(method))
+        );
+        return match ? match.scope : 'admin';
+    }
+
+    /**
+     * Extract the presented token - Authorization: Bearer, or x-api-key for Anthropic clients
+     */
+    static tokenFrom(req) {
+        const header = req.get('Authorization');
+        if (header && /^Bearer\s+/i.test(header)) {
+            return header.replace(/^Bearer\s+/i, '').trim();
+        }
+        return req.get('X-Api-Key') || null;
+    }
+
+    /**
+     * Find the key record for a presented token (constant-time digest comparison)
+     */
+    authenticate(token) {
+        if (!token) return null;
+        const digest = crypto.createHash('sha256').update(token).digest();
+
+        return this.keys.find(key =>
+            key.digest.length === digest.length && crypto.timingSafeEqual(key.digest, digest)
+        ) || null;
+    }
+
+    /**
+     * Express middleware - authenticates, checks the route scope, and logs each request with its key id
+     * Sets req.jackAuth = { keyId, scopes, toolPolicy } for downstream handlers.
+     */
+    middleware() {
+        return (req, res, next) => {
+            // CORS preflight carries no credentials
+            if (req.method === 'OPTIONS') return next();
+
+            if (!this.enabled) {
+                req.jackAuth = { keyId: 'anonymous', scopes: new Set(SCOPES), toolPolicy: null };
+                return next();
+            }
+
+            const requiredScope = ApiAuth.scopeFor(req.method, req.path);
+            if (requiredScope === 'public') return next();
+
+            const key = this.authenticate(ApiAuth.tokenFrom(req));
+
+            if (!key) {
+                logger.warn(`🔒 [unauthenticated] ${req.method} ${req.path} → 401`);
+                return res.status(401).json({
+                    error: 'Unauthorized',
+                    details: 'Missing or invalid API key (use Authorization: Bearer <key>)'
+                });
+            }
+
+            if (!key.scopes.has(requiredScope)) {
+                logger.warn(`🔒 [${key.id}] ${req.method} ${req.path} → 403 (missing scope '${requiredScope}')`);
+                return res.status(403).json({
+                    error: 'Forbidden',
+                    details: `API key '${key.id}' lacks the '${requiredScope}' scope`
+                });
+            }
+
+            req.jackAuth = {
+                keyId: key.id,
+                scopes: key.scopes,
+                // Keys without the tools scope may chat, but Jack runs no tools for them
+                toolPolicy: key.scopes.has('tools') ? key.toolPolicy : 'none'
+            };
+
+            const startTime = Date.now();
+            res.on('finish', () => {
+                const line = `🔑 [${key.id}] ${req.method} ${req.path} → ${res.statusCode} (${Date.now() - startTime}ms)`;
+                // Status polling would drown everything else at INFO
+                if (requiredScope === 'telemetry') {
+                    logger.debug(line);
+                } else {
+                    logger.info(line);
+                }
+            });
+
+            next();
+        };
+    }
+
+    /**
+     * Summary for /api/status (never includes tokens or key ids)
+     */
+    getStatus() {
+        return {
+            enabled: this.enabled,
+            keyCount: this.keys.length
+        };
+    }
+}
+
+module.exports = ApiAuth;
@@ -0,0 +1,255 @@
+/**
+ * Auto-Accept Policy - Rules deciding which proposed edits apply without review
+ * Rules live in a JSON file (JACK_AUTO_ACCEPT_POLICY, default auto-accept-policy.json in Jack's
+ * directory) and are re-read when the file changes:
+ *
+ *   { "rules": [
+ *       { "name": "no-push", "action": "prompt", "command": "\\bgit\\s+push\\b" },
+ *       { "name": "env-files", "action": "prompt", "paths": [".env", ".env.*"] },
+ *       { "name": "small-src-edits", "action": "accept", "operation": "surgical_edit",
+ *         "paths": ["src/**"], "maxChangedLines": 19, "maxRisk": "LOW" }
+ *   ] }
+ *
+ * Conditions of a rule all have to hold. `prompt` rules win over `accept` rules regardless of
+ * order, so "always ask for X" cannot be overridden by a broader accept rule (or by auto-accept on).
+ * Destructive git commands (reset --hard, push --force, clean -f, ...) always prompt, whatever the rules.
+ * An accept rule's `paths` must match every file the edit writes; a prompt rule's any of them.
+ * Globs without a slash match the file name at any depth.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+const ACTIONS = ['accept', 'prompt'];
+const RISK_LEVELS = ['LOW', 'MEDIUM', 'HIGH', 'CRITICAL'];
+const OPERATIONS = ['write_file', 'surgical_edit', 'multi_edit', 'apply_patch', 'execute_command', 'git_operation'];
+const DESTRUCTIVE_RULE = 'destructive git command (built-in)';
+
+/**
+ * Split the inside of a {...} group on its top-level commas; null when the "{" at `open` is never closed
+ * @returns {{alternatives: string[], end: number}|null} - `end` is the index of the matching "}"
+ */
+function braceAlternatives(glob, open) {
+    const alternatives = [];
+    let depth = 0;
+    let start = open + 1;
+    for (let i = start; i < glob.length; i++) {
+        if (glob[i] === '{') {
+            depth++;
+        } else if (glob[i] === '}' && depth > 0) {
+            depth--;
+        } else if (glob[i] === '}') {
+            alternatives.push(glob.slice(start, i));
+            return { alternatives, end: i };
+        } else if (glob[i] === ',' && depth === 0) {
+            alternatives.push(glob.slice(start, i));
+            start = i + 1;
+        }
+    }
+    return null;
+}
+
+/**
+ * Regular expression source for a glob; {a,b} alternatives are translated with the same rules, nested groups included
+ */
+function globPattern(glob) {
+    let pattern = '';
+    for (let i = 0; i < glob.length; i++) {
+        const char = glob[i];
+        if (char === '*' && glob[i + 1] === '*') {
+            // "**/" matches any number of directories, a trailing "**" anything below
+            if (glob[i + 2] === '/') {
+                pattern += '(?:.*/)?';
+                i += 2;
+            } else {
+                pattern += '.*';
+                i += 1;
+            }
+        } else if (char === '*') {
+            pattern += '[^/]*';
+        } else if (char === '?') {
+            pattern += '[^/]';
+        } else if (char === '{') {
+            const group = braceAlternatives(glob, i);
+            if (!group) {
+                pattern += '\\{';
+                continue;
+            }
+            pattern += `(?:${group.alternatives.map(globPattern).join('|')})`;
+            i = group.end;
+        } else {
+            pattern += char.replace(/[.+^$()|[\]\\{}]/g, '\\$&');
+        }
+    }
+    return pattern;
+}
+
+/**
+ * Translate a glob (**, *, ?, {a,b}) into a regular expression for workspace-relative paths
+ */
+function globToRegExp(glob) {
+    return new RegExp(`^${globPattern(glob)}$`);
+}
+
+/**
+ * Whether a workspace-relative path matches a glob
+ */
+function matchesGlob(filePath, glob) {
+    const normalized = filePath.replace(/\\/g, '/').replace(/^\.\//, '');
+    const target = glob.includes('/') ? normalized : normalized.split('/').pop();
+    return globToRegExp(glob.replace(/^\.\//, '')).test(target);
+}
+
+const asList = value => (value === undefined ? [] : (Array.isArray(value) ? value : [value]));
+
+class AutoAcceptPolicy {
+    /**
+     * @param {string|null} filePath - Policy file (null = no file, no rules)
+     */
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.rules = [];
+        this.loadedMtime = null;
+        this.error = null;
+    }
+
+    /**
+     * Policy for JACK_AUTO_ACCEPT_POLICY, or auto-accept-policy.json in Jack's directory
+     * @param {string} jackRoot - Jack's install directory (default location)
+     */
+    static fromEnv(jackRoot) {
+        const filePath = process.env.JACK_AUTO_ACCEPT_POLICY
+            ? path.resolve(jackRoot, process.env.JACK_AUTO_ACCEPT_POLICY)
+            : path.join(jackRoot, 'auto-accept-policy.json');
+        const policy = new AutoAcceptPolicy(filePath);
+        policy.refresh();
+        if (process.env.JACK_AUTO_ACCEPT_POLICY && !fs.existsSync(filePath)) {
+            logger.warn(`Auto-accept policy not found: ${filePath}`);
+        }
+        return policy;
+    }
+
+    /**
+     * Validate and normalize one rule from the file
+     * @throws {Error} On unknown actions, operations, risk levels or bad patterns
+     */
+    static parseRule(rule, index) {
+        const name = rule.name || `rule ${index + 1}`;
+        if (!ACTIONS.includes(rule.action)) {
+            throw new Error(`${name}: action must be one of ${ACTIONS.join(', ')}`);
+        }
+        const operations = asList(rule.operation);
+        const unknown = operations.filter(operation => !OPERATIONS.includes(operation));
+        if (unknown.length > 0) {
+            throw new Error(`${name}: unknown operation ${unknown.join(', ')} (valid: ${OPERATIONS.join(', ')})`);
+        }
+        if (rule.maxRisk !== undefined && !RISK_LEVELS.includes(String(rule.maxRisk).toUpperCase())) {
+            throw new Error(`${name}: maxRisk must be one of ${RISK_LEVELS.join(', ')}`);
+        }
+        if (rule.maxChangedLines !== undefined && !(Number.isInteger(rule.maxChangedLines) && rule.maxChangedLines >= 0)) {
+            throw new Error(`${name}: maxChangedLines must be a non-negative integer`);
+        }
+
+        let commands;
+        try {
+            commands = asList(rule.command).map(pattern => new RegExp(pattern, 'i'));
+        } catch (error) {
+            throw new Error(`${name}: invalid command pattern - ${error.message}`);
+        }
+
+        return {
+            name,
+            action: rule.action,
+            operations,
+            paths: asList(rule.paths),
+            commands,
+            maxChangedLines: rule.maxChangedLines,
+            maxRisk: rule.maxRisk === undefined ? null : String(rule.maxRisk).toUpperCase()
+        };
+    }
+
+    /**
+     * Re-read the policy file if it changed since the last load
+     * A file that fails to parse leaves no rules active (every edit is prompted for).
+     */
+    refresh() {
+        if (!this.filePath) return;
+
+        let stat;
+        try {
+            stat = fs.statSync(this.filePath);
+        } catch (error) {
+            this.rules = [];
+            this.loadedMtime = null;
+            return;
+        }
+        if (this.loadedMtime === stat.mtimeMs) return;
+        this.loadedMtime = stat.mtimeMs;
+
+        try {
+            const parsed = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+            this.rules = asList(parsed.rules).map((rule, index) => AutoAcceptPolicy.parseRule(rule, index));
+            this.error = null;
+            logger.info(`Auto-accept policy loaded: ${this.rules.length} rule(s) from ${this.filePath}`);
+        } catch (error) {
+            this.rules = [];
+            this.error = error.message;
+            logger.warn(`Could not read auto-accept policy ${this.filePath}: ${error.message} - no rules active`);
+        }
+    }
+
+    /**
+     * Whether a rule's conditions hold for an edit
+     */
+    static matches(rule, edit) {
+        if (rule.operations.length > 0 && !rule.operations.includes(edit.operation)) return false;
+
+        if (rule.paths.length > 0) {
+            if (edit.files.length === 0) return false;
+            const matchesAny = file => rule.paths.some(glob => matchesGlob(file, glob));
+            // accept: the whole edit must be inside the paths; prompt: touching one is enough
+            if (rule.action === 'accept' ? !edit.files.every(matchesAny) : !edit.files.some(matchesAny)) return false;
+        }
+
+        if (rule.commands.length > 0 && !(edit.command && rule.commands.some(pattern => pattern.test(edit.command)))) {
+            return false;
+        }
+        if (rule.maxChangedLines !== undefined && !(edit.changedLines !== null && edit.changedLines <= rule.maxChangedLines)) {
+            return false;
+        }
+        if (rule.maxRisk && !(edit.riskLevel && RISK_LEVELS.indexOf(edit.riskLevel) <= RISK_LEVELS.indexOf(rule.maxRisk))) {
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Decide a proposed edit
+     * @param {{operation: string, files: string[], changedLines: number|null, command: string|null, riskLevel: string|null, destructive: boolean}} edit
+     * @returns {{action: string, rule: string}|null} - null when no rule matches (the caller's default applies)
+     */
+    evaluate(edit) {
+        if (edit.destructive) {
+            return { action: 'prompt', rule: DESTRUCTIVE_RULE };
+        }
+        this.refresh();
+        const matched = this.rules.filter(rule => AutoAcceptPolicy.matches(rule, edit));
+        const decisive = matched.find(rule => rule.action === 'prompt') || matched[0];
+        return decisive ? { action: decisive.action, rule: decisive.name } : null;
+    }
+
+    /**
+     * Summary for /jack/auto-accept and the chat
+     */
+    getStatus() {
+        return {
+            file: this.filePath,
+            loaded: this.loadedMtime !== null,
+            error: this.error,
+            rules: this.rules.map(rule => ({ name: rule.name, action: rule.action }))
+        };
+    }
+}
+
+module.exports = { AutoAcceptPolicy, matchesGlob };
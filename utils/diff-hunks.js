@@ -0,0 +1,141 @@
+/**
+ * Diff Hunks - Line diffs broken into numbered hunks
+ * Shared by the engine's unified diffs (show_diff) and the edit controller, so the hunk
+ * numbers shown for a proposed edit are the ones `accept <edit_id> hunks 1,3` refers to.
+ */
+
+const { matchLines } = require('./three-way-merge');
+
+/**
+ * Split the differences between two line arrays into hunks
+ * Changes closer together than twice the context are kept in one hunk.
+ * @param {string[]} oldLines
+ * @param {string[]} newLines
+ * @param {number} contextLines - Unchanged lines kept around each change
+ * @returns {Array<{index: number, oldStart: number, oldCount: number, newStart: number, newCount: number, lines: string[], added: number, removed: number}>} -
+ *   1-based hunk index, 0-based start offsets, and the hunk body as ' '/'-'/'+' prefixed lines
+ */
+function computeHunks(oldLines, newLines, contextLines = 3) {
+    // Changed regions between consecutive matching lines
+    const changes = [];
+    let oldPos = 0;
+    let newPos = 0;
+    for (const [oldMatch, newMatch] of [...matchLines(oldLines, newLines), [oldLines.length, newLines.length]]) {
+        if (oldMatch > oldPos || newMatch > newPos) {
+            changes.push({ oldStart: oldPos, oldEnd: oldMatch, newStart: newPos, newEnd: newMatch });
+        }
+        oldPos = oldMatch + 1;
+        newPos = newMatch + 1;
+    }
+
+    // Group changes whose context would overlap
+    const groups = [];
+    for (const change of changes) {
+        const last = groups[groups.length - 1];
+        if (last && change.oldStart - last[last.length - 1].oldEnd <= contextLines * 2) {
+            last.push(change);
+        } else {
+            groups.push([change]);
+        }
+    }
+
+    return groups.map((group, index) => {
+        const first = group[0];
+        const last = group[group.length - 1];
+        const oldStart = Math.max(0, first.oldStart - contextLines);
+        const oldEnd = Math.min(oldLines.length, last.oldEnd + contextLines);
+        const newStart = first.newStart - (first.oldStart - oldStart);
+        const newEnd = last.newEnd + (oldEnd - last.oldEnd);
+
+        const lines = [];
+        let added = 0;
+        let removed = 0;
+        let cursor = oldStart;
+        for (const change of group) {
+            for (; cursor < change.oldStart; cursor++) lines.push(` ${oldLines[cursor]}`);
+            for (let i = change.oldStart; i < change.oldEnd; i++, removed++) lines.push(`-${oldLines[i]}`);
+            for (let i = change.newStart; i < change.newEnd; i++, added++) lines.push(`+${newLines[i]}`);
+            cursor = change.oldEnd;
+        }
+        for (; cursor < oldEnd; cursor++) lines.push(` ${oldLines[cursor]}`);
+
+        return {
+            index: index + 1,
+            oldStart,
+            oldCount: oldEnd - oldStart,
+            newStart,
+            newCount: newEnd - newStart,
+            lines,
+            added,
+            removed
+        };
+    });
+}
+
+/**
+ * The "@@ -a,b +c,d @@" header of a hunk (1-based lines; an empty side points at the line before it)
+ */
+function formatHunkHeader(hunk) {
+    const oldFrom = hunk.oldCount === 0 ? hunk.oldStart : hunk.oldStart + 1;
+    const newFrom = hunk.newCount === 0 ? hunk.newStart : hunk.newStart + 1;
+    return `@@ -${oldFrom},${hunk.oldCount} +${newFrom},${hunk.newCount} @@`;
+}
+
+/**
+ * Render hunks as a unified diff
+ */
+function formatUnifiedDiff(filePath, hunks) {
+    const diff = [`--- a/${filePath}`, `+++ b/${filePath}`];
+    for (const hunk of hunks) {
+        diff.push(formatHunkHeader(hunk), ...hunk.lines);
+    }
+    return diff.join('\n');
+}
+
+/**
+ * Apply only some hunks to the old lines
+ * @param {string[]} oldLines - The lines the hunks were computed from
+ * @param {Array} hunks - Result of computeHunks
+ * @param {Iterable<number>} selected - 1-based indexes of the hunks to apply
+ * @returns {string[]}
+ */
+function applyHunks(oldLines, hunks, selected) {
+    const wanted = new Set(selected);
+    const output = [];
+    let position = 0;
+
+    for (const hunk of hunks) {
+        if (!wanted.has(hunk.index)) continue;
+        output.push(...oldLines.slice(position, hunk.oldStart));
+        for (const line of hunk.lines) {
+            if (line[0] !== '-') output.push(line.slice(1));
+        }
+        position = hunk.oldStart + hunk.oldCount;
+    }
+
+    output.push(...oldLines.slice(position));
+    return output;
+}
+
+/**
+ * Parse a hunk list such as "1,3" or "2-4,6"
+ * @returns {number[]} - Sorted, de-duplicated 1-based indexes
+ * @throws {Error} On malformed lists
+ */
+function parseHunkList(spec) {
+    const indexes = new Set();
+    for (const part of String(spec || '').split(',')) {
+        const range = part.trim().match(/^(\d+)(?:-(\d+))?$/);
+        if (!range) {
+            throw new Error(`Invalid hunk list '${spec}' - use numbers and ranges like 1,3 or 2-4`);
+        }
+        const from = parseInt(range[1], 10);
+        const to = range[2] ? parseInt(range[2], 10) : from;
+        for (let index = Math.min(from, to); index <= Math.max(from, to); index++) {
+            indexes.add(index);
+        }
+    }
+    return [...indexes].sort((a, b) => a - b);
+}
+
+module.exports = { computeHunks, formatHunkHeader, formatUnifiedDiff, applyHunks, parseHunkList };
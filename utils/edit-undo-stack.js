@@ -0,0 +1,314 @@
+/**
+ * Edit Undo Stack - Persistent undo/redo for applied file edits
+ * Every applied write_file / surgical_edit (and each file of a multi_edit) is recorded with
+ * the file content before and after it landed. The stacks live in .edits/undo.json so they survive restarts; on first
+ * use they are seeded from .edits/history.json.
+ *
+ * Undo/redo refuse to overwrite a file that changed since Jack last wrote it (hash
+ * mismatch) unless forced - the file's current content is backed up either way.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+const FILE_OPERATIONS = ['write_file', 'surgical_edit'];
+
+class EditUndoStack {
+    /**
+     * @param {string} workspaceRoot - Root that entry paths are relative to
+     * @param {string} editsDir - The controller's .edits directory
+     * @param {Object} options
+     * @param {number} options.limit - Undo entries kept (oldest are dropped)
+     */
+    constructor(workspaceRoot, editsDir, options = {}) {
+        this.workspaceRoot = workspaceRoot;
+        this.editsDir = editsDir;
+        this.limit = options.limit || 100;
+
+        this.stateFile = path.join(editsDir, 'undo.json');
+        this.undoStack = []; // oldest first
+        this.redoStack = []; // most recently undone last
+        this.loaded = false;
+    }
+
+    static hash(content) {
+        return content === null ? null : crypto.createHash('sha256').update(content).digest('hex');
+    }
+
+    /**
+     * Load the persisted stacks, or seed the undo stack from the edit history
+     */
+    async load() {
+        if (this.loaded) return;
+        this.loaded = true;
+
+        try {
+            const state = JSON.parse(await fs.readFile(this.stateFile, 'utf8'));
+            this.undoStack = state.undoStack || [];
+            this.redoStack = state.redoStack || [];
+            return;
+        } catch (error) {
+            // No saved stacks yet - fall back to history.json
+        }
+
+        let history = [];
+        try {
+            history = JSON.parse(await fs.readFile(path.join(this.editsDir, 'history.json'), 'utf8'));
+        } catch (error) {
+            return;
+        }
+
+        // history.json is append-only: the last record for an edit id is its final state
+        const finalState = new Map();
+        for (const record of history) {
+            if (record && record.id) finalState.set(record.id, record);
+        }
+
+        for (const record of history) {
+            if (!record || finalState.get(record.id) !== record || record.status !== 'applied') continue;
+
+            const operation = record.operation || {};
+            if (!FILE_OPERATIONS.includes(operation.type) || operation.mode === 'append') continue;
+
+            const before = record.backup ? record.backup.content : null;
+            this.undoStack.push(this.createEntry(record, before, operation.content));
+        }
+        this.undoStack = this.undoStack.slice(-this.limit);
+    }
+
+    async save() {
+        await fs.mkdir(this.editsDir, { recursive: true });
+        await fs.writeFile(this.stateFile, JSON.stringify({
+            undoStack: this.undoStack,
+            redoStack: this.redoStack
+        }, null, 2));
+    }
+
+    createEntry(edit, before, after, batchId = null) {
+        return {
+            editId: edit.id,
+            batchId,
+            filePath: edit.operation.filePath,
+            description: edit.description || '',
+            appliedAt: edit.appliedAt || new Date().toISOString(),
+            before,
+            after,
+            beforeHash: EditUndoStack.hash(before),
+            afterHash: EditUndoStack.hash(after)
+        };
+    }
+
+    resolvePath(filePath) {
+        const fullPath = path.resolve(this.workspaceRoot, filePath);
+        const relativePath = path.normalize(path.relative(this.workspaceRoot, fullPath));
+        if (relativePath.startsWith('..') || path.isAbsolute(relativePath)) {
+            throw new Error(`Security violation: Path traversal detected. File path '${filePath}' resolves outside workspace: ${this.workspaceRoot}`);
+        }
+        return fullPath;
+    }
+
+    /**
+     * Current content of a workspace file, or null when it does not exist
+     */
+    async readFile(filePath) {
+        try {
+            return await fs.readFile(this.resolvePath(filePath), 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    /**
+     * Whether an edit operation can be undone by this stack
+     */
+    static isUndoable(operation) {
+        return !!operation && FILE_OPERATIONS.includes(operation.type);
+    }
+
+    /**
+     * Record an applied edit - the content after it is read from disk
+     * @param {Object} edit - The applied edit
+     * @param {string|null} before - File content right before the edit was applied (null = new file)
+     * @param {string|null} after - File content the edit produced (read from disk when omitted)
+     * @param {string|null} batchId - Set when the edit was applied as part of an atomic batch (undone together)
+     */
+    async record(edit, before, after = undefined, batchId = null) {
+        if (!EditUndoStack.isUndoable(edit.operation)) return;
+        await this.load();
+
+        if (after === undefined) {
+            after = await this.readFile(edit.operation.filePath);
+        }
+        // The history seed may already hold this edit when the stacks are first loaded here
+        // (a multi-file edit has one entry per file)
+        this.undoStack = this.undoStack.filter(entry => entry.editId !== edit.id || entry.filePath !== edit.operation.filePath);
+        this.undoStack.push(this.createEntry(edit, before, after, batchId));
+        if (this.undoStack.length > this.limit) {
+            this.undoStack.shift();
+        }
+        // A new change invalidates everything that was undone before it
+        this.redoStack = [];
+        await this.save();
+    }
+
+    /**
+     * Forget an edit (e.g. an applied edit that was rejected and restored)
+     */
+    async drop(editId) {
+        await this.load();
+        const before = this.undoStack.length;
+        this.undoStack = this.undoStack.filter(entry => entry.editId !== editId);
+        if (this.undoStack.length !== before) {
+            await this.save();
+        }
+    }
+
+    /**
+     * Pick the entries for an undo/redo: one specific edit (every file it touched), or the last
+     * `count` groups from the top of the stack (edits applied as one batch form one group)
+     */
+    static selectEntries(stack, { count = 1, editId = null }) {
+        if (editId) {
+            return stack.filter(candidate => candidate.editId === editId).reverse();
+        }
+
+        const selected = [];
+        let groups = 0;
+        for (let i = stack.length - 1; i >= 0 && groups < count; i--) {
+            const entry = stack[i];
+            selected.push(entry);
+
+            const next = stack[i - 1];
+            const sameBatch = entry.batchId && next && next.batchId === entry.batchId;
+            if (!sameBatch) groups++;
+        }
+        return selected; // top of stack first
+    }
+
+    /**
+     * Undo applied edits - the last one by default
+     * @param {Object} options - { count, editId, force }
+     * @returns {Promise<{success: boolean, entries?: Array, conflicts?: Array, error?: string}>}
+     */
+    async undo(options = {}) {
+        await this.load();
+        return this.move(this.undoStack, this.redoStack, options, 'undo');
+    }
+
+    /**
+     * Re-apply undone edits - the most recently undone by default
+     */
+    async redo(options = {}) {
+        await this.load();
+        return this.move(this.redoStack, this.undoStack, options, 'redo');
+    }
+
+    /**
+     * Shared undo/redo: verify every file still holds what we expect, then write the
+     * other side of each entry and move it to the opposite stack
+     */
+    async move(fromStack, toStack, options, direction) {
+        const entries = EditUndoStack.selectEntries(fromStack, options);
+        if (entries.length === 0) {
+            return {
+                success: false,
+                error: options.editId
+                    ? `Edit ${options.editId} is not on the ${direction} stack`
+                    : `Nothing to ${direction}`
+            };
+        }
+
+        // The state each file must be in before we touch it; entries are processed in
+        // order, so an earlier entry's result is the expected state for a later one
+        const expected = new Map();
+        const conflicts = [];
+        for (const entry of entries) {
+            const wantHash = direction === 'undo' ? entry.afterHash : entry.beforeHash;
+            const currentHash = expected.has(entry.filePath)
+                ? expected.get(entry.filePath)
+                : EditUndoStack.hash(await this.readFile(entry.filePath));
+
+            if (currentHash !== wantHash) {
+                conflicts.push({ editId: entry.editId, filePath: entry.filePath });
+            }
+            expected.set(entry.filePath, direction === 'undo' ? entry.beforeHash : entry.afterHash);
+        }
+
+        if (conflicts.length > 0 && !options.force) {
+            return {
+                success: false,
+                conflicts,
+                error: `${conflicts.map(conflict => conflict.filePath).join(', ')} changed since Jack last wrote ${conflicts.length === 1 ? 'it' : 'them'} - use --force to ${direction} anyway`
+            };
+        }
+
+        // Keep whatever is on disk now, so a forced undo/redo never loses work
+        const backupDir = path.join(this.editsDir, 'backups', new Date().toISOString().split('T')[0], `${direction}_${Date.now()}`);
+        const backedUp = new Set();
+        for (const entry of entries) {
+            if (backedUp.has(entry.filePath)) continue;
+            backedUp.add(entry.filePath);
+
+            const current = await this.readFile(entry.filePath);
+            if (current === null) continue;
+            const backupPath = path.join(backupDir, entry.filePath);
+            await fs.mkdir(path.dirname(backupPath), { recursive: true });
+            await fs.writeFile(backupPath, current, 'utf8');
+        }
+
+        for (const entry of entries) {
+            const content = direction === 'undo' ? entry.before : entry.after;
+            const fullPath = this.resolvePath(entry.filePath);
+
+            if (content === null) {
+                await fs.rm(fullPath, { force: true });
+            } else {
+                await fs.mkdir(path.dirname(fullPath), { recursive: true });
+                await fs.writeFile(fullPath, content, 'utf8');
+            }
+
+            fromStack.splice(fromStack.indexOf(entry), 1);
+            entry[direction === 'undo' ? 'undoneAt' : 'redoneAt'] = new Date().toISOString();
+        }
+
+        // Entries were processed top-down, so the last one processed ends up on top -
+        // a batch undone last-edit-first is redone first-edit-first
+        toStack.push(...entries);
+        await this.save();
+
+        return {
+            success: true,
+            entries: entries.map(entry => EditUndoStack.summarize(entry)),
+            forced: conflicts.length > 0,
+            backupDir: backedUp.size > 0 ? backupDir : null
+        };
+    }
+
+    static summarize(entry) {
+        return {
+            editId: entry.editId,
+            batchId: entry.batchId,
+            filePath: entry.filePath,
+            description: entry.description,
+            appliedAt: entry.appliedAt,
+            undoneAt: entry.undoneAt || null,
+            createdFile: entry.before === null,
+            deletedFile: entry.after === null
+        };
+    }
+
+    /**
+     * Both stacks, most recent first
+     */
+    async list() {
+        await this.load();
+        return {
+            undo: this.undoStack.slice().reverse().map(entry => EditUndoStack.summarize(entry)),
+            redo: this.redoStack.slice().reverse().map(entry => EditUndoStack.summarize(entry))
+        };
+    }
+}
+
+module.exports = EditUndoStack;
@@ -0,0 +1,338 @@
+/**
+ * Git Checkpoints - Every applied edit committed to a shadow ref (refs/jack/checkpoints)
+ * Commits are built with plumbing commands and a temporary index file, so the user's branch,
+ * index and working tree are never touched. The chain starts with a baseline commit holding
+ * HEAD's tree (#0); each checkpoint after it records the files one edit (or batch, undo, redo,
+ * restore) left behind. When a file differed from the last checkpoint before Jack wrote it,
+ * that state is committed first, so nothing saved outside Jack is lost either.
+ *
+ * Checkpoints are numbered from the baseline: `checkpoints restore 3` puts every file changed
+ * after #3 back to its content at #3.
+ */
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+
+const CHECKPOINT_REF = 'refs/jack/checkpoints';
+const IDENTITY = {
+    GIT_AUTHOR_NAME: 'Jack Checkpoints',
+    GIT_AUTHOR_EMAIL: 'checkpoints@jack.local',
+    GIT_COMMITTER_NAME: 'Jack Checkpoints',
+    GIT_COMMITTER_EMAIL: 'checkpoints@jack.local'
+};
+
+class GitCheckpoints {
+    /**
+     * @param {string} workspaceRoot - Workspace directory (may be a subdirectory of the repository)
+     * @param {Object} options
+     * @param {boolean} options.enabled - Record checkpoints for applied edits
+     * @param {string} options.ref - Shadow ref to commit to
+     */
+    constructor(workspaceRoot, options = {}) {
+        this.workspaceRoot = workspaceRoot;
+        this.enabled = !!options.enabled;
+        this.ref = options.ref || CHECKPOINT_REF;
+
+        this.repo = undefined; // { root, prefix } once probed, null when not a git work tree
+        this.queue = Promise.resolve(); // Checkpoints are committed one at a time
+    }
+
+    /**
+     * Run git in the workspace (or `cwd`)
+     * @returns {Promise<string>} - stdout
+     * @throws {Error} With git's stderr when it exits non-zero
+     */
+    git(args, { input = null, env = {}, cwd = this.workspaceRoot } = {}) {
+        return new Promise((resolve, reject) => {
+            const child = spawn('git', args, {
+                cwd,
+                env: { ...process.env, ...env },
+                stdio: ['pipe', 'pipe', 'pipe']
+            });
+            const stdout = [];
+            const stderr = [];
+            child.stdout.on('data', chunk => stdout.push(chunk));
+            child.stderr.on('data', chunk => stderr.push(chunk));
+            child.on('error', reject);
+            child.on('close', code => {
+                if (code === 0) {
+                    resolve(Buffer.concat(stdout).toString('utf8'));
+                } else {
+                    reject(new Error(`git ${args[0]} failed: ${Buffer.concat(stderr).toString('utf8').trim() || `exit code ${code}`}`));
+                }
+            });
+            child.stdin.end(input === null ? undefined : input);
+        });
+    }
+
+    /**
+     * Whether the workspace is inside a git work tree (probed once)
+     */
+    async isAvailable() {
+        if (this.repo === undefined) {
+            try {
+                const inside = (await this.git(['rev-parse', '--is-inside-work-tree'])).trim();
+                this.repo = inside === 'true'
+                    ? {
+                        root: (await this.git(['rev-parse', '--show-toplevel'])).trim(),
+                        prefix: (await this.git(['rev-parse', '--show-prefix'])).trim()
+                    }
+                    : null;
+            } catch (error) {
+                this.repo = null;
+            }
+        }
+        return this.repo !== null;
+    }
+
+    /**
+     * Repository path of a workspace file
+     */
+    repoPath(filePath) {
+        const relative = path.relative(this.workspaceRoot, path.resolve(this.workspaceRoot, filePath));
+        if (relative.startsWith('..') || path.isAbsolute(relative)) {
+            throw new Error(`Security violation: Path traversal detected. File path '${filePath}' resolves outside workspace: ${this.workspaceRoot}`);
+        }
+        return path.posix.join(this.repo.prefix, relative.split(path.sep).join('/'));
+    }
+
+    async resolve(revision) {
+        try {
+            return (await this.git(['rev-parse', '--verify', '--quiet', revision])).trim() || null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Blob id of a path in a commit, or null when the path does not exist there
+     */
+    async blobAt(commit, repoPath) {
+        const line = (await this.git(['ls-tree', '--full-tree', commit, '--', repoPath])).trim();
+        return line ? line.split(/\s+/)[2] : null;
+    }
+
+    async hashContent(content, write = false) {
+        return (await this.git(['hash-object', ...(write ? ['-w'] : []), '--stdin'], { input: content })).trim();
+    }
+
+    /**
+     * Commit a tree built from `base` plus file changes, and move the ref to it
+     * @param {string|null} base - Parent commit (null = start the chain)
+     * @param {Map<string, string|null>} changes - Repository path -> new content (null = delete)
+     * @returns {Promise<string>} - The new commit
+     */
+    async commit(base, changes, message, baseTree = null) {
+        const indexFile = path.join(os.tmpdir(), `jack-checkpoint-${process.pid}-${Date.now()}.index`);
+        const env = { GIT_INDEX_FILE: indexFile };
+        const cwd = this.repo.root; // Index paths are repository paths
+        try {
+            if (base || baseTree) {
+                await this.git(['read-tree', baseTree || base], { env });
+            } else {
+                await this.git(['read-tree', '--empty'], { env });
+            }
+
+            for (const [repoPath, content] of changes) {
+                if (content === null) {
+                    await this.git(['update-index', '--force-remove', '--', repoPath], { env, cwd });
+                } else {
+                    const blob = await this.hashContent(content, true);
+                    await this.git(['update-index', '--add', '--cacheinfo', `100644,${blob},${repoPath}`], { env, cwd });
+                }
+            }
+
+            const tree = (await this.git(['write-tree'], { env })).trim();
+            const commit = (await this.git(['commit-tree', tree, ...(base ? ['-p', base] : []), '-m', message], { env: IDENTITY })).trim();
+            // Compare-and-swap against the parent, so a concurrent writer cannot be overwritten
+            await this.git(['update-ref', '-m', 'jack checkpoint', this.ref, commit, base || '']);
+            return commit;
+        } finally {
+            await fs.rm(indexFile, { force: true });
+        }
+    }
+
+    /**
+     * The tip of the checkpoint chain, creating the baseline from HEAD when there is none
+     */
+    async ensureBaseline() {
+        const tip = await this.resolve(this.ref);
+        if (tip) return tip;
+
+        const head = await this.resolve('HEAD');
+        const message = head
+            ? `Checkpoint baseline (HEAD ${head.slice(0, 12)})`
+            : 'Checkpoint baseline (no commits yet)';
+        return this.commit(null, new Map(), message, head ? `${head}^{tree}` : null);
+    }
+
+    /**
+     * Record applied changes as a checkpoint
+     * @param {string} message - Subject line (e.g. "edit_123: Surgical edit: app.js")
+     * @param {Array<{filePath: string, before?: string|null, after: string|null}>} files - `before` is what the
+     *   file held right before Jack wrote it (omit when unknown); `after` is what it holds now (null = deleted)
+     * @returns {Promise<{commit: string, index: number}|null>} - null when disabled or nothing changed
+     */
+    record(message, files) {
+        return this.enabled ? this.enqueue(message, files) : Promise.resolve(null);
+    }
+
+    enqueue(message, files) {
+        const run = this.queue.then(() => this.commitFiles(message, files));
+        this.queue = run.catch(() => {});
+        return run;
+    }
+
+    async commitFiles(message, files) {
+        if (files.length === 0 || !(await this.isAvailable())) return null;
+
+        let tip = await this.ensureBaseline();
+
+        // Content saved outside Jack since the last checkpoint gets its own commit first
+        const external = new Map();
+        for (const file of files) {
+            if (file.before === undefined) continue;
+            const repoPath = this.repoPath(file.filePath);
+            const recorded = await this.blobAt(tip, repoPath);
+            const current = file.before === null ? null : await this.hashContent(file.before);
+            if (recorded !== current) external.set(repoPath, file.before);
+        }
+        if (external.size > 0) {
+            tip = await this.commit(tip, external, `Working tree before: ${message}`);
+        }
+
+        const changes = new Map();
+        for (const file of files) {
+            const repoPath = this.repoPath(file.filePath);
+            const recorded = await this.blobAt(tip, repoPath);
+            const current = file.after === null ? null : await this.hashContent(file.after);
+            if (recorded !== current) changes.set(repoPath, file.after);
+        }
+        if (changes.size === 0) return null;
+
+        const commit = await this.commit(tip, changes, message);
+        return { commit, index: (await this.chain()).length - 1 };
+    }
+
+    /**
+     * Commits of the chain, baseline first
+     */
+    async chain() {
+        if (!(await this.isAvailable()) || !(await this.resolve(this.ref))) return [];
+        return (await this.git(['rev-list', '--reverse', '--first-parent', this.ref])).split('\n').filter(Boolean);
+    }
+
+    async commitFor(index) {
+        const chain = await this.chain();
+        if (chain.length === 0) {
+            throw new Error('No checkpoints recorded yet');
+        }
+        if (!Number.isInteger(index) || index < 0 || index >= chain.length) {
+            throw new Error(`No checkpoint #${index} - checkpoints are numbered 0 (baseline) to ${chain.length - 1}`);
+        }
+        return { chain, commit: chain[index] };
+    }
+
+    /**
+     * Checkpoints, most recent first
+     * @param {number} limit
+     * @returns {Promise<Array<{index: number, commit: string, time: string, message: string, files: string[]}>>}
+     */
+    async list(limit = 20) {
+        const chain = await this.chain();
+        const entries = [];
+        for (let index = chain.length - 1; index >= 0 && entries.length < limit; index--) {
+            const [time, message] = (await this.git(['log', '-1', '--format=%cI%x1f%s', chain[index]])).trim().split('\x1f');
+            const files = index === 0
+                ? []
+                : (await this.git(['diff', '--name-only', '--relative', chain[index - 1], chain[index]])).split('\n').filter(Boolean);
+            entries.push({ index, commit: chain[index], time, message, files });
+        }
+        return entries;
+    }
+
+    /**
+     * Unified diff of what a checkpoint changed (paths relative to the workspace)
+     */
+    async diff(index) {
+        const { chain, commit } = await this.commitFor(index);
+        if (index === 0) return '';
+        return this.git(['diff', '--no-color', '--relative', chain[index - 1], commit]);
+    }
+
+    /**
+     * Put every file changed after a checkpoint back to its content at that checkpoint
+     * Files whose content on disk no longer matches the latest checkpoint were changed outside
+     * Jack; they are only overwritten with `force` (their current content is checkpointed first).
+     * @param {number} index
+     * @param {Object} options - { force }
+     * @returns {Promise<{success: boolean, files?: Array<{filePath: string, restored: string}>, conflicts?: string[], checkpoint?: Object, error?: string}>}
+     */
+    async restore(index, options = {}) {
+        const { chain, commit } = await this.commitFor(index);
+        const tip = chain[chain.length - 1];
+
+        const repoPaths = (await this.git(['diff', '--name-only', '--no-renames', commit, tip])).split('\n').filter(Boolean);
+        const files = [];
+        for (const repoPath of repoPaths) {
+            if (!repoPath.startsWith(this.repo.prefix)) continue; // Outside this workspace
+            const filePath = repoPath.slice(this.repo.prefix.length);
+            const fullPath = path.resolve(this.workspaceRoot, filePath);
+
+            let current = null;
+            try {
+                current = await fs.readFile(fullPath, 'utf8');
+            } catch (error) {
+                if (error.code !== 'ENOENT') throw error;
+            }
+            const target = await this.blobAt(commit, repoPath);
+            files.push({
+                filePath,
+                fullPath,
+                current,
+                modified: (current === null ? null : await this.hashContent(current)) !== await this.blobAt(tip, repoPath),
+                content: target === null ? null : await this.git(['cat-file', 'blob', target])
+            });
+        }
+
+        if (files.length === 0) {
+            return { success: true, files: [], checkpoint: null };
+        }
+
+        const conflicts = files.filter(file => file.modified).map(file => file.filePath);
+        if (conflicts.length > 0 && !options.force) {
+            return {
+                success: false,
+                conflicts,
+                error: `${conflicts.join(', ')} changed since the last checkpoint - use --force to restore anyway`
+            };
+        }
+
+        for (const file of files) {
+            if (file.content === null) {
+                await fs.rm(file.fullPath, { force: true });
+            } else {
+                await fs.mkdir(path.dirname(file.fullPath), { recursive: true });
+                await fs.writeFile(file.fullPath, file.content, 'utf8');
+            }
+        }
+
+        // Restoring is itself a checkpoint (even with checkpoint mode since switched off), so it
+        // can be reverted by restoring the one before it
+        const checkpoint = await this.enqueue(
+            `Restore checkpoint #${index}`,
+            files.map(file => ({ filePath: file.filePath, before: file.current, after: file.content }))
+        );
+
+        return {
+            success: true,
+            files: files.map(file => ({ filePath: file.filePath, restored: file.content === null ? 'removed' : 'written' })),
+            forced: conflicts.length > 0,
+            checkpoint
+        };
+    }
+}
+
+module.exports = { GitCheckpoints, CHECKPOINT_REF };
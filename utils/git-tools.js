@@ -0,0 +1,798 @@
+/**
+ * Git Tools - Structured git queries (status, diff, log, blame, commit preview) for Jack's git_* tools
+ * git runs without a shell and with fixed argv, so refs and paths from the model cannot smuggle
+ * in options or shell syntax. Paths in results are relative to the workspace, which may be a
+ * subdirectory of the repository.
+ *
+ * Also classifies git commands that destroy work or rewrite history (reset --hard, push --force,
+ * clean -f, ...) - edits running them are marked destructive and always wait for approval.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { spawn } = require('child_process');
+
+// Subcommands the git_operations tool may run (its schema enum) - anything else (config, hook
+// helpers, plumbing) could change how later git commands behave
+const GIT_OPERATIONS = ['status', 'add', 'commit', 'push', 'pull', 'fetch', 'branch', 'checkout', 'switch', 'merge', 'rebase', 'reset', 'restore', 'clean', 'stash', 'tag', 'log'];
+
+const MAX_LOG_COUNT = 200;
+const DEFAULT_DIFF_LINES = 1500; // Hunk lines returned before a diff is truncated
+const MAX_BLAME_LINES = 500;
+
+const STATUS_NAMES = {
+    '.': 'unmodified',
+    M: 'modified',
+    T: 'typechange',
+    A: 'added',
+    D: 'deleted',
+    R: 'renamed',
+    C: 'copied',
+    U: 'unmerged'
+};
+
+/**
+ * Run git and collect its output - never throws
+ * @returns {Promise<{success: boolean, stdout: string, stderr: string, exitCode: number|null, error: string|null}>}
+ */
+function runGit(args, { cwd, input = null, env = {} } = {}) {
+    return new Promise(resolve => {
+        const child = spawn('git', args, {
+            cwd,
+            env: { ...process.env, GIT_TERMINAL_PROMPT: '0', ...env },
+            stdio: ['pipe', 'pipe', 'pipe']
+        });
+        const stdout = [];
+        const stderr = [];
+        child.stdout.on('data', chunk => stdout.push(chunk));
+        child.stderr.on('data', chunk => stderr.push(chunk));
+        child.on('error', error => resolve({ success: false, stdout: '', stderr: '', exitCode: null, error: `git could not be started: ${error.message}` }));
+        child.on('close', code => {
+            const err = Buffer.concat(stderr).toString('utf8');
+            resolve({
+                success: code === 0,
+                stdout: Buffer.concat(stdout).toString('utf8'),
+                stderr: err,
+                exitCode: code,
+                error: code === 0 ? null : (err.trim() || `git ${args[0]} exited with code ${code}`)
+            });
+        });
+        child.stdin.on('error', () => {}); // git may exit before reading its input
+        child.stdin.end(input === null ? undefined : input);
+    });
+}
+
+/**
+ * Reject revision arguments that git would read as options
+ */
+function assertRevision(value, name = 'ref') {
+    if (typeof value !== 'string' || !value.trim() || value.startsWith('-') || /[\s\0]/.test(value)) {
+        throw new Error(`Invalid ${name} '${value}' - expected a branch, tag, commit or range like main..feature`);
+    }
+    return value;
+}
+
+// ---------------------------------------------------------------------------
+// Destructive command classification
+// ---------------------------------------------------------------------------
+
+/**
+ * Whether argv contains a flag, in long form (--force, --force=...) or inside a short cluster (-fd)
+ */
+function hasFlag(args, short, long) {
+    return args.some(arg => {
+        if (long && (arg === long || arg.startsWith(`${long}=`))) return true;
+        return !!short && /^-[A-Za-z]+$/.test(arg) && arg.slice(1).includes(short);
+    });
+}
+
+const DESTRUCTIVE_RULES = {
+    reset: args => (hasFlag(args, null, '--hard') || hasFlag(args, null, '--merge') || hasFlag(args, null, '--keep'))
+        && 'reset --hard discards uncommitted changes',
+    push: args => {
+        if (hasFlag(args, 'f', '--force') || hasFlag(args, null, '--force-with-lease') || hasFlag(args, null, '--force-if-includes')) {
+            return 'push --force overwrites remote history';
+        }
+        if (hasFlag(args, 'd', '--delete') || hasFlag(args, null, '--mirror') || hasFlag(args, null, '--prune')
+            || args.some(arg => !arg.startsWith('-') && arg.startsWith(':'))) {
+            return 'push deletes remote branches or tags';
+        }
+        return args.some(arg => arg.startsWith('+')) && 'push with a +refspec force-updates the remote';
+    },
+    clean: args => hasFlag(args, 'f', '--force') && 'clean -f deletes untracked files',
+    checkout: args => {
+        if (hasFlag(args, 'f', '--force')) return 'checkout --force discards uncommitted changes';
+        const separator = args.indexOf('--');
+        // "checkout <branch> <path>..." checks out paths too; -b/-B/--orphan take the new branch name
+        const options = separator === -1 ? args : args.slice(0, separator);
+        const positional = options.filter((arg, index) => !arg.startsWith('-') && !['-b', '-B', '--orphan'].includes(options[index - 1]));
+        return (args.includes('.') || positional.length > 1 || (separator !== -1 && separator < args.length - 1))
+            && 'checkout of paths overwrites uncommitted changes in them';
+    },
+    restore: args => (hasFlag(args, 'W', '--worktree') || !hasFlag(args, 'S', '--staged'))
+        && 'restore overwrites uncommitted changes in the working tree',
+    switch: args => {
+        if (hasFlag(args, 'f', '--force') || hasFlag(args, null, '--discard-changes')) return 'switch --discard-changes discards uncommitted changes';
+        return (hasFlag(args, 'C', '--force-create')) && 'switch -C resets an existing branch';
+    },
+    branch: args => (hasFlag(args, 'D') || ((hasFlag(args, 'd', '--delete') || hasFlag(args, 'm', '--move')) && hasFlag(args, 'f', '--force')) || hasFlag(args, 'M'))
+        && 'force-deleting or overwriting a branch can lose commits',
+    stash: args => ['drop', 'clear'].includes(args[0]) && `stash ${args[0]} deletes stashed changes`,
+    rebase: args => !['--abort', '--continue', '--quit'].some(flag => args.includes(flag)) && 'rebase rewrites commit history',
+    commit: args => hasFlag(args, null, '--amend') && 'commit --amend rewrites the last commit',
+    'filter-branch': () => 'filter-branch rewrites commit history',
+    'filter-repo': () => 'filter-repo rewrites commit history',
+    reflog: args => ['expire', 'delete'].includes(args[0]) && `reflog ${args[0]} removes recovery points`,
+    gc: args => hasFlag(args, null, '--prune') && 'gc --prune deletes unreachable commits',
+    'update-ref': args => hasFlag(args, 'd') && 'update-ref -d deletes a ref',
+    tag: args => (hasFlag(args, 'd', '--delete') || hasFlag(args, 'f', '--force')) && 'deleting or moving a tag',
+    worktree: args => args[0] === 'remove' && hasFlag(args, 'f', '--force') && 'worktree remove --force discards changes in it'
+};
+
+// Global options that take the next argument as their value
+const GLOBAL_OPTIONS_WITH_VALUE = ['-C', '-c', '--git-dir', '--work-tree', '--namespace', '--exec-path', '--config-env'];
+
+/**
+ * Classify a git invocation (argv after "git", global options allowed)
+ * @returns {{destructive: boolean, subcommand: string|null, reasons: string[]}}
+ */
+function classifyGitCommand(argv) {
+    let index = 0;
+    while (index < argv.length && argv[index].startsWith('-')) {
+        index += GLOBAL_OPTIONS_WITH_VALUE.includes(argv[index]) ? 2 : 1;
+    }
+    const subcommand = argv[index] || null;
+    const rule = subcommand && DESTRUCTIVE_RULES[subcommand];
+    const reason = rule ? rule(argv.slice(index + 1)) : false;
+    return { destructive: !!reason, subcommand, reasons: reason ? [reason] : [] };
+}
+
+/**
+ * Split a shell command line into words per command (&&, ||, ;, | and newlines separate commands)
+ * Handles quotes and backslash escapes; anything fancier (subshells, variables) is taken literally.
+ * With `operators: false` nothing separates commands - ;, |, & and newlines are ordinary characters.
+ */
+function shellCommands(command, { operators = true } = {}) {
+    const commands = [[]];
+    let word = null;
+    let quote = null;
+    const endWord = () => {
+        if (word !== null) commands[commands.length - 1].push(word);
+        word = null;
+    };
+
+    for (let i = 0; i < command.length; i++) {
+        const char = command[i];
+        if (quote) {
+            if (char === quote) quote = null;
+            else if (char === '\\' && quote === '"' && i + 1 < command.length) word += command[++i];
+            else word += char;
+        } else if (char === '"' || char === "'") {
+            quote = char;
+            word = word || '';
+        } else if (char === '\\' && i + 1 < command.length) {
+            word = (word || '') + command[++i];
+        } else if (/\s/.test(char) && (char !== '\n' || !operators)) {
+            endWord();
+        } else if (operators && (char === ';' || char === '|' || char === '&' || char === '\n')) {
+            endWord();
+            if (commands[commands.length - 1].length > 0) commands.push([]);
+        } else {
+            word = (word || '') + char;
+        }
+    }
+    endWord();
+    return commands.filter(words => words.length > 0);
+}
+
+/**
+ * Arguments written for a shell (["--oneline -5"], ["-m \"Fix parser\""], ["'Fix parser'"]) into the argv git expects
+ * Only options are re-split, so a plain message with spaces stays one argument.
+ */
+function normalizeGitArgs(args = []) {
+    return args.flatMap(arg => {
+        const value = String(arg);
+        if (value.length >= 2 && /^(["']).*\1$/s.test(value) && !value.slice(1, -1).includes(value[0])) {
+            return [value.slice(1, -1)];
+        }
+        if (value.startsWith('-') && /\s/.test(value)) {
+            return shellCommands(value, { operators: false }).flat();
+        }
+        return [value];
+    });
+}
+
+/**
+ * The argv for a git_operations call: `operation` may carry arguments of its own ("log --oneline -5")
+ * @throws {Error} When the operation is missing or its subcommand is not one of GIT_OPERATIONS
+ */
+function gitArgv(operation, args = []) {
+    const words = shellCommands(String(operation || ''), { operators: false }).flat();
+    if (words.length === 0 || words[0].startsWith('-')) {
+        throw new Error(`Invalid git operation '${operation || ''}' - expected a subcommand like status, add or log`);
+    }
+    if (!GIT_OPERATIONS.includes(words[0])) {
+        throw new Error(`git ${words[0]} is not supported by git_operations (allowed: ${GIT_OPERATIONS.join(', ')})`);
+    }
+    return [...words, ...normalizeGitArgs(args)];
+}
+
+/**
+ * Classify the git invocations inside a shell command (execute_terminal_command)
+ * @returns {{destructive: boolean, reasons: string[]}}
+ */
+function classifyShellCommand(command) {
+    const reasons = [];
+    for (let words of shellCommands(String(command || ''))) {
+        // Skip environment assignments and wrappers: FOO=1 sudo git ...
+        while (words.length > 0 && (/^[A-Za-z_][A-Za-z0-9_]*=/.test(words[0]) || ['sudo', 'env', 'command', 'exec', 'nohup', 'time', 'xargs'].includes(words[0]))) {
+            words = words.slice(1);
+        }
+        if (words.length === 0 || !/(^|[\\/])git(\.exe)?$/i.test(words[0])) continue;
+        const classification = classifyGitCommand(words.slice(1));
+        reasons.push(...classification.reasons);
+    }
+    return { destructive: reasons.length > 0, reasons };
+}
+
+// ---------------------------------------------------------------------------
+// Output parsers
+// ---------------------------------------------------------------------------
+
+/**
+ * Parse `git status --porcelain=v2 --branch -z`
+ * @returns {{branch: Object, entries: Array}} - entry paths are repository-relative
+ */
+function parseStatus(output) {
+    const branch = { head: null, oid: null, upstream: null, ahead: 0, behind: 0, detached: false };
+    const entries = [];
+    const records = output.split('\0');
+
+    for (let i = 0; i < records.length; i++) {
+        const record = records[i];
+        if (!record) continue;
+
+        if (record.startsWith('# ')) {
+            const [key, ...values] = record.slice(2).split(' ');
+            if (key === 'branch.oid') branch.oid = values[0] === '(initial)' ? null : values[0];
+            if (key === 'branch.head') {
+                branch.detached = values[0] === '(detached)';
+                branch.head = branch.detached ? null : values[0];
+            }
+            if (key === 'branch.upstream') branch.upstream = values[0];
+            if (key === 'branch.ab') {
+                branch.ahead = Math.abs(parseInt(values[0], 10)) || 0;
+                branch.behind = Math.abs(parseInt(values[1], 10)) || 0;
+            }
+            continue;
+        }
+
+        const type = record[0];
+        if (type === '?' || type === '!') {
+            entries.push({ path: record.slice(2), index: type === '?' ? 'untracked' : 'ignored', worktree: type === '?' ? 'untracked' : 'ignored', origPath: null });
+            continue;
+        }
+
+        const fields = record.split(' ');
+        const xy = fields[1];
+        if (type === '1') {
+            entries.push({ path: fields.slice(8).join(' '), xy, origPath: null });
+        } else if (type === '2') {
+            // The original path follows as the next NUL-separated record
+            entries.push({ path: fields.slice(9).join(' '), xy, origPath: records[++i], similarity: parseInt(fields[8].slice(1), 10) });
+        } else if (type === 'u') {
+            entries.push({ path: fields.slice(10).join(' '), xy, origPath: null, conflicted: true });
+        }
+    }
+
+    for (const entry of entries) {
+        if (!entry.xy) continue;
+        entry.index = STATUS_NAMES[entry.xy[0]] || entry.xy[0];
+        entry.worktree = STATUS_NAMES[entry.xy[1]] || entry.xy[1];
+        delete entry.xy;
+    }
+    return { branch, entries };
+}
+
+/**
+ * Path from a diff header line (--- a/x, +++ b/x), unquoting git's C-style quoting
+ */
+function diffHeaderPath(raw) {
+    let value = raw.replace(/\t.*$/, '');
+    if (value === '/dev/null') return null;
+    if (value.startsWith('"') && value.endsWith('"')) {
+        value = unquoteGitPath(value);
+    }
+    return value.replace(/^[ab]\//, '');
+}
+
+/**
+ * Undo git's quoting of paths with special characters ("a\tb", octal UTF-8 escapes)
+ */
+function unquoteGitPath(value) {
+    if (!(value.startsWith('"') && value.endsWith('"'))) return value;
+    const bytes = [];
+    const body = value.slice(1, -1);
+    const escapes = { n: 10, t: 9, r: 13, '"': 34, '\\': 92, a: 7, b: 8, f: 12, v: 11 };
+    for (let i = 0; i < body.length; i++) {
+        if (body[i] !== '\\') {
+            bytes.push(...Buffer.from(body[i], 'utf8'));
+        } else if (/[0-7]/.test(body[i + 1])) {
+            bytes.push(parseInt(body.slice(i + 1, i + 4), 8));
+            i += 3;
+        } else {
+            bytes.push(escapes[body[i + 1]] !== undefined ? escapes[body[i + 1]] : body.charCodeAt(i + 1));
+            i += 1;
+        }
+    }
+    return Buffer.from(bytes).toString('utf8');
+}
+
+/**
+ * Parse `git diff` output into files with hunks
+ * @param {string} output
+ * @param {number} maxLines - Hunk lines to keep in total; later hunks are dropped and `truncated` set
+ * @returns {{files: Array, truncated: boolean}}
+ */
+function parseDiff(output, maxLines = DEFAULT_DIFF_LINES) {
+    const files = [];
+    let file = null;
+    let hunk = null;
+    let kept = 0;
+    let truncated = false;
+
+    for (const line of output.split('\n')) {
+        if (line.startsWith('diff --git ')) {
+            // Paths come from the ---/+++ or rename lines; the header is the fallback (binary, mode-only)
+            const match = line.match(/^diff --git "?a\/(.+?)"? "?b\/(.+?)"?$/);
+            file = {
+                filePath: match ? match[2] : null,
+                oldPath: match ? match[1] : null,
+                status: 'modified',
+                binary: false,
+                additions: 0,
+                deletions: 0,
+                hunks: []
+            };
+            files.push(file);
+            hunk = null;
+            continue;
+        }
+        if (!file) continue;
+
+        if (!hunk || !/^[ +\-\\]/.test(line)) {
+            if (line.startsWith('new file mode')) file.status = 'added';
+            else if (line.startsWith('deleted file mode')) file.status = 'deleted';
+            else if (line.startsWith('rename from ')) { file.status = 'renamed'; file.oldPath = unquoteGitPath(line.slice(12)); }
+            else if (line.startsWith('rename to ')) file.filePath = unquoteGitPath(line.slice(10));
+            else if (line.startsWith('copy from ')) { file.status = 'copied'; file.oldPath = unquoteGitPath(line.slice(10)); }
+            else if (line.startsWith('copy to ')) file.filePath = unquoteGitPath(line.slice(8));
+            else if (line.startsWith('Binary files ') || line === 'GIT binary patch') file.binary = true;
+            else if (line.startsWith('--- ')) { const oldPath = diffHeaderPath(line.slice(4)); if (oldPath) file.oldPath = oldPath; }
+            else if (line.startsWith('+++ ')) { const newPath = diffHeaderPath(line.slice(4)); if (newPath) file.filePath = newPath; }
+            else if (line.startsWith('@@')) {
+                const match = line.match(/^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@ ?(.*)$/);
+                if (!match) continue;
+                hunk = {
+                    oldStart: parseInt(match[1], 10),
+                    oldLines: match[2] === undefined ? 1 : parseInt(match[2], 10),
+                    newStart: parseInt(match[3], 10),
+                    newLines: match[4] === undefined ? 1 : parseInt(match[4], 10),
+                    section: match[5] || null,
+                    lines: []
+                };
+                if (kept < maxLines) {
+                    file.hunks.push(hunk);
+                } else {
+                    truncated = true;
+                }
+            }
+            continue;
+        }
+
+        if (line.startsWith('+')) file.additions++;
+        if (line.startsWith('-')) file.deletions++;
+        if (kept < maxLines) {
+            hunk.lines.push(line);
+            kept++;
+        } else {
+            truncated = true;
+        }
+    }
+
+    for (const entry of files) {
+        if (entry.status !== 'renamed' && entry.status !== 'copied') entry.oldPath = entry.status === 'added' ? null : entry.oldPath;
+        if (entry.status === 'modified' && entry.oldPath === entry.filePath) entry.oldPath = null;
+    }
+    return { files, truncated };
+}
+
+const LOG_FORMAT = '%x1e%H%x1f%h%x1f%an%x1f%ae%x1f%aI%x1f%P%x1f%s%x1f%b%x1f';
+
+/**
+ * Parse `git log --format=LOG_FORMAT [--numstat]`
+ */
+function parseLog(output) {
+    return output.split('\x1e').filter(record => record.trim()).map(record => {
+        const [hash, shortHash, author, email, date, parents, subject, body, rest = ''] = record.split('\x1f');
+        const commit = {
+            hash,
+            shortHash,
+            author,
+            email,
+            date,
+            parents: parents ? parents.split(' ') : [],
+            subject,
+            body: body.trim()
+        };
+
+        const stats = rest.split('\n').filter(line => /^(\d+|-)\t(\d+|-)\t/.test(line));
+        if (stats.length > 0) {
+            commit.files = stats.map(line => {
+                const [additions, deletions, ...file] = line.split('\t');
+                return {
+                    path: file.join('\t'),
+                    additions: additions === '-' ? null : parseInt(additions, 10),
+                    deletions: deletions === '-' ? null : parseInt(deletions, 10)
+                };
+            });
+        }
+        return commit;
+    });
+}
+
+/**
+ * Parse `git blame --porcelain`
+ * @returns {Array<{line: number, content: string, commit: string, author: string, date: string|null, summary: string, uncommitted: boolean}>}
+ */
+function parseBlame(output) {
+    const commits = new Map();
+    const lines = [];
+    let current = null;
+
+    for (const line of output.split('\n')) {
+        const header = line.match(/^([0-9a-f]{40}) (\d+) (\d+)(?: \d+)?$/);
+        if (header) {
+            if (!commits.has(header[1])) commits.set(header[1], { hash: header[1] });
+            current = { commit: commits.get(header[1]), finalLine: parseInt(header[3], 10) };
+            continue;
+        }
+        if (!current) continue;
+
+        if (line.startsWith('\t')) {
+            const { commit } = current;
+            const uncommitted = /^0+$/.test(commit.hash);
+            lines.push({
+                line: current.finalLine,
+                content: line.slice(1),
+                commit: uncommitted ? null : commit.hash.slice(0, 12),
+                author: commit.author || null,
+                date: commit.time && !uncommitted ? new Date(commit.time * 1000).toISOString() : null,
+                summary: uncommitted ? null : commit.summary || null,
+                uncommitted
+            });
+            current = null;
+        } else {
+            const space = line.indexOf(' ');
+            const key = space === -1 ? line : line.slice(0, space);
+            const value = space === -1 ? '' : line.slice(space + 1);
+            if (key === 'author') current.commit.author = value;
+            if (key === 'author-time') current.commit.time = parseInt(value, 10);
+            if (key === 'summary') current.commit.summary = value;
+        }
+    }
+    return lines;
+}
+
+/**
+ * Parse `git diff --numstat -z` and `--name-status -z` into one list of changed files
+ */
+function parseChanges(numstat, nameStatus) {
+    const files = new Map();
+
+    const statusRecords = nameStatus.split('\0');
+    for (let i = 0; i < statusRecords.length; i++) {
+        const code = statusRecords[i];
+        if (!code) continue;
+        const letter = code[0];
+        if (letter === 'R' || letter === 'C') {
+            const from = statusRecords[++i];
+            const to = statusRecords[++i];
+            files.set(to, { path: to, origPath: from, status: STATUS_NAMES[letter], additions: 0, deletions: 0 });
+        } else {
+            const filePath = statusRecords[++i];
+            files.set(filePath, { path: filePath, origPath: null, status: STATUS_NAMES[letter] || letter, additions: 0, deletions: 0 });
+        }
+    }
+
+    const statRecords = numstat.split('\0');
+    for (let i = 0; i < statRecords.length; i++) {
+        const record = statRecords[i];
+        if (!record) continue;
+        const [additions, deletions, filePath] = record.split('\t');
+        // Renames: "<add>\t<del>\t" followed by the old and new path as separate records
+        const target = filePath === '' ? statRecords[(i += 2)] : filePath;
+        const file = files.get(target);
+        if (!file) continue;
+        file.additions = additions === '-' ? null : parseInt(additions, 10);
+        file.deletions = deletions === '-' ? null : parseInt(deletions, 10);
+        file.binary = additions === '-';
+    }
+    return [...files.values()];
+}
+
+/**
+ * Commit message for a set of changed files: an imperative subject naming what changed and a
+ * body listing each file with its line counts
+ */
+function generateCommitMessage(files) {
+    const names = files.map(file => path.posix.basename(file.path));
+    const statuses = new Set(files.map(file => file.status));
+    let verb = 'Update';
+    if (statuses.size === 1) {
+        verb = { added: 'Add', deleted: 'Remove', renamed: 'Rename', copied: 'Copy' }[[...statuses][0]] || 'Update';
+    }
+
+    let target;
+    if (files.length === 1) {
+        target = files[0].status === 'renamed' ? `${path.posix.basename(files[0].origPath)} to ${names[0]}` : names[0];
+    } else if (files.length <= 3) {
+        target = `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]}`;
+    } else {
+        const directories = files.map(file => path.posix.dirname(file.path).split('/'));
+        const common = [];
+        for (let depth = 0; directories.every(parts => parts[depth] !== undefined && parts[depth] === directories[0][depth]); depth++) {
+            if (directories[0][depth] === '.') break;
+            common.push(directories[0][depth]);
+        }
+        target = `${files.length} files${common.length > 0 ? ` in ${common.join('/')}` : ''}`;
+    }
+
+    const counts = file => (file.binary ? 'binary' : `+${file.additions} -${file.deletions}`);
+    const body = files.slice(0, 20).map(file =>
+        `- ${file.origPath && file.status === 'renamed' ? `${file.origPath} -> ` : ''}${file.path} (${file.status}, ${counts(file)})`);
+    if (files.length > 20) body.push(`- ... and ${files.length - 20} more`);
+
+    return `${verb} ${target}\n\n${body.join('\n')}`;
+}
+
+// ---------------------------------------------------------------------------
+// Queries
+// ---------------------------------------------------------------------------
+
+class GitTools {
+    /**
+     * @param {string} workspaceRoot - Workspace directory (may be a subdirectory of the repository)
+     */
+    constructor(workspaceRoot) {
+        this.workspaceRoot = workspaceRoot;
+        this.repoRoot = null;
+    }
+
+    /**
+     * Run git in the workspace
+     * @returns {Promise<string>} - stdout
+     * @throws {Error} With git's stderr when it exits non-zero
+     */
+    async git(args, options = {}) {
+        const result = await runGit(args, { cwd: this.workspaceRoot, ...options });
+        if (!result.success) {
+            throw new Error(result.error);
+        }
+        return result.stdout;
+    }
+
+    /**
+     * Repository top-level directory
+     * @throws {Error} When the workspace is not inside a git work tree
+     */
+    async repository() {
+        if (!this.repoRoot) {
+            const result = await runGit(['rev-parse', '--show-toplevel'], { cwd: this.workspaceRoot });
+            if (!result.success) {
+                throw new Error(`${this.workspaceRoot} is not inside a git repository`);
+            }
+            this.repoRoot = result.stdout.trim();
+        }
+        return this.repoRoot;
+    }
+
+    /**
+     * Repository-relative path (as git prints it) to a workspace-relative one
+     */
+    toWorkspacePath(repoPath) {
+        return path.relative(this.workspaceRoot, path.join(this.repoRoot, repoPath)).split(path.sep).join('/');
+    }
+
+    async hasHead() {
+        return (await runGit(['rev-parse', '--verify', '--quiet', 'HEAD'], { cwd: this.workspaceRoot })).success;
+    }
+
+    /**
+     * Branch and file states of the workspace
+     */
+    async status() {
+        await this.repository();
+        const { branch, entries } = parseStatus(await this.git(['status', '--porcelain=v2', '--branch', '-z', '--untracked-files=all', '--', '.']));
+
+        const files = entries.map(entry => {
+            const untracked = entry.index === 'untracked';
+            return {
+                path: this.toWorkspacePath(entry.path),
+                origPath: entry.origPath ? this.toWorkspacePath(entry.origPath) : null,
+                index: entry.index,
+                worktree: entry.worktree,
+                staged: !untracked && !entry.conflicted && entry.index !== 'unmodified',
+                unstaged: !untracked && !entry.conflicted && entry.worktree !== 'unmodified',
+                untracked,
+                conflicted: !!entry.conflicted
+            };
+        });
+
+        const counts = {
+            staged: files.filter(file => file.staged).length,
+            unstaged: files.filter(file => file.unstaged).length,
+            untracked: files.filter(file => file.untracked).length,
+            conflicted: files.filter(file => file.conflicted).length
+        };
+        return { branch, files, counts, clean: files.length === 0 };
+    }
+
+    /**
+     * Per-file hunks of the working tree (or index, or a ref/range) against its base
+     * @param {Object} options
+     * @param {boolean} options.staged - Index against HEAD instead of working tree against index
+     * @param {string} options.ref - Compare the working tree (or the index) with this commit, or a range "a..b"
+     * @param {string[]} options.paths - Workspace-relative paths to limit the diff to
+     * @param {number} options.contextLines - Context lines around changes (default 3)
+     * @param {number} options.maxLines - Hunk lines to return before truncating
+     */
+    async diff({ staged = false, ref = null, paths = [], contextLines = 3, maxLines = DEFAULT_DIFF_LINES } = {}) {
+        await this.repository();
+        const args = ['diff', '--no-color', '--no-ext-diff', '-M', `-U${Math.max(0, Math.min(contextLines, 20))}`];
+        if (staged) args.push('--cached');
+        if (ref) args.push(assertRevision(ref));
+        args.push('--', ...(paths.length > 0 ? paths : ['.']));
+
+        const { files, truncated } = parseDiff(await this.git(args), maxLines);
+        for (const file of files) {
+            file.filePath = file.filePath === null ? null : this.toWorkspacePath(file.filePath);
+            file.oldPath = file.oldPath === null ? null : this.toWorkspacePath(file.oldPath);
+        }
+        return {
+            files,
+            truncated,
+            additions: files.reduce((total, file) => total + file.additions, 0),
+            deletions: files.reduce((total, file) => total + file.deletions, 0)
+        };
+    }
+
+    /**
+     * Commits, newest first
+     * @param {Object} options - { maxCount, ref, path, author, since, grep, stats }
+     */
+    async log({ maxCount = 20, ref = null, path: filePath = null, author = null, since = null, grep = null, stats = false } = {}) {
+        await this.repository();
+        if (!(await this.hasHead()) && !ref) {
+            return { commits: [] };
+        }
+
+        const args = ['log', `--max-count=${Math.max(1, Math.min(maxCount, MAX_LOG_COUNT))}`, `--format=${LOG_FORMAT}`, '--no-color'];
+        if (stats) args.push('--numstat');
+        if (author) args.push(`--author=${author}`);
+        if (since) args.push(`--since=${since}`);
+        if (grep) args.push(`--grep=${grep}`, '-i');
+        if (ref) args.push(assertRevision(ref));
+        args.push('--', filePath || '.');
+
+        const commits = parseLog(await this.git(args));
+        for (const commit of commits) {
+            for (const file of commit.files || []) {
+                file.path = this.toWorkspacePath(file.path);
+            }
+        }
+        return { commits };
+    }
+
+    /**
+     * Who last changed each line of a range
+     * @param {string} filePath - Workspace-relative file
+     * @param {Object} options - { startLine, endLine (1-based, inclusive), ref }
+     */
+    async blame(filePath, { startLine = 1, endLine = null, ref = null } = {}) {
+        await this.repository();
+        const last = endLine || startLine + MAX_BLAME_LINES - 1;
+        if (!Number.isInteger(startLine) || startLine < 1 || !Number.isInteger(last) || last < startLine) {
+            throw new Error('startLine and endLine must be 1-based line numbers with startLine <= endLine');
+        }
+
+        const args = ['blame', '--porcelain', `-L${startLine},${Math.min(last, startLine + MAX_BLAME_LINES - 1)}`];
+        if (ref) args.push(assertRevision(ref));
+        args.push('--', filePath);
+
+        let output;
+        try {
+            output = await this.git(args);
+        } catch (error) {
+            // Ranges past the end of the file: blame what exists
+            const match = error.message.match(/has only (\d+) lines?/);
+            if (!match || parseInt(match[1], 10) < startLine) throw error;
+            args[2] = `-L${startLine},${match[1]}`;
+            output = await this.git(args);
+        }
+        return { lines: parseBlame(output) };
+    }
+
+    /**
+     * Files a commit would include and a generated message for them
+     * @param {Object} options
+     * @param {string[]} options.paths - Commit exactly these paths (staged first, untracked ones included)
+     * @param {boolean} options.all - Commit every tracked change (git commit -a)
+     * Neither: commit what is staged.
+     * @returns {Promise<{mode: string, files: Array, message: string}>}
+     * @throws {Error} When there is nothing to commit
+     */
+    async commitPreview({ paths = [], all = false } = {}) {
+        await this.repository();
+        const head = await this.hasHead();
+        const mode = paths.length > 0 ? 'paths' : (all ? 'all' : 'staged');
+
+        // Base of the comparison: HEAD, or the index for the first commit of a repository
+        const base = mode === 'staged' || !head ? ['--cached'] : ['HEAD'];
+        const pathspec = ['--', ...(mode === 'paths' ? paths : [':/'])];
+        const [numstat, nameStatus] = await Promise.all([
+            this.git(['diff', ...base, '--numstat', '-z', '-M', ...pathspec]),
+            this.git(['diff', ...base, '--name-status', '-z', '-M', ...pathspec])
+        ]);
+        const files = parseChanges(numstat, nameStatus);
+
+        if (mode === 'paths') {
+            // Untracked files in the paths are staged by the commit, so they are part of it
+            const untracked = (await this.git(['ls-files', '--others', '--exclude-standard', '-z', '--full-name', ...pathspec]))
+                .split('\0').filter(Boolean);
+            for (const filePath of untracked) {
+                let content = '';
+                try {
+                    content = await fs.readFile(path.join(this.repoRoot, filePath), 'utf8');
+                } catch (error) {
+                    // Counted as empty
+                }
+                const binary = content.includes('\0');
+                files.push({
+                    path: filePath,
+                    origPath: null,
+                    status: 'added',
+                    additions: binary ? null : content.split('\n').length - (content.endsWith('\n') ? 1 : 0),
+                    deletions: binary ? null : 0,
+                    binary
+                });
+            }
+        }
+
+        for (const file of files) {
+            file.path = this.toWorkspacePath(file.path);
+            if (file.origPath) file.origPath = this.toWorkspacePath(file.origPath);
+        }
+        if (files.length === 0) {
+            const hint = { staged: ' - nothing is staged (pass paths, or all: true for every tracked change)', all: ' - no tracked file has changed', paths: ' in the given paths' };
+            throw new Error(`Nothing to commit${hint[mode]}`);
+        }
+
+        return { mode, files, message: generateCommitMessage(files) };
+    }
+}
+
+module.exports = {
+    GitTools,
+    runGit,
+    classifyGitCommand,
+    classifyShellCommand,
+    normalizeGitArgs,
+    gitArgv,
+    GIT_OPERATIONS,
+    generateCommitMessage,
+    parseStatus,
+    parseDiff,
+    parseLog,
+    parseBlame
+};
@@ -0,0 +1,749 @@
+/**
+ * LSP Client - Locally installed language servers (typescript-language-server, pyright, ...)
+ * for compiler-grade diagnostics, hover, go-to-definition and renames
+ * Each workspace gets its own LspManager; a server is started the first time a file of one of
+ * its extensions is asked about and keeps running until Jack exits.
+ *
+ * Servers come from a JSON config file (JACK_LSP_CONFIG, default lsp-servers.json in the Jack
+ * directory):
+ *   { "servers": {
+ *       "typescript": { "command": "typescript-language-server", "args": ["--stdio"], "extensions": [".ts", ".tsx", ".js"] },
+ *       "python": { "command": "pylsp", "extensions": [".py"], "settings": { "pylsp": { "plugins": {} } } } } }
+ * or inline from JACK_LSP_SERVERS: "typescript;python=pylsp" (a bare name uses the preset below).
+ * JACK_LSP=auto also starts every preset whose command is on PATH or in the workspace's
+ * node_modules/.bin; JACK_LSP=off disables language servers altogether.
+ */
+
+const { spawn } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const { pathToFileURL, fileURLToPath } = require('url');
+const logger = require('./logger');
+
+const DIAGNOSTICS_SETTLE_MS = 500; // Servers may publish a file's diagnostics in several passes (syntax, then types)
+
+const PRESETS = {
+    typescript: {
+        command: 'typescript-language-server',
+        args: ['--stdio'],
+        extensions: ['.ts', '.tsx', '.mts', '.cts', '.js', '.jsx', '.mjs', '.cjs']
+    },
+    python: {
+        command: 'pyright-langserver',
+        args: ['--stdio'],
+        extensions: ['.py', '.pyi'],
+        alternatives: [{ command: 'basedpyright-langserver', args: ['--stdio'] }, { command: 'pylsp', args: [] }]
+    },
+    go: { command: 'gopls', args: [], extensions: ['.go'] },
+    rust: { command: 'rust-analyzer', args: [], extensions: ['.rs'] }
+};
+
+const LANGUAGE_IDS = {
+    '.ts': 'typescript', '.mts': 'typescript', '.cts': 'typescript', '.tsx': 'typescriptreact',
+    '.js': 'javascript', '.mjs': 'javascript', '.cjs': 'javascript', '.jsx': 'javascriptreact',
+    '.py': 'python', '.pyi': 'python', '.go': 'go', '.rs': 'rust'
+};
+
+const SEVERITIES = { 1: 'error', 2: 'warning', 3: 'information', 4: 'hint' };
+
+/**
+ * Full path of an executable, looking in extraDirs first and then PATH
+ * @returns {string|null}
+ */
+function findExecutable(command, extraDirs = []) {
+    const extensions = process.platform === 'win32'
+        ? ['', ...(process.env.PATHEXT || '.EXE;.CMD;.BAT').split(';').map(ext => ext.toLowerCase())]
+        : [''];
+    const candidates = command.includes('/') || command.includes('\\')
+        ? [path.resolve(command)]
+        : [...extraDirs, ...(process.env.PATH || '').split(path.delimiter)].filter(Boolean).map(dir => path.join(dir, command));
+
+    for (const candidate of candidates) {
+        for (const ext of extensions) {
+            try {
+                fs.accessSync(candidate + ext, fs.constants.X_OK);
+                if (fs.statSync(candidate + ext).isFile()) return candidate + ext;
+            } catch (error) {
+                // Not here
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * Diagnostic in Jack's shape: 1-based lines, 0-based columns, named severity
+ */
+function formatDiagnostic(diagnostic) {
+    const { start, end } = diagnostic.range;
+    return {
+        line: start.line + 1,
+        column: start.character,
+        endLine: end.line + 1,
+        endColumn: end.character,
+        severity: SEVERITIES[diagnostic.severity] || 'error',
+        message: diagnostic.message,
+        code: diagnostic.code === undefined ? null : (diagnostic.code.value !== undefined ? diagnostic.code.value : diagnostic.code),
+        source: diagnostic.source || null
+    };
+}
+
+/**
+ * Diagnostics of a severity in `after` that `before` did not have
+ * Matched by code and message rather than position, so errors that only moved because lines
+ * were inserted above them are not reported as new.
+ */
+function diffDiagnostics(before, after, severity = 'error') {
+    const key = diagnostic => `${diagnostic.code}|${diagnostic.message}`;
+    const remaining = new Map();
+    for (const diagnostic of before.filter(entry => entry.severity === severity)) {
+        remaining.set(key(diagnostic), (remaining.get(key(diagnostic)) || 0) + 1);
+    }
+
+    return after.filter(diagnostic => {
+        if (diagnostic.severity !== severity) return false;
+        const count = remaining.get(key(diagnostic)) || 0;
+        if (count === 0) return true;
+        remaining.set(key(diagnostic), count - 1);
+        return false;
+    });
+}
+
+/**
+ * Offset of an LSP position (0-based line, UTF-16 character) in text
+ */
+function offsetAt(text, position) {
+    let offset = 0;
+    for (let line = 0; line < position.line; line++) {
+        const newline = text.indexOf('\n', offset);
+        if (newline === -1) return text.length;
+        offset = newline + 1;
+    }
+    const lineEnd = text.indexOf('\n', offset);
+    return Math.min(offset + position.character, lineEnd === -1 ? text.length : lineEnd);
+}
+
+/**
+ * Apply LSP TextEdits to a document
+ * @throws {Error} When edits overlap
+ */
+function applyTextEdits(text, edits) {
+    const ranged = edits
+        .map((edit, index) => ({ start: offsetAt(text, edit.range.start), end: offsetAt(text, edit.range.end), newText: edit.newText, index }))
+        .sort((a, b) => (b.start - a.start) || (b.index - a.index));
+
+    let result = text;
+    let limit = Infinity;
+    for (const edit of ranged) {
+        if (edit.end > limit) {
+            throw new Error('Language server returned overlapping edits');
+        }
+        result = result.slice(0, edit.start) + edit.newText + result.slice(edit.end);
+        limit = edit.start;
+    }
+    return result;
+}
+
+/**
+ * Plain text of a hover result (MarkupContent, MarkedString or a list of them)
+ */
+function hoverText(contents) {
+    if (!contents) return '';
+    if (Array.isArray(contents)) return contents.map(hoverText).filter(Boolean).join('\n\n');
+    if (typeof contents === 'string') return contents;
+    return contents.language ? `\`\`\`${contents.language}\n${contents.value}\n\`\`\`` : (contents.value || '');
+}
+
+class LspClient {
+    /**
+     * @param {string} name - Server name from the config
+     * @param {Object} config - { command, args, env, extensions, languageId, settings, initializationOptions }
+     * @param {Object} options
+     * @param {string} options.rootPath - Workspace the server is started for
+     * @param {number} options.timeoutMs - Longest a request (or a wait for diagnostics) may take
+     * @param {Object} options.clientInfo - { name, version } sent on initialize
+     */
+    constructor(name, config, options = {}) {
+        this.name = name;
+        this.config = config;
+        this.rootPath = options.rootPath;
+        this.timeoutMs = options.timeoutMs || 30000;
+        this.clientInfo = options.clientInfo || { name: 'ollama-jack', version: '0.0.0' };
+
+        this.nextId = 1;
+        this.pending = new Map();     // request id -> { resolve, reject, timer }
+        this.documents = new Map();   // uri -> { version, text }
+        this.diagnostics = new Map(); // uri -> { items, version, received }
+        this.diagnosticWaiters = new Set();
+        this.buffer = Buffer.alloc(0);
+        this.child = null;
+        this.connected = false;
+        this.capabilities = {};
+        this.serverInfo = null;
+        this.lastError = null;
+    }
+
+    /**
+     * Start the server and run the initialize handshake
+     */
+    async connect() {
+        this.spawnProcess();
+
+        const rootUri = pathToFileURL(this.rootPath).href;
+        const result = await this.request('initialize', {
+            processId: process.pid,
+            clientInfo: this.clientInfo,
+            rootPath: this.rootPath,
+            rootUri,
+            workspaceFolders: [{ uri: rootUri, name: path.basename(this.rootPath) }],
+            initializationOptions: this.config.initializationOptions,
+            capabilities: {
+                workspace: { configuration: true, workspaceFolders: true, workspaceEdit: { documentChanges: true } },
+                textDocument: {
+                    synchronization: { dynamicRegistration: false, didSave: false },
+                    publishDiagnostics: { relatedInformation: false, versionSupport: true },
+                    diagnostic: { dynamicRegistration: false },
+                    hover: { contentFormat: ['markdown', 'plaintext'] },
+                    definition: { linkSupport: true },
+                    rename: { prepareSupport: false }
+                }
+            }
+        });
+        this.capabilities = result.capabilities || {};
+        this.serverInfo = result.serverInfo || null;
+        this.notify('initialized', {});
+        this.connected = true;
+    }
+
+    spawnProcess() {
+        const { command, args = [], env = {} } = this.config;
+        this.child = spawn(command, args, {
+            cwd: this.rootPath,
+            env: { ...process.env, ...env },
+            stdio: ['pipe', 'pipe', 'pipe'],
+            shell: process.platform === 'win32'
+        });
+
+        this.child.stdout.on('data', chunk => this.handleData(chunk));
+        this.child.stderr.on('data', chunk => logger.debug(`[LSP ${this.name}] ${chunk.toString().trimEnd()}`));
+        this.child.stdin.on('error', error => logger.debug(`[LSP ${this.name}] stdin: ${error.message}`));
+        this.child.on('error', error => this.handleExit(`failed to start: ${error.message}`));
+        this.child.on('exit', code => this.handleExit(`exited with code ${code}`));
+    }
+
+    handleExit(reason) {
+        if (!this.child) return;
+        this.child = null;
+        this.connected = false;
+        this.lastError = `Server ${reason}`;
+        logger.warn(`Language server '${this.name}' ${reason}`);
+
+        for (const [id, entry] of this.pending) {
+            clearTimeout(entry.timer);
+            entry.reject(new Error(`Language server '${this.name}' ${reason}`));
+            this.pending.delete(id);
+        }
+        for (const waiter of this.diagnosticWaiters) {
+            waiter();
+        }
+    }
+
+    /**
+     * Split stdout into Content-Length framed messages
+     */
+    handleData(chunk) {
+        this.buffer = Buffer.concat([this.buffer, chunk]);
+
+        while (true) {
+            const headerEnd = this.buffer.indexOf('\r\n\r\n');
+            if (headerEnd === -1) return;
+
+            const header = this.buffer.slice(0, headerEnd).toString('ascii');
+            const match = header.match(/Content-Length:\s*(\d+)/i);
+            if (!match) {
+                // Not a frame we understand - drop the header and resynchronize on the next one
+                this.buffer = this.buffer.slice(headerEnd + 4);
+                continue;
+            }
+
+            const length = parseInt(match[1], 10);
+            const start = headerEnd + 4;
+            if (this.buffer.length < start + length) return;
+
+            const body = this.buffer.slice(start, start + length).toString('utf8');
+            this.buffer = this.buffer.slice(start + length);
+            try {
+                this.handleMessage(JSON.parse(body));
+            } catch (error) {
+                logger.debug(`[LSP ${this.name}] ignoring unreadable message: ${error.message}`);
+            }
+        }
+    }
+
+    handleMessage(message) {
+        if (message.method && message.id !== undefined && message.id !== null) {
+            this.answerServerRequest(message);
+            return;
+        }
+
+        if (message.method) {
+            if (message.method === 'textDocument/publishDiagnostics') {
+                const { uri, diagnostics = [], version } = message.params || {};
+                const current = this.documents.get(uri);
+                // Diagnostics for an older version of the document are superseded by ones still coming
+                if (current && Number.isInteger(version) && version < current.version) return;
+                const previous = this.diagnostics.get(uri);
+                this.diagnostics.set(uri, { items: diagnostics, version: current ? current.version : null, received: (previous ? previous.received : 0) + 1 });
+                for (const waiter of this.diagnosticWaiters) {
+                    waiter(uri);
+                }
+            } else if (message.method === 'window/logMessage' || message.method === 'window/showMessage') {
+                logger.debug(`[LSP ${this.name}] ${message.params && message.params.message}`);
+            }
+            return;
+        }
+
+        const entry = this.pending.get(message.id);
+        if (!entry) return;
+
+        clearTimeout(entry.timer);
+        this.pending.delete(message.id);
+        if (message.error) {
+            entry.reject(new Error(message.error.message || `LSP error ${message.error.code}`));
+        } else {
+            entry.resolve(message.result);
+        }
+    }
+
+    /**
+     * Requests servers make of their client - configuration and registration are answered,
+     * workspace/applyEdit is declined (edits go through Jack's edit review), the rest is unsupported
+     */
+    answerServerRequest(message) {
+        const { id, method, params = {} } = message;
+        let result = null;
+        switch (method) {
+            case 'workspace/configuration':
+                result = (params.items || []).map(item => {
+                    const settings = this.config.settings || {};
+                    return item.section
+                        ? item.section.split('.').reduce((value, key) => (value && value[key] !== undefined ? value[key] : null), settings)
+                        : settings;
+                });
+                break;
+            case 'workspace/workspaceFolders':
+                result = [{ uri: pathToFileURL(this.rootPath).href, name: path.basename(this.rootPath) }];
+                break;
+            case 'workspace/applyEdit':
+                result = { applied: false, failureReason: 'Jack applies edits only after review' };
+                break;
+            case 'window/workDoneProgress/create':
+            case 'client/registerCapability':
+            case 'client/unregisterCapability':
+            case 'window/showMessageRequest':
+                result = null;
+                break;
+            default:
+                this.write({ jsonrpc: '2.0', id, error: { code: -32601, message: `Method not supported by client: ${method}` } });
+                return;
+        }
+        this.write({ jsonrpc: '2.0', id, result });
+    }
+
+    write(payload) {
+        if (!this.child) {
+            throw new Error(`Language server '${this.name}' is not running`);
+        }
+        const body = Buffer.from(JSON.stringify(payload), 'utf8');
+        this.child.stdin.write(`Content-Length: ${body.length}\r\n\r\n`);
+        this.child.stdin.write(body);
+    }
+
+    /**
+     * Send a JSON-RPC request and wait for its result
+     */
+    request(method, params = {}) {
+        const id = this.nextId++;
+        const { timeoutMs } = this;
+
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                this.pending.delete(id);
+                reject(new Error(`Language server '${this.name}' did not answer ${method} within ${timeoutMs / 1000}s`));
+            }, timeoutMs);
+
+            this.pending.set(id, { resolve, reject, timer });
+            try {
+                this.write({ jsonrpc: '2.0', id, method, params });
+            } catch (error) {
+                clearTimeout(timer);
+                this.pending.delete(id);
+                reject(error);
+            }
+        });
+    }
+
+    notify(method, params = {}) {
+        this.write({ jsonrpc: '2.0', method, params });
+    }
+
+    languageIdFor(filePath) {
+        return this.config.languageId || LANGUAGE_IDS[path.extname(filePath).toLowerCase()] || 'plaintext';
+    }
+
+    /**
+     * Make the server's copy of a document match `content` (default: the file on disk)
+     * @returns {Promise<{uri: string, changed: boolean}>}
+     */
+    async syncDocument(fullPath, content = null) {
+        const uri = pathToFileURL(fullPath).href;
+        const text = content !== null ? content : await fs.promises.readFile(fullPath, 'utf8');
+        const document = this.documents.get(uri);
+
+        if (!document) {
+            this.documents.set(uri, { version: 1, text });
+            this.notify('textDocument/didOpen', { textDocument: { uri, languageId: this.languageIdFor(fullPath), version: 1, text } });
+            return { uri, changed: true };
+        }
+        if (document.text === text) {
+            return { uri, changed: false };
+        }
+
+        document.version++;
+        document.text = text;
+        this.notify('textDocument/didChange', { textDocument: { uri, version: document.version }, contentChanges: [{ text }] });
+        return { uri, changed: true };
+    }
+
+    /**
+     * Re-read every open document from disk, so cross-file requests (rename) see current files
+     */
+    async syncOpenDocuments() {
+        for (const uri of [...this.documents.keys()]) {
+            try {
+                await this.syncDocument(fileURLToPath(uri));
+            } catch (error) {
+                // Deleted since it was opened - forget it
+                this.documents.delete(uri);
+                this.notify('textDocument/didClose', { textDocument: { uri } });
+            }
+        }
+    }
+
+    /**
+     * The server's copy of a document, if it is open
+     */
+    documentText(fullPath) {
+        const document = this.documents.get(pathToFileURL(fullPath).href);
+        return document ? document.text : null;
+    }
+
+    /**
+     * Diagnostics of a file, at its content on disk or the given content
+     * Pull-capable servers are asked directly; otherwise this waits for the server to publish
+     * diagnostics for the synced version (and briefly for follow-up passes).
+     * @returns {Promise<{diagnostics: Array, settled: boolean}>} - settled is false when the server stayed silent
+     */
+    async getDiagnostics(fullPath, content = null) {
+        const { uri, changed } = await this.syncDocument(fullPath, content);
+
+        if (this.capabilities.diagnosticProvider) {
+            const report = await this.request('textDocument/diagnostic', { textDocument: { uri } });
+            return { diagnostics: ((report && report.items) || []).map(formatDiagnostic), settled: true };
+        }
+
+        const known = this.diagnostics.get(uri);
+        const version = this.documents.get(uri).version;
+        if (!changed && known && known.version === version) {
+            return { diagnostics: known.items.map(formatDiagnostic), settled: true };
+        }
+
+        const settled = await this.waitForDiagnostics(uri, version);
+        const latest = this.diagnostics.get(uri);
+        return { diagnostics: latest ? latest.items.map(formatDiagnostic) : [], settled };
+    }
+
+    /**
+     * Resolve once diagnostics for the document version arrived and no more came for DIAGNOSTICS_SETTLE_MS
+     */
+    waitForDiagnostics(uri, version) {
+        return new Promise(resolve => {
+            let settleTimer = null;
+            const finish = settled => {
+                clearTimeout(deadline);
+                clearTimeout(settleTimer);
+                this.diagnosticWaiters.delete(waiter);
+                resolve(settled);
+            };
+            const waiter = publishedUri => {
+                if (publishedUri === undefined) return finish(false); // Server exited
+                if (publishedUri !== uri || this.diagnostics.get(uri).version !== version) return;
+                clearTimeout(settleTimer);
+                settleTimer = setTimeout(() => finish(true), DIAGNOSTICS_SETTLE_MS);
+            };
+            const deadline = setTimeout(() => finish(!!settleTimer), this.timeoutMs);
+            this.diagnosticWaiters.add(waiter);
+        });
+    }
+
+    async hover(fullPath, position) {
+        const { uri } = await this.syncDocument(fullPath);
+        return this.request('textDocument/hover', { textDocument: { uri }, position });
+    }
+
+    async definition(fullPath, position) {
+        const { uri } = await this.syncDocument(fullPath);
+        return this.request('textDocument/definition', { textDocument: { uri }, position });
+    }
+
+    async rename(fullPath, position, newName) {
+        await this.syncOpenDocuments();
+        const { uri } = await this.syncDocument(fullPath);
+        return this.request('textDocument/rename', { textDocument: { uri }, position, newName });
+    }
+
+    /**
+     * Tell the server to exit and make sure it is gone - synchronous, so it also works from exit handlers
+     */
+    close() {
+        if (this.child && this.connected) {
+            try {
+                this.notify('exit');
+            } catch (error) {
+                // Killed below
+            }
+        }
+
+        for (const entry of this.pending.values()) {
+            clearTimeout(entry.timer);
+        }
+        this.pending.clear();
+        this.connected = false;
+
+        if (this.child) {
+            const child = this.child;
+            this.child = null;
+            child.stdin.end();
+            child.kill();
+        }
+    }
+}
+
+class LspManager {
+    /**
+     * @param {string} rootPath - Workspace root
+     * @param {{servers: Object, auto: boolean}} config - Result of loadConfig
+     * @param {Object} options - Passed to every LspClient
+     */
+    constructor(rootPath, config = { servers: {}, auto: false }, options = {}) {
+        this.rootPath = rootPath;
+        this.options = options;
+        this.servers = new Map(); // name -> { command, args, extensions, ... }
+        this.clients = new Map(); // name -> LspClient (started on first use)
+        this.starting = new Map(); // name -> Promise<LspClient>
+        this.errors = new Map();   // name -> why the server could not start
+
+        const localBin = path.join(rootPath, 'node_modules', '.bin');
+        for (const [name, server] of Object.entries(config.servers)) {
+            if (!server || server.disabled) continue;
+            const resolved = LspManager.resolveCommand(server, [localBin]);
+            this.servers.set(name, resolved || server);
+        }
+
+        if (config.auto) {
+            for (const [name, preset] of Object.entries(PRESETS)) {
+                if (this.servers.has(name)) continue;
+                const resolved = LspManager.resolveCommand(preset, [localBin]);
+                if (resolved) this.servers.set(name, resolved);
+            }
+        }
+    }
+
+    /**
+     * Read server definitions from the config file, JACK_LSP_SERVERS and JACK_LSP
+     * Inline entries win over file entries with the same name.
+     * @param {string} jackRoot - Jack's install directory (default config location)
+     * @returns {{servers: Object, auto: boolean}}
+     */
+    static loadConfig(jackRoot) {
+        const mode = (process.env.JACK_LSP || '').trim().toLowerCase();
+        if (mode === 'off' || mode === 'false') {
+            return { servers: {}, auto: false };
+        }
+
+        const servers = {};
+        const configPath = process.env.JACK_LSP_CONFIG
+            ? path.resolve(jackRoot, process.env.JACK_LSP_CONFIG)
+            : path.join(jackRoot, 'lsp-servers.json');
+
+        if (fs.existsSync(configPath)) {
+            try {
+                const parsed = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+                for (const [name, server] of Object.entries(parsed.servers || parsed.languageServers || {})) {
+                    servers[name] = { ...(PRESETS[name] || {}), ...server };
+                }
+            } catch (error) {
+                logger.warn(`Could not read language server config ${configPath}: ${error.message}`);
+            }
+        } else if (process.env.JACK_LSP_CONFIG) {
+            logger.warn(`Language server config not found: ${configPath}`);
+        }
+
+        for (const rawEntry of (process.env.JACK_LSP_SERVERS || '').split(/[;\n]/)) {
+            const entry = rawEntry.trim();
+            if (!entry) continue;
+
+            const separator = entry.indexOf('=');
+            const name = (separator === -1 ? entry : entry.slice(0, separator)).trim();
+            if (!PRESETS[name]) {
+                // Inline entries have no room for file extensions - other languages go in the config file
+                logger.warn(`Ignoring JACK_LSP_SERVERS entry '${name}' (inline names: ${Object.keys(PRESETS).join(', ')}; configure other servers in lsp-servers.json)`);
+                continue;
+            }
+            if (separator === -1) {
+                servers[name] = { ...PRESETS[name] };
+            } else {
+                const [command, ...args] = entry.slice(separator + 1).trim().split(/\s+/);
+                servers[name] = { extensions: PRESETS[name].extensions, command, args };
+            }
+        }
+
+        return { servers, auto: mode === 'auto' || mode === 'true' };
+    }
+
+    /**
+     * Server config with its command resolved to an installed executable (trying a preset's
+     * alternatives in order), or null when none is installed
+     */
+    static resolveCommand(server, extraDirs) {
+        if (!server.command) return null;
+        for (const candidate of [{ command: server.command, args: server.args }, ...(server.alternatives || [])]) {
+            const executable = findExecutable(candidate.command, extraDirs);
+            if (executable) {
+                return { ...server, command: executable, args: candidate.args || [], alternatives: undefined };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Name of the server handling a file, or null
+     */
+    serverFor(filePath) {
+        const extension = path.extname(filePath).toLowerCase();
+        for (const [name, server] of this.servers) {
+            if ((server.extensions || []).map(ext => ext.toLowerCase()).includes(extension)) return name;
+        }
+        return null;
+    }
+
+    hasServerFor(filePath) {
+        return this.serverFor(filePath) !== null;
+    }
+
+    /**
+     * Running client for a file's server, starting it on first use
+     * @throws {Error} When no server handles the file or the server cannot start
+     */
+    async clientFor(filePath) {
+        const name = this.serverFor(filePath);
+        if (!name) {
+            const configured = [...this.servers].map(([server, config]) => `${server} (${(config.extensions || []).join(', ')})`);
+            throw new Error(`No language server configured for ${path.extname(filePath) || 'extensionless'} files${configured.length > 0 ? ` - configured: ${configured.join('; ')}` : ' - set JACK_LSP=auto or configure servers in lsp-servers.json'}`);
+        }
+
+        const existing = this.clients.get(name);
+        if (existing && existing.connected) return existing;
+        if (this.starting.has(name)) return this.starting.get(name);
+
+        const server = this.servers.get(name);
+        if (!findExecutable(server.command, [path.join(this.rootPath, 'node_modules', '.bin')])) {
+            throw new Error(`Language server '${name}' is not installed: ${server.command} was not found on PATH`);
+        }
+
+        const starting = (async () => {
+            const client = new LspClient(name, server, { ...this.options, rootPath: this.rootPath });
+            try {
+                await client.connect();
+                this.clients.set(name, client);
+                this.errors.delete(name);
+                logger.info(`Language server '${name}' started for ${this.rootPath}${client.serverInfo ? ` (${client.serverInfo.name} ${client.serverInfo.version || ''})` : ''}`);
+                return client;
+            } catch (error) {
+                this.errors.set(name, error.message);
+                client.close();
+                throw new Error(`Language server '${name}' could not start: ${error.message}`);
+            } finally {
+                this.starting.delete(name);
+            }
+        })();
+        this.starting.set(name, starting);
+        return starting;
+    }
+
+    /**
+     * Diagnostics of a file's content before and after an edit, from the same server
+     * @returns {Promise<{server: string, before: Array, after: Array, settled: boolean}>}
+     */
+    async compareDiagnostics(fullPath, before, after) {
+        const client = await this.clientFor(fullPath);
+        const previous = before === null ? { diagnostics: [], settled: true } : await client.getDiagnostics(fullPath, before);
+        const current = await client.getDiagnostics(fullPath, after);
+        return { server: client.name, before: previous.diagnostics, after: current.diagnostics, settled: previous.settled && current.settled };
+    }
+
+    /**
+     * Per-file TextEdits of a WorkspaceEdit (`changes` or `documentChanges`)
+     * @returns {Array<{fullPath: string, edits: Array}>}
+     * @throws {Error} On file creations, renames and deletions, which Jack does not apply from a rename
+     */
+    static workspaceEditFiles(workspaceEdit) {
+        const byPath = new Map();
+        const add = (uri, edits) => {
+            const fullPath = fileURLToPath(uri);
+            byPath.set(fullPath, [...(byPath.get(fullPath) || []), ...edits]);
+        };
+
+        if (workspaceEdit.documentChanges) {
+            for (const change of workspaceEdit.documentChanges) {
+                if (change.kind) {
+                    throw new Error(`Rename would ${change.kind} a file (${change.uri || change.oldUri}) - only in-file edits are supported`);
+                }
+                add(change.textDocument.uri, change.edits);
+            }
+        } else {
+            for (const [uri, edits] of Object.entries(workspaceEdit.changes || {})) {
+                add(uri, edits);
+            }
+        }
+
+        return [...byPath].map(([fullPath, edits]) => ({ fullPath, edits }));
+    }
+
+    /**
+     * Summary for /jack/workspaces and /api/status
+     */
+    getStatus() {
+        return [...this.servers].map(([name, server]) => {
+            const client = this.clients.get(name);
+            return {
+                name,
+                command: server.command,
+                extensions: server.extensions || [],
+                running: !!(client && client.connected),
+                server: client ? client.serverInfo : null,
+                openDocuments: client ? client.documents.size : 0,
+                lastError: (client && client.lastError) || this.errors.get(name) || null
+            };
+        });
+    }
+
+    closeAll() {
+        for (const client of this.clients.values()) {
+            client.close();
+        }
+        this.clients.clear();
+    }
+}
+
+module.exports = { LspClient, LspManager, PRESETS, diffDiagnostics, applyTextEdits, formatDiagnostic, hoverText, findExecutable };
@@ -0,0 +1,426 @@
+/**
+ * MCP Client - Connects Jack to external Model Context Protocol servers
+ * Each configured server's tools are merged into Jack's tool set under an
+ * "mcp__<server>__<tool>" name; executeTool routes calls for those names here.
+ *
+ * Servers come from a JSON config file (JACK_MCP_CONFIG, default mcp-servers.json
+ * in the Jack directory) in the format editors use:
+ *   { "mcpServers": {
+ *       "tracker": { "command": "node", "args": ["tracker-mcp.js"], "env": { "TRACKER_TOKEN": "..." } },
+ *       "schemas": { "url": "http://localhost:7410/mcp", "headers": { "Authorization": "Bearer ..." } } } }
+ * or inline from JACK_MCP_SERVERS: "tracker=node tracker-mcp.js;schemas=http://localhost:7410/mcp"
+ */
+
+const { spawn } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const axios = require('axios');
+const logger = require('./logger');
+
+const PROTOCOL_VERSION = '2025-03-26';
+const TOOL_NAME_LIMIT = 64; // OpenAI-style function names are capped at 64 characters
+
+class McpClient {
+    /**
+     * @param {string} name - Server name from the config
+     * @param {Object} config - { command, args, env, cwd } for stdio servers, { url, headers } for HTTP servers
+     * @param {Object} options
+     * @param {number} options.timeoutMs - Longest a single request may take
+     * @param {Object} options.clientInfo - { name, version } sent on initialize
+     */
+    constructor(name, config, options = {}) {
+        this.name = name;
+        this.config = config;
+        this.transport = config.url ? 'http' : 'stdio';
+        this.timeoutMs = options.timeoutMs || 60000;
+        this.clientInfo = options.clientInfo || { name: 'ollama-jack', version: '0.0.0' };
+
+        this.nextId = 1;
+        this.pending = new Map(); // request id -> { resolve, reject, timer }
+        this.child = null;
+        this.sessionId = null;    // Mcp-Session-Id for HTTP servers
+        this.connected = false;
+        this.serverInfo = null;
+        this.tools = [];
+        this.lastError = null;
+    }
+
+    /**
+     * Start the transport and run the initialize handshake
+     */
+    async connect() {
+        if (this.transport === 'stdio') {
+            this.spawnProcess();
+        }
+
+        const result = await this.request('initialize', {
+            protocolVersion: PROTOCOL_VERSION,
+            capabilities: {},
+            clientInfo: this.clientInfo
+        });
+        this.serverInfo = result.serverInfo || null;
+        await this.notify('notifications/initialized');
+        this.connected = true;
+    }
+
+    spawnProcess() {
+        const { command, args = [], env = {}, cwd } = this.config;
+        if (!command) {
+            throw new Error(`MCP server '${this.name}' needs a command or a url`);
+        }
+
+        this.child = spawn(command, args, {
+            cwd: cwd || undefined,
+            env: { ...process.env, ...env },
+            stdio: ['pipe', 'pipe', 'pipe'],
+            // npx and friends are .cmd shims on Windows
+            shell: process.platform === 'win32'
+        });
+
+        readline.createInterface({ input: this.child.stdout, terminal: false })
+            .on('line', line => this.handleLine(line));
+        readline.createInterface({ input: this.child.stderr, terminal: false })
+            .on('line', line => logger.debug(`[MCP ${this.name}] ${line}`));
+
+        this.child.on('error', error => this.handleExit(`failed to start: ${error.message}`));
+        this.child.on('exit', code => this.handleExit(`exited with code ${code}`));
+    }
+
+    handleExit(reason) {
+        if (!this.child) return;
+        this.child = null;
+        this.connected = false;
+        this.lastError = `Server ${reason}`;
+        logger.warn(`MCP server '${this.name}' ${reason}`);
+
+        for (const [id, entry] of this.pending) {
+            clearTimeout(entry.timer);
+            entry.reject(new Error(`MCP server '${this.name}' ${reason}`));
+            this.pending.delete(id);
+        }
+    }
+
+    /**
+     * Handle one line from a stdio server - responses, or requests we must answer
+     */
+    handleLine(line) {
+        if (!line.trim()) return;
+
+        let message;
+        try {
+            message = JSON.parse(line);
+        } catch (error) {
+            logger.debug(`[MCP ${this.name}] ignoring non-JSON output: ${line.slice(0, 200)}`);
+            return;
+        }
+
+        for (const entry of Array.isArray(message) ? message : [message]) {
+            this.handleMessage(entry);
+        }
+    }
+
+    handleMessage(message) {
+        if (message.method) {
+            // Jack offers no client capabilities (sampling, roots) - decline server requests
+            if (message.id !== undefined && message.id !== null) {
+                this.write({
+                    jsonrpc: '2.0',
+                    id: message.id,
+                    error: { code: -32601, message: `Method not supported by client: ${message.method}` }
+                });
+            }
+            return;
+        }
+
+        const entry = this.pending.get(message.id);
+        if (!entry) return;
+
+        clearTimeout(entry.timer);
+        this.pending.delete(message.id);
+        if (message.error) {
+            entry.reject(new Error(message.error.message || `MCP error ${message.error.code}`));
+        } else {
+            entry.resolve(message.result);
+        }
+    }
+
+    write(payload) {
+        if (!this.child) {
+            throw new Error(`MCP server '${this.name}' is not running`);
+        }
+        this.child.stdin.write(`${JSON.stringify(payload)}\n`);
+    }
+
+    /**
+     * Send a JSON-RPC request and wait for its result
+     */
+    request(method, params = {}) {
+        const id = this.nextId++;
+        const payload = { jsonrpc: '2.0', id, method, params };
+
+        if (this.transport === 'http') {
+            return this.post(payload).then(response => {
+                if (!response) throw new Error(`MCP server '${this.name}' sent no response to ${method}`);
+                if (response.error) throw new Error(response.error.message || `MCP error ${response.error.code}`);
+                return response.result;
+            });
+        }
+
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                this.pending.delete(id);
+                reject(new Error(`MCP server '${this.name}' did not answer ${method} within ${this.timeoutMs / 1000}s`));
+            }, this.timeoutMs);
+
+            this.pending.set(id, { resolve, reject, timer });
+            try {
+                this.write(payload);
+            } catch (error) {
+                clearTimeout(timer);
+                this.pending.delete(id);
+                reject(error);
+            }
+        });
+    }
+
+    /**
+     * Send a JSON-RPC notification (no response expected)
+     */
+    async notify(method, params = {}) {
+        const payload = { jsonrpc: '2.0', method, params };
+        if (this.transport === 'http') {
+            await this.post(payload);
+        } else {
+            this.write(payload);
+        }
+    }
+
+    /**
+     * POST one message to an HTTP server - the answer may be plain JSON or a short SSE stream
+     * @returns {Promise<Object|null>} - The JSON-RPC response matching the message id, if any
+     */
+    async post(payload) {
+        const headers = {
+            'Content-Type': 'application/json',
+            Accept: 'application/json, text/event-stream',
+            ...(this.config.headers || {})
+        };
+        if (this.sessionId) headers['Mcp-Session-Id'] = this.sessionId;
+
+        const response = await axios.post(this.config.url, payload, {
+            headers,
+            timeout: this.timeoutMs,
+            responseType: 'text',
+            transformResponse: data => data
+        });
+
+        if (response.headers['mcp-session-id']) {
+            this.sessionId = response.headers['mcp-session-id'];
+        }
+        if (payload.id === undefined || !response.data) return null;
+
+        const contentType = response.headers['content-type'] || '';
+        const messages = contentType.includes('text/event-stream')
+            ? response.data.split(/\r?\n/)
+                .filter(line => line.startsWith('data:'))
+                .map(line => JSON.parse(line.slice(5).trim()))
+            : [JSON.parse(response.data)];
+
+        return messages.flat().find(message => message.id === payload.id) || null;
+    }
+
+    /**
+     * Fetch the server's tool list (follows pagination cursors)
+     */
+    async listTools() {
+        const tools = [];
+        let cursor;
+        do {
+            const result = await this.request('tools/list', cursor ? { cursor } : {});
+            tools.push(...(result.tools || []));
+            cursor = result.nextCursor;
+        } while (cursor);
+
+        this.tools = tools;
+        return tools;
+    }
+
+    async callTool(name, args) {
+        return this.request('tools/call', { name, arguments: args || {} });
+    }
+
+    close() {
+        for (const entry of this.pending.values()) {
+            clearTimeout(entry.timer);
+        }
+        this.pending.clear();
+        this.connected = false;
+
+        if (this.child) {
+            const child = this.child;
+            this.child = null;
+            child.stdin.end();
+            child.kill();
+        }
+    }
+}
+
+class McpClientManager {
+    /**
+     * @param {Object} servers - name -> server config (see McpClient)
+     * @param {Object} options - Passed to every McpClient
+     */
+    constructor(servers = {}, options = {}) {
+        this.clients = new Map();  // server name -> McpClient
+        this.toolIndex = new Map(); // Jack tool name -> { server, tool }
+
+        for (const [name, config] of Object.entries(servers)) {
+            if (config && config.disabled) continue;
+            this.clients.set(name, new McpClient(name, config, options));
+        }
+    }
+
+    /**
+     * Read server definitions from the config file and JACK_MCP_SERVERS
+     * Inline entries win over file entries with the same name.
+     * @param {string} jackRoot - Jack's install directory (default config location)
+     */
+    static loadConfig(jackRoot) {
+        const servers = {};
+
+        const configPath = process.env.JACK_MCP_CONFIG
+            ? path.resolve(jackRoot, process.env.JACK_MCP_CONFIG)
+            : path.join(jackRoot, 'mcp-servers.json');
+
+        if (fs.existsSync(configPath)) {
+            try {
+                const parsed = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+                Object.assign(servers, parsed.mcpServers || parsed.servers || {});
+            } catch (error) {
+                logger.warn(`Could not read MCP config ${configPath}: ${error.message}`);
+            }
+        } else if (process.env.JACK_MCP_CONFIG) {
+            logger.warn(`MCP config not found: ${configPath}`);
+        }
+
+        for (const rawEntry of (process.env.JACK_MCP_SERVERS || '').split(/[;\n]/)) {
+            const entry = rawEntry.trim();
+            if (!entry) continue;
+
+            const separator = entry.indexOf('=');
+            if (separator <= 0) {
+                logger.warn(`Ignoring malformed JACK_MCP_SERVERS entry (expected name=command or name=url): ${entry}`);
+                continue;
+            }
+
+            const name = entry.slice(0, separator).trim();
+            const target = entry.slice(separator + 1).trim();
+            if (/^https?:\/\//i.test(target)) {
+                servers[name] = { url: target };
+            } else {
+                const [command, ...args] = target.split(/\s+/);
+                servers[name] = { command, args };
+            }
+        }
+
+        return servers;
+    }
+
+    /**
+     * Jack-side name for a server tool, limited to the characters and length models accept
+     */
+    static toolNameFor(server, tool) {
+        return `mcp__${server}__${tool}`.replace(/[^A-Za-z0-9_-]/g, '_').slice(0, TOOL_NAME_LIMIT);
+    }
+
+    /**
+     * Connect to every server and collect their tools as Jack tool definitions
+     * Servers that fail to start are logged and skipped.
+     * @returns {Promise<Array>} - Tool definitions (OpenAI function format) to merge into Jack's tools
+     */
+    async connectAll() {
+        const definitions = [];
+
+        for (const client of this.clients.values()) {
+            try {
+                await client.connect();
+                const tools = await client.listTools();
+
+                for (const tool of tools) {
+                    const jackName = McpClientManager.toolNameFor(client.name, tool.name);
+                    if (this.toolIndex.has(jackName)) {
+                        logger.warn(`MCP tool name collision, skipping ${client.name}/${tool.name} (${jackName})`);
+                        continue;
+                    }
+
+                    this.toolIndex.set(jackName, { server: client.name, tool: tool.name });
+                    definitions.push({
+                        type: 'function',
+                        function: {
+                            name: jackName,
+                            description: `[MCP: ${client.name}] ${tool.description || tool.name}`,
+                            parameters: tool.inputSchema || { type: 'object', properties: {} }
+                        }
+                    });
+                }
+
+                logger.info(`MCP server '${client.name}' connected (${client.transport}) - ${tools.length} tool${tools.length === 1 ? '' : 's'}`);
+            } catch (error) {
+                client.lastError = error.message;
+                logger.warn(`MCP server '${client.name}' unavailable: ${error.message}`);
+                client.close();
+            }
+        }
+
+        return definitions;
+    }
+
+    hasTool(jackName) {
+        return this.toolIndex.has(jackName);
+    }
+
+    /**
+     * Call an MCP tool by its Jack name and flatten the result into Jack's result shape
+     */
+    async callTool(jackName, args) {
+        const { server, tool } = this.toolIndex.get(jackName);
+        const client = this.clients.get(server);
+
+        if (!client.connected) {
+            return { success: false, error: `MCP server '${server}' is not connected${client.lastError ? ` (${client.lastError})` : ''}`, server, tool };
+        }
+
+        const result = await client.callTool(tool, args);
+        const text = (result.content || [])
+            .map(part => part.type === 'text' ? part.text : `[${part.type} content omitted]`)
+            .join('\n');
+
+        const jackResult = { success: !result.isError, server, tool, content: text };
+        if (result.structuredContent) jackResult.structuredContent = result.structuredContent;
+        if (result.isError) jackResult.error = text || `MCP tool ${tool} failed`;
+        return jackResult;
+    }
+
+    /**
+     * Summary for /api/status
+     */
+    getStatus() {
+        return [...this.clients.values()].map(client => ({
+            name: client.name,
+            transport: client.transport,
+            connected: client.connected,
+            server: client.serverInfo,
+            tools: client.tools.length,
+            lastError: client.lastError
+        }));
+    }
+
+    closeAll() {
+        for (const client of this.clients.values()) {
+            client.close();
+        }
+    }
+}
+
+module.exports = { McpClient, McpClientManager };
@@ -0,0 +1,284 @@
+/**
+ * MCP Server - Exposes Jack's tools over the Model Context Protocol
+ * Speaks JSON-RPC 2.0 over stdio (newline-delimited) and over HTTP: POST /mcp for
+ * single request/response exchanges and the GET /mcp/sse + POST /mcp/messages
+ * transport for clients that keep an event stream open.
+ * Tool calls are handed to the engine, so they still pass the alignment engine
+ * and the edit-approval flow.
+ */
+
+const crypto = require('crypto');
+const readline = require('readline');
+const logger = require('./logger');
+
+const PROTOCOL_VERSIONS = ['2025-03-26', '2024-11-05'];
+
+// JSON-RPC error codes
+const PARSE_ERROR = -32700;
+const INVALID_REQUEST = -32600;
+const METHOD_NOT_FOUND = -32601;
+const INVALID_PARAMS = -32602;
+const INTERNAL_ERROR = -32603;
+
+class McpServer {
+    /**
+     * @param {Object} options
+     * @param {string} options.name - Server name reported on initialize
+     * @param {string} options.version - Server version reported on initialize
+     * @param {Function} options.listTools - (session) => Jack tool definitions (OpenAI function format)
+     * @param {Function} options.callTool - async (name, args, session) => Jack tool result
+     */
+    constructor(options) {
+        this.name = options.name;
+        this.version = options.version;
+        this.listTools = options.listTools;
+        this.callTool = options.callTool;
+
+        this.sseSessions = new Map(); // sessionId -> { res, session }
+    }
+
+    /**
+     * Convert a Jack tool definition into an MCP tool
+     */
+    static toMcpTool(tool) {
+        return {
+            name: tool.function.name,
+            description: tool.function.description || '',
+            inputSchema: tool.function.parameters || { type: 'object', properties: {} }
+        };
+    }
+
+    /**
+     * Convert a Jack tool result into an MCP tools/call result
+     * Jack reports failures as { error } or { success: false } rather than throwing
+     */
+    static toCallResult(result) {
+        const text = typeof result === 'string' ? result : JSON.stringify(result, null, 2);
+        const isError = !!(result && typeof result === 'object' && (result.error || result.success === false));
+        return {
+            content: [{ type: 'text', text: text === undefined ? '' : text }],
+            isError
+        };
+    }
+
+    static buildError(id, code, message) {
+        return { jsonrpc: '2.0', id: id === undefined ? null : id, error: { code, message } };
+    }
+
+    /**
+     * Handle one JSON-RPC message (or a batch)
+     * @param {Object|Array} message - Parsed JSON-RPC payload
+     * @param {Object} session - Transport session ({ id, clientInfo, ... } plus caller-provided fields)
+     * @returns {Promise<Object|Array|null>} - Response(s), or null for notifications
+     */
+    async handleMessage(message, session) {
+        if (Array.isArray(message)) {
+            const responses = [];
+            for (const entry of message) {
+                const response = await this.handleMessage(entry, session);
+                if (response) responses.push(response);
+            }
+            return responses.length > 0 ? responses : null;
+        }
+
+        if (!message || message.jsonrpc !== '2.0' || typeof message.method !== 'string') {
+            // Responses from the client (we send no requests) are ignored
+            if (message && message.jsonrpc === '2.0' && ('result' in message || 'error' in message)) return null;
+            return McpServer.buildError(message && message.id, INVALID_REQUEST, 'Invalid JSON-RPC request');
+        }
+
+        const isNotification = message.id === undefined || message.id === null;
+
+        try {
+            const result = await this.dispatch(message.method, message.params || {}, session);
+            if (isNotification) return null;
+            return { jsonrpc: '2.0', id: message.id, result };
+        } catch (error) {
+            if (isNotification) return null;
+            return McpServer.buildError(message.id, error.code || INTERNAL_ERROR, error.message);
+        }
+    }
+
+    async dispatch(method, params, session) {
+        switch (method) {
+            case 'initialize': {
+                const requested = params.protocolVersion;
+                session.clientInfo = params.clientInfo || null;
+                session.protocolVersion = PROTOCOL_VERSIONS.includes(requested) ? requested : PROTOCOL_VERSIONS[0];
+                logger.info(`MCP client connected: ${session.clientInfo ? `${session.clientInfo.name} ${session.clientInfo.version || ''}`.trim() : 'unknown'} (${session.transport})`);
+                return {
+                    protocolVersion: session.protocolVersion,
+                    capabilities: { tools: { listChanged: false } },
+                    serverInfo: { name: this.name, version: this.version }
+                };
+            }
+
+            case 'notifications/initialized':
+            case 'notifications/cancelled':
+                return {};
+
+            case 'ping':
+                return {};
+
+            case 'tools/list':
+                return { tools: this.listTools(session).map(tool => McpServer.toMcpTool(tool)) };
+
+            case 'tools/call': {
+                if (!params.name || typeof params.name !== 'string') {
+                    throw Object.assign(new Error('tools/call requires a tool name'), { code: INVALID_PARAMS });
+                }
+                const known = this.listTools(session).some(tool => tool.function.name === params.name);
+                if (!known) {
+                    throw Object.assign(new Error(`Unknown tool: ${params.name}`), { code: INVALID_PARAMS });
+                }
+
+                let result;
+                try {
+                    result = await this.callTool(params.name, params.arguments || {}, session);
+                } catch (error) {
+                    // Tool failures are results the model should see, not protocol errors
+                    result = { error: `Tool execution failed: ${error.message}`, success: false };
+                }
+                return McpServer.toCallResult(result);
+            }
+
+            default:
+                throw Object.assign(new Error(`Method not found: ${method}`), { code: METHOD_NOT_FOUND });
+        }
+    }
+
+    /**
+     * Serve newline-delimited JSON-RPC on stdin/stdout
+     * The open stdin keeps the process alive; the editor closing it ends the session.
+     * @param {Function} writeOut - Writes protocol output (the real stdout; console output is redirected to stderr)
+     * @param {Object} session - Session fields for every call on this transport
+     * @returns {Promise<void>} Resolves once the client has closed stdin and every message is answered
+     */
+    attachStdio(writeOut, session = {}) {
+        const stdioSession = { id: 'stdio', transport: 'stdio', ...session };
+        const rl = readline.createInterface({ input: process.stdin, terminal: false });
+
+        const send = (payload) => writeOut(`${JSON.stringify(payload)}\n`);
+        const inFlight = new Set();
+
+        rl.on('line', (line) => {
+            if (!line.trim()) return;
+
+            let message;
+            try {
+                message = JSON.parse(line);
+            } catch (error) {
+                send(McpServer.buildError(null, PARSE_ERROR, `Parse error: ${error.message}`));
+                return;
+            }
+
+            const handling = this.handleMessage(message, stdioSession).then((response) => {
+                if (response) send(response);
+            });
+            inFlight.add(handling);
+            handling.finally(() => inFlight.delete(handling));
+        });
+
+        return new Promise((resolve) => {
+            rl.on('close', async () => {
+                logger.info('MCP stdio client disconnected - shutting down');
+                await Promise.allSettled([...inFlight]);
+                resolve();
+            });
+        });
+    }
+
+    /**
+     * POST /mcp - one JSON-RPC exchange per HTTP request
+     * @param {Object} session - Session fields for this request (tool policy, workspace)
+     */
+    async handleHttp(req, res, session = {}) {
+        if (!req.body || typeof req.body !== 'object') {
+            return res.status(400).json(McpServer.buildError(null, PARSE_ERROR, 'Request body must be JSON'));
+        }
+
+        const response = await this.handleMessage(req.body, { id: 'http', transport: 'http', ...session });
+        if (!response) {
+            return res.status(202).end();
+        }
+        res.json(response);
+    }
+
+    /**
+     * GET /mcp/sse - open an event stream and announce the message endpoint
+     * @param {string} messagesPath - Path clients POST their messages to
+     * @param {Object} session - Session fields for every call on this stream
+     */
+    openSse(req, res, messagesPath, session = {}) {
+        const sessionId = crypto.randomBytes(12).toString('hex');
+
+        res.setHeader('Content-Type', 'text/event-stream');
+        res.setHeader('Cache-Control', 'no-cache');
+        res.setHeader('Connection', 'keep-alive');
+        res.setHeader('X-Accel-Buffering', 'no');
+        if (typeof res.flushHeaders === 'function') {
+            res.flushHeaders();
+        }
+
+        // Keep proxies from closing an idle stream
+        const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), 25000);
+
+        this.sseSessions.set(sessionId, {
+            res,
+            session: { id: sessionId, transport: 'sse', ...session }
+        });
+
+        res.on('close', () => {
+            clearInterval(keepAlive);
+            this.sseSessions.delete(sessionId);
+            logger.debug(`MCP SSE session closed: ${sessionId}`);
+        });
+
+        res.write(`event: endpoint\ndata: ${messagesPath}?sessionId=${sessionId}\n\n`);
+        logger.debug(`MCP SSE session opened: ${sessionId}`);
+    }
+
+    /**
+     * POST /mcp/messages?sessionId=... - handle a message and answer on the session's stream
+     * The POST completes once the answer is written, so request scheduling covers the tool call.
+     */
+    async handleSseMessage(req, res) {
+        const entry = this.sseSessions.get(req.query.sessionId);
+        // With API keys configured, only the key that opened the stream may post to it
+        const ownerMismatch = entry && entry.session.keyId && entry.session.keyId !== req.jackAuth?.keyId;
+        if (!entry || ownerMismatch) {
+            return res.status(404).json({ error: 'Unknown MCP session', details: 'Open a stream with GET /mcp/sse first' });
+        }
+        if (!req.body || typeof req.body !== 'object') {
+            return res.status(400).json(McpServer.buildError(null, PARSE_ERROR, 'Request body must be JSON'));
+        }
+
+        const response = await this.handleMessage(req.body, entry.session);
+        if (response && this.sseSessions.has(req.query.sessionId)) {
+            entry.res.write(`event: message\ndata: ${JSON.stringify(response)}\n\n`);
+        }
+
+        res.status(202).json({ accepted: true });
+    }
+
+    /**
+     * Summary for /api/status
+     */
+    getStatus() {
+        return {
+            sseSessions: this.sseSessions.size
+        };
+    }
+}
+
+/**
+ * Route all console and stdout output to stderr so stdout carries only MCP messages
+ * @returns {Function} - Writer for the real stdout
+ */
+function reserveStdoutForMcp() {
+    const writeOut = process.stdout.write.bind(process.stdout);
+    process.stdout.write = process.stderr.write.bind(process.stderr);
+    return writeOut;
+}
+
+module.exports = { McpServer, reserveStdoutForMcp };
@@ -0,0 +1,386 @@
+/**
+ * OpenAI Responses Adapter - /v1/responses compatibility for the proxy
+ * Maps Responses API input items (messages, function_call, function_call_output)
+ * onto Ollama chat messages and renders Jack's answers back as response objects
+ * or response.* Server-Sent Events
+ */
+
+const crypto = require('crypto');
+
+class OpenAIResponsesAdapter {
+    /**
+     * Generate a prefixed id in the Responses API style (resp_, msg_)
+     */
+    static createId(prefix) {
+        return `${prefix}_${crypto.randomBytes(12).toString('hex')}`;
+    }
+
+    /**
+     * Flatten message content (string or array of input/output parts) into text and images
+     */
+    static flattenContent(content) {
+        if (typeof content === 'string') return { text: content, images: [] };
+
+        const textParts = [];
+        const images = [];
+
+        for (const part of Array.isArray(content) ? content : []) {
+            switch (part.type) {
+                case 'input_text':
+                case 'output_text':
+                case 'text':
+                    textParts.push(part.text);
+                    break;
+                case 'input_image': {
+                    // Ollama only takes raw base64 - data URLs are unwrapped, remote URLs are skipped
+                    const match = typeof part.image_url === 'string' && part.image_url.match(/^data:[^;]+;base64,(.+)$/);
+                    if (match) images.push(match[1]);
+                    break;
+                }
+                default:
+                    break;
+            }
+        }
+
+        return { text: textParts.join('\n'), images };
+    }
+
+    /**
+     * Convert `instructions` + `input` into Ollama chat messages
+     * @param {Object} body - Responses API request body
+     * @returns {Array} - Ollama chat messages (without Jack's own system message)
+     */
+    static toOllamaMessages(body) {
+        const ollamaMessages = [];
+        const toolNames = new Map(); // call_id -> function name, for function_call_output items
+
+        if (body.instructions) {
+            ollamaMessages.push({ role: 'system', content: body.instructions });
+        }
+
+        if (typeof body.input === 'string') {
+            ollamaMessages.push({ role: 'user', content: body.input });
+            return ollamaMessages;
+        }
+
+        for (const item of Array.isArray(body.input) ? body.input : []) {
+            const type = item.type || 'message';
+
+            if (type === 'message') {
+                const { text, images } = OpenAIResponsesAdapter.flattenContent(item.content);
+                // developer messages are system instructions under a newer name
+                const role = item.role === 'developer' ? 'system' : item.role;
+                const message = { role, content: text };
+                if (images.length > 0) message.images = images;
+                ollamaMessages.push(message);
+            } else if (type === 'function_call') {
+                toolNames.set(item.call_id, item.name);
+                let args = item.arguments;
+                try {
+                    args = typeof args === 'string' ? JSON.parse(args || '{}') : (args || {});
+                } catch (error) {
+                    // Keep malformed arguments as-is so the model can see what it sent
+                }
+
+                // Consecutive function calls belong to the same assistant turn
+                const previous = ollamaMessages[ollamaMessages.length - 1];
+                const toolCall = {
+                    id: item.call_id,
+                    type: 'function',
+                    function: { name: item.name, arguments: args }
+                };
+                if (previous && previous.role === 'assistant' && previous.tool_calls) {
+                    previous.tool_calls.push(toolCall);
+                } else {
+                    ollamaMessages.push({ role: 'assistant', content: '', tool_calls: [toolCall] });
+                }
+            } else if (type === 'function_call_output') {
+                ollamaMessages.push({
+                    role: 'tool',
+                    tool_call_id: item.call_id,
+                    tool_name: toolNames.get(item.call_id),
+                    content: typeof item.output === 'string' ? item.output : JSON.stringify(item.output)
+                });
+            }
+            // reasoning and other item types have no Ollama equivalent
+        }
+
+        return ollamaMessages;
+    }
+
+    /**
+     * Map Responses API sampling parameters onto Ollama options
+     */
+    static toOllamaOptions(body) {
+        const options = {};
+        if (typeof body.max_output_tokens === 'number') options.num_predict = body.max_output_tokens;
+        if (typeof body.temperature === 'number') options.temperature = body.temperature;
+        if (typeof body.top_p === 'number') options.top_p = body.top_p;
+        return Object.keys(options).length > 0 ? options : undefined;
+    }
+
+    /**
+     * Text of the last user input, for session memory tracking
+     */
+    static lastUserText(body) {
+        if (typeof body.input === 'string') return body.input;
+        if (!Array.isArray(body.input)) return null;
+
+        const userItems = body.input.filter(item => (item.type || 'message') === 'message' && item.role === 'user');
+        const last = userItems[userItems.length - 1];
+        if (!last) return null;
+
+        return OpenAIResponsesAdapter.flattenContent(last.content).text || null;
+    }
+
+    /**
+     * Validate the parts of the request Jack depends on
+     * @returns {{message: string, param: string}|null} - Error details, or null when the request is usable
+     */
+    static validateRequest(body) {
+        if (!body || typeof body !== 'object') {
+            return { message: 'Request body must be a JSON object', param: null };
+        }
+        if (body.previous_response_id) {
+            // Jack keeps no server-side response store - clients must resend the conversation
+            return { message: 'previous_response_id is not supported by this proxy; send the full conversation in input', param: 'previous_response_id' };
+        }
+        if (typeof body.input !== 'string' && !Array.isArray(body.input)) {
+            return { message: 'input: must be a string or an array of input items', param: 'input' };
+        }
+        if (Array.isArray(body.input) && body.input.length === 0) {
+            return { message: 'input: must not be empty', param: 'input' };
+        }
+        return null;
+    }
+
+    /**
+     * Build a response object - status is 'incomplete' when Ollama stopped on the token limit
+     */
+    static buildResponse({ id, messageId, model, createdAt, text, doneReason, instructions = null, inputTokens = 0, outputTokens = 0, status }) {
+        const truncated = doneReason === 'length';
+        const responseStatus = status || (truncated ? 'incomplete' : 'completed');
+
+        return {
+            id: id || OpenAIResponsesAdapter.createId('resp'),
+            object: 'response',
+            created_at: createdAt || Math.floor(Date.now() / 1000),
+            status: responseStatus,
+            error: null,
+            incomplete_details: truncated ? { reason: 'max_output_tokens' } : null,
+            instructions,
+            model,
+            output: text === null ? [] : [
+                OpenAIResponsesAdapter.buildMessageItem(messageId, text, truncated ? 'incomplete' : 'completed')
+            ],
+            output_text: text || '',
+            parallel_tool_calls: true,
+            tool_choice: 'auto',
+            tools: [],
+            usage: {
+                input_tokens: inputTokens,
+                output_tokens: outputTokens,
+                total_tokens: inputTokens + outputTokens
+            }
+        };
+    }
+
+    /**
+     * Build an assistant message output item
+     */
+    static buildMessageItem(id, text, status = 'completed') {
+        return {
+            type: 'message',
+            id: id || OpenAIResponsesAdapter.createId('msg'),
+            status,
+            role: 'assistant',
+            content: [{ type: 'output_text', text, annotations: [] }]
+        };
+    }
+
+    /**
+     * Build an OpenAI error body
+     */
+    static buildError(message, type = 'invalid_request_error', param = null) {
+        return {
+            error: {
+                message,
+                type,
+                param,
+                code: null
+            }
+        };
+    }
+}
+
+class OpenAIResponsesStreamWriter {
+    /**
+     * @param {import('express').Response} res - Express response to stream into
+     * @param {Object} options
+     * @param {string} options.model - Model name reported to the client
+     * @param {string} options.instructions - Echoed back on the response object
+     */
+    constructor(res, options = {}) {
+        this.res = res;
+        this.model = options.model || 'unknown';
+        this.instructions = options.instructions || null;
+
+        this.id = OpenAIResponsesAdapter.createId('resp');
+        this.messageId = OpenAIResponsesAdapter.createId('msg');
+        this.createdAt = Math.floor(Date.now() / 1000);
+
+        this.sequenceNumber = 0;
+        this.text = '';
+        this.itemOpen = false;
+        this.finished = false;
+        this.closed = false;
+
+        this.res.on('close', () => {
+            this.closed = true;
+        });
+    }
+
+    /**
+     * Send SSE headers - must be called before any event is written
+     */
+    open() {
+        this.res.setHeader('Content-Type', 'text/event-stream');
+        this.res.setHeader('Cache-Control', 'no-cache');
+        this.res.setHeader('Connection', 'keep-alive');
+        this.res.setHeader('X-Accel-Buffering', 'no');
+        if (typeof this.res.flushHeaders === 'function') {
+            this.res.flushHeaders();
+        }
+    }
+
+    /**
+     * Write one named SSE event with its sequence number
+     */
+    writeEvent(event, data) {
+        if (this.closed) return false;
+        const payload = { type: event, sequence_number: this.sequenceNumber++, ...data };
+        this.res.write(`event: ${event}\ndata: ${JSON.stringify(payload)}\n\n`);
+        return true;
+    }
+
+    /**
+     * Snapshot of the response object for lifecycle events
+     */
+    snapshot(status, extra = {}) {
+        return OpenAIResponsesAdapter.buildResponse({
+            id: this.id,
+            messageId: this.messageId,
+            model: this.model,
+            createdAt: this.createdAt,
+            instructions: this.instructions,
+            text: null,
+            status,
+            ...extra
+        });
+    }
+
+    /**
+     * Announce the response
+     */
+    start() {
+        this.writeEvent('response.created', { response: this.snapshot('in_progress') });
+        this.writeEvent('response.in_progress', { response: this.snapshot('in_progress') });
+    }
+
+    /**
+     * Stream a text fragment, opening the message item and its output_text part on first use
+     */
+    writeText(text) {
+        if (!text) return true;
+
+        if (!this.itemOpen) {
+            this.writeEvent('response.output_item.added', {
+                output_index: 0,
+                item: { type: 'message', id: this.messageId, status: 'in_progress', role: 'assistant', content: [] }
+            });
+            this.writeEvent('response.content_part.added', {
+                item_id: this.messageId,
+                output_index: 0,
+                content_index: 0,
+                part: { type: 'output_text', text: '', annotations: [] }
+            });
+            this.itemOpen = true;
+        }
+
+        this.text += text;
+        return this.writeEvent('response.output_text.delta', {
+            item_id: this.messageId,
+            output_index: 0,
+            content_index: 0,
+            delta: text
+        });
+    }
+
+    /**
+     * Close the message item and the response
+     */
+    finish(doneReason = 'stop', inputTokens = 0, outputTokens = 0) {
+        if (this.finished) return;
+        this.finished = true;
+
+        const final = OpenAIResponsesAdapter.buildResponse({
+            id: this.id,
+            messageId: this.messageId,
+            model: this.model,
+            createdAt: this.createdAt,
+            instructions: this.instructions,
+            text: this.text,
+            doneReason,
+            inputTokens,
+            outputTokens
+        });
+
+        if (this.itemOpen) {
+            this.writeEvent('response.output_text.done', {
+                item_id: this.messageId,
+                output_index: 0,
+                content_index: 0,
+                text: this.text
+            });
+            this.writeEvent('response.content_part.done', {
+                item_id: this.messageId,
+                output_index: 0,
+                content_index: 0,
+                part: final.output[0].content[0]
+            });
+            this.writeEvent('response.output_item.done', {
+                output_index: 0,
+                item: final.output[0]
+            });
+        } else {
+            final.output = [];
+        }
+
+        this.writeEvent(final.status === 'incomplete' ? 'response.incomplete' : 'response.completed', { response: final });
+    }
+
+    /**
+     * Report an error after headers were already sent (HTTP status can no longer change)
+     */
+    writeError(message) {
+        this.writeEvent('error', { code: 'server_error', message, param: null });
+        this.writeEvent('response.failed', {
+            response: {
+                ...this.snapshot('failed'),
+                error: { code: 'server_error', message }
+            }
+        });
+    }
+
+    /**
+     * End the response
+     */
+    end() {
+        if (!this.closed) {
+            this.res.end();
+        }
+        this.closed = true;
+    }
+}
+
+module.exports = { OpenAIResponsesAdapter, OpenAIResponsesStreamWriter };
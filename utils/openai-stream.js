@@ -0,0 +1,189 @@
+/**
+ * OpenAI Stream Writer - Server-Sent Events in the chat.completion.chunk format
+ * Turns Ollama streaming parts into incremental deltas that the OpenAI SDK and
+ * IDE plugins can consume, including tool_calls deltas and the [DONE] sentinel
+ */
+
+const crypto = require('crypto');
+
+class OpenAIStreamWriter {
+    /**
+     * @param {import('express').Response} res - Express response to stream into
+     * @param {Object} options
+     * @param {string} options.model - Model name reported to the client
+     * @param {boolean} options.includeUsage - Emit a trailing usage chunk (stream_options.include_usage)
+     * @param {number} options.argumentFragmentSize - Max characters per tool_calls arguments fragment
+     */
+    constructor(res, options = {}) {
+        this.res = res;
+        this.model = options.model || 'unknown';
+        this.includeUsage = !!options.includeUsage;
+        this.argumentFragmentSize = options.argumentFragmentSize || 64;
+
+        // One id/created pair for the whole stream so clients can stitch chunks together
+        this.id = `hijack-${Date.now()}`;
+        this.created = Math.floor(Date.now() / 1000);
+
+        this.toolCallIndex = 0;
+        this.roleSent = false;
+        this.finished = false;
+        this.closed = false;
+
+        this.res.on('close', () => {
+            this.closed = true;
+        });
+    }
+
+    /**
+     * Send SSE headers - must be called before any chunk is written
+     */
+    open() {
+        this.res.setHeader('Content-Type', 'text/event-stream');
+        this.res.setHeader('Cache-Control', 'no-cache');
+        this.res.setHeader('Connection', 'keep-alive');
+        this.res.setHeader('X-Accel-Buffering', 'no');
+        if (typeof this.res.flushHeaders === 'function') {
+            this.res.flushHeaders();
+        }
+    }
+
+    /**
+     * Write a raw SSE data line
+     */
+    writeEvent(payload) {
+        if (this.closed) return false;
+        const data = typeof payload === 'string' ? payload : JSON.stringify(payload);
+        this.res.write(`data: ${data}\n\n`);
+        return true;
+    }
+
+    /**
+     * Write one chat.completion.chunk with the given delta
+     */
+    writeChunk(delta, finishReason = null) {
+        // The first chunk of an OpenAI stream always announces the assistant role
+        if (!this.roleSent) {
+            delta = { role: 'assistant', ...delta };
+            this.roleSent = true;
+        }
+
+        return this.writeEvent({
+            id: this.id,
+            object: 'chat.completion.chunk',
+            created: this.created,
+            model: this.model,
+            choices: [{
+                index: 0,
+                delta,
+                finish_reason: finishReason
+            }]
+        });
+    }
+
+    /**
+     * Stream a content fragment
+     */
+    writeContent(content) {
+        if (!content) return true;
+        return this.writeChunk({ content });
+    }
+
+    /**
+     * Stream tool calls as OpenAI-style deltas: the first delta for each call carries
+     * index/id/type/name, following deltas carry argument fragments only
+     * @param {Array} toolCalls - Normalized tool calls ({ id, function: { name, arguments } })
+     * @returns {Array} - The tool calls with their assigned stream index
+     */
+    writeToolCalls(toolCalls) {
+        const indexed = [];
+
+        for (const toolCall of toolCalls) {
+            const index = this.toolCallIndex++;
+            const rawArgs = toolCall.function.arguments;
+            const argumentString = typeof rawArgs === 'string' ? rawArgs : JSON.stringify(rawArgs || {});
+
+            this.writeChunk({
+                tool_calls: [{
+                    index,
+                    id: toolCall.id,
+                    type: 'function',
+                    function: { name: toolCall.function.name, arguments: '' }
+                }]
+            });
+
+            for (let i = 0; i < argumentString.length; i += this.argumentFragmentSize) {
+                this.writeChunk({
+                    tool_calls: [{
+                        index,
+                        function: { arguments: argumentString.slice(i, i + this.argumentFragmentSize) }
+                    }]
+                });
+            }
+
+            indexed.push({ ...toolCall, index });
+        }
+
+        return indexed;
+    }
+
+    /**
+     * Close the choice with a finish reason and optional usage chunk
+     */
+    finish(finishReason = 'stop', usage = null) {
+        if (this.finished) return;
+        this.finished = true;
+
+        this.writeChunk({}, finishReason);
+
+        if (this.includeUsage && usage) {
+            this.writeEvent({
+                id: this.id,
+                object: 'chat.completion.chunk',
+                created: this.created,
+                model: this.model,
+                choices: [],
+                usage
+            });
+        }
+    }
+
+    /**
+     * Report an error after headers were already sent (HTTP status can no longer change)
+     */
+    writeError(message, type = 'server_error') {
+        this.writeEvent({
+            error: {
+                message,
+                type,
+                code: null
+            }
+        });
+    }
+
+    /**
+     * Terminate the stream with the [DONE] sentinel
+     */
+    end() {
+        if (!this.closed) {
+            this.writeEvent('[DONE]');
+            this.res.end();
+        }
+        this.closed = true;
+    }
+
+    /**
+     * Normalize Ollama tool calls so every call carries a stable id
+     */
+    static normalizeToolCalls(toolCalls = []) {
+        return toolCalls.map(toolCall => ({
+            id: toolCall.id || `call_${crypto.randomBytes(12).toString('hex')}`,
+            type: 'function',
+            function: {
+                name: toolCall.function?.name,
+                arguments: toolCall.function?.arguments ?? {}
+            }
+        }));
+    }
+}
+
+module.exports = OpenAIStreamWriter;
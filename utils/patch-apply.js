@@ -0,0 +1,412 @@
+/**
+ * Patch Apply - Parse unified diffs and V4A patches and apply them with fuzzy hunk matching
+ * Models emit diffs whose line numbers drift, whose context lines lost their indentation or
+ * whose outermost context no longer exists. Each hunk is therefore located by content, not
+ * by line number: exact match first, then ignoring trailing whitespace, then ignoring all
+ * surrounding whitespace, then dropping up to `fuzz` context lines from the hunk's edges.
+ * The line number (or V4A `@@` anchor) only decides between several candidate positions.
+ *
+ * Unified:                          V4A:
+ *   --- a/src/app.js                  *** Begin Patch
+ *   +++ b/src/app.js                  *** Update File: src/app.js
+ *   @@ -10,3 +10,3 @@                 @@ function start() {
+ *    context                           context
+ *   -old                              -old
+ *   +new                              +new
+ *                                     *** Add File: src/new.js
+ *                                     +content
+ *                                     *** End Patch
+ */
+
+const DEFAULT_FUZZ = 2;
+
+// Matching passes, strictest first
+const WHITESPACE_LEVELS = [
+    { name: 'exact', normalize: line => line },
+    { name: 'trailing-whitespace', normalize: line => line.trimEnd() },
+    { name: 'whitespace', normalize: line => line.trim() }
+];
+
+/**
+ * Strip the a/ b/ prefixes and timestamps git and diff(1) put on file headers
+ */
+function headerPath(raw) {
+    const name = raw.split('\t')[0].trim();
+    if (name === '/dev/null') return null;
+    return name.replace(/^[ab]\//, '');
+}
+
+function newHunk(anchor = null, oldStart = null, oldCount = null) {
+    return { anchor, oldStart, oldCount, atEnd: false, lines: [] };
+}
+
+/**
+ * Parse a unified diff (git diff, diff -u, or hand-written with loose headers)
+ */
+function parseUnified(lines) {
+    const files = [];
+    let file = null;
+    let hunk = null;
+
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+
+        // A file header is a ---/+++ pair - a lone "--- x" inside a hunk is a removed "-- x" line
+        if (line.startsWith('--- ') && (lines[i + 1] || '').startsWith('+++ ')) {
+            const oldPath = headerPath(line.slice(4));
+            const newPath = headerPath(lines[i + 1].slice(4));
+            if (!oldPath && !newPath) {
+                throw new Error(`Patch line ${i + 1}: both sides of the file header are /dev/null`);
+            }
+            file = {
+                type: !oldPath ? 'add' : (!newPath ? 'delete' : 'update'),
+                filePath: oldPath || newPath,
+                moveTo: oldPath && newPath && oldPath !== newPath ? newPath : null,
+                hunks: []
+            };
+            files.push(file);
+            hunk = null;
+            i++;
+            continue;
+        }
+
+        const header = line.match(/^@@ -(\d+)(?:,(\d+))? \+\d+(?:,\d+)? @@/);
+        if (header || line === '@@' || line.startsWith('@@ ')) {
+            if (!file) {
+                throw new Error(`Patch line ${i + 1}: hunk before any ---/+++ file header`);
+            }
+            const oldCount = header && header[2] !== undefined ? parseInt(header[2], 10) : (header ? 1 : null);
+            const oldStart = header ? parseInt(header[1], 10) : null;
+            // "-0,0" and "-5,0" (pure insertions) point at the line before the hunk
+            hunk = newHunk(null, oldStart === null ? null : (oldCount === 0 ? oldStart : oldStart - 1), oldCount);
+            file.hunks.push(hunk);
+            continue;
+        }
+
+        if (!hunk) continue; // diff --git, index, mode lines and commentary
+
+        if (line.startsWith('\\')) {
+            // "\ No newline at end of file" applies to the line before it
+            const last = hunk.lines[hunk.lines.length - 1];
+            if (last && last[0] === '+') hunk.noNewlineAtEnd = true;
+        } else if (line === '' || line[0] === ' ' || line[0] === '-' || line[0] === '+') {
+            // Editors and models strip the single space of blank context lines
+            hunk.lines.push(line === '' ? ' ' : line);
+        } else {
+            hunk = null;
+        }
+    }
+
+    // Blank lines after the last hunk line are the patch's own trailing newlines, not context
+    for (const { hunks } of files) {
+        for (const { lines: body, oldCount } of hunks) {
+            while (body.length > 0 && body[body.length - 1] === ' ' && oldCount !== null &&
+                body.filter(entry => entry[0] !== '+').length > oldCount) {
+                body.pop();
+            }
+        }
+    }
+
+    return files;
+}
+
+/**
+ * Parse a V4A patch (*** Begin Patch / *** Update File: / @@ anchor / *** End Patch)
+ */
+function parseV4A(lines) {
+    const files = [];
+    let file = null;
+    let hunk = null;
+
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+        const marker = line.match(/^\*\*\* (Update File|Add File|Delete File|Move to): ?(.*)$/);
+
+        if (marker) {
+            const [, kind, target] = marker;
+            if (!target.trim()) {
+                throw new Error(`Patch line ${i + 1}: '*** ${kind}:' needs a path`);
+            }
+            if (kind === 'Move to') {
+                if (!file || file.type !== 'update') {
+                    throw new Error(`Patch line ${i + 1}: '*** Move to:' must follow '*** Update File:'`);
+                }
+                file.moveTo = target.trim();
+                continue;
+            }
+            file = {
+                type: { 'Update File': 'update', 'Add File': 'add', 'Delete File': 'delete' }[kind],
+                filePath: target.trim(),
+                moveTo: null,
+                hunks: []
+            };
+            files.push(file);
+            hunk = file.type === 'add' ? newHunk() : null;
+            if (hunk) file.hunks.push(hunk);
+            continue;
+        }
+
+        if (/^\*\*\* (Begin|End) Patch\s*$/.test(line)) continue;
+        if (!file) continue; // Commentary before the first file
+
+        if (/^\*\*\* End of File\s*$/.test(line)) {
+            if (hunk) hunk.atEnd = true;
+            continue;
+        }
+
+        if (file.type === 'add') {
+            if (line[0] === '+') {
+                hunk.lines.push(line);
+            } else if (line !== '') {
+                throw new Error(`Patch line ${i + 1}: lines of an added file must start with '+'`);
+            }
+            continue;
+        }
+
+        if (line === '@@' || line.startsWith('@@ ')) {
+            // Consecutive @@ lines narrow the location: "@@ class Foo" then "@@ def bar"
+            const anchor = line.slice(2).trim();
+            if (hunk && hunk.lines.length === 0) {
+                if (anchor) hunk.anchor = [...(hunk.anchor || []), anchor];
+            } else {
+                hunk = newHunk(anchor ? [anchor] : null);
+                file.hunks.push(hunk);
+            }
+            continue;
+        }
+
+        if (line === '' || line[0] === ' ' || line[0] === '-' || line[0] === '+') {
+            if (file.type === 'delete') continue;
+            if (!hunk) {
+                hunk = newHunk();
+                file.hunks.push(hunk);
+            }
+            hunk.lines.push(line === '' ? ' ' : line);
+        }
+    }
+
+    for (const { hunks } of files) {
+        for (const { lines: body } of hunks) {
+            while (body.length > 0 && body[body.length - 1] === ' ') body.pop();
+        }
+    }
+
+    return files;
+}
+
+/**
+ * Parse a patch in either format
+ * @param {string} text - Unified diff or V4A patch
+ * @returns {Array<{type: 'update'|'add'|'delete', filePath: string, moveTo: string|null, hunks: Array<{anchor: string[]|null, oldStart: number|null, atEnd: boolean, lines: string[]}>}>} -
+ *   One entry per file; hunk lines are ' '/'-'/'+' prefixed and `oldStart` is a 0-based hint
+ * @throws {Error} When the patch is malformed or touches no file
+ */
+function parsePatch(text) {
+    const lines = String(text || '').replace(/\r\n/g, '\n').split('\n');
+    if (lines[lines.length - 1] === '') lines.pop();
+    const isV4A = lines.some(line => /^\*\*\* (Begin Patch|Update File:|Add File:|Delete File:)/.test(line));
+    const files = isV4A ? parseV4A(lines) : parseUnified(lines);
+
+    if (files.length === 0) {
+        throw new Error('Patch contains no files - expected ---/+++ headers or *** Update File: / *** Add File: sections');
+    }
+    for (const file of files) {
+        if (file.type === 'update' && !file.moveTo && file.hunks.every(hunk => hunk.lines.length === 0)) {
+            throw new Error(`Patch for ${file.filePath} has no hunks`);
+        }
+    }
+    return files;
+}
+
+/**
+ * Positions where `needle` occurs in `haystack` at or after `from`
+ */
+function findAll(haystack, needle, from, normalize) {
+    const wanted = needle.map(normalize);
+    const positions = [];
+    for (let start = from; start + wanted.length <= haystack.length; start++) {
+        let matches = true;
+        for (let k = 0; k < wanted.length; k++) {
+            if (normalize(haystack[start + k]) !== wanted[k]) {
+                matches = false;
+                break;
+            }
+        }
+        if (matches) positions.push(start);
+    }
+    return positions;
+}
+
+/**
+ * Where a hunk's anchors put it: the line of the last anchor, each found in order from `from`
+ */
+function anchorPosition(lines, anchors, from) {
+    let position = from;
+    let last = -1;
+    for (const anchor of anchors) {
+        const target = anchor.trim();
+        let found = -1;
+        for (let i = position; i < lines.length; i++) {
+            if (lines[i].trim() === target) {
+                found = i;
+                break;
+            }
+        }
+        if (found === -1) {
+            for (let i = position; i < lines.length; i++) {
+                if (lines[i].includes(target)) {
+                    found = i;
+                    break;
+                }
+            }
+        }
+        if (found === -1) return -1;
+        last = found;
+        position = found + 1;
+    }
+    return last;
+}
+
+/**
+ * Locate one hunk in the file, trying every whitespace level before dropping context
+ * @returns {{position: number, trimStart: number, trimEnd: number, whitespace: string}|null}
+ */
+function locateHunk(fileLines, body, { from, hint, atEnd, fuzz }) {
+    let leading = 0;
+    while (leading < body.length && body[leading][0] === ' ') leading++;
+    let trailing = 0;
+    while (trailing < body.length - leading && body[body.length - 1 - trailing][0] === ' ') trailing++;
+
+    let previous = -1;
+    for (let dropped = 0; dropped <= fuzz; dropped++) {
+        const trimStart = Math.min(dropped, leading);
+        const trimEnd = Math.min(dropped, trailing);
+        if (trimStart + trimEnd === previous) break; // No more context left to drop
+        previous = trimStart + trimEnd;
+
+        const old = body.slice(trimStart, body.length - trimEnd)
+            .filter(line => line[0] !== '+')
+            .map(line => line.slice(1));
+        if (old.length === 0) continue;
+
+        for (const level of WHITESPACE_LEVELS) {
+            const positions = findAll(fileLines, old, from, level.normalize);
+            if (positions.length === 0) continue;
+
+            let position = positions[0];
+            if (atEnd && positions.includes(fileLines.length - old.length)) {
+                position = fileLines.length - old.length;
+            } else if (hint !== null) {
+                const target = hint + trimStart;
+                position = positions.reduce((best, candidate) =>
+                    Math.abs(candidate - target) < Math.abs(best - target) ? candidate : best);
+            }
+            return { position, trimStart, trimEnd, whitespace: level.name, dropped };
+        }
+    }
+    return null;
+}
+
+/**
+ * Apply the hunks of one file's patch to its content
+ * @param {string} content - Current file content
+ * @param {Array} hunks - The `hunks` of a parsePatch entry
+ * @param {Object} options
+ * @param {number} options.fuzz - Context lines that may be ignored at each end of a hunk
+ * @param {string} options.filePath - For error messages
+ * @returns {{content: string, hunks: Array<{index: number, line: number, offset: number, fuzz: number, whitespace: string}>}} -
+ *   The patched content and where each hunk landed (1-based line, distance from its header's line number,
+ *   context lines dropped, and the whitespace matching that was needed)
+ * @throws {Error} Naming the first hunk that cannot be located
+ */
+function applyFilePatch(content, hunks, options = {}) {
+    const fuzz = Number.isInteger(options.fuzz) && options.fuzz >= 0 ? options.fuzz : DEFAULT_FUZZ;
+    const label = options.filePath || 'file';
+
+    const eol = content.includes('\r\n') ? '\r\n' : '\n';
+    const lines = content.split(/\r?\n/);
+    const endsWithNewline = content.length > 0 && lines[lines.length - 1] === '';
+    if (endsWithNewline) lines.pop();
+    if (content.length === 0) lines.length = 0;
+
+    const placed = [];
+    let from = 0;
+    let delta = 0; // Lines added minus removed by earlier hunks, to shift the line-number hints
+    let noNewlineAtEnd = false;
+
+    for (const [index, hunk] of hunks.entries()) {
+        if (hunk.lines.length === 0) continue;
+
+        let searchFrom = from;
+        if (hunk.anchor) {
+            const anchored = anchorPosition(lines, hunk.anchor, from);
+            if (anchored === -1) {
+                throw new Error(`Hunk ${index + 1} of ${label}: anchor '${hunk.anchor.join(' / ')}' not found`);
+            }
+            searchFrom = anchored;
+        }
+        const hint = hunk.oldStart !== null && hunk.oldStart !== undefined ? hunk.oldStart + delta : null;
+
+        let match;
+        if (hunk.lines.every(line => line[0] === '+')) {
+            // Pure insertion without context: the line number, anchor or end of file says where
+            const position = hunk.atEnd || (hint === null && !hunk.anchor)
+                ? lines.length
+                : (hunk.anchor ? searchFrom + 1 : Math.min(Math.max(hint, from), lines.length));
+            match = { position, trimStart: 0, trimEnd: 0, whitespace: 'exact', dropped: 0 };
+        } else {
+            match = locateHunk(lines, hunk.lines, { from: searchFrom, hint, atEnd: hunk.atEnd, fuzz });
+        }
+
+        if (!match) {
+            const expected = hunk.lines.filter(line => line[0] !== '+').slice(0, 3).map(line => `  ${line.slice(1)}`).join('\n');
+            throw new Error(`Hunk ${index + 1} of ${label} does not match the file (fuzz ${fuzz}) - expected lines like:\n${expected}`);
+        }
+
+        // Context lines keep the file's own text; removed lines are dropped, added lines inserted
+        const body = hunk.lines.slice(match.trimStart, hunk.lines.length - match.trimEnd);
+        const replacement = [];
+        let cursor = match.position;
+        for (const line of body) {
+            if (line[0] === ' ') {
+                replacement.push(lines[cursor++]);
+            } else if (line[0] === '-') {
+                cursor++;
+            } else {
+                replacement.push(line.slice(1));
+            }
+        }
+        const removed = cursor - match.position;
+        lines.splice(match.position, removed, ...replacement);
+
+        placed.push({
+            index: index + 1,
+            line: match.position + 1,
+            offset: hint === null ? 0 : match.position - (hint + match.trimStart),
+            fuzz: match.dropped,
+            whitespace: match.whitespace
+        });
+        from = match.position + replacement.length;
+        delta += replacement.length - removed;
+        if (hunk.noNewlineAtEnd && from === lines.length) noNewlineAtEnd = true;
+    }
+
+    let result = lines.join(eol);
+    if (lines.length > 0 && (endsWithNewline || content.length === 0) && !noNewlineAtEnd) {
+        result += eol;
+    }
+    return { content: result, hunks: placed };
+}
+
+/**
+ * Content of a file created by an add-file patch entry
+ */
+function addedFileContent(entry) {
+    const lines = entry.hunks.flatMap(hunk => hunk.lines)
+        .filter(line => line[0] === '+')
+        .map(line => line.slice(1));
+    const noNewline = entry.hunks.some(hunk => hunk.noNewlineAtEnd);
+    return lines.length === 0 ? '' : lines.join('\n') + (noNewline ? '' : '\n');
+}
+
+module.exports = { parsePatch, applyFilePatch, addedFileContent, DEFAULT_FUZZ };
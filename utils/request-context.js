@@ -0,0 +1,27 @@
+/**
+ * Request Context - Per-request state for concurrent proxy requests
+ * Backed by AsyncLocalStorage, so state set when a request is admitted is visible
+ * to everything that runs on its behalf (tool loop, executeTool, alignment checks)
+ * without threading it through every call.
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Run fn with the given context as the current request context
+ * @param {Object} context - { requestId, clientId, ... }
+ */
+function runWithContext(context, fn) {
+    return storage.run(context, fn);
+}
+
+/**
+ * Current request context, or null outside of a scheduled request (interactive chat, startup)
+ */
+function getContext() {
+    return storage.getStore() || null;
+}
+
+module.exports = { runWithContext, getContext };
@@ -0,0 +1,328 @@
+/**
+ * Request Scheduler - Concurrency limit, fair per-client queues and rate limiting for the proxy
+ * Admitted requests run inside their own request context (see request-context.js);
+ * waiting requests are served round-robin across clients so one busy editor
+ * cannot starve another.
+ * A scheduling client is a bucket the caller cannot pick freely (API key or remote address);
+ * labels such as X-Jack-Client only name editors within a bucket.
+ */
+
+const crypto = require('crypto');
+const logger = require('./logger');
+const { runWithContext } = require('./request-context');
+
+// Distinct labels remembered per bucket for /api/status (labels are caller-chosen)
+const MAX_LABELS_PER_CLIENT = 32;
+
+class SchedulerError extends Error {
+    /**
+     * @param {string} message
+     * @param {number} statusCode - HTTP status to answer with (429 or 503)
+     * @param {number} retryAfter - Seconds the client should wait before retrying
+     */
+    constructor(message, statusCode = 429, retryAfter = 1) {
+        super(message);
+        this.name = 'SchedulerError';
+        this.statusCode = statusCode;
+        this.retryAfter = retryAfter;
+    }
+}
+
+class RequestScheduler {
+    /**
+     * @param {Object} options
+     * @param {number} options.concurrency - Requests processed at once (across all clients)
+     * @param {number} options.maxQueuePerClient - Waiting requests allowed per client
+     * @param {number} options.rateLimit - Requests per client per window (0 disables rate limiting)
+     * @param {number} options.rateWindowMs - Rate limit window
+     * @param {number} options.queueTimeoutMs - Longest a request may wait for a slot
+     */
+    constructor(options = {}) {
+        this.concurrency = Math.max(1, options.concurrency || 2);
+        this.maxQueuePerClient = options.maxQueuePerClient ?? 20;
+        this.rateLimit = options.rateLimit ?? 60;
+        this.rateWindowMs = options.rateWindowMs || 60000;
+        this.queueTimeoutMs = options.queueTimeoutMs || 120000;
+
+        this.running = 0;
+        this.queues = new Map();      // clientId -> [{ resolve, reject, enqueuedAt, timer }]
+        this.turnOrder = [];          // clientIds with waiting requests, round-robin order
+        this.rateWindows = new Map(); // clientId -> [admission timestamps]
+        this.clients = new Map();     // clientId -> per-client counters
+
+        this.stats = {
+            admitted: 0,
+            completed: 0,
+            rejected: 0,
+            timedOut: 0,
+            totalWaitMs: 0,
+            maxWaitMs: 0,
+            recentWaits: []
+        };
+    }
+
+    /**
+     * Build a scheduler from JACK_MAX_CONCURRENCY / JACK_QUEUE_* / JACK_RATE_LIMIT* settings
+     */
+    static fromEnv() {
+        const int = (value, fallback) => {
+            const parsed = parseInt(value, 10);
+            return Number.isNaN(parsed) ? fallback : parsed;
+        };
+
+        return new RequestScheduler({
+            concurrency: int(process.env.JACK_MAX_CONCURRENCY, 2),
+            maxQueuePerClient: int(process.env.JACK_QUEUE_LIMIT, 20),
+            queueTimeoutMs: int(process.env.JACK_QUEUE_TIMEOUT, 120) * 1000,
+            rateLimit: int(process.env.JACK_RATE_LIMIT, 60),
+            rateWindowMs: int(process.env.JACK_RATE_WINDOW, 60) * 1000
+        });
+    }
+
+    getClient(clientId) {
+        if (!this.clients.has(clientId)) {
+            this.clients.set(clientId, { running: 0, queued: 0, completed: 0, rejected: 0, lastSeen: null, labels: new Set() });
+        }
+        return this.clients.get(clientId);
+    }
+
+    /**
+     * Enforce the per-client rate limit (sliding window over admissions)
+     * @throws {SchedulerError}
+     */
+    checkRateLimit(clientId) {
+        if (!this.rateLimit) return;
+
+        const now = Date.now();
+        const window = (this.rateWindows.get(clientId) || []).filter(time => now - time < this.rateWindowMs);
+
+        if (window.length >= this.rateLimit) {
+            this.rateWindows.set(clientId, window);
+            const retryAfter = Math.ceil((this.rateWindowMs - (now - window[0])) / 1000);
+            throw new SchedulerError(
+                `Rate limit exceeded for client '${clientId}': ${this.rateLimit} requests per ${this.rateWindowMs / 1000}s`,
+                429,
+                Math.max(1, retryAfter)
+            );
+        }
+
+        window.push(now);
+        this.rateWindows.set(clientId, window);
+    }
+
+    /**
+     * Wait for a processing slot
+     * @param {string} clientId - Scheduling bucket
+     * @param {string} [label] - Editor within the bucket (reported in stats only)
+     * @returns {Promise<{release: Function, waitMs: number}>}
+     * @throws {SchedulerError} When rate limited, the client's queue is full, or the wait times out
+     */
+    acquire(clientId, label = null) {
+        const client = this.getClient(clientId);
+        client.lastSeen = new Date().toISOString();
+        if (label && client.labels.size < MAX_LABELS_PER_CLIENT) {
+            client.labels.add(label);
+        }
+
+        try {
+            this.checkRateLimit(clientId);
+        } catch (error) {
+            client.rejected++;
+            this.stats.rejected++;
+            return Promise.reject(error);
+        }
+
+        if (this.running < this.concurrency && this.turnOrder.length === 0) {
+            return Promise.resolve(this.admit(clientId, Date.now()));
+        }
+
+        const queue = this.queues.get(clientId) || [];
+        if (queue.length >= this.maxQueuePerClient) {
+            client.rejected++;
+            this.stats.rejected++;
+            return Promise.reject(new SchedulerError(
+                `Too many queued requests for client '${clientId}' (limit ${this.maxQueuePerClient})`,
+                429,
+                5
+            ));
+        }
+
+        return new Promise((resolve, reject) => {
+            const waiter = { resolve, reject, enqueuedAt: Date.now(), timer: null };
+
+            waiter.timer = setTimeout(() => {
+                this.removeWaiter(clientId, waiter);
+                client.rejected++;
+                this.stats.rejected++;
+                this.stats.timedOut++;
+                reject(new SchedulerError(
+                    `Request waited more than ${this.queueTimeoutMs / 1000}s for a free slot`,
+                    503,
+                    5
+                ));
+            }, this.queueTimeoutMs);
+
+            queue.push(waiter);
+            this.queues.set(clientId, queue);
+            client.queued++;
+            if (!this.turnOrder.includes(clientId)) {
+                this.turnOrder.push(clientId);
+            }
+
+            logger.debug(`Request queued for client '${clientId}' (${this.getQueueDepth()} waiting, ${this.running}/${this.concurrency} running)`);
+        });
+    }
+
+    /**
+     * Occupy a slot for the client and hand back its release function
+     */
+    admit(clientId, enqueuedAt) {
+        const client = this.getClient(clientId);
+        const waitMs = Date.now() - enqueuedAt;
+
+        this.running++;
+        client.running++;
+        this.stats.admitted++;
+        this.stats.totalWaitMs += waitMs;
+        this.stats.maxWaitMs = Math.max(this.stats.maxWaitMs, waitMs);
+        this.stats.recentWaits.push(waitMs);
+        if (this.stats.recentWaits.length > 100) {
+            this.stats.recentWaits.shift();
+        }
+
+        let released = false;
+        const release = () => {
+            if (released) return;
+            released = true;
+            this.running--;
+            client.running--;
+            client.completed++;
+            this.stats.completed++;
+            this.dispatch();
+        };
+
+        return { release, waitMs };
+    }
+
+    /**
+     * Hand free slots to waiting requests, one client at a time in round-robin order
+     */
+    dispatch() {
+        while (this.running < this.concurrency && this.turnOrder.length > 0) {
+            const clientId = this.turnOrder.shift();
+            const queue = this.queues.get(clientId) || [];
+            const waiter = queue.shift();
+
+            if (queue.length > 0) {
+                this.turnOrder.push(clientId);
+            } else {
+                this.queues.delete(clientId);
+            }
+            if (!waiter) continue;
+
+            clearTimeout(waiter.timer);
+            this.getClient(clientId).queued--;
+            waiter.resolve(this.admit(clientId, waiter.enqueuedAt));
+        }
+    }
+
+    removeWaiter(clientId, waiter) {
+        const queue = this.queues.get(clientId) || [];
+        const index = queue.indexOf(waiter);
+        if (index === -1) return;
+
+        queue.splice(index, 1);
+        this.getClient(clientId).queued--;
+        if (queue.length === 0) {
+            this.queues.delete(clientId);
+            this.turnOrder = this.turnOrder.filter(id => id !== clientId);
+        }
+    }
+
+    getQueueDepth() {
+        let depth = 0;
+        for (const queue of this.queues.values()) depth += queue.length;
+        return depth;
+    }
+
+    /**
+     * Express handler admitted through the scheduler - answers 429/503 when the request is not
+     * admitted, otherwise runs the handler inside a fresh request context. The slot is held until
+     * the handler settles, not until the response closes: a client that disconnects mid tool loop
+     * does not free capacity while that loop is still running.
+     * @param {Function} handler - async (req, res) route handler
+     * @param {Function} identify - (req) => {bucket, clientId}: the bucket keys queues and rate limits,
+     *   clientId names the caller within it (and keys its isolated state)
+     * @param {Function} createContext - (req, clientId) => extra context fields for the request
+     */
+    wrap(handler, identify, createContext = () => ({})) {
+        return async (req, res, next) => {
+            const { bucket, clientId } = identify(req);
+
+            let slot;
+            try {
+                slot = await this.acquire(bucket, clientId);
+            } catch (error) {
+                if (!(error instanceof SchedulerError)) return next(error);
+
+                logger.warn(`Request from '${clientId}' (${bucket}) rejected by scheduler: ${error.message}`);
+                res.set('Retry-After', String(error.retryAfter));
+                return res.status(error.statusCode).json({
+                    error: error.statusCode === 429 ? 'Too Many Requests' : 'Service Unavailable',
+                    details: error.message,
+                    retryAfter: error.retryAfter
+                });
+            }
+
+            if (slot.waitMs > 0) {
+                res.set('X-Jack-Queue-Wait', String(slot.waitMs));
+            }
+
+            const context = {
+                requestId: `req_${crypto.randomBytes(6).toString('hex')}`,
+                clientId,
+                bucket,
+                queueWaitMs: slot.waitMs,
+                ...createContext(req, clientId)
+            };
+
+            try {
+                await runWithContext(context, () => handler(req, res));
+            } catch (error) {
+                next(error);
+            } finally {
+                slot.release();
+            }
+        };
+    }
+
+    /**
+     * Snapshot for /api/status
+     */
+    getStats() {
+        const recent = this.stats.recentWaits;
+        const clients = {};
+        for (const [clientId, client] of this.clients) {
+            clients[clientId] = { ...client, labels: [...client.labels] };
+        }
+
+        return {
+            concurrency: this.concurrency,
+            running: this.running,
+            queueDepth: this.getQueueDepth(),
+            rateLimit: this.rateLimit ? { requests: this.rateLimit, windowSeconds: this.rateWindowMs / 1000 } : null,
+            admitted: this.stats.admitted,
+            completed: this.stats.completed,
+            rejected: this.stats.rejected,
+            timedOut: this.stats.timedOut,
+            waitMs: {
+                average: this.stats.admitted > 0 ? Math.round(this.stats.totalWaitMs / this.stats.admitted) : 0,
+                recentAverage: recent.length > 0 ? Math.round(recent.reduce((sum, wait) => sum + wait, 0) / recent.length) : 0,
+                max: this.stats.maxWaitMs
+            },
+            clients
+        };
+    }
+}
+
+module.exports = { RequestScheduler, SchedulerError };
@@ -0,0 +1,242 @@
+/**
+ * Review Page - Minimal browser UI for pending edits, served at GET /jack/review
+ * A static page on top of the review API (GET /jack/edits, POST /jack/edits/<id>/accept|reject|refactor,
+ * POST /jack/batches/<id>/accept|reject),
+ * so people who only use Jack as a proxy can approve changes without the terminal.
+ *
+ * The page holds no data itself: the API key (when JACK_API_KEYS is set) is entered in the page and
+ * kept in sessionStorage, and ?workspace=<name> selects a registered workspace (X-Jack-Workspace).
+ *
+ * Decisions need the X-Jack-Review header and, from a browser, an Origin matching the server - so a
+ * page on another site cannot accept edits through a plain form post or a CORS request, even with
+ * authentication off.
+ */
+
+const REFRESH_MS = 3000;
+const REVIEW_HEADER = 'X-Jack-Review';
+
+const STYLE = `
+body { font-family: -apple-system, Segoe UI, Roboto, sans-serif; margin: 0; background: #0f1115; color: #d8dee9; }
+header { display: flex; gap: 12px; align-items: center; padding: 12px 20px; background: #161a22; border-bottom: 1px solid #2a303c; }
+header h1 { font-size: 18px; margin: 0 auto 0 0; }
+header input { background: #0f1115; color: inherit; border: 1px solid #2a303c; padding: 4px 8px; border-radius: 4px; }
+main { padding: 20px; max-width: 1100px; margin: 0 auto; }
+.edit { border: 1px solid #2a303c; border-radius: 6px; margin-bottom: 18px; background: #161a22; }
+.edit.awaiting { border-color: #ebcb8b; }
+.batch { border: 1px solid #b48ead; border-radius: 6px; margin-bottom: 18px; background: #161a22; }
+.edit h2 { font-size: 15px; margin: 0; padding: 10px 14px; border-bottom: 1px solid #2a303c; }
+.meta { color: #8891a5; font-size: 12px; padding: 6px 14px; }
+.conflict { color: #ebcb8b; padding: 6px 14px; }
+pre { margin: 0; padding: 10px 14px; overflow-x: auto; font-size: 12px; line-height: 1.45; }
+.add { color: #a3be8c; } .del { color: #bf616a; } .hunk { color: #88c0d0; } .file { color: #b48ead; }
+.actions { display: flex; gap: 8px; flex-wrap: wrap; padding: 10px 14px; border-top: 1px solid #2a303c; }
+button { border: 0; border-radius: 4px; padding: 6px 12px; cursor: pointer; font-weight: 600; }
+.accept { background: #a3be8c; color: #0f1115; } .reject { background: #bf616a; color: #fff; } .refactor { background: #5e81ac; color: #fff; }
+.secondary { background: #2a303c; color: #d8dee9; }
+.empty, .status { color: #8891a5; text-align: center; padding: 40px; }
+.error { color: #bf616a; }
+`;
+
+const SCRIPT = `
+const workspace = new URLSearchParams(location.search).get('workspace');
+const keyInput = document.getElementById('key');
+keyInput.value = sessionStorage.getItem('jackApiKey') || '';
+keyInput.addEventListener('change', () => { sessionStorage.setItem('jackApiKey', keyInput.value.trim()); refresh(); });
+
+function headers() {
+    const result = { 'Content-Type': 'application/json', '${REVIEW_HEADER}': '1' };
+    const key = keyInput.value.trim();
+    if (key) result.Authorization = 'Bearer ' + key;
+    if (workspace) result['X-Jack-Workspace'] = workspace;
+    return result;
+}
+
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]);
+}
+
+function renderDiff(diff) {
+    return diff.split('\\n').map(line => {
+        const css = line.startsWith('+++') || line.startsWith('---') ? 'file'
+            : line.startsWith('@@') ? 'hunk'
+            : line.startsWith('+') ? 'add'
+            : line.startsWith('-') ? 'del' : '';
+        return '<span class="' + css + '">' + escapeHtml(line) + '</span>';
+    }).join('\\n');
+}
+
+function renderEdit(edit, awaiting) {
+    const operation = edit.operation || {};
+    const body = edit.diff !== null
+        ? renderDiff(edit.diff)
+        : escapeHtml(operation.command || JSON.stringify(operation, null, 2));
+    const hunkControls = edit.hunks > 1
+        ? '<button class="secondary" data-action="accept-hunks">Accept hunks…</button>' +
+          '<button class="secondary" data-action="reject-hunks">Reject hunks…</button>'
+        : '';
+    const conflictControls = edit.conflict
+        ? '<button class="secondary" data-action="markers">Accept with conflict markers</button>' +
+          '<button class="secondary" data-action="overwrite">Accept, overwriting disk</button>'
+        : '';
+    return '<section class="edit' + (awaiting ? ' awaiting' : '') + '" data-id="' + escapeHtml(edit.id) + '">' +
+        '<h2>' + escapeHtml(edit.description || edit.id) + '</h2>' +
+        '<div class="meta">' + escapeHtml(edit.id) + ' · ' + escapeHtml(edit.timestamp) +
+        (edit.batchId ? ' · batch ' + escapeHtml(edit.batchId) : '') +
+        (edit.hunks ? ' · ' + edit.hunks + ' hunk' + (edit.hunks === 1 ? '' : 's') : '') +
+        (awaiting ? ' · the model is waiting on this edit' : '') + '</div>' +
+        (edit.conflict ? '<div class="conflict">⚠️ The file changed on disk since this edit was proposed</div>' : '') +
+        '<pre>' + body + '</pre>' +
+        '<div class="actions">' +
+        '<button class="accept" data-action="accept">Accept</button>' +
+        '<button class="reject" data-action="reject">Reject</button>' +
+        '<button class="refactor" data-action="refactor">Refactor…</button>' +
+        hunkControls + conflictControls +
+        '</div></section>';
+}
+
+function renderBatch(batch) {
+    return '<section class="batch" data-id="' + escapeHtml(batch.id) + '">' +
+        '<div class="meta">📦 batch ' + escapeHtml(batch.id) +
+        (batch.description ? ' · ' + escapeHtml(batch.description) : '') +
+        ' · ' + batch.pending.length + ' pending edit' + (batch.pending.length === 1 ? '' : 's') +
+        (batch.open ? ' · still open' : '') + '</div>' +
+        (batch.lastError ? '<div class="conflict">⚠️ Last attempt rolled back: ' + escapeHtml(batch.lastError) + '</div>' : '') +
+        '<div class="actions">' +
+        '<button class="accept" data-action="accept">Accept batch</button>' +
+        '<button class="reject" data-action="reject">Reject batch</button>' +
+        '</div></section>';
+}
+
+async function request(method, url, body) {
+    const response = await fetch(url, { method, headers: headers(), body: body ? JSON.stringify(body) : undefined });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) throw new Error(data.error || data.details || response.statusText);
+    return data;
+}
+
+async function refresh() {
+    const container = document.getElementById('edits');
+    try {
+        const data = await request('GET', '/jack/edits');
+        document.getElementById('mode').textContent = data.autoAcceptEdits ? 'Auto-Edit Mode' : 'Manual Mode';
+        container.innerHTML = data.pending.length === 0
+            ? '<div class="empty">No pending edits</div>'
+            : (data.batches || []).map(renderBatch).join('') +
+              data.pending.map(edit => renderEdit(edit, edit.id === data.awaitingDecision)).join('');
+    } catch (error) {
+        container.innerHTML = '<div class="status error">' + escapeHtml(error.message) + '</div>';
+    }
+}
+
+async function decide(editId, action) {
+    let path = action;
+    let body = {};
+    if (action === 'reject') {
+        const reason = prompt('Reason for rejecting (optional):');
+        if (reason === null) return;
+        body.reason = reason || undefined;
+    } else if (action === 'refactor') {
+        const modifications = prompt('What should change?');
+        if (!modifications) return;
+        body.modifications = modifications;
+    } else if (action === 'accept-hunks' || action === 'reject-hunks') {
+        const hunks = prompt('Hunks to ' + action.split('-')[0] + ' (e.g. 1,3 or 2-4):');
+        if (!hunks) return;
+        path = action.split('-')[0];
+        body.hunks = hunks;
+    } else if (action === 'markers' || action === 'overwrite') {
+        path = 'accept';
+        body.resolution = action;
+    }
+
+    try {
+        await request('POST', '/jack/edits/' + encodeURIComponent(editId) + '/' + path, body);
+    } catch (error) {
+        alert(error.message);
+    }
+    refresh();
+}
+
+async function decideBatch(batchId, action) {
+    const body = {};
+    if (action === 'reject') {
+        const reason = prompt('Reason for rejecting the batch (optional):');
+        if (reason === null) return;
+        body.reason = reason || undefined;
+    }
+
+    try {
+        await request('POST', '/jack/batches/' + encodeURIComponent(batchId) + '/' + action, body);
+    } catch (error) {
+        alert(error.message);
+    }
+    refresh();
+}
+
+document.getElementById('edits').addEventListener('click', event => {
+    const button = event.target.closest('button[data-action]');
+    if (!button) return;
+    const batch = button.closest('.batch');
+    if (batch) {
+        decideBatch(batch.dataset.id, button.dataset.action);
+    } else {
+        decide(button.closest('.edit').dataset.id, button.dataset.action);
+    }
+});
+
+refresh();
+setInterval(refresh, ${REFRESH_MS});
+`;
+
+/**
+ * The review page's HTML
+ */
+function renderReviewPage() {
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>Jack - Edit Review</title>
+<style>${STYLE}</style>
+</head>
+<body>
+<header>
+<h1>🦙 Jack - Pending Edits</h1>
+<span id="mode" class="meta"></span>
+<input id="key" type="password" placeholder="API key (if required)" autocomplete="off">
+</header>
+<main id="edits"><div class="status">Loading…</div></main>
+<script>${SCRIPT}</script>
+</body>
+</html>
+`;
+}
+
+/**
+ * Why a decision request (POST /jack/edits/<id>/<action>) is refused, or null when it may proceed
+ * @param {Object} req - Express request
+ * @returns {string|null}
+ */
+function reviewRequestError(req) {
+    if (!req.get(REVIEW_HEADER)) {
+        return `Edit decisions need the ${REVIEW_HEADER} header`;
+    }
+
+    // Browsers always send Origin on POST; other clients (curl, scripts) send none
+    const origin = req.get('origin');
+    if (origin) {
+        let originHost = null;
+        try {
+            originHost = new URL(origin).host;
+        } catch (error) {
+            // "null" (sandboxed frames, file://) and other opaque origins
+        }
+        if (originHost !== req.get('host')) {
+            return `Edit decisions are not accepted from ${origin}`;
+        }
+    }
+    return null;
+}
+
+module.exports = { renderReviewPage, reviewRequestError, REVIEW_HEADER };
@@ -0,0 +1,467 @@
+/**
+ * Semantic Index - Embedding-based code search for the semantic_search tool
+ * Answers "where do we handle retries?" without the model knowing the identifiers to grep for.
+ *
+ * Workspace files (from the workspace index, so .gitignore/.jackignore apply) are cut into pieces
+ * with the edit controller's structural chunker, embedded by a local Ollama embedding model and
+ * kept in <dataDir>/.memory/semantic-index.json. Each search first re-embeds files whose content
+ * changed since the last one (unchanged chunks keep their vectors), then ranks chunks by cosine
+ * similarity to the query.
+ *
+ * The model is JACK_EMBED_MODEL or the first installed of EMBEDDING_MODELS (any model with
+ * "embed" in its name otherwise); JACK_EMBED_HOST points at the Ollama serving it - by default
+ * OLLAMA_HOST in local mode and http://localhost:11434 in cloud mode.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { Ollama } = require('ollama');
+const logger = require('./logger');
+
+// Embedding models in order of preference (also used by the Rich CLI's population agent)
+const EMBEDDING_MODELS = [
+    'embeddinggemma:300m',
+    'nomic-embed-text:latest',
+    'mxbai-embed-large:latest',
+    'all-minilm:latest'
+];
+
+// Prefixes some models were trained with - queries and documents are embedded differently
+const MODEL_PROMPTS = [
+    { match: /embeddinggemma/, query: 'task: search result | query: ', document: 'title: none | text: ' },
+    { match: /nomic-embed/, query: 'search_query: ', document: 'search_document: ' },
+    { match: /mxbai-embed/, query: 'Represent this sentence for searching relevant passages: ', document: '' }
+];
+
+const INDEX_VERSION = 1;
+const CHUNK_SIZE = 1500;          // Characters per structural chunk
+const MIN_CHUNK_CHARS = 200;      // Smaller pieces (single imports, closing braces) join their neighbour
+const MAX_EMBED_CHARS = 4000;     // Text sent to the model per chunk
+const MAX_FILE_BYTES = 512 * 1024;
+const BATCH_SIZE = 32;            // Chunks per embedding request
+const SAVE_EVERY = 500;           // Embedded chunks between saves while building
+const PREVIEW_LINES = 20;
+const SKIPPED_FILES = [
+    /(^|\/)(package-lock\.json|yarn\.lock|pnpm-lock\.yaml|Cargo\.lock|poetry\.lock|composer\.lock|Gemfile\.lock)$/,
+    /\.min\.(js|css)$/,
+    /\.map$/
+];
+
+/**
+ * Preferred embedding model among installed model names
+ * @returns {string|null}
+ */
+function bestEmbeddingModel(names) {
+    const base = name => name.split(':')[0];
+    return EMBEDDING_MODELS.find(model => names.includes(model))
+        || names.find(name => EMBEDDING_MODELS.some(model => base(model) === base(name)))
+        || names.find(name => /embed/i.test(name))
+        || null;
+}
+
+function promptsFor(model) {
+    return MODEL_PROMPTS.find(prompts => prompts.match.test(model)) || { query: '', document: '' };
+}
+
+function normalize(values) {
+    const vector = Float32Array.from(values);
+    let length = 0;
+    for (let i = 0; i < vector.length; i++) length += vector[i] * vector[i];
+    length = Math.sqrt(length) || 1;
+    for (let i = 0; i < vector.length; i++) vector[i] /= length;
+    return vector;
+}
+
+function dot(a, b) {
+    let sum = 0;
+    for (let i = 0; i < a.length; i++) sum += a[i] * b[i];
+    return sum;
+}
+
+const encodeVector = vector => Buffer.from(vector.buffer, vector.byteOffset, vector.byteLength).toString('base64');
+
+function decodeVector(text) {
+    const buffer = Buffer.from(text, 'base64');
+    return new Float32Array(buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength));
+}
+
+const hashText = text => crypto.createHash('sha1').update(text).digest('hex');
+
+class OllamaEmbedder {
+    /**
+     * @param {Object} options - { host, model (null = pick an installed embedding model) }
+     */
+    constructor({ host, model = null }) {
+        this.host = host;
+        this.client = new Ollama({ host });
+        this.configuredModel = model;
+        this.model = null;
+        this.legacy = false; // Ollama before 0.3 only has /api/embeddings (one text per request)
+    }
+
+    /**
+     * @param {Object} options - { cloudMode: chat goes to Ollama Cloud, embeddings stay local }
+     */
+    static fromEnv({ cloudMode = false } = {}) {
+        const host = process.env.JACK_EMBED_HOST
+            || (cloudMode ? 'http://localhost:11434' : process.env.OLLAMA_HOST || 'http://localhost:11434');
+        return new OllamaEmbedder({ host, model: process.env.JACK_EMBED_MODEL || null });
+    }
+
+    /**
+     * Installed embedding model to use (looked up once)
+     * @throws {Error} When Ollama is unreachable or no embedding model is installed
+     */
+    async resolveModel() {
+        if (this.model) return this.model;
+
+        let names;
+        try {
+            names = ((await this.client.list()).models || []).map(model => model.name);
+        } catch (error) {
+            throw new Error(`Cannot reach Ollama at ${this.host} for embeddings: ${error.message}`);
+        }
+
+        if (this.configuredModel) {
+            const model = names.find(name => name === this.configuredModel || name === `${this.configuredModel}:latest`);
+            if (!model) {
+                throw new Error(`Embedding model '${this.configuredModel}' (JACK_EMBED_MODEL) is not installed at ${this.host} - run: ollama pull ${this.configuredModel}`);
+            }
+            this.model = model;
+        } else {
+            this.model = bestEmbeddingModel(names);
+            if (!this.model) {
+                throw new Error(`No embedding model installed at ${this.host} - run: ollama pull nomic-embed-text (or set JACK_EMBED_MODEL)`);
+            }
+        }
+        return this.model;
+    }
+
+    /**
+     * @param {string[]} texts
+     * @returns {Promise<number[][]>} - One vector per text
+     */
+    async embed(texts) {
+        const model = await this.resolveModel();
+        if (!this.legacy) {
+            try {
+                const response = await this.client.embed({ model, input: texts, truncate: true });
+                return response.embeddings;
+            } catch (error) {
+                if (error.status_code !== 404 || /model/i.test(error.message)) throw error;
+                this.legacy = true;
+                logger.debug(`${this.host} has no /api/embed - embedding one text per request`);
+            }
+        }
+
+        const vectors = [];
+        for (const text of texts) {
+            vectors.push((await this.client.embeddings({ model, prompt: text })).embedding);
+        }
+        return vectors;
+    }
+}
+
+class SemanticIndex {
+    /**
+     * @param {Object} options
+     * @param {import('./workspace-index').WorkspaceIndex} options.workspaceIndex - Files to index
+     * @param {Object} options.editController - The workspace's EditVersionController (structural chunker)
+     * @param {string} options.dataDir - Index goes to <dataDir>/.memory/semantic-index.json
+     * @param {OllamaEmbedder} options.embedder
+     * @param {number} options.maxChunks - Chunks indexed at most (JACK_SEMANTIC_MAX_CHUNKS, default 20000)
+     */
+    constructor({ workspaceIndex, editController, dataDir, embedder, maxChunks = parseInt(process.env.JACK_SEMANTIC_MAX_CHUNKS, 10) || 20000 }) {
+        this.workspaceIndex = workspaceIndex;
+        this.editController = editController;
+        this.embedder = embedder;
+        this.maxChunks = maxChunks;
+        this.indexFile = path.join(dataDir, '.memory', 'semantic-index.json');
+
+        this.model = null;
+        this.dimensions = null;
+        this.files = null; // relPath -> { mtimeMs, size, hash, chunks: [{ startLine, endLine, hash, vector }] }
+        this.updatedAt = null;
+        this.truncated = false;
+        this.updating = null;
+    }
+
+    /**
+     * Read the index from disk (once); an index built with another model starts over
+     */
+    async load(model) {
+        if (this.files && this.model === model) return;
+        this.files = new Map();
+        this.model = model;
+        this.dimensions = null;
+
+        let stored;
+        try {
+            stored = JSON.parse(await fs.readFile(this.indexFile, 'utf8'));
+        } catch (error) {
+            return; // Not built yet (or unreadable - rebuilt from scratch)
+        }
+        if (stored.version !== INDEX_VERSION || stored.model !== model) {
+            logger.info(`Semantic index was built with ${stored.model || 'another format'} - rebuilding for ${model}`);
+            return;
+        }
+
+        this.dimensions = stored.dimensions;
+        for (const [relPath, file] of Object.entries(stored.files || {})) {
+            this.files.set(relPath, {
+                ...file,
+                chunks: file.chunks.map(chunk => ({ ...chunk, vector: decodeVector(chunk.vector) }))
+            });
+        }
+    }
+
+    async save() {
+        const files = {};
+        for (const [relPath, file] of this.files) {
+            files[relPath] = {
+                ...file,
+                chunks: file.chunks.map(chunk => ({ ...chunk, vector: encodeVector(chunk.vector) }))
+            };
+        }
+        const data = JSON.stringify({ version: INDEX_VERSION, model: this.model, dimensions: this.dimensions, files });
+
+        // Write then rename, so an interrupted save never leaves half an index
+        await fs.mkdir(path.dirname(this.indexFile), { recursive: true });
+        const tempFile = `${this.indexFile}.${process.pid}.tmp`;
+        await fs.writeFile(tempFile, data);
+        await fs.rename(tempFile, this.indexFile);
+    }
+
+    /**
+     * Structural chunks of a file with their line ranges
+     * @returns {Promise<Array<{startLine: number, endLine: number, text: string}>>}
+     */
+    async chunkFile(relPath, content) {
+        const pieces = await this.editController.readFileChunked(relPath, { method: 'structural', chunkSize: CHUNK_SIZE });
+
+        // The chunker trims its pieces; find each one (in order) in the text for its line numbers
+        const chunks = [];
+        let offset = 0;
+        let line = 1;
+        for (const piece of pieces) {
+            if (!piece.trim()) continue;
+            const start = content.indexOf(piece, offset);
+            if (start === -1) continue; // Changed between the two reads - the next search picks it up
+
+            for (let i = offset; i < start; i++) {
+                if (content.charCodeAt(i) === 10) line++;
+            }
+            const startLine = line;
+            for (let i = start; i < start + piece.length; i++) {
+                if (content.charCodeAt(i) === 10) line++;
+            }
+            offset = start + piece.length;
+
+            const last = chunks[chunks.length - 1];
+            if (last && (last.text.length < MIN_CHUNK_CHARS || piece.length < MIN_CHUNK_CHARS) && offset - last.start <= CHUNK_SIZE) {
+                last.text = content.slice(last.start, offset);
+                last.endLine = line;
+            } else {
+                chunks.push({ start, startLine, endLine: line, text: piece });
+            }
+        }
+        return chunks.map(({ startLine, endLine, text }) => ({ startLine, endLine, text }));
+    }
+
+    /**
+     * Bring the index up to date with the workspace (one update at a time)
+     * @returns {Promise<{files: number, chunks: number, embeddedChunks: number, changedFiles: number, removedFiles: number, durationMs: number}>}
+     */
+    async update() {
+        if (!this.updating) {
+            this.updating = this.refresh().finally(() => {
+                this.updating = null;
+            });
+        }
+        return this.updating;
+    }
+
+    async refresh() {
+        const startTime = Date.now();
+        const model = await this.embedder.resolveModel();
+        await this.load(model);
+        const index = await this.workspaceIndex.ready();
+        const prompts = promptsFor(model);
+
+        const wanted = new Set(index.files().filter(relPath => !SKIPPED_FILES.some(pattern => pattern.test(relPath))));
+        const stats = { embeddedChunks: 0, changedFiles: 0, removedFiles: 0 };
+        let dirty = false;
+
+        for (const relPath of [...this.files.keys()]) {
+            if (!wanted.has(relPath)) {
+                this.files.delete(relPath);
+                stats.removedFiles++;
+                dirty = true;
+            }
+        }
+
+        let totalChunks = [...this.files.values()].reduce((total, file) => total + file.chunks.length, 0);
+        const stale = [...wanted].filter(relPath => {
+            const info = index.fileInfo(relPath);
+            const known = this.files.get(relPath);
+            return info && info.binary !== true && info.size <= MAX_FILE_BYTES
+                && (!known || known.mtimeMs !== info.mtimeMs || known.size !== info.size);
+        });
+        if (stale.length > 20) {
+            logger.info(`Semantic index: checking ${stale.length} new or changed files with ${model}`);
+        }
+
+        // Chunks waiting for vectors, embedded in batches across files
+        let queue = [];
+        let sinceSave = 0;
+        const flush = async () => {
+            const batch = queue;
+            queue = [];
+            if (batch.length === 0) return;
+            const vectors = await this.embedder.embed(batch.map(item => item.input));
+            batch.forEach((item, i) => {
+                item.chunk.vector = normalize(vectors[i]);
+            });
+            this.dimensions = this.dimensions || batch[0].chunk.vector.length;
+            stats.embeddedChunks += batch.length;
+            sinceSave += batch.length;
+        };
+
+        this.truncated = false;
+        try {
+            for (const relPath of stale) {
+                const info = index.fileInfo(relPath);
+                let content = null;
+                try {
+                    content = await index.readText(relPath);
+                } catch (error) {
+                    // Deleted since the listing - dropped below
+                }
+                const known = this.files.get(relPath);
+                if (content === null) {
+                    if (known) {
+                        this.files.delete(relPath);
+                        dirty = true;
+                    }
+                    continue;
+                }
+
+                const hash = hashText(content);
+                if (known && known.hash === hash) {
+                    Object.assign(known, { mtimeMs: info.mtimeMs, size: info.size });
+                    dirty = true;
+                    continue;
+                }
+
+                const pieces = await this.chunkFile(relPath, content);
+                if (totalChunks - (known ? known.chunks.length : 0) + pieces.length > this.maxChunks) {
+                    this.truncated = true;
+                    continue;
+                }
+
+                const previous = new Map((known ? known.chunks : []).map(chunk => [chunk.hash, chunk.vector]));
+                const chunks = pieces.map(piece => {
+                    const text = `${relPath}\n${piece.text.slice(0, MAX_EMBED_CHARS)}`;
+                    const chunkHash = hashText(text);
+                    const chunk = { startLine: piece.startLine, endLine: piece.endLine, hash: chunkHash, vector: previous.get(chunkHash) || null };
+                    if (!chunk.vector) queue.push({ chunk, input: `${prompts.document}${text}` });
+                    return chunk;
+                });
+
+                totalChunks += chunks.length - (known ? known.chunks.length : 0);
+                this.files.set(relPath, { mtimeMs: info.mtimeMs, size: info.size, hash, chunks });
+                stats.changedFiles++;
+                dirty = true;
+
+                if (queue.length >= BATCH_SIZE) await flush();
+                if (sinceSave >= SAVE_EVERY) {
+                    this.dropUnembedded();
+                    await this.save();
+                    sinceSave = 0;
+                }
+            }
+            await flush();
+        } finally {
+            // A failed batch leaves chunks without vectors - those files are retried next time
+            this.dropUnembedded();
+            if (dirty) await this.save();
+        }
+
+        if (this.truncated) {
+            logger.warn(`Semantic index is full (${this.maxChunks} chunks, JACK_SEMANTIC_MAX_CHUNKS) - some files are not indexed`);
+        }
+        this.updatedAt = Date.now();
+        const { files, chunks } = this.getStatus();
+        return { files, chunks, ...stats, durationMs: Date.now() - startTime };
+    }
+
+    dropUnembedded() {
+        for (const [relPath, file] of this.files) {
+            if (file.chunks.some(chunk => !chunk.vector)) this.files.delete(relPath);
+        }
+    }
+
+    /**
+     * Chunks most similar to a natural-language query
+     * @param {string} query
+     * @param {Object} options - { maxResults (default 8), under: relDir, extensions: ['.js', ...] }
+     * @returns {Promise<{model: string, results: Array, index: Object}>}
+     */
+    async search(query, { maxResults = 8, under = '', extensions = [] } = {}) {
+        const update = await this.update();
+        const [queryValues] = await this.embedder.embed([`${promptsFor(this.model).query}${query}`]);
+        const queryVector = normalize(queryValues);
+        if (this.dimensions && queryVector.length !== this.dimensions) {
+            throw new Error(`Query vector has ${queryVector.length} dimensions, the index ${this.dimensions} - delete ${this.indexFile} to rebuild it`);
+        }
+
+        const prefix = under.split(path.sep).join('/').replace(/^\.?\/+|\/+$/g, '').replace(/^\.$/, '');
+        const wanted = extensions.map(ext => (ext.startsWith('.') ? ext : `.${ext}`).toLowerCase());
+        const scored = [];
+        for (const [relPath, file] of this.files) {
+            if (prefix && !relPath.startsWith(`${prefix}/`)) continue;
+            if (wanted.length > 0 && !wanted.includes(path.extname(relPath).toLowerCase())) continue;
+            for (const chunk of file.chunks) {
+                scored.push({ relPath, chunk, score: dot(queryVector, chunk.vector) });
+            }
+        }
+        scored.sort((a, b) => b.score - a.score);
+
+        const results = [];
+        for (const { relPath, chunk, score } of scored.slice(0, maxResults)) {
+            const content = await this.workspaceIndex.readText(relPath).catch(() => null);
+            const lines = content === null ? [] : content.split('\n').slice(chunk.startLine - 1, chunk.endLine);
+            results.push({
+                filePath: relPath,
+                startLine: chunk.startLine,
+                endLine: chunk.endLine,
+                score: Math.round(score * 1000) / 1000,
+                preview: lines.slice(0, PREVIEW_LINES).join('\n') + (lines.length > PREVIEW_LINES ? '\n...' : '')
+            });
+        }
+
+        return {
+            model: this.model,
+            results,
+            index: { files: update.files, chunks: update.chunks, embeddedChunks: update.embeddedChunks, complete: !this.truncated }
+        };
+    }
+
+    /**
+     * Summary for /jack/workspaces
+     */
+    getStatus() {
+        const files = this.files ? this.files.size : 0;
+        const chunks = this.files ? [...this.files.values()].reduce((total, file) => total + file.chunks.length, 0) : 0;
+        return {
+            model: this.model,
+            files,
+            chunks,
+            updatedAt: this.updatedAt ? new Date(this.updatedAt).toISOString() : null,
+            complete: !this.truncated
+        };
+    }
+}
+
+module.exports = { SemanticIndex, OllamaEmbedder, EMBEDDING_MODELS, bestEmbeddingModel };
@@ -0,0 +1,668 @@
+/**
+ * Symbol Index - Definitions, references and outlines for JavaScript, TypeScript and Python
+ * Backs find_definition, find_references and file_outline so the model can jump to a symbol
+ * instead of grepping for "function foo" and guessing which match is the real one.
+ *
+ * JavaScript/TypeScript are parsed with @babel/parser (error recovery on, so half-edited files
+ * still yield symbols); Python with a line scanner that tracks indentation, brackets and strings.
+ * Positions are 1-based lines and 0-based columns, like grep_search. Scopes are the dotted names
+ * of the enclosing classes/functions ("OllamaJack.searchCode"). References are matched by name -
+ * there is no type information, so obj.run() and other.run() are both references to "run".
+ */
+
+const path = require('path');
+const babelParser = require('@babel/parser');
+
+const LANGUAGES = {
+    javascript: ['.js', '.cjs', '.mjs', '.jsx'],
+    typescript: ['.ts', '.cts', '.mts', '.tsx'],
+    python: ['.py', '.pyw', '.pyi']
+};
+const SUPPORTED_EXTENSIONS = Object.values(LANGUAGES).flat();
+const MAX_CACHED_FILES = 2000;
+const SIGNATURE_LENGTH = 160;
+
+/**
+ * Language of a file, or null when symbols are not supported for it
+ */
+function symbolLanguage(filePath) {
+    const ext = path.extname(filePath).toLowerCase();
+    return Object.keys(LANGUAGES).find(language => LANGUAGES[language].includes(ext)) || null;
+}
+
+// ---------------------------------------------------------------------------
+// JavaScript / TypeScript
+// ---------------------------------------------------------------------------
+
+function parseScript(content, filePath, language) {
+    const ext = path.extname(filePath).toLowerCase();
+    const plugins = language === 'typescript' ? ['typescript', 'decorators-legacy'] : ['jsx', 'decorators-legacy'];
+    if (ext === '.tsx') plugins.push('jsx');
+    return babelParser.parse(content, {
+        sourceType: ext === '.cjs' || ext === '.cts' ? 'script' : 'unambiguous',
+        allowReturnOutsideFunction: true,
+        allowAwaitOutsideFunction: true,
+        allowHashBang: true,
+        errorRecovery: true,
+        plugins
+    });
+}
+
+const FUNCTION_TYPES = ['FunctionDeclaration', 'FunctionExpression', 'ArrowFunctionExpression', 'ObjectMethod',
+    'ClassMethod', 'ClassPrivateMethod'];
+const isFunctionValue = node => node && (node.type === 'FunctionExpression' || node.type === 'ArrowFunctionExpression');
+const isRequireCall = node => node && node.type === 'CallExpression' && node.callee.type === 'Identifier' && node.callee.name === 'require';
+
+/**
+ * Child nodes of a Babel AST node, in source order
+ */
+function childNodes(node) {
+    const children = [];
+    for (const key of Object.keys(node)) {
+        if (key === 'loc' || key === 'leadingComments' || key === 'trailingComments' || key === 'innerComments' || key === 'extra') continue;
+        const value = node[key];
+        if (Array.isArray(value)) {
+            for (const item of value) {
+                if (item && typeof item.type === 'string') children.push(item);
+            }
+        } else if (value && typeof value.type === 'string') {
+            children.push(value);
+        }
+    }
+    return children;
+}
+
+/**
+ * Name of a property/method key ("foo", "'quoted'", "#private", computed keys are skipped)
+ */
+function keyName(key, computed) {
+    if (!key || computed) return null;
+    if (key.type === 'Identifier') return key.name;
+    if (key.type === 'PrivateName') return `#${key.id.name}`;
+    if (key.type === 'StringLiteral' || key.type === 'NumericLiteral') return String(key.value);
+    return null;
+}
+
+/**
+ * "a.b.c" for a member expression chain of identifiers, null otherwise
+ */
+function memberPath(node) {
+    if (node.type === 'Identifier') return node.name;
+    if (node.type === 'ThisExpression') return 'this';
+    if (node.type === 'MemberExpression' && !node.computed && node.property.type === 'Identifier') {
+        const object = memberPath(node.object);
+        return object ? `${object}.${node.property.name}` : null;
+    }
+    return null;
+}
+
+function extractScriptSymbols(content, filePath, language) {
+    const ast = parseScript(content, filePath, language);
+    const symbols = [];
+
+    const add = (name, kind, node, nameNode, parent, extra = {}) => {
+        const symbol = {
+            name,
+            kind,
+            parent,
+            start: node.start,
+            end: node.end,
+            nameStart: nameNode ? nameNode.start : node.start,
+            range: {
+                start: { line: node.loc.start.line, column: node.loc.start.column },
+                end: { line: node.loc.end.line, column: node.loc.end.column }
+            },
+            line: (nameNode || node).loc.start.line,
+            ...extra
+        };
+        symbols.push(symbol);
+        return symbols.length - 1;
+    };
+
+    const methodKind = node => (node.kind === 'constructor' ? 'constructor' : (node.kind === 'get' ? 'getter' : (node.kind === 'set' ? 'setter' : 'method')));
+
+    // parent: index of the enclosing symbol; inFunction: inside a body where variables are locals
+    const walk = (node, parent, inFunction, exported = false) => {
+        switch (node.type) {
+            case 'ExportNamedDeclaration':
+            case 'ExportDefaultDeclaration':
+                if (node.declaration) walk(node.declaration, parent, inFunction, true);
+                return;
+
+            case 'ImportDeclaration':
+                return;
+
+            case 'FunctionDeclaration':
+            case 'TSDeclareFunction': {
+                const index = node.id ? add(node.id.name, 'function', node, node.id, parent, { exported }) : parent;
+                if (node.body) childNodes(node.body).forEach(child => walk(child, index, true));
+                return;
+            }
+
+            case 'ClassDeclaration':
+            case 'ClassExpression': {
+                const index = node.id ? add(node.id.name, 'class', node, node.id, parent, { exported }) : parent;
+                if (node.superClass) walk(node.superClass, parent, inFunction);
+                node.body.body.forEach(member => walk(member, index, false));
+                return;
+            }
+
+            case 'ClassMethod':
+            case 'ClassPrivateMethod':
+            case 'TSDeclareMethod': {
+                const name = keyName(node.key, node.computed);
+                const index = name ? add(name, methodKind(node), node, node.key, parent, { static: !!node.static }) : parent;
+                if (node.body) childNodes(node.body).forEach(child => walk(child, index, true));
+                return;
+            }
+
+            case 'ClassProperty':
+            case 'ClassPrivateProperty':
+            case 'ClassAccessorProperty': {
+                const name = keyName(node.key, node.computed);
+                const kind = isFunctionValue(node.value) ? 'method' : 'property';
+                const index = name ? add(name, kind, node, node.key, parent, { static: !!node.static }) : parent;
+                if (node.value) walk(node.value, index, true);
+                return;
+            }
+
+            case 'VariableDeclaration':
+                node.declarations.forEach(declarator => {
+                    declarator.declarationKind = node.kind;
+                    walk(declarator, parent, inFunction, exported);
+                });
+                return;
+
+            case 'VariableDeclarator': {
+                if (inFunction || !node.init && node.id.type !== 'Identifier' || isRequireCall(node.init)) {
+                    if (node.init) walk(node.init, parent, inFunction);
+                    return;
+                }
+                if (node.id.type !== 'Identifier') {
+                    // Top-level destructuring: each bound name is a variable
+                    for (const property of node.id.properties || node.id.elements || []) {
+                        const target = property && (property.value || property.argument || property);
+                        if (target && target.type === 'Identifier') add(target.name, 'variable', property, target, parent, { exported });
+                    }
+                    if (node.init) walk(node.init, parent, inFunction);
+                    return;
+                }
+
+                const init = node.init;
+                const declaration = node.id;
+                if (isFunctionValue(init)) {
+                    const index = add(declaration.name, 'function', node, declaration, parent, { exported });
+                    walk(init.body, index, true);
+                } else if (init && init.type === 'ClassExpression') {
+                    const index = add(declaration.name, 'class', node, declaration, parent, { exported });
+                    if (init.superClass) walk(init.superClass, parent, inFunction);
+                    init.body.body.forEach(member => walk(member, index, false));
+                } else {
+                    const kind = node.declarationKind === 'const' ? 'constant' : 'variable';
+                    const index = add(declaration.name, kind, node, declaration, parent, { exported });
+                    if (init && init.type === 'ObjectExpression') {
+                        init.properties.forEach(property => walkApiMember(property, index));
+                    } else if (init) {
+                        walk(init, parent, inFunction);
+                    }
+                }
+                return;
+            }
+
+            case 'ExpressionStatement': {
+                const expression = node.expression;
+                if (!inFunction && expression.type === 'AssignmentExpression' && expression.left.type === 'MemberExpression') {
+                    const target = memberPath(expression.left);
+                    const right = expression.right;
+                    const prototype = target && target.match(/^(\w+)\.prototype\.(\w+)$/);
+                    const exportedName = target && target.match(/^(?:module\.)?exports\.(\w+)$/);
+
+                    if (target === 'module.exports' && right.type === 'ObjectExpression') {
+                        right.properties.forEach(property => walkApiMember(property, parent));
+                        return;
+                    }
+                    if (isFunctionValue(right) && (prototype || exportedName)) {
+                        const name = prototype ? prototype[2] : exportedName[1];
+                        const index = add(name, prototype ? 'method' : 'function', node, expression.left.property, parent, {
+                            exported: !!exportedName,
+                            container: prototype ? prototype[1] : undefined
+                        });
+                        walk(right.body, index, true);
+                        return;
+                    }
+                }
+                walk(expression, parent, inFunction);
+                return;
+            }
+
+            case 'TSInterfaceDeclaration': {
+                const index = add(node.id.name, 'interface', node, node.id, parent, { exported });
+                node.body.body.forEach(member => {
+                    const name = keyName(member.key, member.computed);
+                    if (!name) return;
+                    add(name, member.type === 'TSMethodSignature' ? 'method' : 'property', member, member.key, index);
+                });
+                return;
+            }
+
+            case 'TSTypeAliasDeclaration':
+                add(node.id.name, 'type', node, node.id, parent, { exported });
+                return;
+
+            case 'TSEnumDeclaration': {
+                const index = add(node.id.name, 'enum', node, node.id, parent, { exported });
+                (node.members || (node.body && node.body.members) || []).forEach(member => {
+                    const name = keyName(member.id, false);
+                    if (name) add(name, 'enumMember', member, member.id, index);
+                });
+                return;
+            }
+
+            case 'TSModuleDeclaration': {
+                const name = node.id.type === 'Identifier' ? node.id.name : node.id.value;
+                const index = add(name, 'namespace', node, node.id, parent, { exported });
+                if (node.body) walk(node.body, index, false);
+                return;
+            }
+
+            default: {
+                const enters = FUNCTION_TYPES.includes(node.type);
+                childNodes(node).forEach(child => walk(child, parent, inFunction || enters));
+            }
+        }
+    };
+
+    // Functions in object literals that define a module's API (const api = {...}, module.exports = {...});
+    // object literals elsewhere (options, callbacks) are not definitions
+    const walkApiMember = (property, parent) => {
+        const name = keyName(property.key, property.computed);
+        const value = property.type === 'ObjectMethod' ? property : property.value;
+        if (name && (property.type === 'ObjectMethod' || isFunctionValue(value))) {
+            const index = add(name, parent === null ? 'function' : 'method', property, property.key, parent);
+            walk(property.type === 'ObjectMethod' ? property.body : value.body, index, true);
+        } else if (value) {
+            walk(value, parent, true);
+        }
+    };
+
+    ast.program.body.forEach(statement => walk(statement, null, false));
+
+    return {
+        symbols,
+        errors: (ast.errors || []).map(error => ({
+            message: error.message.replace(/ \(\d+:\d+\)$/, ''),
+            line: error.loc ? error.loc.line : undefined
+        }))
+    };
+}
+
+/**
+ * Identifier occurrences of a name in a JS/TS file
+ */
+function findScriptOccurrences(content, filePath, language, name) {
+    const ast = parseScript(content, filePath, language);
+    const occurrences = new Map(); // start offset -> occurrence (shorthand properties share a location)
+
+    const visit = (node, parent) => {
+        let matched = null;
+        if ((node.type === 'Identifier' || node.type === 'JSXIdentifier') && node.name === name) matched = node;
+        if (node.type === 'PrivateName' && `#${node.id.name}` === name) matched = node;
+
+        if (matched && !occurrences.has(matched.start)) {
+            const isImport = parent && (/^Import(Default|Namespace)?Specifier$/.test(parent.type) ||
+                (parent.type === 'ObjectProperty' && parent.importedFrom));
+            occurrences.set(matched.start, {
+                offset: matched.start,
+                line: matched.loc.start.line,
+                column: matched.loc.start.column,
+                import: !!isImport
+            });
+        }
+        if (node.type === 'PrivateName') return;
+
+        // require() destructuring counts as an import of each name
+        if (node.type === 'VariableDeclarator' && isRequireCall(node.init) && node.id.type === 'ObjectPattern') {
+            node.id.properties.forEach(property => { property.importedFrom = true; });
+        }
+        childNodes(node).forEach(child => visit(child, node));
+    };
+    visit(ast.program, null);
+
+    // const x = require('...') imports x
+    const lines = content.split('\n');
+    for (const occurrence of occurrences.values()) {
+        const lineText = lines[occurrence.line - 1] || '';
+        if (/^\s*(const|let|var)\s+\w+\s*=\s*require\(/.test(lineText) && lineText.indexOf(name) === occurrence.column) {
+            occurrence.import = true;
+        }
+    }
+    return [...occurrences.values()].sort((a, b) => a.offset - b.offset);
+}
+
+// ---------------------------------------------------------------------------
+// Python
+// ---------------------------------------------------------------------------
+
+/**
+ * Blank out strings and comments (keeping columns) and record bracket depth at each line start
+ * @returns {{lines: string[], depths: number[]}}
+ */
+function maskPython(content) {
+    const lines = [];
+    const depths = [];
+    let depth = 0;
+    let quote = null; // current string delimiter (' " ''' """)
+    let current = '';
+
+    depths.push(0);
+    for (let i = 0; i < content.length; i++) {
+        const char = content[i];
+        if (char === '\n') {
+            lines.push(current);
+            current = '';
+            if (quote && quote.length === 1) quote = null; // Unterminated single-line string
+            depths.push(quote ? -1 : depth); // -1: line starts inside a triple-quoted string
+            continue;
+        }
+        if (quote) {
+            if (char === '\\') {
+                current += '  ';
+                i++;
+                if (content[i] === '\n') {
+                    lines.push(current.slice(0, -1));
+                    current = '';
+                    depths.push(-1);
+                }
+                continue;
+            }
+            if (content.startsWith(quote, i)) {
+                current += ' '.repeat(quote.length - 1) + char;
+                i += quote.length - 1;
+                quote = null;
+            } else {
+                current += ' ';
+            }
+            continue;
+        }
+        if (char === '#') {
+            while (i + 1 < content.length && content[i + 1] !== '\n') {
+                current += ' ';
+                i++;
+            }
+            current += ' ';
+            continue;
+        }
+        if (char === '"' || char === "'") {
+            quote = content.startsWith(char.repeat(3), i) ? char.repeat(3) : char;
+            current += char + ' '.repeat(quote.length - 1);
+            i += quote.length - 1;
+            continue;
+        }
+        if ('([{'.includes(char)) depth++;
+        if (')]}'.includes(char)) depth = Math.max(0, depth - 1);
+        current += char;
+    }
+    lines.push(current);
+    return { lines, depths };
+}
+
+function extractPythonSymbols(content) {
+    const { lines, depths } = maskPython(content);
+    const rawLines = content.split('\n');
+    const offsets = [];
+    let offset = 0;
+    for (const line of rawLines) {
+        offsets.push(offset);
+        offset += line.length + 1;
+    }
+
+    const symbols = [];
+    const stack = []; // { indent, index }
+    let lastCodeLine = 0;
+
+    const close = (index, endLine) => {
+        const symbol = symbols[index];
+        symbol.range.end = { line: endLine, column: (rawLines[endLine - 1] || '').length };
+        symbol.end = offsets[endLine - 1] + symbol.range.end.column;
+    };
+
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+        if (depths[i] !== 0 || !line.trim()) continue; // Continuation lines, docstrings, blank lines
+
+        const indent = line.match(/^[ \t]*/)[0].replace(/\t/g, '        ').length;
+        while (stack.length > 0 && stack[stack.length - 1].indent >= indent) {
+            close(stack.pop().index, lastCodeLine);
+        }
+        lastCodeLine = i + 1;
+        // A block's last line may be a continuation line further down
+        for (let j = i + 1; j < lines.length && depths[j] !== 0; j++) {
+            if (lines[j].trim() || depths[j] === -1) lastCodeLine = j + 1;
+        }
+
+        const top = stack.length > 0 ? symbols[stack[stack.length - 1].index] : null;
+        const parent = stack.length > 0 ? stack[stack.length - 1].index : null;
+        const definition = line.match(/^\s*(?:async\s+)?def\s+([A-Za-z_]\w*)/) || line.match(/^\s*class\s+([A-Za-z_]\w*)/);
+        const assignment = !definition && line.match(/^\s*([A-Za-z_]\w*)\s*(?::[^=]+)?=(?!=)/);
+
+        let kind = null;
+        let name = null;
+        if (definition) {
+            name = definition[1];
+            if (/^\s*class\b/.test(line)) kind = 'class';
+            else if (top && top.kind === 'class') kind = name === '__init__' ? 'constructor' : 'method';
+            else kind = 'function';
+        } else if (assignment && (!top || top.kind === 'class')) {
+            name = assignment[1];
+            kind = top ? 'property' : (/^[A-Z][A-Z0-9_]*$/.test(name) ? 'constant' : 'variable');
+        }
+        if (!kind) continue;
+
+        const column = definition ? definition[0].length - name.length : indent;
+        symbols.push({
+            name,
+            kind,
+            parent,
+            start: offsets[i] + indent,
+            end: offsets[i] + rawLines[i].length,
+            nameStart: offsets[i] + column,
+            range: { start: { line: i + 1, column: indent }, end: { line: i + 1, column: rawLines[i].length } },
+            line: i + 1,
+            exported: !top && !name.startsWith('_')
+        });
+        if (definition) {
+            stack.push({ indent, index: symbols.length - 1 });
+        } else {
+            close(symbols.length - 1, lastCodeLine); // Assignments end with their last continuation line
+        }
+    }
+    while (stack.length > 0) close(stack.pop().index, lastCodeLine);
+
+    return { symbols, errors: [] };
+}
+
+function findPythonOccurrences(content, name) {
+    const { lines } = maskPython(content);
+    const pattern = new RegExp(`(?<!\\w)${name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(?!\\w)`, 'g');
+    const occurrences = [];
+    let offset = 0;
+    lines.forEach((line, index) => {
+        const isImport = /^\s*(from\s+\S+\s+)?import\b/.test(line);
+        for (const match of line.matchAll(pattern)) {
+            occurrences.push({ offset: offset + match.index, line: index + 1, column: match.index, import: isImport });
+        }
+        offset += line.length + 1;
+    });
+    return occurrences;
+}
+
+// ---------------------------------------------------------------------------
+// Public helpers
+// ---------------------------------------------------------------------------
+
+/**
+ * Add qualified names and enclosing scopes to raw symbols
+ */
+function qualify(symbols, rawLines) {
+    for (const symbol of symbols) {
+        const names = [];
+        for (let parent = symbol.parent; parent !== null && parent !== undefined; parent = symbols[parent].parent) {
+            names.unshift(symbols[parent].name);
+        }
+        if (symbol.container) names.push(symbol.container);
+        symbol.scope = names.length > 0 ? names.join('.') : null;
+        symbol.qualifiedName = symbol.scope ? `${symbol.scope}.${symbol.name}` : symbol.name;
+        symbol.signature = (rawLines[symbol.range.start.line - 1] || '').trim().slice(0, SIGNATURE_LENGTH);
+    }
+    return symbols;
+}
+
+/**
+ * Symbols defined in a file
+ * @returns {{language: string, symbols: Array, errors: Array}}
+ * @throws {Error} For unsupported file types
+ */
+function extractSymbols(filePath, content) {
+    const language = symbolLanguage(filePath);
+    if (!language) {
+        throw new Error(`Symbols are not supported for ${path.extname(filePath) || 'extensionless'} files (supported: ${SUPPORTED_EXTENSIONS.join(', ')})`);
+    }
+
+    let result;
+    try {
+        result = language === 'python' ? extractPythonSymbols(content) : extractScriptSymbols(content, filePath, language);
+    } catch (error) {
+        // Error recovery gives up on some inputs - report the file as unparsable instead of failing the search
+        result = { symbols: [], errors: [{ message: error.message.replace(/ \(\d+:\d+\)$/, ''), line: error.loc ? error.loc.line : undefined }] };
+    }
+    return { language, symbols: qualify(result.symbols, content.split('\n')), errors: result.errors };
+}
+
+/**
+ * Innermost symbol whose range contains an offset
+ */
+function enclosingSymbol(symbols, offset) {
+    let best = null;
+    for (const symbol of symbols) {
+        if (symbol.start <= offset && offset < symbol.end && (!best || symbol.end - symbol.start < best.end - best.start)) {
+            best = symbol;
+        }
+    }
+    return best;
+}
+
+/**
+ * Occurrences of a name in a file, classified as definition, import or reference
+ * @returns {Array<{line: number, column: number, kind: string, scope: string|null}>}
+ */
+function findOccurrences(filePath, content, name, symbols) {
+    const language = symbolLanguage(filePath);
+    let occurrences;
+    try {
+        occurrences = language === 'python'
+            ? findPythonOccurrences(content, name)
+            : findScriptOccurrences(content, filePath, language, name);
+    } catch (error) {
+        return [];
+    }
+
+    const definitions = new Map(symbols.filter(symbol => symbol.name === name).map(symbol => [symbol.nameStart, symbol]));
+    return occurrences.map(occurrence => {
+        const definition = definitions.get(occurrence.offset);
+        const container = definition ? (definition.parent !== null ? symbols[definition.parent] : null) : enclosingSymbol(symbols, occurrence.offset);
+        return {
+            line: occurrence.line,
+            column: occurrence.column,
+            kind: definition ? 'definition' : (occurrence.import ? 'import' : 'reference'),
+            scope: container ? container.qualifiedName : null
+        };
+    });
+}
+
+/**
+ * Whether a symbol answers a query: "name", "Class.name" or a qualified suffix of it
+ */
+function matchesQuery(symbol, query) {
+    return symbol.name === query || symbol.qualifiedName === query || symbol.qualifiedName.endsWith(`.${query}`);
+}
+
+/**
+ * Nested outline (children under their enclosing symbol) from a flat symbol list
+ */
+function buildOutline(symbols) {
+    const nodes = symbols.map(symbol => ({
+        name: symbol.name,
+        kind: symbol.kind,
+        range: symbol.range,
+        ...(symbol.static ? { static: true } : {}),
+        ...(symbol.exported ? { exported: true } : {}),
+        children: []
+    }));
+    const roots = [];
+    symbols.forEach((symbol, index) => {
+        (symbol.parent === null || symbol.parent === undefined ? roots : nodes[symbol.parent].children).push(nodes[index]);
+    });
+    const prune = node => {
+        if (node.children.length === 0) delete node.children;
+        else node.children.forEach(prune);
+        return node;
+    };
+    return roots.map(prune);
+}
+
+/**
+ * Per-workspace cache of parsed symbols on top of the workspace file index
+ */
+class SymbolIndex {
+    /**
+     * @param {import('./workspace-index').WorkspaceIndex} workspaceIndex
+     */
+    constructor(workspaceIndex) {
+        this.workspaceIndex = workspaceIndex;
+        this.cache = new Map(); // relPath -> { content, result } (insertion order = LRU)
+    }
+
+    /**
+     * Files symbols can be read from
+     * @param {string} under - Limit to a directory (workspace-relative)
+     */
+    async files(under = '') {
+        const index = await this.workspaceIndex.ready();
+        return index.files({ under, extensions: SUPPORTED_EXTENSIONS });
+    }
+
+    /**
+     * Content and symbols of a file
+     * @param {Object} options - { containing: skip (return null) files whose text lacks this string, without parsing them }
+     * @returns {Promise<Object|null>} - null for binary or oversized files and files without `containing`
+     */
+    async load(relPath, { containing = null } = {}) {
+        const content = await this.workspaceIndex.readText(relPath);
+        if (content === null || (containing && !content.includes(containing))) return null;
+
+        const cached = this.cache.get(relPath);
+        if (cached && cached.content === content) {
+            this.cache.delete(relPath);
+            this.cache.set(relPath, cached);
+            return { content, ...cached.result };
+        }
+
+        const result = extractSymbols(relPath, content);
+        this.cache.delete(relPath);
+        this.cache.set(relPath, { content, result });
+        if (this.cache.size > MAX_CACHED_FILES) {
+            this.cache.delete(this.cache.keys().next().value);
+        }
+        return { content, ...result };
+    }
+}
+
+module.exports = {
+    SymbolIndex,
+    SUPPORTED_EXTENSIONS,
+    symbolLanguage,
+    extractSymbols,
+    findOccurrences,
+    matchesQuery,
+    buildOutline
+};
@@ -0,0 +1,309 @@
+/**
+ * Syntax Validator - Checks that file content still parses before it is written
+ * JSON with JSON.parse (comments allowed in tsconfig-style files), JavaScript and TypeScript
+ * with @babel/parser, YAML with the yaml package. Well-known files are also checked against
+ * their schema: package.json, GitHub workflows and Docker Compose files.
+ *
+ * What happens to content that does not parse is decided by JACK_SYNTAX_POLICY:
+ *   block (default) - refuse edits that break a file which parsed before
+ *   warn            - report the breakage but write anyway
+ *   off             - no syntax checks
+ * Files that were already broken are never blocked, only reported.
+ */
+
+const path = require('path');
+const babelParser = require('@babel/parser');
+const YAML = require('yaml');
+
+const POLICIES = ['block', 'warn', 'off'];
+
+/**
+ * Current policy (read on every call so it can be changed at runtime)
+ */
+function syntaxPolicy() {
+    const policy = (process.env.JACK_SYNTAX_POLICY || 'block').toLowerCase();
+    return POLICIES.includes(policy) ? policy : 'block';
+}
+
+/**
+ * The language a file is checked as, or null for files without a checker
+ */
+function detectLanguage(filePath) {
+    const name = path.basename(filePath).toLowerCase();
+    const ext = path.extname(name);
+
+    if (ext === '.jsonc' || /^(tsconfig|jsconfig)(\..+)?\.json$/.test(name) || /(^|[\\/])\.vscode[\\/][^\\/]+\.json$/.test(filePath)) {
+        return 'jsonc';
+    }
+    if (ext === '.json') return 'json';
+    if (['.js', '.cjs', '.mjs', '.jsx'].includes(ext)) return 'javascript';
+    if (['.ts', '.cts', '.mts', '.tsx'].includes(ext)) return 'typescript';
+    if (ext === '.yml' || ext === '.yaml') return 'yaml';
+    return null;
+}
+
+/**
+ * Line/column of a character offset (1-based)
+ */
+function position(content, offset) {
+    const before = content.slice(0, offset);
+    const line = before.split('\n').length;
+    return { line, column: offset - before.lastIndexOf('\n') };
+}
+
+/**
+ * Remove comments and trailing commas from JSONC, keeping string contents intact
+ */
+function stripJsonComments(content) {
+    let output = '';
+    let inString = false;
+    let comma = -1; // Output offset of the last comma, while only whitespace and comments follow it
+    for (let i = 0; i < content.length; i++) {
+        const char = content[i];
+        if (inString) {
+            output += char;
+            if (char === '\\') {
+                output += content[++i] || '';
+            } else if (char === '"') {
+                inString = false;
+            }
+        } else if (char === '"') {
+            inString = true;
+            comma = -1;
+            output += char;
+        } else if (char === '/' && content[i + 1] === '/') {
+            while (i < content.length && content[i] !== '\n') i++;
+            output += '\n';
+        } else if (char === '/' && content[i + 1] === '*') {
+            const end = content.indexOf('*/', i + 2);
+            const comment = content.slice(i, end === -1 ? content.length : end + 2);
+            output += comment.replace(/[^\n]/g, ' '); // Keep offsets for error positions
+            i = end === -1 ? content.length : end + 1;
+        } else {
+            if ((char === '}' || char === ']') && comma !== -1) {
+                output = output.slice(0, comma) + ' ' + output.slice(comma + 1);
+            }
+            if (!/\s/.test(char)) comma = char === ',' ? output.length : -1;
+            output += char;
+        }
+    }
+    return output;
+}
+
+function parseJson(content, filePath, comments) {
+    const text = comments ? stripJsonComments(content) : content;
+    try {
+        return { value: JSON.parse(text), errors: [] };
+    } catch (error) {
+        // "Unexpected token } in JSON at position 42" (older Node) or "... (line 3 column 5)"
+        const offset = error.message.match(/position (\d+)/);
+        const lineColumn = error.message.match(/line (\d+) column (\d+)/);
+        const where = lineColumn
+            ? { line: parseInt(lineColumn[1], 10), column: parseInt(lineColumn[2], 10) }
+            : (offset ? position(text, parseInt(offset[1], 10)) : {});
+        return { value: undefined, errors: [{ message: error.message.replace(/^JSON\.parse: /, ''), ...where }] };
+    }
+}
+
+function parseScript(content, filePath, typescript) {
+    const ext = path.extname(filePath).toLowerCase();
+    const plugins = typescript ? ['typescript', 'decorators-legacy'] : ['jsx', 'decorators-legacy'];
+    if (ext === '.tsx') plugins.push('jsx');
+    try {
+        babelParser.parse(content, {
+            sourceType: ext === '.mjs' || ext === '.mts' ? 'module' : (ext === '.cjs' || ext === '.cts' ? 'script' : 'unambiguous'),
+            allowReturnOutsideFunction: true,
+            allowAwaitOutsideFunction: true,
+            allowHashBang: true,
+            errorRecovery: false,
+            plugins
+        });
+        return { errors: [] };
+    } catch (error) {
+        const where = error.loc ? { line: error.loc.line, column: error.loc.column + 1 } : {};
+        return { errors: [{ message: error.message.replace(/ \(\d+:\d+\)$/, ''), ...where }] };
+    }
+}
+
+function parseYaml(content) {
+    const documents = YAML.parseAllDocuments(content);
+    const list = Array.isArray(documents) ? documents : [documents];
+    const errors = [];
+    for (const document of list) {
+        for (const error of document.errors || []) {
+            const where = error.linePos && error.linePos[0] ? { line: error.linePos[0].line, column: error.linePos[0].col } : {};
+            errors.push({ message: error.message.split('\n')[0].replace(/ at line \d+, column \d+:?$/, ''), ...where });
+        }
+    }
+    return {
+        value: errors.length === 0 && list.length > 0 ? list[0].toJS() : undefined,
+        errors
+    };
+}
+
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Schemas for well-known files: each returns a list of problems with the parsed value
+ */
+const SCHEMAS = [
+    {
+        name: 'package.json',
+        matches: filePath => path.basename(filePath) === 'package.json',
+        validate(pkg) {
+            const problems = [];
+            if (!isObject(pkg)) return ['package.json must contain an object'];
+
+            if (pkg.name !== undefined) {
+                if (typeof pkg.name !== 'string' || !/^(@[a-z0-9-~][a-z0-9-._~]*\/)?[a-z0-9-~][a-z0-9-._~]*$/.test(pkg.name) || pkg.name.length > 214) {
+                    problems.push(`"name" must be a lowercase, URL-safe package name (got ${JSON.stringify(pkg.name)})`);
+                }
+            } else if (!pkg.private) {
+                problems.push('"name" is required unless the package is private');
+            }
+            if (pkg.version !== undefined && (typeof pkg.version !== 'string' || !/^\d+\.\d+\.\d+(-[0-9A-Za-z.-]+)?(\+[0-9A-Za-z.-]+)?$/.test(pkg.version))) {
+                problems.push(`"version" must be a semver version like 1.2.3 (got ${JSON.stringify(pkg.version)})`);
+            }
+            for (const field of ['dependencies', 'devDependencies', 'peerDependencies', 'optionalDependencies', 'scripts', 'engines']) {
+                if (pkg[field] === undefined) continue;
+                if (!isObject(pkg[field])) {
+                    problems.push(`"${field}" must be an object`);
+                    continue;
+                }
+                for (const [key, value] of Object.entries(pkg[field])) {
+                    if (typeof value !== 'string') {
+                        problems.push(`"${field}.${key}" must be a string`);
+                    }
+                }
+            }
+            if (pkg.bin !== undefined && typeof pkg.bin !== 'string' && !isObject(pkg.bin)) {
+                problems.push('"bin" must be a path or an object of paths');
+            }
+            for (const field of ['main', 'module', 'types', 'description', 'license']) {
+                if (pkg[field] !== undefined && typeof pkg[field] !== 'string') {
+                    problems.push(`"${field}" must be a string`);
+                }
+            }
+            for (const field of ['keywords', 'files', 'os', 'cpu']) {
+                if (pkg[field] !== undefined && !(Array.isArray(pkg[field]) && pkg[field].every(entry => typeof entry === 'string'))) {
+                    problems.push(`"${field}" must be an array of strings`);
+                }
+            }
+            if (pkg.private !== undefined && typeof pkg.private !== 'boolean') {
+                problems.push('"private" must be true or false');
+            }
+            return problems;
+        }
+    },
+    {
+        name: 'GitHub workflow',
+        matches: filePath => /(^|[\\/])\.github[\\/]workflows[\\/][^\\/]+\.ya?ml$/.test(filePath),
+        validate(workflow) {
+            if (!isObject(workflow)) return ['a workflow must be a mapping'];
+            const problems = [];
+            // YAML 1.1 parsers read a bare `on:` key as `true`
+            if (workflow.on === undefined && workflow.true === undefined) problems.push('"on" (the triggering events) is required');
+            if (!isObject(workflow.jobs) || Object.keys(workflow.jobs).length === 0) {
+                problems.push('"jobs" must map job ids to jobs');
+                return problems;
+            }
+            for (const [id, job] of Object.entries(workflow.jobs)) {
+                if (!isObject(job)) {
+                    problems.push(`job "${id}" must be a mapping`);
+                } else if (job.uses === undefined) {
+                    if (job['runs-on'] === undefined) problems.push(`job "${id}" needs "runs-on" (or "uses" for a reusable workflow)`);
+                    if (!Array.isArray(job.steps) || job.steps.length === 0) {
+                        problems.push(`job "${id}" needs a non-empty "steps" list`);
+                    } else {
+                        job.steps.forEach((step, index) => {
+                            if (!isObject(step) || (step.run === undefined && step.uses === undefined)) {
+                                problems.push(`job "${id}" step ${index + 1} needs "run" or "uses"`);
+                            }
+                        });
+                    }
+                }
+            }
+            return problems;
+        }
+    },
+    {
+        name: 'Docker Compose',
+        matches: filePath => /^(docker-)?compose(\.[\w-]+)?\.ya?ml$/.test(path.basename(filePath)),
+        validate(compose) {
+            if (!isObject(compose)) return ['a compose file must be a mapping'];
+            if (!isObject(compose.services)) return ['"services" must map service names to services'];
+            const problems = [];
+            for (const [name, service] of Object.entries(compose.services)) {
+                if (!isObject(service)) {
+                    problems.push(`service "${name}" must be a mapping`);
+                } else if (service.image === undefined && service.build === undefined && service.extends === undefined) {
+                    problems.push(`service "${name}" needs "image" or "build"`);
+                }
+            }
+            return problems;
+        }
+    }
+];
+
+/**
+ * Check that content parses (and matches its schema, for well-known files)
+ * @param {string} filePath - Decides the language and schema
+ * @param {string} content
+ * @returns {{language: string|null, checked: boolean, valid: boolean, schema: string|null, errors: Array<{message: string, line?: number, column?: number}>}} -
+ *   `checked` is false for files without a checker (always valid)
+ */
+function validateSyntax(filePath, content) {
+    const language = detectLanguage(filePath);
+    if (!language || typeof content !== 'string') {
+        return { language, checked: false, valid: true, schema: null, errors: [] };
+    }
+
+    let parsed;
+    switch (language) {
+        case 'json':
+        case 'jsonc':
+            parsed = parseJson(content, filePath, language === 'jsonc');
+            break;
+        case 'javascript':
+        case 'typescript':
+            parsed = parseScript(content, filePath, language === 'typescript');
+            break;
+        case 'yaml':
+            parsed = parseYaml(content);
+            break;
+    }
+
+    const schema = SCHEMAS.find(candidate => candidate.matches(filePath)) || null;
+    const errors = [...parsed.errors];
+    if (schema && errors.length === 0) {
+        errors.push(...schema.validate(parsed.value).map(message => ({ message: `${schema.name}: ${message}` })));
+    }
+
+    return { language, checked: true, valid: errors.length === 0, schema: schema ? schema.name : null, errors };
+}
+
+/**
+ * Whether new content breaks a file - valid (or absent) before, invalid after
+ * @param {string} filePath
+ * @param {string|null} before - Content before the change (null = new file)
+ * @param {string} after - Content the change produces
+ * @returns {{breaks: boolean, result: Object, wasValid: boolean}}
+ */
+function checkChange(filePath, before, after) {
+    const result = validateSyntax(filePath, after);
+    const wasValid = before === null || before === undefined || result.valid || validateSyntax(filePath, before).valid;
+    return { breaks: !result.valid && wasValid, result, wasValid };
+}
+
+/**
+ * One-line description of the first error
+ */
+function describeErrors(result) {
+    if (result.valid) return `${result.language}${result.schema ? ` + ${result.schema} schema` : ''} OK`;
+    const [first] = result.errors;
+    const where = first.line ? ` (line ${first.line}${first.column ? `:${first.column}` : ''})` : '';
+    const more = result.errors.length > 1 ? ` (+${result.errors.length - 1} more)` : '';
+    return `${first.message}${where}${more}`;
+}
+
+module.exports = { validateSyntax, checkChange, describeErrors, detectLanguage, syntaxPolicy, stripJsonComments };
@@ -0,0 +1,170 @@
+/**
+ * Three-Way Merge - Line-based diff3 merge of two versions that share a common base
+ * Used when a file changed on disk between an edit being proposed and being accepted:
+ * base = the content the edit was proposed against, ours = what is on disk now,
+ * theirs = what the edit wants to write.
+ *
+ * Regions changed on only one side are taken from that side; regions changed on both
+ * sides identically are taken once; anything else is a conflict and is written with
+ * git-style markers.
+ */
+
+/**
+ * Myers diff - the longest common subsequence of two line arrays
+ * @returns {Array<[number, number]>} - Matching [indexA, indexB] pairs in ascending order
+ */
+function matchLines(a, b) {
+    const n = a.length;
+    const m = b.length;
+
+    // Common prefix and suffix are matched directly; only the middle goes through Myers
+    let start = 0;
+    while (start < n && start < m && a[start] === b[start]) start++;
+    let endA = n;
+    let endB = m;
+    while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+        endA--;
+        endB--;
+    }
+
+    const matches = [];
+    for (let i = 0; i < start; i++) matches.push([i, i]);
+
+    const middleA = endA - start;
+    const middleB = endB - start;
+    if (middleA > 0 && middleB > 0) {
+        const max = middleA + middleB;
+        const offset = max + 1;
+        const v = new Int32Array(2 * max + 3);
+        const trace = []; // trace[d] = furthest x per diagonal k in [-d, d] after step d
+        let found = -1;
+
+        for (let d = 0; d <= max && found === -1; d++) {
+            for (let k = -d; k <= d; k += 2) {
+                let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]))
+                    ? v[offset + k + 1]
+                    : v[offset + k - 1] + 1;
+                let y = x - k;
+                while (x < middleA && y < middleB && a[start + x] === b[start + y]) {
+                    x++;
+                    y++;
+                }
+                v[offset + k] = x;
+                if (x >= middleA && y >= middleB) {
+                    found = d;
+                }
+            }
+            trace.push(v.slice(offset - d, offset + d + 1));
+        }
+
+        // Walk the trace back from the end, collecting the diagonal (matching) moves
+        const middle = [];
+        let x = middleA;
+        let y = middleB;
+        for (let d = found; d > 0; d--) {
+            const previous = trace[d - 1];
+            const at = (k) => previous[k + d - 1];
+            const k = x - y;
+            const prevK = (k === -d || (k !== d && at(k - 1) < at(k + 1))) ? k + 1 : k - 1;
+            const prevX = at(prevK);
+            const prevY = prevX - prevK;
+            while (x > prevX && y > prevY) {
+                x--;
+                y--;
+                middle.push([start + x, start + y]);
+            }
+            x = prevX;
+            y = prevY;
+        }
+        while (x > 0 && y > 0) {
+            x--;
+            y--;
+            middle.push([start + x, start + y]);
+        }
+        matches.push(...middle.reverse());
+    }
+
+    for (let i = 0; i < n - endA; i++) matches.push([endA + i, endB + i]);
+    return matches;
+}
+
+function sameLines(a, b) {
+    return a.length === b.length && a.every((line, index) => line === b[index]);
+}
+
+/**
+ * Merge two descendants of a common base
+ * @param {string} base - Common ancestor content
+ * @param {string} ours - One side (e.g. the file on disk)
+ * @param {string} theirs - Other side (e.g. the content a pending edit will write)
+ * @param {Object} labels - Conflict marker labels { ours, theirs }
+ * @returns {{merged: string, clean: boolean, conflicts: Array<{line: number, base: string[], ours: string[], theirs: string[]}>}} -
+ *   Merged content (with conflict markers when not clean) and every conflicting region; `line` is the
+ *   1-based line of the region's opening marker in `merged`
+ */
+function mergeThreeWay(base, ours, theirs, labels = {}) {
+    const oursLabel = labels.ours || 'ours';
+    const theirsLabel = labels.theirs || 'theirs';
+
+    const baseLines = base.split('\n');
+    const oursLines = ours.split('\n');
+    const theirsLines = theirs.split('\n');
+
+    // For every base line, the line it matches on each side (-1 = changed or deleted)
+    const toOurs = new Int32Array(baseLines.length).fill(-1);
+    const toTheirs = new Int32Array(baseLines.length).fill(-1);
+    for (const [i, j] of matchLines(baseLines, oursLines)) toOurs[i] = j;
+    for (const [i, j] of matchLines(baseLines, theirsLines)) toTheirs[i] = j;
+
+    const output = [];
+    const conflicts = [];
+    let i = 0; // base
+    let o = 0; // ours
+    let t = 0; // theirs
+
+    while (i < baseLines.length || o < oursLines.length || t < theirsLines.length) {
+        // Stable run: base lines unchanged on both sides
+        let run = 0;
+        while (i + run < baseLines.length && toOurs[i + run] === o + run && toTheirs[i + run] === t + run) {
+            run++;
+        }
+        if (run > 0) {
+            output.push(...baseLines.slice(i, i + run));
+            i += run;
+            o += run;
+            t += run;
+            continue;
+        }
+
+        // Unstable chunk: up to the next base line both sides still contain
+        let next = i;
+        while (next < baseLines.length && (toOurs[next] === -1 || toTheirs[next] === -1)) next++;
+        const oursEnd = next < baseLines.length ? toOurs[next] : oursLines.length;
+        const theirsEnd = next < baseLines.length ? toTheirs[next] : theirsLines.length;
+
+        const baseChunk = baseLines.slice(i, next);
+        const oursChunk = oursLines.slice(o, oursEnd);
+        const theirsChunk = theirsLines.slice(t, theirsEnd);
+
+        if (sameLines(oursChunk, baseChunk) || sameLines(oursChunk, theirsChunk)) {
+            output.push(...theirsChunk);
+        } else if (sameLines(theirsChunk, baseChunk)) {
+            output.push(...oursChunk);
+        } else {
+            conflicts.push({ line: output.length + 1, base: baseChunk, ours: oursChunk, theirs: theirsChunk });
+            output.push(`<<<<<<< ${oursLabel}`, ...oursChunk, '=======', ...theirsChunk, `>>>>>>> ${theirsLabel}`);
+        }
+
+        i = next;
+        o = oursEnd;
+        t = theirsEnd;
+    }
+
+    return {
+        merged: output.join('\n'),
+        clean: conflicts.length === 0,
+        conflicts
+    };
+}
+
+module.exports = { mergeThreeWay, matchLines };
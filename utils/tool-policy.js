@@ -0,0 +1,181 @@
+/**
+ * Tool Policy - Per-request allowlist for Jack's tools on the proxy endpoints
+ * A policy spec is a comma-separated list of tool names and named profiles,
+ * with "-name" entries removing tools again (e.g. "read-only,web_search" or "full,-execute_terminal_command").
+ * Specs can only narrow: the instance ceiling (JACK_TOOL_POLICY) and every
+ * request-supplied spec are intersected.
+ */
+
+// Tools that only inspect the workspace or Jack's own state
+const READ_ONLY_TOOLS = [
+    'read_file',
+    'read_file_chunk',
+    'list_directory',
+    'search_code',
+    'grep_search',
+    'semantic_search',
+    'find_definition',
+    'find_references',
+    'file_outline',
+    'lsp_diagnostics',
+    'lsp_hover',
+    'lsp_definition',
+    'git_status',
+    'git_diff',
+    'git_log',
+    'git_blame',
+    'show_file_diff',
+    'commentary',
+    'constrain',
+    'meta_constrain_enhance',
+    'canvas_storage_list',
+    'canvas_storage_read',
+    'canvas_storage_search',
+    'canvas_storage_status',
+    'canvas_grep_synthesis',
+    'canvas_grep_feeds'
+];
+
+const PROFILES = {
+    'full': null, // every tool Jack offers
+    'none': [],
+    'read-only': READ_ONLY_TOOLS,
+    'research': [...READ_ONLY_TOOLS, 'web_search', 'web_fetch']
+};
+
+class ToolPolicy {
+    /**
+     * @param {Set<string>} allowed - Tool names this policy permits
+     * @param {string[]} sources - Human-readable specs the policy was built from (for logs and errors)
+     */
+    constructor(allowed, sources = []) {
+        this.allowed = allowed;
+        this.sources = sources;
+    }
+
+    /**
+     * Names of the built-in profiles
+     */
+    static get profileNames() {
+        return Object.keys(PROFILES);
+    }
+
+    /**
+     * Parse one spec into the set of tool names it allows
+     * @param {string|string[]} spec - "read-only", "read_file,grep_search", ["full", "-write_file"], ...
+     * @param {string[]} availableTools - Every tool name Jack offers
+     * @returns {Set<string>}
+     * @throws {Error} On unknown tool or profile names
+     */
+    static parseSpec(spec, availableTools) {
+        const entries = (Array.isArray(spec) ? spec : String(spec).split(','))
+            .map(entry => String(entry).trim())
+            .filter(Boolean);
+
+        const allowed = new Set();
+        const removed = new Set();
+
+        const resolve = (name) => {
+            if (Object.prototype.hasOwnProperty.call(PROFILES, name)) {
+                return PROFILES[name] === null ? availableTools : PROFILES[name];
+            }
+            if (availableTools.includes(name)) {
+                return [name];
+            }
+            throw new Error(`Unknown tool or profile '${name}' (profiles: ${ToolPolicy.profileNames.join(', ')})`);
+        };
+
+        for (const entry of entries) {
+            if (entry.startsWith('-')) {
+                resolve(entry.slice(1)).forEach(name => removed.add(name));
+            } else {
+                resolve(entry).forEach(name => allowed.add(name));
+            }
+        }
+
+        // A spec made only of removals starts from the full tool set
+        if (allowed.size === 0 && removed.size > 0 && entries.every(entry => entry.startsWith('-'))) {
+            availableTools.forEach(name => allowed.add(name));
+        }
+
+        removed.forEach(name => allowed.delete(name));
+        // Profiles may name tools that are not registered in this build
+        return new Set([...allowed].filter(name => availableTools.includes(name)));
+    }
+
+    /**
+     * Build the effective policy for a proxy request
+     * Sources: JACK_TOOL_POLICY (instance ceiling), the API key's tool policy (req.jackAuth),
+     * X-Jack-Tools header, `jack.tools` body field
+     * @param {import('express').Request} req
+     * @param {string[]} availableTools - Every tool name Jack offers
+     * @returns {{policy?: ToolPolicy, error?: string}}
+     */
+    static fromRequest(req, availableTools) {
+        return ToolPolicy.fromSpecs([
+            process.env.JACK_TOOL_POLICY,
+            req.jackAuth?.toolPolicy,
+            req.get('X-Jack-Tools'),
+            req.body?.jack?.tools
+        ], availableTools);
+    }
+
+    /**
+     * Intersect a list of specs (empty entries are skipped) into one policy
+     * @param {Array<string|string[]|null|undefined>} specList
+     * @param {string[]} availableTools - Every tool name Jack offers
+     * @returns {{policy?: ToolPolicy, error?: string}}
+     */
+    static fromSpecs(specList, availableTools) {
+        const specs = specList.filter(spec => spec !== undefined && spec !== null && spec !== '');
+
+        let allowed = new Set(availableTools);
+        const sources = [];
+
+        try {
+            for (const spec of specs) {
+                const specAllowed = ToolPolicy.parseSpec(spec, availableTools);
+                allowed = new Set([...allowed].filter(name => specAllowed.has(name)));
+                sources.push(Array.isArray(spec) ? spec.join(',') : String(spec));
+            }
+        } catch (error) {
+            return { error: error.message };
+        }
+
+        return { policy: new ToolPolicy(allowed, sources) };
+    }
+
+    /**
+     * Strip commentary channel / format decorations a model may add to tool names
+     */
+    static baseName(name = '') {
+        const channelMatch = name.match(/^(.+)<\|channel\|>.+$/);
+        if (channelMatch) name = channelMatch[1];
+
+        const formatMatch = name.match(/^<\|([^|]+)\|>.*$/);
+        return formatMatch ? formatMatch[1] : name;
+    }
+
+    /**
+     * Whether a tool call may run under this policy
+     */
+    allows(name) {
+        return this.allowed.has(ToolPolicy.baseName(name));
+    }
+
+    /**
+     * Keep only the tool definitions this policy permits
+     */
+    filterTools(tools) {
+        return tools.filter(tool => this.allowed.has(tool.function.name));
+    }
+
+    /**
+     * Short description for logs and blocked-call errors
+     */
+    describe() {
+        return this.sources.length > 0 ? this.sources.join(' ∩ ') : 'full';
+    }
+}
+
+module.exports = ToolPolicy;
@@ -0,0 +1,529 @@
+/**
+ * Workspace Index - One in-memory file list per workspace, shared by every search and listing tool
+ * Built once by walking the workspace, kept current with fs.watch on each indexed directory
+ * (ignored trees such as node_modules are never watched), and filtered by:
+ *   - Jack's own data directories and .git/node_modules (defaults, see DEFAULT_IGNORES)
+ *   - .gitignore files at any depth (gitignore syntax: negation, dir-only, anchored patterns, **)
+ *   - .jackignore files, read after .gitignore in the same directory - so they can hide files git
+ *     tracks or bring back ignored ones ("!node_modules/" re-indexes dependencies)
+ * Binary files stay in the listing but are never returned as text.
+ *
+ * Set JACK_INDEX_WATCH=false where file watching is unreliable (network drives); the index is
+ * then rebuilt on use once it is older than STALE_MS. Workspaces with more than MAX_WATCHED_DIRS
+ * directories fall back to the same behaviour.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+const IGNORE_FILES = ['.gitignore', '.jackignore'];
+const DEFAULT_IGNORES = ['.git/', 'node_modules/', '.memory/', '.edits/', '.telemetry/'];
+
+const BINARY_SNIFF_BYTES = 8000;      // Same heuristic as git: a NUL byte in the first 8000 bytes
+const MAX_TEXT_BYTES = 5 * 1024 * 1024; // Larger files are listed but not searched
+const CACHE_BYTES = 32 * 1024 * 1024; // Text kept in memory across searches
+const DEBOUNCE_MS = 150;
+const STALE_MS = 10000;
+const MAX_WATCHED_DIRS = 4096;
+
+/**
+ * Translate a gitignore pattern body into a regular expression source
+ */
+function translatePattern(pattern) {
+    let source = '';
+    for (let i = 0; i < pattern.length; i++) {
+        const char = pattern[i];
+        if (char === '*' && pattern[i + 1] === '*') {
+            if (pattern[i + 2] === '/') {
+                source += '(?:.*/)?'; // "**/" - zero or more directories
+                i += 2;
+            } else {
+                source += '.*';       // trailing "/**" - everything inside
+                i += 1;
+            }
+        } else if (char === '*') {
+            source += '[^/]*';
+        } else if (char === '?') {
+            source += '[^/]';
+        } else if (char === '[') {
+            const end = pattern.indexOf(']', i + 2);
+            if (end === -1) {
+                source += '\\[';
+                continue;
+            }
+            source += `[${pattern.slice(i + 1, end).replace(/^!/, '^')}]`;
+            i = end;
+        } else if (char === '\\' && i + 1 < pattern.length) {
+            source += pattern[++i].replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+        } else {
+            source += char.replace(/[.+^${}()|\\]/g, '\\$&');
+        }
+    }
+    return source;
+}
+
+/**
+ * Parse the contents of an ignore file into rules
+ * @returns {Array<{negate: boolean, dirOnly: boolean, anchored: boolean, regex: RegExp}>}
+ */
+function parseIgnoreFile(content) {
+    const rules = [];
+    for (const rawLine of content.split(/\r?\n/)) {
+        let line = rawLine.replace(/(?<!\\)\s+$/, '');
+        if (!line || line.startsWith('#')) continue;
+
+        let negate = false;
+        if (line.startsWith('!')) {
+            negate = true;
+            line = line.slice(1);
+        } else if (line.startsWith('\\!') || line.startsWith('\\#')) {
+            line = line.slice(1);
+        }
+
+        const dirOnly = line.endsWith('/');
+        if (dirOnly) line = line.slice(0, -1);
+        if (!line) continue;
+
+        // A slash anywhere but the end ties the pattern to the ignore file's directory
+        const anchored = line.includes('/');
+        line = line.replace(/^\//, '');
+
+        rules.push({ negate, dirOnly, anchored, regex: new RegExp(`^${translatePattern(line)}$`) });
+    }
+    return rules;
+}
+
+/**
+ * Whether the last matching rule ignores a path
+ * @param {Array<{base: string, rules: Array}>} ruleSets - Outermost first
+ * @param {string} relPath - Workspace-relative posix path
+ * @returns {boolean|null} - null when no rule matches
+ */
+function matchRules(ruleSets, relPath, isDirectory) {
+    let ignored = null;
+    const name = relPath.slice(relPath.lastIndexOf('/') + 1);
+    for (const { base, rules } of ruleSets) {
+        if (base && !relPath.startsWith(`${base}/`)) continue;
+        const local = base ? relPath.slice(base.length + 1) : relPath;
+        for (const rule of rules) {
+            if (rule.dirOnly && !isDirectory) continue;
+            if (rule.regex.test(rule.anchored ? local : name)) {
+                ignored = !rule.negate;
+            }
+        }
+    }
+    return ignored;
+}
+
+const toPosix = value => value.split(path.sep).join('/');
+const parentOf = relPath => (relPath.includes('/') ? relPath.slice(0, relPath.lastIndexOf('/')) : '');
+
+class WorkspaceIndex {
+    /**
+     * @param {string} root - Workspace root
+     * @param {Object} options - { watch: boolean (default: JACK_INDEX_WATCH !== 'false') }
+     */
+    constructor(root, options = {}) {
+        this.root = root;
+        this.watchEnabled = options.watch ?? process.env.JACK_INDEX_WATCH !== 'false';
+        this.defaultRules = parseIgnoreFile(DEFAULT_IGNORES.join('\n'));
+
+        this.entries = new Map();  // relPath -> { type: 'file'|'directory', size, mtimeMs, binary }
+        this.children = new Map(); // relDir ('' = root) -> Set of entry names
+        this.ignoreRules = new Map(); // relDir -> rules from its .gitignore/.jackignore
+        this.textCache = new Map(); // relPath -> { mtimeMs, size, text } (insertion order = LRU)
+        this.textCacheBytes = 0;
+
+        this.builtAt = null;
+        this.building = null;
+        this.watchers = new Map(); // relDir -> fs.FSWatcher
+        this.watching = false;
+        this.pendingChanges = new Set();
+        this.flushTimer = null;
+        this.needsRebuild = false;
+    }
+
+    /**
+     * Build the index on first use (and again when stale without a watcher)
+     */
+    async ready() {
+        if (this.building) return this.building;
+        const stale = this.builtAt === null || this.needsRebuild ||
+            (!this.watching && Date.now() - this.builtAt > STALE_MS);
+        if (stale) {
+            this.building = this.build().finally(() => {
+                this.building = null;
+            });
+            await this.building;
+        } else if (this.pendingChanges.size > 0) {
+            await this.flushChanges();
+        }
+        return this;
+    }
+
+    /**
+     * Walk the whole workspace
+     */
+    async build() {
+        const startTime = Date.now();
+        this.needsRebuild = false;
+        this.pendingChanges.clear();
+        this.entries = new Map();
+        this.children = new Map([['', new Set()]]);
+        this.ignoreRules = new Map();
+
+        this.stopWatching();
+        this.watching = this.watchEnabled;
+        this.watchDirectory('');
+        await this.scanDirectory('', this.ruleSetsFor(''));
+        this.builtAt = Date.now();
+
+        const { files, directories } = this.stats();
+        logger.debug(`Workspace index: ${files} files, ${directories} directories in ${Date.now() - startTime}ms (${this.root})`);
+    }
+
+    /**
+     * Read the ignore files of one directory (cached until they change)
+     */
+    loadIgnoreRules(relDir) {
+        if (this.ignoreRules.has(relDir)) return this.ignoreRules.get(relDir);
+
+        const rules = [];
+        for (const name of IGNORE_FILES) {
+            try {
+                rules.push(...parseIgnoreFile(fs.readFileSync(path.join(this.root, relDir, name), 'utf8')));
+            } catch (error) {
+                // No ignore file here
+            }
+        }
+        this.ignoreRules.set(relDir, rules);
+        return rules;
+    }
+
+    /**
+     * Rule sets that apply inside a directory, outermost first
+     */
+    ruleSetsFor(relDir) {
+        const sets = [{ base: '', rules: this.defaultRules }];
+        const parts = relDir ? relDir.split('/') : [];
+        for (let depth = 0; depth <= parts.length; depth++) {
+            const base = parts.slice(0, depth).join('/');
+            const rules = this.loadIgnoreRules(base);
+            if (rules.length > 0) sets.push({ base, rules });
+        }
+        return sets;
+    }
+
+    /**
+     * Whether a workspace-relative path is excluded, including by an ignored parent directory
+     */
+    isIgnored(relPath, isDirectory = false) {
+        const parts = toPosix(relPath).replace(/^\.?\/+/, '').split('/').filter(Boolean);
+        for (let depth = 1; depth <= parts.length; depth++) {
+            const current = parts.slice(0, depth).join('/');
+            const currentIsDir = depth < parts.length || isDirectory;
+            if (matchRules(this.ruleSetsFor(parts.slice(0, depth - 1).join('/')), current, currentIsDir)) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Add a directory's contents (recursively) to the index
+     */
+    async scanDirectory(relDir, ruleSets) {
+        let items;
+        try {
+            items = await fs.promises.readdir(path.join(this.root, relDir), { withFileTypes: true });
+        } catch (error) {
+            return;
+        }
+
+        for (const item of items) {
+            const isDirectory = item.isDirectory();
+            // Symlinks and special files are left out, as the old readdir walkers did
+            if (!isDirectory && !item.isFile()) continue;
+
+            const relPath = relDir ? `${relDir}/${item.name}` : item.name;
+            if (matchRules(ruleSets, relPath, isDirectory)) continue;
+
+            if (isDirectory) {
+                this.addEntry(relPath, { type: 'directory' });
+                if (!this.children.has(relPath)) this.children.set(relPath, new Set());
+                this.watchDirectory(relPath);
+                const innerRules = this.loadIgnoreRules(relPath);
+                await this.scanDirectory(relPath, innerRules.length > 0 ? [...ruleSets, { base: relPath, rules: innerRules }] : ruleSets);
+            } else {
+                let stats = null;
+                try {
+                    stats = await fs.promises.stat(path.join(this.root, relPath));
+                } catch (error) {
+                    continue; // Deleted while scanning
+                }
+                this.addEntry(relPath, { type: 'file', size: stats.size, mtimeMs: stats.mtimeMs, binary: null });
+            }
+        }
+    }
+
+    addEntry(relPath, entry) {
+        this.entries.set(relPath, entry);
+        const parent = parentOf(relPath);
+        if (!this.children.has(parent)) this.children.set(parent, new Set());
+        this.children.get(parent).add(relPath.slice(relPath.lastIndexOf('/') + 1));
+    }
+
+    removeEntry(relPath) {
+        const entry = this.entries.get(relPath);
+        if (!entry) return;
+
+        if (entry.type === 'directory') {
+            for (const name of this.children.get(relPath) || []) {
+                this.removeEntry(`${relPath}/${name}`);
+            }
+            this.children.delete(relPath);
+            this.ignoreRules.delete(relPath);
+            this.watchers.get(relPath)?.close();
+            this.watchers.delete(relPath);
+        }
+        this.entries.delete(relPath);
+        this.dropCachedText(relPath);
+        this.children.get(parentOf(relPath))?.delete(relPath.slice(relPath.lastIndexOf('/') + 1));
+    }
+
+    /**
+     * Watch one indexed directory so edits made by Jack, editors and build tools show up in the next search
+     */
+    watchDirectory(relDir) {
+        if (!this.watching || this.watchers.has(relDir)) return;
+        if (this.watchers.size >= MAX_WATCHED_DIRS) {
+            logger.debug(`Workspace index: over ${MAX_WATCHED_DIRS} directories in ${this.root} - rebuilding on use instead of watching`);
+            this.stopWatching();
+            return;
+        }
+
+        try {
+            const watcher = fs.watch(path.join(this.root, relDir), { persistent: false }, (eventType, filename) => {
+                if (!filename) {
+                    this.needsRebuild = true;
+                    return;
+                }
+                this.queueChange(relDir ? `${relDir}/${filename}` : filename.toString());
+            });
+            watcher.on('error', () => {
+                // The directory itself went away - its parent's watcher reports that
+                watcher.close();
+                this.watchers.delete(relDir);
+            });
+            this.watchers.set(relDir, watcher);
+        } catch (error) {
+            logger.debug(`Workspace index cannot watch ${this.root} (${error.message}) - rebuilding on use instead`);
+            this.stopWatching();
+        }
+    }
+
+    queueChange(relPath) {
+        this.pendingChanges.add(relPath);
+        clearTimeout(this.flushTimer);
+        this.flushTimer = setTimeout(() => this.flushChanges().catch(error => {
+            logger.debug(`Workspace index update failed: ${error.message}`);
+            this.needsRebuild = true;
+        }), DEBOUNCE_MS);
+        this.flushTimer.unref?.();
+    }
+
+    stopWatching() {
+        clearTimeout(this.flushTimer);
+        for (const watcher of this.watchers.values()) {
+            watcher.close();
+        }
+        this.watchers.clear();
+        this.watching = false;
+    }
+
+    /**
+     * Apply queued watcher events
+     */
+    async flushChanges() {
+        clearTimeout(this.flushTimer);
+        const changes = [...this.pendingChanges];
+        this.pendingChanges.clear();
+
+        for (const relPath of changes) {
+            const name = relPath.slice(relPath.lastIndexOf('/') + 1);
+            if (IGNORE_FILES.includes(name)) {
+                // Ignore rules changed: what is in the index may change anywhere below
+                this.needsRebuild = true;
+                return;
+            }
+            await this.updatePath(relPath);
+        }
+    }
+
+    /**
+     * Re-check one path after a watcher event
+     */
+    async updatePath(relPath) {
+        let stats = null;
+        try {
+            stats = await fs.promises.lstat(path.join(this.root, relPath));
+        } catch (error) {
+            this.removeEntry(relPath);
+            return;
+        }
+
+        const isDirectory = stats.isDirectory();
+        if ((!isDirectory && !stats.isFile()) || this.isIgnored(relPath, isDirectory)) {
+            this.removeEntry(relPath);
+            return;
+        }
+
+        // New nested directories arrive before their parents are indexed
+        const parent = parentOf(relPath);
+        if (parent && !this.entries.has(parent)) {
+            await this.updatePath(parent);
+            return;
+        }
+
+        if (isDirectory) {
+            const known = this.entries.has(relPath);
+            this.addEntry(relPath, { type: 'directory' });
+            if (!known) {
+                this.children.set(relPath, new Set());
+                this.watchDirectory(relPath);
+                await this.scanDirectory(relPath, this.ruleSetsFor(relPath));
+            }
+        } else {
+            const previous = this.entries.get(relPath);
+            const unchanged = previous && previous.mtimeMs === stats.mtimeMs && previous.size === stats.size;
+            this.addEntry(relPath, {
+                type: 'file',
+                size: stats.size,
+                mtimeMs: stats.mtimeMs,
+                binary: unchanged ? previous.binary : null
+            });
+        }
+    }
+
+    /**
+     * Indexed files, sorted by path
+     * @param {Object} options - { under: relDir, extensions: ['.js', 'ts', ...] }
+     * @returns {string[]} - Workspace-relative posix paths
+     */
+    files({ under = '', extensions = [] } = {}) {
+        const prefix = toPosix(under).replace(/^\.?\/+|\/+$/g, '');
+        const wanted = (extensions || []).map(ext => (ext.startsWith('.') ? ext : `.${ext}`).toLowerCase());
+
+        const result = [];
+        for (const [relPath, entry] of this.entries) {
+            if (entry.type !== 'file') continue;
+            if (prefix && !relPath.startsWith(`${prefix}/`)) continue;
+            if (wanted.length > 0 && !wanted.includes(path.extname(relPath).toLowerCase())) continue;
+            result.push(relPath);
+        }
+        return result.sort();
+    }
+
+    /**
+     * Size, mtime and binary verdict (null until read) of an indexed file
+     * @returns {{size: number, mtimeMs: number, binary: boolean|null}|null}
+     */
+    fileInfo(relPath) {
+        const entry = this.entries.get(toPosix(relPath).replace(/^\.?\/+/, ''));
+        return entry && entry.type === 'file' ? { size: entry.size, mtimeMs: entry.mtimeMs, binary: entry.binary } : null;
+    }
+
+    /**
+     * Indexed entries of one directory
+     * @returns {Array<{name: string, type: string}>|null} - null for directories outside the index
+     */
+    listDirectory(relDir = '') {
+        const key = toPosix(relDir).replace(/^\.?\/+|\/+$/g, '').replace(/^\.$/, '');
+        const names = this.children.get(key);
+        if (!names) return null;
+
+        return [...names].sort().map(name => ({
+            name,
+            type: this.entries.get(key ? `${key}/${name}` : name).type
+        }));
+    }
+
+    /**
+     * Text of a file, or null for binaries and files over MAX_TEXT_BYTES
+     * Works for any file in the workspace; indexed files remember their binary verdict.
+     */
+    async readText(relPath) {
+        const key = toPosix(relPath).replace(/^\.?\/+/, '');
+        const stats = await fs.promises.stat(path.join(this.root, key));
+        if (!stats.isFile() || stats.size > MAX_TEXT_BYTES) return null;
+
+        const entry = this.entries.get(key);
+        const current = entry && entry.mtimeMs === stats.mtimeMs && entry.size === stats.size;
+        if (current && entry.binary) return null;
+
+        const cached = this.textCache.get(key);
+        if (cached && cached.mtimeMs === stats.mtimeMs && cached.size === stats.size) {
+            this.textCache.delete(key);
+            this.textCache.set(key, cached);
+            return cached.text;
+        }
+
+        const buffer = await fs.promises.readFile(path.join(this.root, key));
+        const binary = buffer.subarray(0, BINARY_SNIFF_BYTES).includes(0);
+        if (entry) {
+            Object.assign(entry, { size: stats.size, mtimeMs: stats.mtimeMs, binary });
+        }
+        if (binary) return null;
+
+        const text = buffer.toString('utf8');
+        this.cacheText(key, { mtimeMs: stats.mtimeMs, size: stats.size, text });
+        return text;
+    }
+
+    cacheText(relPath, value) {
+        this.dropCachedText(relPath);
+        this.textCache.set(relPath, value);
+        this.textCacheBytes += value.size;
+        for (const [oldest, old] of this.textCache) {
+            if (this.textCacheBytes <= CACHE_BYTES) break;
+            this.textCache.delete(oldest);
+            this.textCacheBytes -= old.size;
+        }
+    }
+
+    dropCachedText(relPath) {
+        const cached = this.textCache.get(relPath);
+        if (cached) {
+            this.textCache.delete(relPath);
+            this.textCacheBytes -= cached.size;
+        }
+    }
+
+    /**
+     * Summary for /jack/workspaces
+     */
+    stats() {
+        let files = 0;
+        let binary = 0;
+        for (const entry of this.entries.values()) {
+            if (entry.type === 'file') {
+                files++;
+                if (entry.binary) binary++;
+            }
+        }
+        return {
+            files,
+            directories: this.entries.size - files,
+            binaryFiles: binary,
+            builtAt: this.builtAt ? new Date(this.builtAt).toISOString() : null,
+            watching: this.watching
+        };
+    }
+
+    close() {
+        this.stopWatching();
+    }
+}
+
+module.exports = { WorkspaceIndex, parseIgnoreFile };
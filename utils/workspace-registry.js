@@ -0,0 +1,136 @@
+/**
+ * Workspace Registry - Several named workspaces served by one Jack instance
+ * Each workspace keeps its own edit controller, session memory and path sandbox;
+ * proxy requests pick one with the X-Jack-Workspace header or a "model@workspace" suffix.
+ *
+ * Format: entries separated by ';' or newlines, each "<name>=<path>"
+ *   JACK_WORKSPACES=frontend=/src/web-app;api=/src/api-server
+ * The workspace Jack was started in is always registered as "default".
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+const NAME_PATTERN = /^[A-Za-z0-9_.-]{1,64}$/;
+
+class WorkspaceRegistry {
+    /**
+     * @param {Function} createState - (name, root) => per-workspace state ({ dataDir, editController, sessionMemory, ... })
+     */
+    constructor(createState) {
+        this.createState = createState;
+        this.workspaces = new Map(); // name -> { name, root, registeredAt, ...state }
+    }
+
+    /**
+     * Parse the JACK_WORKSPACES format into name/root pairs
+     * @returns {Array<{name: string, root: string}>}
+     */
+    static parseSpec(spec) {
+        const entries = [];
+        if (!spec) return entries;
+
+        for (const rawEntry of spec.split(/[;\n]/)) {
+            const entry = rawEntry.trim();
+            if (!entry) continue;
+
+            const separator = entry.indexOf('=');
+            if (separator <= 0) {
+                logger.warn(`Ignoring malformed JACK_WORKSPACES entry (expected name=path): ${entry}`);
+                continue;
+            }
+
+            entries.push({
+                name: entry.slice(0, separator).trim(),
+                root: entry.slice(separator + 1).trim().replace(/^"|"$/g, '')
+            });
+        }
+
+        return entries;
+    }
+
+    /**
+     * Register a workspace and create its state
+     * @throws {Error} On invalid names, duplicate names, or roots that are not directories
+     */
+    register(name, root) {
+        if (!NAME_PATTERN.test(name || '')) {
+            throw new Error(`Invalid workspace name '${name}' (letters, digits, '_', '.', '-' only)`);
+        }
+        if (this.workspaces.has(name)) {
+            throw new Error(`Workspace '${name}' is already registered`);
+        }
+
+        const resolvedRoot = path.resolve(root || '');
+        let stats = null;
+        try {
+            stats = fs.statSync(resolvedRoot);
+        } catch (error) {
+            // Reported below
+        }
+        if (!stats || !stats.isDirectory()) {
+            throw new Error(`Workspace root for '${name}' is not a directory: ${resolvedRoot}`);
+        }
+
+        const workspace = {
+            name,
+            root: resolvedRoot,
+            registeredAt: new Date().toISOString(),
+            ...this.createState(name, resolvedRoot)
+        };
+        this.workspaces.set(name, workspace);
+        return workspace;
+    }
+
+    get(name) {
+        return this.workspaces.get(name) || null;
+    }
+
+    /**
+     * Pick the workspace for a request - X-Jack-Workspace header first, then a
+     * "model@workspace" suffix (which is stripped from req.body.model)
+     * @returns {{workspace?: Object, error?: string}}
+     */
+    resolve(req) {
+        let name = (req.get('X-Jack-Workspace') || '').trim();
+
+        const model = req.body && typeof req.body.model === 'string' ? req.body.model : null;
+        const at = model ? model.lastIndexOf('@') : -1;
+        if (at > 0) {
+            const suffix = model.slice(at + 1);
+            // Only strip suffixes that name a workspace - '@' may be part of a model name
+            if (this.workspaces.has(suffix)) {
+                req.body.model = model.slice(0, at);
+                name = name || suffix;
+            }
+        }
+
+        if (!name) {
+            return { workspace: this.get('default') };
+        }
+
+        const workspace = this.get(name);
+        if (!workspace) {
+            return { error: `Unknown workspace '${name}' (registered: ${[...this.workspaces.keys()].join(', ')})` };
+        }
+        return { workspace };
+    }
+
+    /**
+     * Summary for /jack/workspaces and /api/status
+     */
+    list() {
+        return [...this.workspaces.values()].map(workspace => ({
+            name: workspace.name,
+            root: workspace.root,
+            registeredAt: workspace.registeredAt,
+            pendingEdits: workspace.editController.pendingEdits.size,
+            index: workspace.index ? workspace.index.stats() : null,
+            semanticIndex: workspace.semantic ? workspace.semantic.getStatus() : null,
+            languageServers: workspace.lsp ? workspace.lsp.getStatus() : []
+        }));
+    }
+}
+
+module.exports = WorkspaceRegistry;